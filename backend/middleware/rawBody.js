@@ -0,0 +1,28 @@
+/**
+ * Raw Body Capture
+ *
+ * Keeps the exact bytes of webhook request bodies so that gateway and
+ * carrier signatures can be verified against what was actually sent,
+ * rather than a re-serialized copy of the parsed body.
+ *
+ * Used as the `verify` option of the global JSON and urlencoded parsers.
+ *
+ * @author Mallgram Backend Team
+ */
+
+/**
+ * Store the raw request body on webhook requests
+ * @param {Express.Request} req - Express request object
+ * @param {Express.Response} res - Express response object
+ * @param {Buffer} buf - Raw body buffer
+ * @param {string} encoding - Body encoding
+ */
+const captureRawBody = (req, res, buf, encoding) => {
+    if (buf && buf.length > 0 && req.originalUrl.includes('/webhook/')) {
+        req.rawBody = buf.toString(encoding || 'utf8');
+    }
+};
+
+module.exports = {
+    captureRawBody
+};
@@ -0,0 +1,172 @@
+/**
+ * Carrier tracking webhook: pushes built from the recorded DHL, FedEx and
+ * UPS responses are only stored and applied when they carry the carrier's
+ * signature over the raw body
+ */
+
+jest.mock('../../config/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+jest.mock('../../config/supabase', () => require('../../test/supabaseMock').module);
+jest.mock('../../services/emailService', () => ({ sendOrderTrackingEmail: jest.fn() }));
+jest.mock('../../services/orders/etaService', () => ({ refine: jest.fn(), toOrderColumns: jest.fn(), formatRange: jest.fn() }));
+
+const crypto = require('crypto');
+const express = require('express');
+const request = require('supertest');
+const db = require('../../test/supabaseMock');
+const { captureRawBody } = require('../../middleware/rawBody');
+const { errorHandler } = require('../../middleware/errorHandler');
+const dhlCarrier = require('../../services/shipping/carriers/dhlCarrier');
+const fedexCarrier = require('../../services/shipping/carriers/fedexCarrier');
+const upsCarrier = require('../../services/shipping/carriers/upsCarrier');
+
+const fixtures = {
+    dhl: require('../../services/shipping/carriers/fixtures/dhl.json'),
+    fedex: require('../../services/shipping/carriers/fixtures/fedex.json'),
+    ups: require('../../services/shipping/carriers/fixtures/ups.json')
+};
+
+const app = express();
+app.use(express.json({ verify: captureRawBody }));
+app.use('/api/v1/tracking', require('../tracking'));
+app.use(errorHandler);
+
+const hmac = (secret, body, encoding) => crypto.createHmac('sha256', secret).update(body).digest(encoding);
+
+const webhook = (carrier, body, headers = {}) => request(app)
+    .post(`/api/v1/tracking/webhook/${carrier}`)
+    .set({ 'Content-Type': 'application/json', ...headers })
+    .send(body);
+
+const order = (carrier, trackingNumber) => ({
+    id: `ord-${carrier}-7c1e4b20`,
+    tracking_number: trackingNumber,
+    carrier,
+    status: 'shipped',
+    user_id: 'u1',
+    country: 'ZA',
+    users: { email: 'thandi@example.com', full_name: 'Thandi Nkosi' }
+});
+
+// The recorded DHL checkpoints in the shape DHL pushes them
+const dhlBody = (trackingNumber = '2345678901') => JSON.stringify({
+    shipments: [{
+        id: trackingNumber,
+        events: dhlCarrier.parseEvents(fixtures.dhl.failed_attempt.response).map(event => ({
+            typeCode: event.code,
+            description: event.description,
+            location: { address: { addressLocality: event.location } },
+            timestamp: event.timestamp
+        }))
+    }]
+});
+
+const fedexBody = () => JSON.stringify({
+    trackResults: [fixtures.fedex.returned.response.output.completeTrackResults[0].trackResults[0]]
+});
+
+const upsBody = () => {
+    const [activity] = fixtures.ups.delivered.response.trackResponse.shipment[0].package[0].activity;
+
+    return JSON.stringify({
+        trackingNumber: '1Z999AA10123456784',
+        activityStatus: activity.status,
+        activityLocation: activity.location.address,
+        gmtActivityDate: activity.gmtDate,
+        gmtActivityTime: activity.gmtTime
+    });
+};
+
+beforeEach(() => {
+    dhlCarrier.webhookSecret = 'whsec_dhl';
+    fedexCarrier.webhookSecret = 'whsec_fedex';
+    upsCarrier.webhookSecret = 'ups-track-alert-credential';
+
+    db.reset({
+        orders: [
+            order('dhl', '2345678901'),
+            order('fedex', '794843185304'),
+            order('ups', '1Z999AA10123456784')
+        ],
+        shipment_events: [],
+        order_status_history: []
+    }, {
+        shipment_events: [['event_key']]
+    });
+});
+
+describe('POST /tracking/webhook/:carrier', () => {
+    it('applies a DHL push signed with the hex HMAC of its raw body', async () => {
+        const body = dhlBody();
+
+        const response = await webhook('dhl', body, { 'dhl-signature': hmac('whsec_dhl', body, 'hex') });
+
+        expect(response.status).toBe(200);
+        expect(response.body).toEqual({ success: true, message: 'Webhook processed successfully' });
+        // Waiting at a DHL service point after the failed attempt
+        expect(db.tables.orders[0].status).toBe('out_for_delivery');
+        expect(db.tables.shipment_events).toHaveLength(fixtures.dhl.failed_attempt.expected.length);
+    });
+
+    it('applies a FedEx push signed with the base64 HMAC of its raw body', async () => {
+        const body = fedexBody();
+
+        const response = await webhook('fedex', body, { 'fdx-signature': hmac('whsec_fedex', body, 'base64') });
+
+        expect(response.status).toBe(200);
+        expect(db.tables.orders[1].status).toBe('delivery_exception');
+    });
+
+    it('applies a UPS Track Alert carrying the configured credential', async () => {
+        const response = await webhook('ups', upsBody(), { credential: 'ups-track-alert-credential' });
+
+        expect(response.status).toBe(200);
+        expect(db.tables.orders[2].status).toBe('delivered');
+        expect(db.tables.shipment_events).toHaveLength(1);
+    });
+
+    it.each([
+        ['dhl', dhlBody, body => ({ 'dhl-signature': hmac('whsec_other', body, 'hex') })],
+        ['dhl', dhlBody, () => ({})],
+        ['fedex', fedexBody, body => ({ 'fdx-signature': hmac('whsec_fedex', body, 'hex') })],
+        ['ups', upsBody, () => ({ credential: 'guessed' })]
+    ])('rejects a %s push without a valid signature and stores nothing', async (carrier, build, sign) => {
+        const body = build();
+
+        const response = await webhook(carrier, body, sign(body));
+
+        expect(response.status).toBe(401);
+        expect(db.tables.shipment_events).toHaveLength(0);
+        expect(db.tables.orders.map(row => row.status)).toEqual(['shipped', 'shipped', 'shipped']);
+    });
+
+    it('rejects a push whose body was changed after signing', async () => {
+        const signature = hmac('whsec_dhl', dhlBody(), 'hex');
+
+        const response = await webhook('dhl', dhlBody('2345678902'), { 'dhl-signature': signature });
+
+        expect(response.status).toBe(401);
+    });
+
+    it('rejects pushes while the carrier has no webhook secret configured', async () => {
+        dhlCarrier.webhookSecret = undefined;
+        const body = dhlBody();
+
+        const response = await webhook('dhl', body, { 'dhl-signature': hmac('', body, 'hex') });
+
+        expect(response.status).toBe(401);
+    });
+
+    it('ignores pushed shipments without a valid tracking number', async () => {
+        const body = dhlBody('12 34;--');
+
+        const response = await webhook('dhl', body, { 'dhl-signature': hmac('whsec_dhl', body, 'hex') });
+
+        expect(response.status).toBe(200);
+        expect(db.tables.shipment_events).toHaveLength(0);
+    });
+
+    it('answers 404 for carriers that do not push events', async () => {
+        await expect(webhook('courierguy', '{}')).resolves.toMatchObject({ status: 404 });
+        await expect(webhook('pigeon', '{}')).resolves.toMatchObject({ status: 404 });
+    });
+});
@@ -0,0 +1,214 @@
+/**
+ * Affiliate Routes
+ *
+ * Referral links and the affiliate payout ledger: visitors arriving from
+ * an affiliate's link are attributed to it; affiliates see their own
+ * payouts and how far each promo code is from the next one; admins review
+ * every payout, retry failed ones and handle the bank batch files South
+ * African affiliates are paid with.
+ *
+ * Routes:
+ * - POST /affiliates/referrals - Record a click of a referral link (?ref=CODE)
+ * - POST /affiliates/referrals/:id/claim - Attribute a referral to the signed-in customer
+ * - GET /affiliates/me/payouts - The signed-in affiliate's payouts, totals and promo code progress
+ * - GET /affiliates/payouts - Payout ledger (admin)
+ * - POST /affiliates/payouts/:id/retry - Queue a failed payout again (admin)
+ * - GET /affiliates/payout-batches - Bank payout batches (admin)
+ * - GET /affiliates/payout-batches/:id - A batch with its payouts (admin)
+ * - GET /affiliates/payout-batches/:id/file - Bulk payment CSV for the bank (admin)
+ * - POST /affiliates/payout-batches/:id/confirm - Record that the bank paid a batch (admin)
+ *
+ * @author Mallgram Backend Team
+ */
+
+const express = require('express');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { authMiddleware, optionalAuth, requireAdmin, requireAffiliate } = require('../middleware/auth');
+const { logApiOperation } = require('../middleware/requestLogger');
+const affiliatePayoutService = require('../services/affiliates/payoutService');
+const bankBatchService = require('../services/affiliates/bankBatchService');
+const referralService = require('../services/affiliates/referralService');
+
+const router = express.Router();
+
+/**
+ * POST /affiliates/referrals
+ * Body: { ref, country?, landing_path?, referrer? }
+ * A visitor opened an affiliate's link. The returned referral_id is kept
+ * by the browser and sent when the visitor signs in and at checkout;
+ * orders placed before expires_at without a typed code are credited to
+ * the affiliate.
+ */
+router.post('/referrals',
+    optionalAuth,
+    logApiOperation('record_referral'),
+    asyncHandler(async (req, res) => {
+        const referral = await referralService.recordClick({
+            code: req.body.ref,
+            userId: req.user ? req.user.id : null,
+            country: req.body.country,
+            landingPath: req.body.landing_path,
+            referrer: req.body.referrer
+        });
+
+        res.status(201).json({
+            success: true,
+            data: referral
+        });
+    })
+);
+
+/**
+ * POST /affiliates/referrals/:id/claim
+ * Called after login or signup so a link clicked as a guest follows the
+ * customer to their account. attributed is false when the referral has
+ * expired, belongs to another account or is the affiliate's own link.
+ */
+router.post('/referrals/:id/claim',
+    authMiddleware,
+    logApiOperation('claim_referral'),
+    asyncHandler(async (req, res) => {
+        const referral = await referralService.claim(req.params.id, req.user.id);
+
+        res.json({
+            success: true,
+            data: {
+                attributed: !!referral,
+                expires_at: referral ? referral.expires_at : null
+            }
+        });
+    })
+);
+
+/**
+ * GET /affiliates/me/payouts
+ * The signed-in affiliate's payouts, newest first
+ */
+router.get('/me/payouts',
+    authMiddleware,
+    requireAffiliate,
+    logApiOperation('get_affiliate_payouts'),
+    asyncHandler(async (req, res) => {
+        const ledger = await affiliatePayoutService.getAffiliateLedger(req.affiliate);
+
+        res.json({
+            success: true,
+            data: ledger
+        });
+    })
+);
+
+/**
+ * GET /affiliates/payouts?status=failed&affiliate_id=...
+ * Every payout, newest first
+ */
+router.get('/payouts',
+    authMiddleware,
+    requireAdmin,
+    logApiOperation('list_affiliate_payouts'),
+    asyncHandler(async (req, res) => {
+        const payouts = await affiliatePayoutService.listPayouts({
+            status: req.query.status,
+            affiliateId: req.query.affiliate_id
+        });
+
+        res.json({
+            success: true,
+            data: payouts
+        });
+    })
+);
+
+/**
+ * POST /affiliates/payouts/:id/retry
+ * Queue a failed payout again once the affiliate's payout details are fixed;
+ * the next payout run sends it
+ */
+router.post('/payouts/:id/retry',
+    authMiddleware,
+    requireAdmin,
+    logApiOperation('retry_affiliate_payout'),
+    asyncHandler(async (req, res) => {
+        const payout = await affiliatePayoutService.retryPayout(req.params.id, req.user);
+
+        res.json({
+            success: true,
+            data: payout
+        });
+    })
+);
+
+/**
+ * GET /affiliates/payout-batches?status=exported
+ */
+router.get('/payout-batches',
+    authMiddleware,
+    requireAdmin,
+    logApiOperation('list_payout_batches'),
+    asyncHandler(async (req, res) => {
+        const batches = await bankBatchService.listBatches({ status: req.query.status });
+
+        res.json({
+            success: true,
+            data: batches
+        });
+    })
+);
+
+/**
+ * GET /affiliates/payout-batches/:id
+ */
+router.get('/payout-batches/:id',
+    authMiddleware,
+    requireAdmin,
+    logApiOperation('get_payout_batch'),
+    asyncHandler(async (req, res) => {
+        const { batch, payouts } = await bankBatchService.getBatch(req.params.id);
+
+        res.json({
+            success: true,
+            data: { ...batch, payouts }
+        });
+    })
+);
+
+/**
+ * GET /affiliates/payout-batches/:id/file
+ * Download the bulk payment CSV to upload to the bank
+ */
+router.get('/payout-batches/:id/file',
+    authMiddleware,
+    requireAdmin,
+    logApiOperation('export_payout_batch'),
+    asyncHandler(async (req, res) => {
+        const batchData = await bankBatchService.getBatch(req.params.id);
+        const date = batchData.batch.created_at.slice(0, 10);
+
+        res.setHeader('Content-Disposition', `attachment; filename="affiliate-payouts-${date}-${batchData.batch.id.slice(0, 8)}.csv"`);
+        res.type('text/csv').send(bankBatchService.toCsv(batchData));
+    })
+);
+
+/**
+ * POST /affiliates/payout-batches/:id/confirm
+ * Body: { rejected?: [{ payout_id, reason }] }
+ * The bank has processed the file: its payouts are marked paid, except
+ * the lines the bank rejected, which are marked failed
+ */
+router.post('/payout-batches/:id/confirm',
+    authMiddleware,
+    requireAdmin,
+    logApiOperation('confirm_payout_batch'),
+    asyncHandler(async (req, res) => {
+        const result = await bankBatchService.confirmBatch(req.params.id, req.user, {
+            rejected: req.body.rejected
+        });
+
+        res.json({
+            success: true,
+            data: result
+        });
+    })
+);
+
+module.exports = router;
@@ -0,0 +1,56 @@
+/**
+ * Delivery Routes
+ *
+ * Estimated delivery dates for product pages. Carts and checkout get the
+ * same estimate from POST /orders/quote, and placed orders keep theirs in
+ * estimated_delivery_min / estimated_delivery_max.
+ *
+ * Routes:
+ * - GET /delivery/estimate - Estimated delivery range for a product
+ *
+ * @author Mallgram Backend Team
+ */
+
+const express = require('express');
+const {
+    asyncHandler,
+    ValidationError
+} = require('../middleware/errorHandler');
+const { logApiOperation } = require('../middleware/requestLogger');
+const etaService = require('../services/orders/etaService');
+
+const router = express.Router();
+
+/**
+ * GET /delivery/estimate?product_id=...&country=ZA&quantity=1
+ * Earliest and latest delivery date if the product were ordered now
+ */
+router.get('/estimate',
+    logApiOperation('get_delivery_estimate'),
+    asyncHandler(async (req, res) => {
+        const { product_id, country } = req.query;
+        const quantity = req.query.quantity === undefined ? 1 : Number(req.query.quantity);
+
+        if (!product_id) {
+            throw new ValidationError('product_id is required', 'product_id');
+        }
+
+        if (!Number.isInteger(quantity) || quantity < 1) {
+            throw new ValidationError('quantity must be a whole number of at least 1', 'quantity');
+        }
+
+        const estimate = await etaService.estimateForProduct(product_id, country, quantity);
+
+        res.json({
+            success: true,
+            data: {
+                product_id,
+                country: String(country).toUpperCase(),
+                quantity,
+                ...estimate
+            }
+        });
+    })
+);
+
+module.exports = router;
@@ -0,0 +1,151 @@
+/**
+ * Fulfilment Routes (admin)
+ *
+ * Supplier purchase orders are created and placed automatically once an
+ * order is paid. These routes let staff deal with the orders that were
+ * flagged for admin action (out of stock, cancelled by the supplier,
+ * failed placement).
+ *
+ * Routes:
+ * - GET /fulfilment/orders - Orders flagged for admin action, with their purchase orders
+ * - GET /fulfilment/purchase-orders - List purchase orders by status or order
+ * - POST /fulfilment/purchase-orders/:id/retry - Send a flagged purchase order to the supplier again
+ * - POST /fulfilment/purchase-orders/:id/record - Record a purchase order placed with the supplier by hand
+ * - POST /fulfilment/orders/:id/cancel - Cancel and refund an order that cannot be fulfilled
+ *
+ * @author Mallgram Backend Team
+ */
+
+const express = require('express');
+const {
+    asyncHandler,
+    ValidationError
+} = require('../middleware/errorHandler');
+const { authMiddleware, requireAdmin } = require('../middleware/auth');
+const { logApiOperation } = require('../middleware/requestLogger');
+const fulfilmentService = require('../services/fulfilment');
+const orderService = require('../services/orders/orderService');
+
+const router = express.Router();
+
+/**
+ * GET /fulfilment/orders
+ * Orders flagged for admin action, oldest first
+ */
+router.get('/orders',
+    authMiddleware,
+    requireAdmin,
+    logApiOperation('list_flagged_orders'),
+    asyncHandler(async (req, res) => {
+        const orders = await fulfilmentService.listFlaggedOrders();
+
+        res.json({
+            success: true,
+            data: orders
+        });
+    })
+);
+
+/**
+ * GET /fulfilment/purchase-orders?status=out_of_stock&order_id=
+ * List purchase orders, newest first
+ */
+router.get('/purchase-orders',
+    authMiddleware,
+    requireAdmin,
+    logApiOperation('list_purchase_orders'),
+    asyncHandler(async (req, res) => {
+        const purchaseOrders = await fulfilmentService.listPurchaseOrders({
+            status: req.query.status,
+            orderId: req.query.order_id
+        });
+
+        res.json({
+            success: true,
+            data: purchaseOrders
+        });
+    })
+);
+
+/**
+ * POST /fulfilment/purchase-orders/:id/retry
+ * Send an out of stock, rejected, failed or supplier-cancelled purchase
+ * order to the supplier again (e.g. once it is back in stock)
+ */
+router.post('/purchase-orders/:id/retry',
+    authMiddleware,
+    requireAdmin,
+    logApiOperation('retry_purchase_order'),
+    asyncHandler(async (req, res) => {
+        const purchaseOrder = await fulfilmentService.retryPurchaseOrder(req.params.id, req.user);
+
+        res.json({
+            success: true,
+            data: purchaseOrder
+        });
+    })
+);
+
+/**
+ * POST /fulfilment/purchase-orders/:id/record
+ * Record a purchase order staff placed with the supplier outside the API
+ * Body: { supplier_order_id, cost, currency? }
+ */
+router.post('/purchase-orders/:id/record',
+    authMiddleware,
+    requireAdmin,
+    logApiOperation('record_purchase_order'),
+    asyncHandler(async (req, res) => {
+        const { supplier_order_id, cost, currency } = req.body;
+
+        const purchaseOrder = await fulfilmentService.recordManualPlacement(req.params.id, req.user, {
+            supplierOrderId: supplier_order_id,
+            cost,
+            currency
+        });
+
+        res.json({
+            success: true,
+            data: purchaseOrder
+        });
+    })
+);
+
+/**
+ * POST /fulfilment/orders/:id/cancel
+ * Cancel an order that cannot be fulfilled; paid orders are refunded in full
+ * Body: { reason } - shown to the customer
+ */
+router.post('/orders/:id/cancel',
+    authMiddleware,
+    requireAdmin,
+    logApiOperation('cancel_unfulfillable_order'),
+    asyncHandler(async (req, res) => {
+        const { reason } = req.body;
+
+        if (!reason || !reason.trim()) {
+            throw new ValidationError('Cancellation reason is required', 'reason');
+        }
+
+        const { order, refund } = await orderService.cancelOrder(req.params.id, {
+            actor: { type: 'admin', id: req.user.id },
+            reason: reason.trim()
+        });
+
+        res.json({
+            success: true,
+            data: {
+                order_id: order.id,
+                status: order.status,
+                refund: refund ? {
+                    refund_id: refund.refund.id,
+                    amount: refund.refund.amount,
+                    currency: refund.refund.currency,
+                    refund_status: refund.refund.status
+                } : null
+            }
+        });
+    })
+);
+
+module.exports = router;
@@ -0,0 +1,109 @@
+/**
+ * FX Routes
+ *
+ * Exchange rates and currency conversion backed by the exchange_rates table.
+ *
+ * Routes:
+ * - GET /fx/rates - Latest rates against a base currency
+ * - GET /fx/convert - Convert an amount between currencies
+ *
+ * @author Mallgram Backend Team
+ */
+
+const express = require('express');
+const logger = require('../config/logger');
+const {
+    asyncHandler,
+    ValidationError,
+    ExternalServiceError
+} = require('../middleware/errorHandler');
+const { logApiOperation } = require('../middleware/requestLogger');
+const { Money, CURRENCIES } = require('../utils/money');
+const fxService = require('../services/fx');
+
+const router = express.Router();
+
+/**
+ * Validate and normalize a currency query parameter
+ */
+const parseCurrency = (value, field) => {
+    if (!value) {
+        throw new ValidationError(`${field} currency is required`, field);
+    }
+
+    if (!Money.isSupported(value)) {
+        throw new ValidationError(`Unsupported currency: ${value}`, field);
+    }
+
+    return value.toUpperCase();
+};
+
+/**
+ * GET /fx/rates?base=ZAR
+ * Latest rate of every supported currency against a base (default FX_BASE_CURRENCY)
+ */
+router.get('/rates',
+    logApiOperation('get_exchange_rates'),
+    asyncHandler(async (req, res) => {
+        const base = req.query.base ? parseCurrency(req.query.base, 'base') : fxService.baseCurrency;
+        const rates = {};
+
+        try {
+            for (const currency of Object.keys(CURRENCIES)) {
+                const snapshot = await fxService.getRate(base, currency);
+                rates[currency] = {
+                    rate: snapshot.rate,
+                    fetched_at: snapshot.fetched_at
+                };
+            }
+        } catch (error) {
+            logger.error('Failed to load exchange rates:', error);
+            throw new ExternalServiceError('fx', error.message);
+        }
+
+        res.json({
+            success: true,
+            data: {
+                base,
+                rates
+            }
+        });
+    })
+);
+
+/**
+ * GET /fx/convert?amount=100&from=ZAR&to=XAF
+ * Convert an amount, rounded to the target currency's minor unit
+ */
+router.get('/convert',
+    logApiOperation('convert_currency'),
+    asyncHandler(async (req, res) => {
+        const from = parseCurrency(req.query.from, 'from');
+        const to = parseCurrency(req.query.to, 'to');
+        const amount = Number(req.query.amount);
+
+        if (req.query.amount === undefined || !Number.isFinite(amount) || amount < 0) {
+            throw new ValidationError('Amount must be a non-negative number', 'amount');
+        }
+
+        let conversion;
+
+        try {
+            conversion = await fxService.convert(Money.fromMajor(amount, from), to);
+        } catch (error) {
+            logger.error('Currency conversion failed:', error);
+            throw new ExternalServiceError('fx', error.message);
+        }
+
+        res.json({
+            success: true,
+            data: {
+                amount: Money.fromMajor(amount, from),
+                converted: conversion.amount,
+                rate: conversion.rate
+            }
+        });
+    })
+);
+
+module.exports = router;
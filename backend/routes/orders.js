@@ -0,0 +1,294 @@
+/**
+ * Order Routes
+ *
+ * Orders are created here rather than from the browser so that prices,
+ * discounts, shipping, VAT and stock are all checked server-side.
+ *
+ * Routes:
+ * - POST /orders/quote - Landed cost of a cart: product, freight, duty and VAT
+ * - POST /orders - Create an order from cart line items
+ * - GET /orders/:id - Get one of the current user's orders
+ * - GET /orders/:id/history - Status changes of one of the current user's orders
+ * - GET /orders/:id/tracking - Shipment journey of one of the current user's orders
+ * - POST /orders/:id/cancel - Cancel an order before it ships
+ * - POST /orders/:id/returns - Ask for a return on a delivered order
+ * - GET /orders/:id/returns - Returns requested for an order
+ *
+ * @author Mallgram Backend Team
+ */
+
+const express = require('express');
+const {
+    asyncHandler,
+    ValidationError,
+    NotFoundError
+} = require('../middleware/errorHandler');
+const { authMiddleware, optionalAuth } = require('../middleware/auth');
+const { logApiOperation } = require('../middleware/requestLogger');
+const orderService = require('../services/orders/orderService');
+const pricingService = require('../services/orders/pricingService');
+const referralService = require('../services/affiliates/referralService');
+const orderStateMachine = require('../services/orders/orderStateMachine');
+const returnService = require('../services/orders/returnService');
+const shipmentEventService = require('../services/shipping/shipmentEventService');
+const carrierRegistry = require('../services/shipping/carriers');
+
+const router = express.Router();
+
+/**
+ * Shape a priced cart for responses
+ */
+const formatPricing = (pricing) => ({
+    country: pricing.country,
+    currency: pricing.currency,
+    items: pricing.items,
+    subtotal: pricing.subtotal,
+    discount: pricing.discount,
+    shipping: pricing.shipping,
+    duty: pricing.duty,
+    tax: pricing.tax,
+    vat_rate: pricing.vat_rate,
+    total: pricing.total,
+    promo_code: pricing.promo_code ? pricing.promo_code.code : null,
+    promo_source: pricing.promo_source,
+    estimated_delivery: pricing.estimated_delivery
+});
+
+/**
+ * POST /orders/quote
+ * Landed cost of a cart without placing an order: each line's product
+ * price, freight, import duty and VAT for the destination country, and
+ * the estimated delivery range.
+ * Guests can ask for a quote too. Without a promo code, the code of the
+ * customer's affiliate referral link is applied if the cart qualifies.
+ *
+ * Body: { items: [{ product_id, quantity }], country, promo_code?, referral_id? }
+ */
+router.post('/quote',
+    optionalAuth,
+    logApiOperation('quote_order'),
+    asyncHandler(async (req, res) => {
+        const { items, country, promo_code, referral_id } = req.body;
+        const userId = req.user ? req.user.id : null;
+
+        const pricing = await pricingService.priceCart({
+            items,
+            country,
+            promoCode: promo_code,
+            userId,
+            referral: await referralService.resolve(userId, referral_id)
+        });
+
+        res.json({
+            success: true,
+            data: formatPricing(pricing)
+        });
+    })
+);
+
+/**
+ * POST /orders
+ * Create an order. Only product IDs and quantities are taken from the
+ * cart; every price is looked up again.
+ *
+ * A typed promo code wins over an affiliate referral link; see
+ * services/affiliates/referralService.js.
+ *
+ * Body: { items: [{ product_id, quantity }], shipping_address: { country, ... },
+ *         promo_code?, referral_id?, notes? }
+ */
+router.post('/',
+    authMiddleware,
+    logApiOperation('create_order'),
+    asyncHandler(async (req, res) => {
+        const { items, shipping_address, promo_code, referral_id, notes } = req.body;
+
+        const { order, pricing } = await orderService.createOrder(req.user, {
+            items,
+            shippingAddress: shipping_address,
+            promoCode: promo_code,
+            referralId: referral_id,
+            notes
+        });
+
+        res.status(201).json({
+            success: true,
+            data: {
+                order,
+                pricing: formatPricing(pricing)
+            }
+        });
+    })
+);
+
+/**
+ * GET /orders/:id
+ * Get one of the current user's orders with its items
+ */
+router.get('/:id',
+    authMiddleware,
+    logApiOperation('get_order'),
+    asyncHandler(async (req, res) => {
+        const order = await orderService.getOrder(req.params.id, req.user.id);
+
+        if (!order) {
+            throw new NotFoundError('Order not found');
+        }
+
+        res.json({
+            success: true,
+            data: order
+        });
+    })
+);
+
+/**
+ * GET /orders/:id/history
+ * Status changes of one of the current user's orders, oldest first
+ */
+router.get('/:id/history',
+    authMiddleware,
+    logApiOperation('get_order_history'),
+    asyncHandler(async (req, res) => {
+        const order = await orderService.getOrder(req.params.id, req.user.id);
+
+        if (!order) {
+            throw new NotFoundError('Order not found');
+        }
+
+        const history = await orderStateMachine.getHistory(order.id);
+
+        res.json({
+            success: true,
+            data: {
+                order_id: order.id,
+                status: order.status,
+                history
+            }
+        });
+    })
+);
+
+/**
+ * GET /orders/:id/tracking
+ * Journey of one of the current user's orders, oldest first: supplier,
+ * consolidation hub and carrier events
+ */
+router.get('/:id/tracking',
+    authMiddleware,
+    logApiOperation('get_order_tracking'),
+    asyncHandler(async (req, res) => {
+        const order = await orderService.getOrder(req.params.id, req.user.id);
+
+        if (!order) {
+            throw new NotFoundError('Order not found');
+        }
+
+        const events = await shipmentEventService.getOrderTimeline(order);
+        const carrier = carrierRegistry.get(order.carrier);
+
+        res.json({
+            success: true,
+            data: {
+                order_id: order.id,
+                status: order.status,
+                carrier: carrier ? { id: carrier.id, name: carrier.name } : null,
+                tracking_number: order.tracking_number,
+                estimated_delivery_min: order.estimated_delivery_min,
+                estimated_delivery_max: order.estimated_delivery_max,
+                events: events.map(event => shipmentEventService.toPublicEvent(event))
+            }
+        });
+    })
+);
+
+/**
+ * POST /orders/:id/cancel
+ * Cancel one of the current user's orders before it ships.
+ * Paid orders are refunded in full.
+ */
+router.post('/:id/cancel',
+    authMiddleware,
+    logApiOperation('cancel_order'),
+    asyncHandler(async (req, res) => {
+        const { reason } = req.body;
+
+        if (!reason || !reason.trim()) {
+            throw new ValidationError('Cancellation reason is required', 'reason');
+        }
+
+        const { order, refund } = await orderService.cancelOrder(req.params.id, {
+            actor: { type: 'customer', id: req.user.id },
+            reason: reason.trim(),
+            userId: req.user.id
+        });
+
+        res.json({
+            success: true,
+            data: {
+                order_id: order.id,
+                status: order.status,
+                refund: refund ? {
+                    refund_id: refund.refund.id,
+                    amount: refund.refund.amount,
+                    currency: refund.refund.currency,
+                    refund_status: refund.refund.status
+                } : null
+            }
+        });
+    })
+);
+
+/**
+ * POST /orders/:id/returns
+ * Ask for a return within the return window after delivery
+ *
+ * Body: { reason, comments?, items?: [{ order_item_id, quantity }], photos?: [data URL] }
+ */
+router.post('/:id/returns',
+    authMiddleware,
+    logApiOperation('request_return'),
+    asyncHandler(async (req, res) => {
+        const { reason, comments, items, photos } = req.body;
+
+        const orderReturn = await returnService.requestReturn(req.user, req.params.id, {
+            reason,
+            comments,
+            items,
+            photos
+        });
+
+        res.status(201).json({
+            success: true,
+            data: {
+                ...orderReturn,
+                return_number: returnService.getReturnNumber(orderReturn)
+            }
+        });
+    })
+);
+
+/**
+ * GET /orders/:id/returns
+ * Returns requested for one of the current user's orders
+ */
+router.get('/:id/returns',
+    authMiddleware,
+    logApiOperation('get_order_returns'),
+    asyncHandler(async (req, res) => {
+        const returns = await returnService.listReturns({
+            orderId: req.params.id,
+            userId: req.user.id
+        });
+
+        res.json({
+            success: true,
+            data: returns.map(orderReturn => ({
+                ...orderReturn,
+                return_number: returnService.getReturnNumber(orderReturn)
+            }))
+        });
+    })
+);
+
+module.exports = router;
@@ -6,29 +6,36 @@
  * 
  * Routes:
  * - POST /payments/initialize - Initialize payment
- * - POST /payments/webhook - Payment webhook handler
+ * - POST /payments/webhook/:gateway - Signed payment webhook handler per gateway
  * - GET /payments/status/:id - Check payment status
+ * - GET /payments/order/:orderId - Payment attempt history for an order
  * - POST /payments/verify - Verify payment
+ * - POST /payments/:id/refund - Refund a payment, fully or partially (admin)
  * - GET /payments/methods - Get available payment methods
  * 
  * @author Mallgram Backend Team
  */
 
 const express = require('express');
-const crypto = require('crypto');
 const { supabase } = require('../config/supabase');
 const logger = require('../config/logger');
-const { asyncHandler, ValidationError, NotFoundError } = require('../middleware/errorHandler');
-const { authMiddleware } = require('../middleware/auth');
+const {
+    asyncHandler,
+    AppError,
+    ValidationError,
+    NotFoundError,
+    AuthenticationError,
+    ExternalServiceError
+} = require('../middleware/errorHandler');
+const { authMiddleware, requireAdmin } = require('../middleware/auth');
 const { logApiOperation } = require('../middleware/requestLogger');
-const emailService = require('../services/emailService');
+const { Money } = require('../utils/money');
 
-// Payment gateway services
-const koraPayService = require('../services/payments/koraPayService');
-const mtnService = require('../services/payments/mtnService');
-const orangeService = require('../services/payments/orangeService');
-const payGateService = require('../services/payments/payGateService');
-const payFastService = require('../services/payments/payFastService');
+// Payment gateway registry (loads every gateway service)
+const paymentGatewayRegistry = require('../services/payments');
+const paymentProcessor = require('../services/payments/paymentProcessor');
+const refundService = require('../services/payments/refundService');
+const fxService = require('../services/fx');
 
 const router = express.Router();
 
@@ -41,62 +48,7 @@ router.get('/methods',
     asyncHandler(async (req, res) => {
         const { country } = req.query;
 
-        const paymentMethods = {
-            'ZA': [ // South Africa
-                {
-                    id: 'paygate',
-                    name: 'PayGate',
-                    type: 'card',
-                    logo: '/images/paygate-logo.png',
-                    description: 'Credit/Debit Cards, EFT',
-                    fees: '2.9% + R2.00'
-                },
-                {
-                    id: 'payfast',
-                    name: 'PayFast',
-                    type: 'card',
-                    logo: '/images/payfast-logo.png',
-                    description: 'Credit/Debit Cards, EFT, SnapScan',
-                    fees: '2.9% + R2.00'
-                },
-                {
-                    id: 'kora',
-                    name: 'Kora Pay',
-                    type: 'card',
-                    logo: '/images/kora-logo.png',
-                    description: 'All major cards',
-                    fees: '3.5%'
-                }
-            ],
-            'CM': [ // Cameroon
-                {
-                    id: 'orange',
-                    name: 'Orange Money',
-                    type: 'mobile_money',
-                    logo: '/images/orange-logo.png',
-                    description: 'Mobile Money',
-                    fees: '1.5%'
-                },
-                {
-                    id: 'mtn',
-                    name: 'MTN Mobile Money',
-                    type: 'mobile_money',
-                    logo: '/images/mtn-logo.png',
-                    description: 'Mobile Money',
-                    fees: '1.5%'
-                },
-                {
-                    id: 'kora',
-                    name: 'Kora Pay',
-                    type: 'card',
-                    logo: '/images/kora-logo.png',
-                    description: 'Credit/Debit Cards',
-                    fees: '3.5%'
-                }
-            ]
-        };
-
-        const availableMethods = country ? paymentMethods[country] || [] : paymentMethods;
+        const availableMethods = paymentGatewayRegistry.getPaymentMethods(country);
 
         res.json({
             success: true,
@@ -153,39 +105,65 @@ router.post('/initialize',
             throw new ValidationError('Order payment has already been processed');
         }
 
+        if (order.status === 'cancelled') {
+            throw new ValidationError('Order has been cancelled');
+        }
+
+        // Only one attempt may be in flight; expired attempts are closed off
+        // so the customer can start again
+        const attempts = await paymentProcessor.closeOpenAttempts(order.id);
+
+        const gateway = paymentGatewayRegistry.get(payment_method);
+
+        if (!gateway) {
+            throw new ValidationError('Unsupported payment method');
+        }
+
+        if (req.user.country && !paymentGatewayRegistry.isAvailableInCountry(payment_method, req.user.country)) {
+            throw new ValidationError(`${gateway.name} is not available in ${req.user.country}`);
+        }
+
         // Validate payment method requirements
-        if (['mtn', 'orange'].includes(payment_method) && !phone_number) {
+        if (gateway.requiresPhoneNumber && !phone_number) {
             throw new ValidationError('Phone number is required for mobile money payments');
         }
 
+        // Charge in the gateway's currency at the current rate; the rate is kept
+        // on the payment (and on orders that have none yet) for auditing
+        const paymentCurrency = gateway.getCurrency(req.user.country);
+        const orderTotal = Money.fromMajor(order.total_price, order.currency || paymentCurrency);
+        let conversion;
+        let orderRate = null;
+
         try {
-            let paymentResult;
-            
-            // Route to appropriate payment gateway
-            switch (payment_method) {
-                case 'kora':
-                    paymentResult = await koraPayService.initializePayment(order, req.user, return_url);
-                    break;
-                    
-                case 'mtn':
-                    paymentResult = await mtnService.initializePayment(order, req.user, phone_number);
-                    break;
-                    
-                case 'orange':
-                    paymentResult = await orangeService.initializePayment(order, req.user, phone_number);
-                    break;
-                    
-                case 'paygate':
-                    paymentResult = await payGateService.initializePayment(order, req.user, return_url);
-                    break;
-                    
-                case 'payfast':
-                    paymentResult = await payFastService.initializePayment(order, req.user, return_url);
-                    break;
-                    
-                default:
-                    throw new ValidationError('Unsupported payment method');
+            conversion = await fxService.convert(orderTotal, paymentCurrency);
+
+            if (!order.fx_rate_snapshot) {
+                orderRate = await fxService.getRate(fxService.baseCurrency, orderTotal.currency);
             }
+        } catch (error) {
+            logger.error('Exchange rate lookup failed:', error);
+            throw new ExternalServiceError('fx', `Cannot price order in ${paymentCurrency}: ${error.message}`);
+        }
+
+        const amount = conversion.amount;
+
+        try {
+            if (orderRate) {
+                await supabase
+                    .from('orders')
+                    .update({
+                        currency: orderTotal.currency,
+                        fx_rate_snapshot: orderRate,
+                        updated_at: new Date().toISOString()
+                    })
+                    .eq('id', order.id);
+            }
+
+            const paymentResult = await gateway.initializePayment({ ...order, total_price: amount.toMajor() }, req.user, {
+                returnUrl: return_url,
+                phoneNumber: phone_number
+            });
 
             // Store payment record
             const { data: payment, error: paymentError } = await supabase
@@ -195,11 +173,15 @@ router.post('/initialize',
                     order_id: order.id,
                     user_id: req.user.id,
                     payment_method,
-                    amount: order.total_price,
+                    amount: amount.toMajor(),
                     currency: paymentResult.currency,
+                    fx_rate_snapshot: conversion.rate,
                     status: 'pending',
                     gateway_transaction_id: paymentResult.transaction_id,
                     gateway_response: paymentResult.gateway_response,
+                    webhook_token: paymentResult.webhook_token || null,
+                    expires_at: paymentResult.expires_at,
+                    attempt_number: attempts.length + 1,
                     created_at: new Date().toISOString(),
                     updated_at: new Date().toISOString()
                 })
@@ -217,7 +199,8 @@ router.post('/initialize',
                 paymentId: payment.id,
                 userId: req.user.id,
                 method: payment_method,
-                amount: order.total_price
+                amount: amount.toString(),
+                attempt: payment.attempt_number
             });
 
             res.json({
@@ -226,8 +209,10 @@ router.post('/initialize',
                     payment_id: payment.id,
                     payment_url: paymentResult.payment_url,
                     payment_method,
-                    amount: order.total_price,
+                    attempt_number: payment.attempt_number,
+                    amount: amount.toMajor(),
                     currency: paymentResult.currency,
+                    exchange_rate: conversion.rate,
                     expires_at: paymentResult.expires_at,
                     instructions: paymentResult.instructions
                 }
@@ -241,116 +226,71 @@ router.post('/initialize',
 );
 
 /**
- * POST /payments/webhook
- * Handle payment webhooks from various gateways
+ * POST /payments/webhook/:gateway
+ * Handle a payment webhook from one gateway.
+ * The raw body is verified against the gateway's signature before anything is processed.
  */
-router.post('/webhook',
+router.post('/webhook/:gateway',
     logApiOperation('payment_webhook'),
     asyncHandler(async (req, res) => {
-        const signature = req.headers['x-signature'] || req.headers['x-kora-signature'];
-        const payload = req.body;
-        
-        let paymentUpdate;
-        
-        try {
-            // Determine webhook source and verify signature
-            if (req.headers['x-kora-signature']) {
-                paymentUpdate = await koraPayService.handleWebhook(payload, signature);
-            } else if (req.headers['x-mtn-signature']) {
-                paymentUpdate = await mtnService.handleWebhook(payload, signature);
-            } else if (req.headers['x-orange-signature']) {
-                paymentUpdate = await orangeService.handleWebhook(payload, signature);
-            } else if (req.headers['x-paygate-signature']) {
-                paymentUpdate = await payGateService.handleWebhook(payload, signature);
-            } else if (req.headers['x-payfast-signature']) {
-                paymentUpdate = await payFastService.handleWebhook(payload, signature);
-            } else {
-                throw new ValidationError('Unknown webhook source');
-            }
+        const gateway = paymentGatewayRegistry.get(req.params.gateway);
 
-            // Update payment record
-            const { data: payment, error: paymentError } = await supabase
-                .from('payments')
-                .update({
-                    status: paymentUpdate.status,
-                    gateway_transaction_id: paymentUpdate.transaction_id,
-                    gateway_response: paymentUpdate.gateway_response,
-                    processed_at: paymentUpdate.status === 'success' ? new Date().toISOString() : null,
-                    updated_at: new Date().toISOString()
-                })
-                .eq('id', paymentUpdate.payment_id)
-                .select()
-                .single();
+        if (!gateway) {
+            throw new NotFoundError('Payment gateway');
+        }
 
-            if (paymentError) {
-                throw new Error('Failed to update payment record');
-            }
+        if (!req.rawBody) {
+            throw new ValidationError('Webhook body is required');
+        }
 
-            // Update order status if payment successful
-            if (paymentUpdate.status === 'success') {
-                await supabase
-                    .from('orders')
-                    .update({
-                        payment_status: 'success',
-                        status: 'paid',
-                        updated_at: new Date().toISOString()
-                    })
-                    .eq('id', payment.order_id);
+        const webhookRequest = {
+            payload: req.body,
+            rawBody: req.rawBody,
+            headers: req.headers,
+            query: req.query
+        };
 
-                // Get order details for email
-                const { data: order } = await supabase
-                    .from('orders')
-                    .select(`
-                        *,
-                        users(email, full_name),
-                        order_items(
-                            quantity,
-                            unit_price,
-                            products(name)
-                        )
-                    `)
-                    .eq('id', payment.order_id)
-                    .single();
-
-                // Send order confirmation email
-                if (order && order.users) {
-                    try {
-                        await emailService.sendOrderConfirmationEmail(
-                            order.users.email,
-                            {
-                                name: order.users.full_name,
-                                orderNumber: order.id.slice(-8).toUpperCase(),
-                                orderId: order.id,
-                                total: order.total_price,
-                                items: order.order_items.map(item => ({
-                                    name: item.products.name,
-                                    quantity: item.quantity,
-                                    price: item.unit_price
-                                })),
-                                estimatedDelivery: new Date(Date.now() + 14 * 24 * 60 * 60 * 1000).toDateString(),
-                                trackingNumber: order.tracking_number
-                            },
-                            order.user_id
-                        );
-                    } catch (emailError) {
-                        logger.error('Failed to send order confirmation email:', emailError);
-                    }
-                }
+        // Reject anything that does not carry a valid gateway signature
+        const isValid = await gateway.verifyWebhook(webhookRequest);
+
+        if (!isValid) {
+            logger.warn('Rejected payment webhook with invalid signature', {
+                gateway: gateway.id,
+                ip: req.ip
+            });
+            throw new AuthenticationError('Invalid webhook signature');
+        }
 
-                // Process affiliate commission if applicable
-                await this.processAffiliateCommission(payment.order_id);
+        const acknowledge = () => {
+            if (gateway.webhookAcknowledgement) {
+                return res.type('text/plain').send(gateway.webhookAcknowledgement);
             }
+            return res.json({ success: true, message: 'Webhook processed successfully' });
+        };
+
+        try {
+            const paymentUpdate = await gateway.handleWebhook(webhookRequest);
+
+            if (!paymentUpdate) {
+                logger.info('Payment webhook ignored', { gateway: gateway.id });
+                return acknowledge();
+            }
+
+            // Duplicate and out-of-order deliveries are acknowledged without side effects
+            const { outcome } = await paymentProcessor.processUpdate(gateway, paymentUpdate, { source: 'webhook' });
 
             logger.info('Payment webhook processed', {
+                gateway: gateway.id,
                 paymentId: paymentUpdate.payment_id,
                 status: paymentUpdate.status,
-                transactionId: paymentUpdate.transaction_id
+                transactionId: paymentUpdate.transaction_id,
+                outcome
             });
 
-            res.json({ success: true, message: 'Webhook processed successfully' });
+            acknowledge();
 
         } catch (error) {
-            logger.error('Payment webhook processing failed:', error);
+            logger.error('Payment webhook processing failed:', { gateway: gateway.id, error: error.message });
             res.status(400).json({ success: false, error: error.message });
         }
     })
@@ -396,6 +336,37 @@ router.get('/status/:id',
     })
 );
 
+/**
+ * GET /payments/order/:orderId
+ * List every payment attempt made for an order, newest first
+ */
+router.get('/order/:orderId',
+    authMiddleware,
+    logApiOperation('get_order_payments'),
+    asyncHandler(async (req, res) => {
+        const { orderId } = req.params;
+
+        const { data: payments, error } = await supabase
+            .from('payments')
+            .select('id, attempt_number, payment_method, amount, currency, status, expires_at, processed_at, created_at')
+            .eq('order_id', orderId)
+            .eq('user_id', req.user.id)
+            .order('created_at', { ascending: false });
+
+        if (error) {
+            throw new Error('Failed to load payment attempts');
+        }
+
+        res.json({
+            success: true,
+            data: {
+                order_id: orderId,
+                attempts: payments
+            }
+        });
+    })
+);
+
 /**
  * POST /payments/verify
  * Manually verify payment (for testing or troubleshooting)
@@ -421,28 +392,30 @@ router.post('/verify',
             throw new NotFoundError('Payment not found');
         }
 
+        const gateway = paymentGatewayRegistry.get(payment.payment_method);
+
+        if (!gateway) {
+            throw new ValidationError('Unsupported payment method for verification');
+        }
+
         try {
-            let verificationResult;
-
-            // Verify with appropriate gateway
-            switch (payment.payment_method) {
-                case 'kora':
-                    verificationResult = await koraPayService.verifyPayment(payment_id, transaction_reference);
-                    break;
-                case 'mtn':
-                    verificationResult = await mtnService.verifyPayment(payment_id, transaction_reference);
-                    break;
-                case 'orange':
-                    verificationResult = await orangeService.verifyPayment(payment_id, transaction_reference);
-                    break;
-                case 'paygate':
-                    verificationResult = await payGateService.verifyPayment(payment_id, transaction_reference);
-                    break;
-                case 'payfast':
-                    verificationResult = await payFastService.verifyPayment(payment_id, transaction_reference);
-                    break;
-                default:
-                    throw new ValidationError('Unsupported payment method for verification');
+            const verificationResult = await gateway.verifyPayment(
+                payment_id,
+                transaction_reference || payment.gateway_transaction_id
+            );
+
+            // Apply a final status through the same idempotent pipeline as webhooks
+            let paymentStatus = payment.status;
+
+            if (verificationResult.payment_status && verificationResult.payment_status !== 'pending') {
+                const result = await paymentProcessor.processUpdate(gateway, {
+                    payment_id,
+                    transaction_id: verificationResult.transaction_id,
+                    status: verificationResult.payment_status,
+                    gateway_response: verificationResult.response
+                }, { source: 'verification' });
+
+                paymentStatus = result.payment.status;
             }
 
             res.json({
@@ -450,6 +423,7 @@ router.post('/verify',
                 data: {
                     payment_id,
                     verification_status: verificationResult.status,
+                    payment_status: paymentStatus,
                     gateway_response: verificationResult.response,
                     verified_at: new Date().toISOString()
                 }
@@ -463,49 +437,85 @@ router.post('/verify',
 );
 
 /**
- * Process affiliate commission for successful orders
- * @param {string} orderId - Order ID
+ * POST /payments/:id/refund
+ * Refund a payment through its gateway. Omitting the amount refunds
+ * everything that has not been refunded yet.
  */
-async function processAffiliateCommission(orderId) {
-    try {
-        // Check if order used a promo code
-        const { data: order } = await supabase
-            .from('orders')
-            .select('promo_code_id, user_id, total_price')
-            .eq('id', orderId)
+router.post('/:id/refund',
+    authMiddleware,
+    requireAdmin,
+    logApiOperation('refund_payment'),
+    asyncHandler(async (req, res) => {
+        const { id } = req.params;
+        const { amount, reason } = req.body;
+
+        if (!reason || !reason.trim()) {
+            throw new ValidationError('Refund reason is required', 'reason');
+        }
+
+        if (amount !== undefined && (typeof amount !== 'number' || !(amount > 0))) {
+            throw new ValidationError('Refund amount must be a positive number', 'amount');
+        }
+
+        const { data: payment, error } = await supabase
+            .from('payments')
+            .select('*')
+            .eq('id', id)
             .single();
 
-        if (order && order.promo_code_id) {
-            // Get promo code details
-            const { data: promoCode } = await supabase
-                .from('promo_codes')
-                .select('affiliate_id, admin_id')
-                .eq('id', order.promo_code_id)
-                .single();
+        if (error || !payment) {
+            throw new NotFoundError('Payment not found');
+        }
 
-            // Only process if it's an affiliate promo code
-            if (promoCode && promoCode.affiliate_id) {
-                await supabase
-                    .from('affiliate_stats')
-                    .insert({
-                        affiliate_id: promoCode.affiliate_id,
-                        promo_code_id: order.promo_code_id,
-                        user_id: order.user_id,
-                        order_id: orderId,
-                        created_at: new Date().toISOString(),
-                        updated_at: new Date().toISOString()
-                    });
+        if (!refundService.isRefundable(payment)) {
+            throw new ValidationError(`Payments with status ${payment.status} cannot be refunded`);
+        }
+
+        const refundableAmount = await refundService.getRefundableAmount(payment);
+        const refundAmount = amount !== undefined ? Money.fromMajor(amount, payment.currency) : refundableAmount;
+
+        if (refundableAmount.isZero()) {
+            throw new ValidationError('Payment has already been fully refunded');
+        }
+
+        if (!refundAmount.isPositive()) {
+            throw new ValidationError(`Refund amount is below the smallest ${payment.currency} unit`, 'amount');
+        }
+
+        if (refundAmount.greaterThan(refundableAmount)) {
+            throw new ValidationError(
+                `Refund amount exceeds the refundable balance of ${refundableAmount.format()}`,
+                'amount'
+            );
+        }
+
+        let result;
 
-                logger.info('Affiliate commission processed', {
-                    orderId,
-                    affiliateId: promoCode.affiliate_id,
-                    promoCodeId: order.promo_code_id
-                });
+        try {
+            result = await refundService.refundPayment(payment, refundAmount, reason.trim(), req.user.id);
+        } catch (refundError) {
+            // Refused by the refundable balance check, e.g. a concurrent refund got there first
+            if (refundError instanceof AppError) {
+                throw refundError;
             }
+
+            logger.error('Payment refund failed:', { paymentId: id, error: refundError.message });
+            throw new ExternalServiceError(payment.payment_method, `Refund failed: ${refundError.message}`);
         }
-    } catch (error) {
-        logger.error('Failed to process affiliate commission:', error);
-    }
-}
+
+        res.json({
+            success: true,
+            data: {
+                refund_id: result.refund.id,
+                payment_id: payment.id,
+                amount: result.refund.amount,
+                currency: result.refund.currency,
+                refund_status: result.refund.status,
+                payment_status: result.payment_status,
+                remaining_refundable: result.remaining_refundable.toMajor()
+            }
+        });
+    })
+);
 
 module.exports = router;
@@ -0,0 +1,72 @@
+/**
+ * Promo Code Routes
+ *
+ * Lets checkout tell a customer whether a promo code works on their cart
+ * before they place the order. The order is priced again when it is
+ * placed, so a code that runs out in between is refused then.
+ *
+ * Routes:
+ * - POST /promo-codes/validate - Check a promo code against a cart
+ *
+ * @author Mallgram Backend Team
+ */
+
+const express = require('express');
+const {
+    asyncHandler,
+    ValidationError
+} = require('../middleware/errorHandler');
+const { optionalAuth } = require('../middleware/auth');
+const { logApiOperation } = require('../middleware/requestLogger');
+const pricingService = require('../services/orders/pricingService');
+const promoService = require('../services/orders/promoService');
+
+const router = express.Router();
+
+/**
+ * POST /promo-codes/validate
+ * Price a cart with a promo code and return the discount it gives.
+ * Guests can check codes too; the per-customer limit is only checked for
+ * signed-in customers (and again when the order is placed).
+ * Invalid codes are refused with a 400 explaining why.
+ *
+ * Body: { code, items: [{ product_id, quantity }], country }
+ */
+router.post('/validate',
+    optionalAuth,
+    logApiOperation('validate_promo_code'),
+    asyncHandler(async (req, res) => {
+        const { code, items, country } = req.body;
+
+        if (!code || !String(code).trim()) {
+            throw new ValidationError('code is required', 'code');
+        }
+
+        const pricing = await pricingService.priceCart({
+            items,
+            country,
+            promoCode: code,
+            userId: req.user ? req.user.id : null
+        });
+        const promoCode = pricing.promo_code;
+
+        res.json({
+            success: true,
+            data: {
+                valid: true,
+                code: promoCode.code,
+                discount_type: promoCode.discount_type || 'percentage',
+                description: promoService.describe(promoCode),
+                expires_at: promoCode.expires_at || null,
+                eligible_items: pricing.promo_eligible_items,
+                currency: pricing.currency,
+                subtotal: pricing.subtotal,
+                discount: pricing.discount,
+                shipping: pricing.shipping,
+                total: pricing.total
+            }
+        });
+    })
+);
+
+module.exports = router;
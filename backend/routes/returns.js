@@ -0,0 +1,187 @@
+/**
+ * Return Routes (admin)
+ *
+ * Review and process customer return (RMA) requests. Customers create
+ * returns through POST /orders/:id/returns.
+ *
+ * Routes:
+ * - GET /returns - List returns, optionally by status
+ * - GET /returns/:id - Get a return with links to its photos
+ * - POST /returns/:id/approve - Approve a requested return
+ * - POST /returns/:id/reject - Reject a requested return
+ * - POST /returns/:id/receive - Mark returned items received; restocks and refunds
+ * - POST /returns/:id/refund - Retry the refund of a received return
+ * - POST /returns/:id/restock - Retry restocking the items of a return
+ *
+ * @author Mallgram Backend Team
+ */
+
+const express = require('express');
+const {
+    asyncHandler,
+    NotFoundError
+} = require('../middleware/errorHandler');
+const { authMiddleware, requireAdmin } = require('../middleware/auth');
+const { logApiOperation } = require('../middleware/requestLogger');
+const returnService = require('../services/orders/returnService');
+
+const router = express.Router();
+
+/**
+ * Shape a return for admin responses
+ */
+const formatReturn = (orderReturn) => ({
+    ...orderReturn,
+    return_number: returnService.getReturnNumber(orderReturn)
+});
+
+/**
+ * Shape a return and the refund issued for it
+ */
+const formatProcessedReturn = (result) => ({
+    ...formatReturn(result.return),
+    refund: result.refund ? {
+        refund_id: result.refund.refund.id,
+        amount: result.refund.refund.amount,
+        currency: result.refund.refund.currency,
+        refund_status: result.refund.refund.status,
+        payment_status: result.refund.payment_status
+    } : null
+});
+
+/**
+ * GET /returns?status=requested
+ * List returns, newest first
+ */
+router.get('/',
+    authMiddleware,
+    requireAdmin,
+    logApiOperation('list_returns'),
+    asyncHandler(async (req, res) => {
+        const returns = await returnService.listReturns({ status: req.query.status });
+
+        res.json({
+            success: true,
+            data: returns.map(formatReturn)
+        });
+    })
+);
+
+/**
+ * GET /returns/:id
+ * Get a return with short-lived links to its photos
+ */
+router.get('/:id',
+    authMiddleware,
+    requireAdmin,
+    logApiOperation('get_return'),
+    asyncHandler(async (req, res) => {
+        const orderReturn = await returnService.getReturn(req.params.id);
+
+        if (!orderReturn) {
+            throw new NotFoundError('Return not found');
+        }
+
+        res.json({
+            success: true,
+            data: formatReturn(orderReturn)
+        });
+    })
+);
+
+/**
+ * POST /returns/:id/approve
+ * Body: { notes? } - shown to the customer
+ */
+router.post('/:id/approve',
+    authMiddleware,
+    requireAdmin,
+    logApiOperation('approve_return'),
+    asyncHandler(async (req, res) => {
+        const orderReturn = await returnService.approveReturn(req.params.id, req.user, req.body.notes);
+
+        res.json({
+            success: true,
+            data: formatReturn(orderReturn)
+        });
+    })
+);
+
+/**
+ * POST /returns/:id/reject
+ * Body: { notes } - why the return was rejected, shown to the customer
+ */
+router.post('/:id/reject',
+    authMiddleware,
+    requireAdmin,
+    logApiOperation('reject_return'),
+    asyncHandler(async (req, res) => {
+        const orderReturn = await returnService.rejectReturn(req.params.id, req.user, req.body.notes);
+
+        res.json({
+            success: true,
+            data: formatReturn(orderReturn)
+        });
+    })
+);
+
+/**
+ * POST /returns/:id/receive
+ * Mark returned items received. Restocks them and refunds the customer's
+ * share of the order; if the refund fails the return stays received
+ * and POST /returns/:id/refund retries it.
+ * Body: { notes? }
+ */
+router.post('/:id/receive',
+    authMiddleware,
+    requireAdmin,
+    logApiOperation('receive_return'),
+    asyncHandler(async (req, res) => {
+        const result = await returnService.receiveReturn(req.params.id, req.user, req.body.notes);
+
+        res.json({
+            success: true,
+            data: formatProcessedReturn(result)
+        });
+    })
+);
+
+/**
+ * POST /returns/:id/refund
+ * Refund a received return whose refund failed when it was received.
+ * Errors from the payment gateway are returned so the admin can act on them.
+ */
+router.post('/:id/refund',
+    authMiddleware,
+    requireAdmin,
+    logApiOperation('refund_return'),
+    asyncHandler(async (req, res) => {
+        const result = await returnService.retryRefund(req.params.id, req.user);
+
+        res.json({
+            success: true,
+            data: formatProcessedReturn(result)
+        });
+    })
+);
+
+/**
+ * POST /returns/:id/restock
+ * Put the items of a received or refunded return back in stock when that
+ * failed (the return's restock_error says why).
+ */
+router.post('/:id/restock',
+    authMiddleware,
+    requireAdmin,
+    logApiOperation('restock_return'),
+    asyncHandler(async (req, res) => {
+        const orderReturn = await returnService.retryRestock(req.params.id, req.user);
+
+        res.json({
+            success: true,
+            data: formatReturn(orderReturn)
+        });
+    })
+);
+
+module.exports = router;
@@ -0,0 +1,267 @@
+/**
+ * Shipment Routes (admin)
+ *
+ * Consolidation hub operations: checking in supplier parcels, reviewing the
+ * bulk shipment for each destination country, exporting its manifest and
+ * dispatching it with the carrier's tracking number.
+ *
+ * Routes:
+ * - POST /shipments/check-in - Check in a supplier parcel at the hub
+ * - GET /shipments - List shipments, optionally by status or country
+ * - GET /shipments/carriers - Carriers shipments can be dispatched with
+ * - GET /shipments/orders/:orderId/timeline - Every supplier, hub and carrier event of an order (support)
+ * - GET /shipments/follow-ups - Delivery follow-ups (stalled, exception, missed ETA) for support
+ * - POST /shipments/follow-ups/:id/resolve - Resolve a delivery follow-up with a note
+ * - GET /shipments/:id - Get a shipment with its orders
+ * - GET /shipments/:id/manifest - Manifest as CSV (default) or PDF (?format=pdf)
+ * - POST /shipments/:id/dispatch - Hand the shipment to its carrier; orders move to shipped
+ *
+ * @author Mallgram Backend Team
+ */
+
+const express = require('express');
+const {
+    asyncHandler,
+    ValidationError,
+    NotFoundError
+} = require('../middleware/errorHandler');
+const { authMiddleware, requireAdmin } = require('../middleware/auth');
+const { logApiOperation } = require('../middleware/requestLogger');
+const shipmentService = require('../services/shipping/shipmentService');
+const manifestService = require('../services/shipping/manifestService');
+const carrierRegistry = require('../services/shipping/carriers');
+const shipmentEventService = require('../services/shipping/shipmentEventService');
+const deliveryDelayService = require('../services/shipping/deliveryDelayService');
+const orderService = require('../services/orders/orderService');
+
+const router = express.Router();
+
+/**
+ * Shape a shipment for admin responses
+ */
+const formatShipment = (shipment) => ({
+    ...shipment,
+    shipment_number: shipmentService.getShipmentNumber(shipment)
+});
+
+/**
+ * POST /shipments/check-in
+ * Body: { supplier_tracking_number | purchase_order_id, weight_kg, complete?, notes? }
+ * complete: false when the supplier split the order and more parcels are due
+ */
+router.post('/check-in',
+    authMiddleware,
+    requireAdmin,
+    logApiOperation('check_in_parcel'),
+    asyncHandler(async (req, res) => {
+        const { supplier_tracking_number, purchase_order_id, weight_kg, complete, notes } = req.body;
+
+        const result = await shipmentService.checkInParcel({
+            purchaseOrderId: purchase_order_id,
+            supplierTrackingNumber: supplier_tracking_number,
+            weightKg: weight_kg,
+            complete: complete !== false,
+            notes
+        }, req.user);
+
+        res.status(201).json({
+            success: true,
+            data: result
+        });
+    })
+);
+
+/**
+ * GET /shipments?status=open&country=CM
+ * List shipments, newest first
+ */
+router.get('/',
+    authMiddleware,
+    requireAdmin,
+    logApiOperation('list_shipments'),
+    asyncHandler(async (req, res) => {
+        const shipments = await shipmentService.listShipments({
+            status: req.query.status,
+            country: req.query.country
+        });
+
+        res.json({
+            success: true,
+            data: shipments.map(formatShipment)
+        });
+    })
+);
+
+/**
+ * GET /shipments/carriers?country=ZA
+ * Carriers with a tracking adapter, optionally those delivering to a country
+ */
+router.get('/carriers',
+    authMiddleware,
+    requireAdmin,
+    logApiOperation('list_carriers'),
+    asyncHandler(async (req, res) => {
+        const country = req.query.country?.toUpperCase();
+        const carriers = carrierRegistry.list()
+            .filter(carrier => !country || carrier.supportedCountries.includes(country));
+
+        res.json({
+            success: true,
+            data: carriers.map(carrier => carrierRegistry.describe(carrier))
+        });
+    })
+);
+
+/**
+ * GET /shipments/orders/:orderId/timeline
+ * An order's journey as stored, oldest first, with carrier event codes
+ */
+router.get('/orders/:orderId/timeline',
+    authMiddleware,
+    requireAdmin,
+    logApiOperation('get_order_timeline'),
+    asyncHandler(async (req, res) => {
+        const order = await orderService.getOrder(req.params.orderId);
+
+        if (!order) {
+            throw new NotFoundError('Order not found');
+        }
+
+        res.json({
+            success: true,
+            data: {
+                order_id: order.id,
+                status: order.status,
+                carrier: order.carrier,
+                tracking_number: order.tracking_number,
+                shipment_id: order.shipment_id,
+                events: await shipmentEventService.getOrderTimeline(order)
+            }
+        });
+    })
+);
+
+/**
+ * GET /shipments/follow-ups?status=open&kind=stalled
+ * Delivery follow-ups, oldest first (default: open)
+ */
+router.get('/follow-ups',
+    authMiddleware,
+    requireAdmin,
+    logApiOperation('list_delivery_follow_ups'),
+    asyncHandler(async (req, res) => {
+        const followUps = await deliveryDelayService.listFollowUps({
+            status: req.query.status || 'open',
+            kind: req.query.kind
+        });
+
+        res.json({
+            success: true,
+            data: followUps
+        });
+    })
+);
+
+/**
+ * POST /shipments/follow-ups/:id/resolve
+ * Body: { notes }
+ */
+router.post('/follow-ups/:id/resolve',
+    authMiddleware,
+    requireAdmin,
+    logApiOperation('resolve_delivery_follow_up'),
+    asyncHandler(async (req, res) => {
+        const followUp = await deliveryDelayService.resolveFollowUp(req.params.id, req.user, {
+            notes: req.body.notes
+        });
+
+        res.json({
+            success: true,
+            data: followUp
+        });
+    })
+);
+
+/**
+ * GET /shipments/:id
+ * Get a shipment with its orders
+ */
+router.get('/:id',
+    authMiddleware,
+    requireAdmin,
+    logApiOperation('get_shipment'),
+    asyncHandler(async (req, res) => {
+        const shipment = await shipmentService.getShipment(req.params.id);
+
+        res.json({
+            success: true,
+            data: formatShipment(shipment)
+        });
+    })
+);
+
+/**
+ * GET /shipments/:id/manifest?format=csv|pdf
+ * Download the shipment manifest: weights and declared values per order
+ */
+router.get('/:id/manifest',
+    authMiddleware,
+    requireAdmin,
+    logApiOperation('export_manifest'),
+    asyncHandler(async (req, res) => {
+        const format = (req.query.format || 'csv').toLowerCase();
+
+        if (!['csv', 'pdf'].includes(format)) {
+            throw new ValidationError('Format must be csv or pdf', 'format');
+        }
+
+        const manifest = await manifestService.buildManifest(req.params.id);
+        const filename = `manifest-${manifest.shipment_number}-${manifest.shipment.destination_country}.${format}`;
+
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+        if (format === 'pdf') {
+            res.type('application/pdf').send(await manifestService.toPdf(manifest));
+        } else {
+            res.type('text/csv').send(manifestService.toCsv(manifest));
+        }
+    })
+);
+
+/**
+ * POST /shipments/:id/dispatch
+ * Body: { carrier, tracking_number }
+ * Moves the shipment's orders to shipped with the carrier's tracking
+ * number, then records the manifest totals on the shipment. Orders that
+ * could not be shipped are listed in orders_not_shipped, move to the next
+ * open shipment (orders_moved_to) and are flagged on the shipment's
+ * dispatch_issue.
+ */
+router.post('/:id/dispatch',
+    authMiddleware,
+    requireAdmin,
+    logApiOperation('dispatch_shipment'),
+    asyncHandler(async (req, res) => {
+        const { carrier, tracking_number } = req.body;
+        const manifest = await manifestService.buildManifest(req.params.id);
+
+        const result = await shipmentService.dispatchShipment(req.params.id, {
+            carrier,
+            trackingNumber: tracking_number,
+            manifest
+        }, req.user);
+
+        res.json({
+            success: true,
+            data: {
+                ...formatShipment(result.shipment),
+                orders_shipped: result.shipped,
+                orders_skipped: result.skipped,
+                orders_not_shipped: result.failed,
+                orders_moved_to: result.movedTo
+            }
+        });
+    })
+);
+
+module.exports = router;
@@ -0,0 +1,140 @@
+/**
+ * Tracking Routes (public)
+ *
+ * Anyone with a tracking number can follow the shipment, so responses carry
+ * the carrier and its events only: no order, customer or address details.
+ * Rate-limited more tightly than the rest of the API so that tracking
+ * numbers cannot be guessed by brute force.
+ *
+ * Carriers push tracking events to the webhook route, which is not
+ * rate-limited here but only accepts pushes with a valid carrier signature.
+ *
+ * Routes:
+ * - GET /tracking/:trackingNumber - Events of a shipment, newest first
+ * - POST /tracking/webhook/:carrier - Signed tracking push from a carrier
+ *
+ * @author Mallgram Backend Team
+ */
+
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const {
+    asyncHandler,
+    ValidationError,
+    NotFoundError,
+    AuthenticationError
+} = require('../middleware/errorHandler');
+const { logApiOperation } = require('../middleware/requestLogger');
+const logger = require('../config/logger');
+const shipmentEventService = require('../services/shipping/shipmentEventService');
+const trackingProcessor = require('../services/shipping/trackingProcessor');
+const carrierRegistry = require('../services/shipping/carriers');
+
+const router = express.Router();
+
+const TRACKING_NUMBER_PATTERN = /^[A-Za-z0-9-]{4,40}$/;
+
+const trackingLimiter = rateLimit({
+    windowMs: parseInt(process.env.TRACKING_RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000, // 15 minutes
+    max: parseInt(process.env.TRACKING_RATE_LIMIT_MAX_REQUESTS) || 30,
+    message: {
+        error: 'Too many tracking requests from this IP, please try again later.',
+        retryAfter: Math.ceil((parseInt(process.env.TRACKING_RATE_LIMIT_WINDOW_MS) || 900000) / 1000)
+    },
+    standardHeaders: true,
+    legacyHeaders: false,
+});
+
+/**
+ * GET /tracking/:trackingNumber
+ * Current status and events of a shipment
+ */
+router.get('/:trackingNumber',
+    trackingLimiter,
+    logApiOperation('track_shipment'),
+    asyncHandler(async (req, res) => {
+        const trackingNumber = req.params.trackingNumber.trim();
+
+        if (!TRACKING_NUMBER_PATTERN.test(trackingNumber)) {
+            throw new ValidationError('Invalid tracking number', 'trackingNumber');
+        }
+
+        const events = await shipmentEventService.getTrackingEvents(trackingNumber);
+
+        if (events.length === 0) {
+            throw new NotFoundError('No tracking information found');
+        }
+
+        const carrier = carrierRegistry.get(events[0].carrier);
+        const latest = events.find(event => event.status);
+
+        res.json({
+            success: true,
+            data: {
+                tracking_number: trackingNumber,
+                carrier: carrier ? { id: carrier.id, name: carrier.name } : null,
+                status: latest ? latest.status : null,
+                tracking_status: latest ? latest.tracking_status : null,
+                last_update: events[0].occurred_at,
+                events: events.map(event => shipmentEventService.toPublicEvent(event))
+            }
+        });
+    })
+);
+
+/**
+ * POST /tracking/webhook/:carrier
+ * Tracking events pushed by a carrier.
+ * The raw body is verified against the carrier's signature before anything is stored.
+ */
+router.post('/webhook/:carrier',
+    logApiOperation('carrier_webhook'),
+    asyncHandler(async (req, res) => {
+        const carrier = carrierRegistry.get(req.params.carrier);
+
+        if (!carrier || typeof carrier.parseWebhook !== 'function') {
+            throw new NotFoundError('Carrier');
+        }
+
+        if (!req.rawBody) {
+            throw new ValidationError('Webhook body is required');
+        }
+
+        const webhookRequest = {
+            payload: req.body,
+            rawBody: req.rawBody,
+            headers: req.headers,
+            query: req.query
+        };
+
+        // Reject anything that does not carry a valid carrier signature
+        if (!carrier.verifyWebhook(webhookRequest)) {
+            logger.warn('Rejected carrier webhook with invalid signature', {
+                carrier: carrier.id,
+                ip: req.ip
+            });
+            throw new AuthenticationError('Invalid webhook signature');
+        }
+
+        const stats = { shipments: 0, events: 0, updated_orders: 0 };
+
+        for (const shipment of carrier.parseWebhook(webhookRequest)) {
+            if (!TRACKING_NUMBER_PATTERN.test(shipment.tracking_number || '')) {
+                logger.warn('Ignored carrier webhook shipment without a valid tracking number', { carrier: carrier.id });
+                continue;
+            }
+
+            const result = await trackingProcessor.processPush(carrier, shipment, req.body);
+
+            stats.shipments++;
+            stats.events += result.recorded;
+            stats.updated_orders += result.updated;
+        }
+
+        logger.info('Carrier webhook processed', { carrier: carrier.id, ...stats });
+
+        res.json({ success: true, message: 'Webhook processed successfully' });
+    })
+);
+
+module.exports = router;
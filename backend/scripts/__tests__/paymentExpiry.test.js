@@ -0,0 +1,94 @@
+/**
+ * Payment expiry: a pending payment past its expires_at is checked with its
+ * gateway one last time, so a customer who paid without a callback is not
+ * expired, and only then marked expired
+ */
+
+jest.mock('../../config/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+jest.mock('../../config/supabase', () => require('../../test/supabaseMock').module);
+jest.mock('../../services/payments', () => ({ get: jest.fn() }));
+jest.mock('../../services/payments/paymentProcessor', () => ({ processUpdate: jest.fn(), expirePayment: jest.fn() }));
+jest.mock('../../services/orders/orderService', () => ({ releaseStock: jest.fn() }));
+
+const db = require('../../test/supabaseMock');
+const paymentGatewayRegistry = require('../../services/payments');
+const paymentProcessor = require('../../services/payments/paymentProcessor');
+const paymentExpiry = require('../paymentExpiry');
+
+const MINUTE_MS = 60 * 1000;
+const minutesAgo = (minutes) => new Date(Date.now() - minutes * MINUTE_MS).toISOString();
+
+const payment = (id, method, expiresAt = minutesAgo(1)) => ({
+    id,
+    order_id: `ord-${id}`,
+    payment_method: method,
+    status: 'pending',
+    expires_at: expiresAt
+});
+
+let mtn;
+
+beforeEach(() => {
+    jest.clearAllMocks();
+
+    mtn = { id: 'mtn', checkPaymentStatus: jest.fn().mockResolvedValue({ payment_status: 'pending' }) };
+    paymentGatewayRegistry.get.mockImplementation(id => ({ mtn, kora: { id: 'kora' } })[id]);
+    paymentProcessor.processUpdate.mockResolvedValue({ outcome: 'applied' });
+    paymentProcessor.expirePayment.mockResolvedValue({ outcome: 'applied' });
+
+    db.reset({ payments: [payment('pay-mtn', 'mtn')], orders: [] });
+});
+
+describe('expirePayments', () => {
+    it('completes a payment the gateway reports paid at the last check instead of expiring it', async () => {
+        mtn.checkPaymentStatus.mockResolvedValue({
+            payment_status: 'success',
+            transaction_id: '1588312741',
+            response: { status: 'SUCCESSFUL' }
+        });
+
+        await expect(paymentExpiry.execute()).resolves.toMatchObject({ stats: { completed_payments: 1, expired_payments: 0 } });
+
+        expect(mtn.checkPaymentStatus).toHaveBeenCalledWith(expect.objectContaining({ id: 'pay-mtn' }));
+        expect(paymentProcessor.processUpdate).toHaveBeenCalledWith(mtn, expect.objectContaining({
+            payment_id: 'pay-mtn',
+            status: 'success'
+        }), { source: 'poll' });
+        expect(paymentProcessor.expirePayment).not.toHaveBeenCalled();
+    });
+
+    it('applies a failure the gateway reports at the last check', async () => {
+        mtn.checkPaymentStatus.mockResolvedValue({ payment_status: 'failed', response: { status: 'FAILED' } });
+
+        await expect(paymentExpiry.execute()).resolves.toMatchObject({ stats: { completed_payments: 1, expired_payments: 0 } });
+        expect(paymentProcessor.processUpdate.mock.calls[0][1]).toMatchObject({ status: 'failed' });
+    });
+
+    it('expires a payment still pending at the gateway', async () => {
+        await expect(paymentExpiry.execute()).resolves.toMatchObject({ stats: { completed_payments: 0, expired_payments: 1 } });
+
+        expect(mtn.checkPaymentStatus).toHaveBeenCalledTimes(1);
+        expect(paymentProcessor.processUpdate).not.toHaveBeenCalled();
+        expect(paymentProcessor.expirePayment).toHaveBeenCalledWith(expect.objectContaining({ id: 'pay-mtn' }));
+    });
+
+    it('still expires a payment when the last check fails', async () => {
+        mtn.checkPaymentStatus.mockRejectedValue(new Error('Verification failed: socket hang up'));
+
+        await expect(paymentExpiry.execute()).resolves.toMatchObject({ stats: { expired_payments: 1, errors: 0 } });
+    });
+
+    it('expires payments on gateways that cannot be polled without a check', async () => {
+        db.tables.payments = [payment('pay-kora', 'kora')];
+
+        await expect(paymentExpiry.execute()).resolves.toMatchObject({ stats: { expired_payments: 1 } });
+        expect(paymentProcessor.expirePayment).toHaveBeenCalledWith(expect.objectContaining({ id: 'pay-kora' }));
+    });
+
+    it('leaves payments that have not expired yet alone', async () => {
+        db.tables.payments = [payment('pay-mtn', 'mtn', new Date(Date.now() + 5 * MINUTE_MS).toISOString())];
+
+        await expect(paymentExpiry.execute()).resolves.toMatchObject({ stats: { completed_payments: 0, expired_payments: 0 } });
+        expect(mtn.checkPaymentStatus).not.toHaveBeenCalled();
+    });
+});
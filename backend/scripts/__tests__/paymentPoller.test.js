@@ -0,0 +1,146 @@
+/**
+ * Payment poller: pending mobile money payments are checked with backoff
+ * (1, 2, 4, 8 then every 10 minutes) until they expire, and a final status
+ * goes through the webhook pipeline
+ */
+
+jest.mock('../../config/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+jest.mock('../../config/supabase', () => require('../../test/supabaseMock').module);
+jest.mock('../../services/payments', () => ({ list: jest.fn(), get: jest.fn() }));
+jest.mock('../../services/payments/paymentProcessor', () => ({ processUpdate: jest.fn() }));
+jest.mock('../../services/payments/refundService', () => ({ reconcilePendingRefunds: jest.fn() }));
+
+const db = require('../../test/supabaseMock');
+const paymentGatewayRegistry = require('../../services/payments');
+const paymentProcessor = require('../../services/payments/paymentProcessor');
+const refundService = require('../../services/payments/refundService');
+const paymentPoller = require('../paymentPoller');
+
+const MINUTE_MS = 60 * 1000;
+const start = new Date('2026-10-19T12:00:00Z').getTime();
+
+const payment = (id, method, extra = {}) => ({
+    id,
+    order_id: `ord-${id}`,
+    payment_method: method,
+    status: 'pending',
+    poll_attempts: 0,
+    next_poll_at: null,
+    expires_at: new Date(start + 60 * MINUTE_MS).toISOString(),
+    created_at: new Date(start - MINUTE_MS).toISOString(),
+    ...extra
+});
+
+let mtn;
+
+beforeEach(() => {
+    jest.clearAllMocks();
+    jest.useFakeTimers({ now: start });
+
+    mtn = { id: 'mtn', checkPaymentStatus: jest.fn().mockResolvedValue({ payment_status: 'pending' }) };
+    const kora = { id: 'kora' };
+
+    paymentGatewayRegistry.list.mockReturnValue([mtn, kora]);
+    paymentGatewayRegistry.get.mockImplementation(id => [mtn, kora].find(gateway => gateway.id === id));
+    paymentProcessor.processUpdate.mockResolvedValue({ outcome: 'applied' });
+    refundService.reconcilePendingRefunds.mockResolvedValue({ checked: 0, settled: 0, failed: 0, errors: 0 });
+
+    db.reset({ payments: [payment('pay-mtn', 'mtn')] });
+});
+
+afterEach(() => {
+    jest.useRealTimers();
+});
+
+// Run the poller whenever the payment is next due and note the wait before each poll
+const pollUntil = async (until) => {
+    const waits = [];
+    let polledAt = Date.now();
+
+    await paymentPoller.execute();
+
+    while (Date.parse(db.tables.payments[0].next_poll_at) < until) {
+        const dueAt = Date.parse(db.tables.payments[0].next_poll_at);
+        jest.setSystemTime(dueAt);
+
+        await paymentPoller.execute();
+
+        waits.push((dueAt - polledAt) / MINUTE_MS);
+        polledAt = dueAt;
+    }
+
+    return waits;
+};
+
+describe('getPollDelay', () => {
+    it('doubles from a minute up to ten minutes', () => {
+        expect([1, 2, 3, 4, 5, 6, 20].map(attempts => paymentPoller.getPollDelay(attempts) / MINUTE_MS))
+            .toEqual([1, 2, 4, 8, 10, 10, 10]);
+    });
+});
+
+describe('polling a pending payment', () => {
+    it('checks it again on the backoff schedule until it expires', async () => {
+        const waits = await pollUntil(Date.parse(db.tables.payments[0].expires_at));
+
+        expect(waits).toEqual([1, 2, 4, 8, 10, 10, 10, 10]);
+        expect(db.tables.payments[0].poll_attempts).toBe(9);
+
+        // Past expires_at the expiry job takes over
+        jest.setSystemTime(Date.parse(db.tables.payments[0].expires_at) + MINUTE_MS);
+        await expect(paymentPoller.execute()).resolves.toMatchObject({ stats: { total_payments: 0 } });
+        expect(mtn.checkPaymentStatus).toHaveBeenCalledTimes(9);
+    });
+
+    it('does not check it before it is due', async () => {
+        await paymentPoller.execute();
+        jest.setSystemTime(start + 30 * 1000);
+
+        await expect(paymentPoller.execute()).resolves.toMatchObject({ stats: { total_payments: 0 } });
+        expect(mtn.checkPaymentStatus).toHaveBeenCalledTimes(1);
+    });
+
+    it('pushes it back on the same schedule when the gateway cannot be reached', async () => {
+        mtn.checkPaymentStatus.mockRejectedValue(new Error('Verification failed: socket hang up'));
+
+        await expect(paymentPoller.execute()).resolves.toMatchObject({ stats: { errors: 1 } });
+        expect(db.tables.payments[0]).toMatchObject({
+            poll_attempts: 1,
+            next_poll_at: new Date(start + MINUTE_MS).toISOString()
+        });
+    });
+
+    it('applies a final status through the webhook pipeline', async () => {
+        mtn.checkPaymentStatus.mockResolvedValue({
+            payment_status: 'success',
+            transaction_id: '1588312741',
+            response: { status: 'SUCCESSFUL' }
+        });
+
+        await expect(paymentPoller.execute()).resolves.toMatchObject({ stats: { updated_payments: 1, still_pending: 0 } });
+        expect(paymentProcessor.processUpdate).toHaveBeenCalledWith(mtn, {
+            payment_id: 'pay-mtn',
+            transaction_id: '1588312741',
+            status: 'success',
+            gateway_response: { status: 'SUCCESSFUL' }
+        }, { source: 'poll' });
+        expect(db.tables.payments[0].poll_attempts).toBe(0);
+    });
+
+    it('leaves payments on gateways that only call back alone', async () => {
+        db.tables.payments = [payment('pay-kora', 'kora')];
+
+        await expect(paymentPoller.execute()).resolves.toMatchObject({ stats: { total_payments: 0 } });
+    });
+
+    it('skips a run while the previous one is still polling', async () => {
+        let answer;
+        mtn.checkPaymentStatus.mockReturnValue(new Promise(resolve => { answer = resolve; }));
+
+        const first = paymentPoller.execute();
+        await expect(paymentPoller.execute()).resolves.toMatchObject({ skipped: true });
+
+        answer({ payment_status: 'pending' });
+        await expect(first).resolves.toMatchObject({ success: true, stats: { still_pending: 1 } });
+    });
+});
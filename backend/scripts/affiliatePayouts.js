@@ -0,0 +1,66 @@
+/**
+ * Affiliate Payout Cron Job
+ *
+ * Adds a payout to the ledger for every block of threshold_uses orders an
+ * affiliate promo code has completed, emails the affiliate, sends pending
+ * payouts by MTN or Orange Money (or into a bank batch file for South
+ * African affiliates) and checks mobile money payouts still processing.
+ *
+ * @author Mallgram Backend Team
+ */
+
+const logger = require('../config/logger');
+const affiliatePayoutService = require('../services/affiliates/payoutService');
+
+class AffiliatePayoutJob {
+    constructor() {
+        this.isRunning = false;
+    }
+
+    /**
+     * Main execution method
+     */
+    async execute() {
+        if (this.isRunning) {
+            logger.warn('Affiliate payout processing already running, skipping');
+            return { success: false, error: 'Already running' };
+        }
+
+        this.isRunning = true;
+        const startTime = Date.now();
+
+        try {
+            const payoutStats = {
+                checked: await affiliatePayoutService.checkProcessingPayouts(),
+                created: await affiliatePayoutService.createDuePayouts(),
+                sent: await affiliatePayoutService.sendPendingPayouts()
+            };
+            const duration = Date.now() - startTime;
+
+            logger.info('Affiliate payout processing completed', {
+                duration: `${duration}ms`,
+                stats: payoutStats
+            });
+
+            return {
+                success: true,
+                duration,
+                stats: payoutStats
+            };
+
+        } catch (error) {
+            const duration = Date.now() - startTime;
+            logger.error('Affiliate payout processing failed:', error);
+
+            return {
+                success: false,
+                duration,
+                error: error.message
+            };
+        } finally {
+            this.isRunning = false;
+        }
+    }
+}
+
+module.exports = new AffiliatePayoutJob();
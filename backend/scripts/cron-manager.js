@@ -4,6 +4,11 @@
  * Manages all scheduled tasks for the Mallgram backend including:
  * - Daily product synchronization from Alibaba/AliExpress
  * - Delivery tracking updates
+ * - Delivery delay detection and customer apologies
+ * - Pending mobile money payment polling
+ * - Payment expiry and unpaid order cancellation
+ * - Supplier purchase orders for paid orders
+ * - Exchange rate refresh
  * - Affiliate payout processing
  * - Analytics computation
  * - Database maintenance
@@ -18,6 +23,12 @@ const { supabase } = require('../config/supabase');
 // Import job modules
 const productSyncJob = require('./productSync');
 const deliveryTrackingJob = require('./deliveryTracking');
+const deliveryDelayJob = require('./deliveryDelays');
+const paymentPollerJob = require('./paymentPoller');
+const paymentExpiryJob = require('./paymentExpiry');
+const fxRateRefreshJob = require('./fxRateRefresh');
+const fulfilmentJob = require('./fulfilment');
+const affiliatePayoutJob = require('./affiliatePayouts');
 
 class CronManager {
     constructor() {
@@ -45,14 +56,66 @@ class CronManager {
             });
 
             // Delivery Tracking Job
-            // Runs every 6 hours to update delivery statuses
-            this.scheduleJob('deliveryTracking', process.env.DELIVERY_TRACKING_SCHEDULE || '0 */6 * * *', async () => {
+            // Runs every 15 minutes; each order is polled when due, from every half hour
+            // (out for delivery) to daily (long legs, carriers that push events)
+            this.scheduleJob('deliveryTracking', process.env.DELIVERY_TRACKING_SCHEDULE || '*/15 * * * *', async () => {
                 logger.info('Starting delivery tracking update job');
                 await deliveryTrackingJob.execute();
             });
 
+            // Delivery Delay Job
+            // Runs hourly to open follow-ups for stalled, failed and late deliveries and email customers
+            this.scheduleJob('deliveryDelays', process.env.DELIVERY_DELAY_SCHEDULE || '30 * * * *', async () => {
+                logger.info('Checking shipped orders for delivery delays');
+                await deliveryDelayJob.execute();
+            });
+
+            // Pending Payment Polling Job
+            // Runs every minute; each payment is re-checked with backoff until it expires
+            this.scheduleJob('paymentPolling', process.env.PAYMENT_POLL_SCHEDULE || '* * * * *', async () => {
+                logger.debug('Polling pending mobile money payments');
+                await paymentPollerJob.execute();
+            });
+
+            // Payment Expiry Job
+            // Runs every 5 minutes to expire abandoned payments and cancel unpaid orders
+            this.scheduleJob('paymentExpiry', process.env.PAYMENT_EXPIRY_SCHEDULE || '*/5 * * * *', async () => {
+                logger.debug('Expiring abandoned payments');
+                await paymentExpiryJob.execute();
+            });
+
+            // FX Rate Refresh Job
+            // Runs every 6 hours; conversions refuse rates older than FX_MAX_RATE_AGE_HOURS,
+            // so failures are alerted
+            this.scheduleJob('fxRateRefresh', process.env.FX_RATE_REFRESH_SCHEDULE || '0 */6 * * *', async () => {
+                logger.info('Refreshing exchange rates');
+                const result = await fxRateRefreshJob.execute();
+
+                if (!result.success) {
+                    throw new Error(result.error);
+                }
+            }, { critical: true });
+
+            // Fulfilment Job
+            // Runs every 15 minutes to place and check supplier purchase orders
+            this.scheduleJob('fulfilment', process.env.FULFILMENT_SCHEDULE || '*/15 * * * *', async () => {
+                logger.debug('Placing and checking supplier purchase orders');
+                await fulfilmentJob.execute();
+            });
+
+            // Affiliate Payout Job
+            // Runs weekly on Monday at 9:00 AM to create payouts for completed promo code blocks and send them
+            this.scheduleJob('affiliatePayouts', process.env.AFFILIATE_PAYOUT_SCHEDULE || '0 9 * * 1', async () => {
+                logger.info('Processing affiliate payouts');
+                const result = await affiliatePayoutJob.execute();
+
+                if (!result.success) {
+                    throw new Error(result.error);
+                }
+            }, { critical: true });
+
             // Bulk Shipping Job
-            // Runs every hour to process orders ready for shipping (48h+ old)
+            // Runs every hour to add orders whose parcels reached the hub to their country's open shipment
             this.scheduleJob('bulkShipping', '0 * * * *', async () => {
                 logger.info('Processing bulk shipping requests');
                 await deliveryTrackingJob.processBulkShipping();
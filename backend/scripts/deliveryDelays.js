@@ -0,0 +1,66 @@
+/**
+ * Delivery Delay Cron Job
+ *
+ * Looks for shipped orders that have stalled, hit a carrier exception or
+ * missed their estimated delivery date, opens a follow-up for support and
+ * emails the customer before they have to ask. Follow-ups whose problem
+ * has cleared are closed first.
+ *
+ * @author Mallgram Backend Team
+ */
+
+const logger = require('../config/logger');
+const deliveryDelayService = require('../services/shipping/deliveryDelayService');
+
+class DeliveryDelayJob {
+    constructor() {
+        this.isRunning = false;
+    }
+
+    /**
+     * Main execution method
+     */
+    async execute() {
+        if (this.isRunning) {
+            logger.warn('Delivery delay check already running, skipping');
+            return { success: false, error: 'Already running' };
+        }
+
+        this.isRunning = true;
+        const startTime = Date.now();
+
+        try {
+            const resolved = await deliveryDelayService.resolveCleared();
+            const delayStats = {
+                resolved,
+                ...await deliveryDelayService.detectDelays()
+            };
+            const duration = Date.now() - startTime;
+
+            logger.info('Delivery delay check completed', {
+                duration: `${duration}ms`,
+                stats: delayStats
+            });
+
+            return {
+                success: true,
+                duration,
+                stats: delayStats
+            };
+
+        } catch (error) {
+            const duration = Date.now() - startTime;
+            logger.error('Delivery delay check failed:', error);
+
+            return {
+                success: false,
+                duration,
+                error: error.message
+            };
+        } finally {
+            this.isRunning = false;
+        }
+    }
+}
+
+module.exports = new DeliveryDelayJob();
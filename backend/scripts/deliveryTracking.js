@@ -3,31 +3,33 @@
  * 
  * Tracks order deliveries with carrier APIs and updates order status.
  * Sends email notifications for delivery updates.
+ *
+ * Each order is tracked with the adapter registered for its carrier in
+ * services/shipping/carriers; orders whose carrier has no adapter are
+ * reported as tracking errors rather than guessed at.
+ *
+ * Runs every 15 minutes but only polls orders that are due: each order's
+ * next_tracking_check_at is set by services/shipping/trackingProcessor.js
+ * from its latest tracking status. Carriers that push events to
+ * POST /tracking/webhook/:carrier go through the same processor.
  * 
  * @author Mallgram Backend Team
  */
 
-const axios = require('axios');
 const { supabase } = require('../config/supabase');
 const logger = require('../config/logger');
-const emailService = require('../services/emailService');
+const orderStateMachine = require('../services/orders/orderStateMachine');
+const shipmentService = require('../services/shipping/shipmentService');
+const carrierRegistry = require('../services/shipping/carriers');
+const shipmentEventService = require('../services/shipping/shipmentEventService');
+const trackingProcessor = require('../services/shipping/trackingProcessor');
+
+// Orders polled per run; the rest are picked up by the next run
+const BATCH_SIZE = 200;
 
 class DeliveryTrackingJob {
     constructor() {
-        this.carriers = {
-            dhl: {
-                apiKey: process.env.DHL_API_KEY,
-                baseUrl: 'https://api-eu.dhl.com/track/shipments'
-            },
-            fedex: {
-                apiKey: process.env.FEDEX_API_KEY,
-                baseUrl: 'https://apis.fedex.com/track/v1/trackingnumbers'
-            },
-            ups: {
-                apiKey: process.env.UPS_API_KEY,
-                baseUrl: 'https://onlinetools.ups.com/api/track/v1/details'
-            }
-        };
+        this.isRunning = false;
     }
 
     /**
@@ -39,26 +41,32 @@ class DeliveryTrackingJob {
             total_orders: 0,
             updated_orders: 0,
             notifications_sent: 0,
+            carrier_requests: 0,
             errors: 0
         };
 
+        // Slow carrier APIs can make a run outlast the schedule interval
+        if (this.isRunning) {
+            logger.warn('Delivery tracking still running, skipping this run');
+            return { success: true, skipped: true, stats: trackingStats };
+        }
+
+        this.isRunning = true;
+
         try {
             logger.info('Starting delivery tracking job');
 
-            // Get orders that need tracking updates
+            const now = new Date().toISOString();
+
+            // Orders that are due a poll (see trackingProcessor.getNextCheckAt)
             const { data: orders, error } = await supabase
                 .from('orders')
-                .select(`
-                    id,
-                    tracking_number,
-                    status,
-                    carrier,
-                    user_id,
-                    created_at,
-                    users(email, full_name)
-                `)
-                .in('status', ['processing', 'shipped', 'in_transit'])
-                .not('tracking_number', 'is', null);
+                .select(trackingProcessor.orderFields)
+                .in('status', orderStateMachine.inFlightStatuses)
+                .not('tracking_number', 'is', null)
+                .or(`next_tracking_check_at.is.null,next_tracking_check_at.lte.${now}`)
+                .order('next_tracking_check_at', { ascending: true, nullsFirst: true })
+                .limit(BATCH_SIZE);
 
             if (error) {
                 throw new Error(`Failed to fetch orders: ${error.message}`);
@@ -66,20 +74,25 @@ class DeliveryTrackingJob {
 
             trackingStats.total_orders = orders.length;
 
-            // Process each order
+            // Orders of the same shipment share a tracking number; ask the carrier once per run
+            const trackedShipments = new Map();
+
             for (const order of orders) {
                 try {
-                    const trackingUpdate = await this.trackOrder(order);
-                    
+                    const trackingUpdate = await this.trackOrder(order, trackedShipments);
+
+                    if (trackingUpdate.error) {
+                        trackingStats.errors++;
+                        await trackingProcessor.scheduleRetry(order);
+                        continue;
+                    }
+
                     if (trackingUpdate.status_changed) {
-                        await this.updateOrderStatus(order.id, trackingUpdate);
                         trackingStats.updated_orders++;
+                    }
 
-                        // Send notification email
-                        if (order.users?.email) {
-                            await this.sendTrackingNotification(order, trackingUpdate);
-                            trackingStats.notifications_sent++;
-                        }
+                    if (trackingUpdate.notified) {
+                        trackingStats.notifications_sent++;
                     }
 
                 } catch (error) {
@@ -88,6 +101,8 @@ class DeliveryTrackingJob {
                 }
             }
 
+            trackingStats.carrier_requests = trackedShipments.size;
+
             const duration = Date.now() - startTime;
             
             logger.info('Delivery tracking completed', {
@@ -111,382 +126,69 @@ class DeliveryTrackingJob {
                 error: error.message,
                 stats: trackingStats
             };
+        } finally {
+            this.isRunning = false;
         }
     }
 
     /**
-     * Track individual order with carrier API
+     * Track individual order with its carrier's adapter
+     * @param {Object} order - Order with trackingProcessor.orderFields
+     * @param {Map} [trackedShipments] - Tracking results of this run by carrier and tracking number
      */
-    async trackOrder(order) {
+    async trackOrder(order, trackedShipments = new Map()) {
         try {
-            const carrier = order.carrier?.toLowerCase() || 'dhl';
-            let trackingData = null;
-
-            switch (carrier) {
-                case 'dhl':
-                    trackingData = await this.trackWithDHL(order.tracking_number);
-                    break;
-                case 'fedex':
-                    trackingData = await this.trackWithFedEx(order.tracking_number);
-                    break;
-                case 'ups':
-                    trackingData = await this.trackWithUPS(order.tracking_number);
-                    break;
-                default:
-                    // Fallback tracking for unknown carriers
-                    trackingData = await this.genericTracking(order.tracking_number);
-            }
-
-            const newStatus = this.mapCarrierStatusToOrderStatus(trackingData.status);
-            const statusChanged = newStatus !== order.status;
+            const carrier = carrierRegistry.get(order.carrier);
 
-            return {
-                status_changed: statusChanged,
-                new_status: newStatus,
-                tracking_data: trackingData,
-                carrier_response: trackingData.raw_response,
-                location: trackingData.location,
-                estimated_delivery: trackingData.estimated_delivery,
-                last_update: new Date().toISOString()
-            };
-
-        } catch (error) {
-            logger.error(`Tracking failed for order ${order.id}:`, error);
-            return {
-                status_changed: false,
-                error: error.message
-            };
-        }
-    }
-
-    /**
-     * Track with DHL API
-     */
-    async trackWithDHL(trackingNumber) {
-        try {
-            if (!this.carriers.dhl.apiKey) {
-                throw new Error('DHL API key not configured');
+            if (!carrier) {
+                throw new Error(`No tracking adapter for carrier: ${order.carrier || 'none'}`);
             }
 
-            const response = await axios.get(
-                `${this.carriers.dhl.baseUrl}/${trackingNumber}`,
-                {
-                    headers: {
-                        'DHL-API-Key': this.carriers.dhl.apiKey,
-                        'Accept': 'application/json'
-                    }
-                }
-            );
+            const shipmentKey = `${carrier.id}:${order.tracking_number}`;
 
-            const shipment = response.data.shipments?.[0];
-            if (!shipment) {
-                throw new Error('No tracking information found');
+            if (!trackedShipments.has(shipmentKey)) {
+                trackedShipments.set(shipmentKey, this.fetchTracking(carrier, order.tracking_number));
             }
 
-            const latestEvent = shipment.events?.[0];
+            const trackingData = await trackedShipments.get(shipmentKey);
 
-            return {
-                status: latestEvent?.status || 'unknown',
-                location: latestEvent?.location?.address?.addressLocality || '',
-                description: latestEvent?.description || '',
-                timestamp: latestEvent?.timestamp,
-                estimated_delivery: shipment.estimatedTimeOfDelivery,
-                raw_response: response.data
-            };
-
-        } catch (error) {
-            logger.error('DHL tracking failed:', error);
-            throw error;
-        }
-    }
-
-    /**
-     * Track with FedEx API
-     */
-    async trackWithFedEx(trackingNumber) {
-        try {
-            if (!this.carriers.fedex.apiKey) {
-                throw new Error('FedEx API key not configured');
-            }
-
-            const response = await axios.post(
-                this.carriers.fedex.baseUrl,
-                {
-                    trackingInfo: [
-                        {
-                            trackingNumberInfo: {
-                                trackingNumber: trackingNumber
-                            }
-                        }
-                    ],
-                    includeDetailedScans: true
-                },
-                {
-                    headers: {
-                        'Authorization': `Bearer ${this.carriers.fedex.apiKey}`,
-                        'Content-Type': 'application/json'
-                    }
-                }
-            );
-
-            const trackingInfo = response.data.output?.completeTrackResults?.[0]?.trackResults?.[0];
-            if (!trackingInfo) {
-                throw new Error('No tracking information found');
-            }
-
-            const latestScan = trackingInfo.scanEvents?.[0];
-
-            return {
-                status: trackingInfo.latestStatusDetail?.code || 'unknown',
-                location: latestScan?.scanLocation?.city || '',
-                description: trackingInfo.latestStatusDetail?.description || '',
-                timestamp: latestScan?.date,
-                estimated_delivery: trackingInfo.estimatedDeliveryTimeWindow?.window?.ends,
-                raw_response: response.data
-            };
+            return await trackingProcessor.applyTracking(order, carrier, trackingData, { source: 'poll' });
 
         } catch (error) {
-            logger.error('FedEx tracking failed:', error);
-            throw error;
-        }
-    }
-
-    /**
-     * Track with UPS API
-     */
-    async trackWithUPS(trackingNumber) {
-        try {
-            if (!this.carriers.ups.apiKey) {
-                throw new Error('UPS API key not configured');
-            }
-
-            const response = await axios.get(
-                `${this.carriers.ups.baseUrl}/${trackingNumber}`,
-                {
-                    headers: {
-                        'Authorization': `Bearer ${this.carriers.ups.apiKey}`,
-                        'Accept': 'application/json'
-                    }
-                }
-            );
-
-            const packageInfo = response.data.trackResponse?.shipment?.[0]?.package?.[0];
-            if (!packageInfo) {
-                throw new Error('No tracking information found');
-            }
-
-            const latestActivity = packageInfo.activity?.[0];
-
+            logger.error(`Tracking failed for order ${order.id}:`, error);
             return {
-                status: latestActivity?.status?.code || 'unknown',
-                location: latestActivity?.location?.address?.city || '',
-                description: latestActivity?.status?.description || '',
-                timestamp: latestActivity?.date + 'T' + latestActivity?.time,
-                estimated_delivery: packageInfo.deliveryDate?.[0]?.date,
-                raw_response: response.data
-            };
-
-        } catch (error) {
-            logger.error('UPS tracking failed:', error);
-            throw error;
-        }
-    }
-
-    /**
-     * Generic tracking for unknown carriers
-     */
-    async genericTracking(trackingNumber) {
-        // Fallback method - could integrate with a universal tracking service
-        return {
-            status: 'in_transit',
-            location: 'Unknown',
-            description: 'Package is in transit',
-            timestamp: new Date().toISOString(),
-            estimated_delivery: null,
-            raw_response: { message: 'Generic tracking - no carrier API available' }
-        };
-    }
-
-    /**
-     * Map carrier status to internal order status
-     */
-    mapCarrierStatusToOrderStatus(carrierStatus) {
-        const statusMap = {
-            // DHL statuses
-            'pre-transit': 'processing',
-            'transit': 'in_transit',
-            'delivered': 'delivered',
-            'exception': 'delivery_exception',
-            'unknown': 'shipped',
-
-            // FedEx statuses
-            'PU': 'processing', // Picked up
-            'IT': 'in_transit', // In transit
-            'OD': 'out_for_delivery', // Out for delivery
-            'DL': 'delivered', // Delivered
-            'EX': 'delivery_exception', // Exception
-
-            // UPS statuses
-            'M': 'processing', // Manifest pickup
-            'I': 'in_transit', // In transit
-            'D': 'delivered', // Delivered
-            'X': 'delivery_exception' // Exception
-        };
-
-        return statusMap[carrierStatus?.toLowerCase()] || 'shipped';
-    }
-
-    /**
-     * Update order status in database
-     */
-    async updateOrderStatus(orderId, trackingUpdate) {
-        try {
-            const updateData = {
-                status: trackingUpdate.new_status,
-                tracking_data: trackingUpdate.tracking_data,
-                updated_at: new Date().toISOString()
+                status_changed: false,
+                error: error.message
             };
-
-            if (trackingUpdate.estimated_delivery) {
-                updateData.estimated_delivery = trackingUpdate.estimated_delivery;
-            }
-
-            if (trackingUpdate.new_status === 'delivered') {
-                updateData.delivered_at = new Date().toISOString();
-            }
-
-            await supabase
-                .from('orders')
-                .update(updateData)
-                .eq('id', orderId);
-
-            logger.info(`Order ${orderId} status updated to ${trackingUpdate.new_status}`);
-
-        } catch (error) {
-            logger.error(`Failed to update order ${orderId} status:`, error);
-            throw error;
         }
     }
 
     /**
-     * Send tracking notification email
+     * Poll the carrier and keep the whole history; orders on the same shipment share these events
      */
-    async sendTrackingNotification(order, trackingUpdate) {
-        try {
-            const orderData = {
-                orderId: order.id,
-                orderNumber: order.id.slice(-8).toUpperCase(),
-                trackingNumber: order.tracking_number,
-                status: trackingUpdate.new_status,
-                customerName: order.users.full_name
-            };
-
-            await emailService.sendOrderTrackingEmail(
-                order.users.email,
-                orderData,
-                {
-                    status: trackingUpdate.new_status,
-                    location: trackingUpdate.tracking_data?.location,
-                    description: trackingUpdate.tracking_data?.description,
-                    estimatedDelivery: trackingUpdate.estimated_delivery,
-                    timestamp: trackingUpdate.last_update
-                },
-                order.user_id
-            );
-
-            logger.info(`Tracking notification sent for order ${order.id}`);
-
-        } catch (error) {
-            logger.error(`Failed to send tracking notification for order ${order.id}:`, error);
-        }
+    async fetchTracking(carrier, trackingNumber) {
+        const trackingData = await carrier.track(trackingNumber);
+        await shipmentEventService.recordCarrierEvents(carrier, trackingNumber, trackingData.events);
+        return trackingData;
     }
 
     /**
-     * Handle bulk shipping requests (after 48h)
+     * Add orders whose parcels have all arrived at the hub to their
+     * country's open bulk shipment. Shipments are dispatched from the admin
+     * shipment endpoints once BULK_SHIPPING_DELAY_HOURS have passed.
      */
     async processBulkShipping() {
         try {
-            const cutoffTime = new Date();
-            cutoffTime.setHours(cutoffTime.getHours() - 48); // 48 hours ago
-
-            // Get paid orders that need to be sent for shipping
-            const { data: orders } = await supabase
-                .from('orders')
-                .select('*')
-                .eq('status', 'paid')
-                .eq('payment_status', 'success')
-                .lt('created_at', cutoffTime.toISOString());
-
-            if (orders?.length > 0) {
-                // Group orders by destination country for bulk shipping
-                const ordersByCountry = this.groupOrdersByCountry(orders);
-
-                for (const [country, countryOrders] of Object.entries(ordersByCountry)) {
-                    await this.createBulkShipment(country, countryOrders);
-                }
+            const stats = await shipmentService.assignOrdersToShipments();
 
-                logger.info(`Processed bulk shipping for ${orders.length} orders`);
+            if (stats.assigned > 0) {
+                logger.info(`Processed bulk shipping for ${stats.assigned} orders`, stats);
             }
 
         } catch (error) {
             logger.error('Bulk shipping processing failed:', error);
         }
     }
-
-    /**
-     * Group orders by destination country
-     */
-    groupOrdersByCountry(orders) {
-        return orders.reduce((groups, order) => {
-            const shippingAddress = typeof order.shipping_address === 'string' 
-                ? JSON.parse(order.shipping_address) 
-                : order.shipping_address;
-            
-            const country = shippingAddress.country || 'UNKNOWN';
-            
-            if (!groups[country]) {
-                groups[country] = [];
-            }
-            groups[country].push(order);
-            
-            return groups;
-        }, {});
-    }
-
-    /**
-     * Create bulk shipment request
-     */
-    async createBulkShipment(country, orders) {
-        try {
-            // Create shipping request to carrier/logistics partner
-            const shipmentData = {
-                destination_country: country,
-                order_count: orders.length,
-                orders: orders.map(order => ({
-                    order_id: order.id,
-                    shipping_address: order.shipping_address,
-                    items: order.order_items
-                })),
-                created_at: new Date().toISOString()
-            };
-
-            // Update orders status to processing
-            const orderIds = orders.map(o => o.id);
-            await supabase
-                .from('orders')
-                .update({
-                    status: 'processing',
-                    bulk_shipment_created_at: new Date().toISOString(),
-                    updated_at: new Date().toISOString()
-                })
-                .in('id', orderIds);
-
-            logger.info(`Created bulk shipment for ${country} with ${orders.length} orders`);
-
-        } catch (error) {
-            logger.error(`Failed to create bulk shipment for ${country}:`, error);
-        }
-    }
 }
 
 module.exports = new DeliveryTrackingJob();
@@ -0,0 +1,67 @@
+/**
+ * Fulfilment Cron Job
+ *
+ * Keeps supplier purchase orders moving after payment:
+ * - Creates purchase orders for paid orders that have none
+ * - Retries placing purchase orders the supplier could not take yet
+ * - Checks placed purchase orders for supplier shipments, cancellations
+ *   and stock problems, flagging the order for admin action when needed
+ *
+ * @author Mallgram Backend Team
+ */
+
+const logger = require('../config/logger');
+const fulfilmentService = require('../services/fulfilment');
+
+class FulfilmentJob {
+    constructor() {
+        this.isRunning = false;
+    }
+
+    /**
+     * Main execution method
+     */
+    async execute() {
+        if (this.isRunning) {
+            logger.warn('Fulfilment already running, skipping');
+            return { success: false, error: 'Already running' };
+        }
+
+        this.isRunning = true;
+        const startTime = Date.now();
+
+        try {
+            const fulfilmentStats = {
+                created: await fulfilmentService.createMissingPurchaseOrders(),
+                placement: await fulfilmentService.placePending(),
+                sync: await fulfilmentService.syncPlaced()
+            };
+            const duration = Date.now() - startTime;
+
+            logger.info('Fulfilment completed', {
+                duration: `${duration}ms`,
+                stats: fulfilmentStats
+            });
+
+            return {
+                success: true,
+                duration,
+                stats: fulfilmentStats
+            };
+
+        } catch (error) {
+            const duration = Date.now() - startTime;
+            logger.error('Fulfilment job failed:', error);
+
+            return {
+                success: false,
+                duration,
+                error: error.message
+            };
+        } finally {
+            this.isRunning = false;
+        }
+    }
+}
+
+module.exports = new FulfilmentJob();
@@ -0,0 +1,61 @@
+/**
+ * FX Rate Refresh Cron Job
+ *
+ * Pulls the latest exchange rates from the configured rate source
+ * (FX_RATE_SOURCE) into the exchange_rates table. Conversions refuse rates
+ * older than FX_MAX_RATE_AGE_HOURS, so this must run well within that window.
+ *
+ * @author Mallgram Backend Team
+ */
+
+const logger = require('../config/logger');
+const fxService = require('../services/fx');
+
+class FxRateRefreshJob {
+    constructor() {
+        this.isRunning = false;
+    }
+
+    /**
+     * Main execution method
+     */
+    async execute() {
+        if (this.isRunning) {
+            logger.warn('FX rate refresh already running, skipping');
+            return { success: false, error: 'Already running' };
+        }
+
+        this.isRunning = true;
+        const startTime = Date.now();
+
+        try {
+            const refreshStats = await fxService.refreshRates();
+            const duration = Date.now() - startTime;
+
+            logger.info('FX rate refresh completed', {
+                duration: `${duration}ms`,
+                stats: refreshStats
+            });
+
+            return {
+                success: true,
+                duration,
+                stats: refreshStats
+            };
+
+        } catch (error) {
+            const duration = Date.now() - startTime;
+            logger.error('FX rate refresh job failed:', error);
+
+            return {
+                success: false,
+                duration,
+                error: error.message
+            };
+        } finally {
+            this.isRunning = false;
+        }
+    }
+}
+
+module.exports = new FxRateRefreshJob();
@@ -0,0 +1,198 @@
+/**
+ * Payment Expiry Cron Job
+ *
+ * Enforces the expires_at returned by every gateway initializer:
+ * - Pending payments past expires_at are marked expired (after a final
+ *   status check on gateways that support polling), so the customer can
+ *   start a fresh attempt on the same order. Expired attempts are kept as
+ *   payment history.
+ * - Orders with no successful payment after ORDER_PAYMENT_WINDOW_HOURS are
+ *   cancelled automatically and the stock they reserved is released.
+ *
+ * @author Mallgram Backend Team
+ */
+
+const { supabase } = require('../config/supabase');
+const logger = require('../config/logger');
+const { ConflictError } = require('../middleware/errorHandler');
+const paymentGatewayRegistry = require('../services/payments');
+const paymentProcessor = require('../services/payments/paymentProcessor');
+const orderService = require('../services/orders/orderService');
+const orderStateMachine = require('../services/orders/orderStateMachine');
+
+const BATCH_SIZE = 100;
+
+class PaymentExpiryJob {
+    constructor() {
+        this.orderPaymentWindowHours = parseInt(process.env.ORDER_PAYMENT_WINDOW_HOURS) || 48;
+    }
+
+    /**
+     * Main execution method
+     */
+    async execute() {
+        const startTime = Date.now();
+        const expiryStats = {
+            expired_payments: 0,
+            completed_payments: 0,
+            cancelled_orders: 0,
+            errors: 0
+        };
+
+        try {
+            await this.expirePayments(expiryStats);
+            await this.cancelUnpaidOrders(expiryStats);
+
+            const duration = Date.now() - startTime;
+
+            logger.info('Payment expiry completed', {
+                duration: `${duration}ms`,
+                stats: expiryStats
+            });
+
+            return {
+                success: true,
+                duration,
+                stats: expiryStats
+            };
+
+        } catch (error) {
+            const duration = Date.now() - startTime;
+            logger.error('Payment expiry job failed:', error);
+
+            return {
+                success: false,
+                duration,
+                error: error.message,
+                stats: expiryStats
+            };
+        }
+    }
+
+    /**
+     * Mark pending payments past their expires_at as expired
+     * @param {Object} expiryStats - Stats to update
+     */
+    async expirePayments(expiryStats) {
+        const { data: payments, error } = await supabase
+            .from('payments')
+            .select('*')
+            .eq('status', 'pending')
+            .lte('expires_at', new Date().toISOString())
+            .limit(BATCH_SIZE);
+
+        if (error) {
+            throw new Error(`Failed to fetch expired payments: ${error.message}`);
+        }
+
+        for (const payment of payments) {
+            try {
+                // The customer may have paid just before expiry without a callback
+                if (await this.applyFinalStatus(payment)) {
+                    expiryStats.completed_payments++;
+                    continue;
+                }
+
+                const { outcome } = await paymentProcessor.expirePayment(payment);
+
+                if (outcome === 'applied') {
+                    expiryStats.expired_payments++;
+                }
+            } catch (error) {
+                logger.error(`Failed to expire payment ${payment.id}:`, error);
+                expiryStats.errors++;
+            }
+        }
+    }
+
+    /**
+     * Check a payment with its gateway one last time before expiring it
+     * @param {Object} payment - Pending payment record
+     * @returns {Promise<boolean>} - True if the gateway reported a final status
+     */
+    async applyFinalStatus(payment) {
+        const gateway = paymentGatewayRegistry.get(payment.payment_method);
+
+        if (!gateway || typeof gateway.checkPaymentStatus !== 'function') {
+            return false;
+        }
+
+        try {
+            const result = await gateway.checkPaymentStatus(payment);
+
+            if (!result.payment_status || result.payment_status === 'pending') {
+                return false;
+            }
+
+            const { outcome } = await paymentProcessor.processUpdate(gateway, {
+                payment_id: payment.id,
+                transaction_id: result.transaction_id,
+                status: result.payment_status,
+                gateway_response: result.response
+            }, { source: 'poll' });
+
+            return outcome === 'applied';
+
+        } catch (error) {
+            logger.warn(`Final status check failed for payment ${payment.id}:`, error.message);
+            return false;
+        }
+    }
+
+    /**
+     * Cancel orders that were never paid within the payment window
+     * @param {Object} expiryStats - Stats to update
+     */
+    async cancelUnpaidOrders(expiryStats) {
+        const cutoff = new Date(Date.now() - this.orderPaymentWindowHours * 60 * 60 * 1000);
+
+        const { data: orders, error } = await supabase
+            .from('orders')
+            .select('id, user_id, created_at')
+            .eq('status', 'pending')
+            .eq('payment_status', 'pending')
+            .lte('created_at', cutoff.toISOString())
+            .limit(BATCH_SIZE);
+
+        if (error) {
+            throw new Error(`Failed to fetch unpaid orders: ${error.message}`);
+        }
+
+        for (const order of orders) {
+            try {
+                // Leave orders alone while a payment attempt is still running;
+                // attempts that ran out are expired first so none is left open
+                await paymentProcessor.closeOpenAttempts(order.id);
+
+                await orderStateMachine.transition(order.id, 'cancelled', {
+                    actor: { type: 'system', id: 'paymentExpiry' },
+                    reason: 'payment_window_expired',
+                    updates: { cancellation_reason: 'payment_window_expired' },
+                    match: { payment_status: 'pending' }
+                });
+
+                await orderService.releaseStock(order.id);
+
+                expiryStats.cancelled_orders++;
+
+                logger.info('Unpaid order cancelled', {
+                    orderId: order.id,
+                    userId: order.user_id,
+                    windowHours: this.orderPaymentWindowHours
+                });
+            } catch (error) {
+                if (error instanceof ConflictError) {
+                    // A payment attempt is still running, or the order was paid
+                    // or otherwise moved on since it was read
+                    logger.info(`Order ${order.id} left alone: ${error.message}`);
+                    continue;
+                }
+
+                logger.error(`Failed to cancel unpaid order ${order.id}:`, error);
+                expiryStats.errors++;
+            }
+        }
+    }
+}
+
+module.exports = new PaymentExpiryJob();
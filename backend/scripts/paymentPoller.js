@@ -0,0 +1,191 @@
+/**
+ * Pending Payment Poller Cron Job
+ *
+ * Re-checks pending payments on gateways that do not reliably call back
+ * (MTN Mobile Money, Orange Money) until the payment's expires_at.
+ * Each payment is polled with exponential backoff, and any final status is
+ * applied through the same pipeline as webhooks (order update, email,
+ * affiliate commission).
+ *
+ * Refunds those gateways accepted as pending are settled in the same run
+ * (refundService.reconcilePendingRefunds).
+ *
+ * @author Mallgram Backend Team
+ */
+
+const { supabase } = require('../config/supabase');
+const logger = require('../config/logger');
+const paymentGatewayRegistry = require('../services/payments');
+const paymentProcessor = require('../services/payments/paymentProcessor');
+const refundService = require('../services/payments/refundService');
+
+// Backoff between polls of the same payment: 1, 2, 4, 8 then every 10 minutes
+const BASE_POLL_DELAY_MS = 60 * 1000;
+const MAX_POLL_DELAY_MS = 10 * 60 * 1000;
+const BATCH_SIZE = 50;
+
+class PaymentPollerJob {
+    constructor() {
+        this.isRunning = false;
+    }
+
+    /**
+     * Main execution method
+     */
+    async execute() {
+        const startTime = Date.now();
+        const pollStats = {
+            total_payments: 0,
+            updated_payments: 0,
+            still_pending: 0,
+            pending_refunds: 0,
+            settled_refunds: 0,
+            failed_refunds: 0,
+            errors: 0
+        };
+
+        // A slow gateway can make a run outlast the schedule interval
+        if (this.isRunning) {
+            logger.warn('Payment poller still running, skipping this run');
+            return { success: true, skipped: true, stats: pollStats };
+        }
+
+        this.isRunning = true;
+
+        try {
+            await this.pollPendingPayments(pollStats);
+
+            const refundStats = await refundService.reconcilePendingRefunds(BATCH_SIZE);
+            pollStats.pending_refunds = refundStats.checked - refundStats.settled - refundStats.failed;
+            pollStats.settled_refunds = refundStats.settled;
+            pollStats.failed_refunds = refundStats.failed;
+            pollStats.errors += refundStats.errors;
+
+            const duration = Date.now() - startTime;
+
+            logger.info('Payment polling completed', {
+                duration: `${duration}ms`,
+                stats: pollStats
+            });
+
+            return {
+                success: true,
+                duration,
+                stats: pollStats
+            };
+
+        } catch (error) {
+            const duration = Date.now() - startTime;
+            logger.error('Payment polling job failed:', error);
+
+            return {
+                success: false,
+                duration,
+                error: error.message,
+                stats: pollStats
+            };
+        } finally {
+            this.isRunning = false;
+        }
+    }
+
+    /**
+     * Poll pending payments that are due on gateways that can report status
+     * @param {Object} pollStats - Run statistics, updated in place
+     */
+    async pollPendingPayments(pollStats) {
+        const gateways = paymentGatewayRegistry.list()
+            .filter(gateway => typeof gateway.checkPaymentStatus === 'function');
+
+        if (gateways.length === 0) {
+            return;
+        }
+
+        const now = new Date().toISOString();
+
+        const { data: payments, error } = await supabase
+            .from('payments')
+            .select('*')
+            .eq('status', 'pending')
+            .in('payment_method', gateways.map(gateway => gateway.id))
+            .gt('expires_at', now)
+            .or(`next_poll_at.is.null,next_poll_at.lte.${now}`)
+            .order('created_at', { ascending: true })
+            .limit(BATCH_SIZE);
+
+        if (error) {
+            throw new Error(`Failed to fetch pending payments: ${error.message}`);
+        }
+
+        pollStats.total_payments = payments.length;
+
+        for (const payment of payments) {
+            try {
+                const applied = await this.pollPayment(payment);
+
+                if (applied) {
+                    pollStats.updated_payments++;
+                } else {
+                    pollStats.still_pending++;
+                }
+            } catch (error) {
+                logger.error(`Failed to poll payment ${payment.id}:`, error);
+                pollStats.errors++;
+                await this.scheduleNextPoll(payment);
+            }
+        }
+    }
+
+    /**
+     * Check one payment with its gateway and apply any final status
+     * @param {Object} payment - Pending payment record
+     * @returns {Promise<boolean>} - True if the payment left pending
+     */
+    async pollPayment(payment) {
+        const gateway = paymentGatewayRegistry.get(payment.payment_method);
+        const result = await gateway.checkPaymentStatus(payment);
+
+        if (!result.payment_status || result.payment_status === 'pending') {
+            await this.scheduleNextPoll(payment);
+            return false;
+        }
+
+        const { outcome } = await paymentProcessor.processUpdate(gateway, {
+            payment_id: payment.id,
+            transaction_id: result.transaction_id,
+            status: result.payment_status,
+            gateway_response: result.response
+        }, { source: 'poll' });
+
+        return outcome === 'applied';
+    }
+
+    /**
+     * Push back the next poll of a payment
+     * @param {Object} payment - Payment record
+     */
+    async scheduleNextPoll(payment) {
+        const attempts = (payment.poll_attempts || 0) + 1;
+
+        await supabase
+            .from('payments')
+            .update({
+                poll_attempts: attempts,
+                next_poll_at: new Date(Date.now() + this.getPollDelay(attempts)).toISOString(),
+                updated_at: new Date().toISOString()
+            })
+            .eq('id', payment.id)
+            .eq('status', 'pending');
+    }
+
+    /**
+     * Delay before the next poll of a payment
+     * @param {number} attempts - Polls made so far
+     * @returns {number} - Delay in milliseconds
+     */
+    getPollDelay(attempts) {
+        return Math.min(BASE_POLL_DELAY_MS * 2 ** Math.max(0, attempts - 1), MAX_POLL_DELAY_MS);
+    }
+}
+
+module.exports = new PaymentPollerJob();
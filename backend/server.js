@@ -33,10 +33,20 @@ const cronManager = require('./scripts/cron-manager');
 const paymentRoutes = require('./routes/payments');
 const aiRoutes = require('./routes/ai');
 const emailRoutes = require('./routes/emails');
+const fxRoutes = require('./routes/fx');
+const orderRoutes = require('./routes/orders');
+const returnRoutes = require('./routes/returns');
+const deliveryRoutes = require('./routes/delivery');
+const fulfilmentRoutes = require('./routes/fulfilment');
+const shipmentRoutes = require('./routes/shipments');
+const trackingRoutes = require('./routes/tracking');
+const promoCodeRoutes = require('./routes/promoCodes');
+const affiliateRoutes = require('./routes/affiliates');
 
 // Import middleware
 const { errorHandler } = require('./middleware/errorHandler');
 const { requestLogger } = require('./middleware/requestLogger');
+const { captureRawBody } = require('./middleware/rawBody');
 
 // Initialize Express app
 const app = express();
@@ -84,9 +94,9 @@ const limiter = rateLimit({
 });
 app.use(limiter);
 
-// Body parsing middleware
-app.use(express.json({ limit: '10mb' }));
-app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+// Body parsing middleware (webhook routes also keep the raw body for signature checks)
+app.use(express.json({ limit: '10mb', verify: captureRawBody }));
+app.use(express.urlencoded({ extended: true, limit: '10mb', verify: captureRawBody }));
 
 // Request logging middleware
 app.use(requestLogger);
@@ -151,6 +161,15 @@ const API_PREFIX = `/api/${process.env.API_VERSION || 'v1'}`;
 app.use(`${API_PREFIX}/payments`, paymentRoutes);  // Payment processing
 app.use(`${API_PREFIX}/ai`, aiRoutes);             // AI services
 app.use(`${API_PREFIX}/emails`, emailRoutes);      // Email services
+app.use(`${API_PREFIX}/fx`, fxRoutes);             // Exchange rates
+app.use(`${API_PREFIX}/orders`, orderRoutes);      // Orders, cancellations, return requests
+app.use(`${API_PREFIX}/returns`, returnRoutes);    // Return processing (admin)
+app.use(`${API_PREFIX}/delivery`, deliveryRoutes); // Delivery estimates
+app.use(`${API_PREFIX}/fulfilment`, fulfilmentRoutes); // Supplier purchase orders (admin)
+app.use(`${API_PREFIX}/shipments`, shipmentRoutes); // Hub check-in, bulk shipments, manifests (admin)
+app.use(`${API_PREFIX}/tracking`, trackingRoutes); // Public shipment tracking
+app.use(`${API_PREFIX}/promo-codes`, promoCodeRoutes); // Promo code checks at checkout
+app.use(`${API_PREFIX}/affiliates`, affiliateRoutes); // Affiliate payout ledger, bank payout batches
 
 logger.info('API routes configured successfully');
 
@@ -165,7 +184,16 @@ app.get(`${API_PREFIX}`, (req, res) => {
         endpoints: {
             payments: `${API_PREFIX}/payments`,
             ai: `${API_PREFIX}/ai`,
-            emails: `${API_PREFIX}/emails`
+            emails: `${API_PREFIX}/emails`,
+            fx: `${API_PREFIX}/fx`,
+            orders: `${API_PREFIX}/orders`,
+            returns: `${API_PREFIX}/returns`,
+            delivery: `${API_PREFIX}/delivery`,
+            fulfilment: `${API_PREFIX}/fulfilment`,
+            shipments: `${API_PREFIX}/shipments`,
+            tracking: `${API_PREFIX}/tracking`,
+            promoCodes: `${API_PREFIX}/promo-codes`,
+            affiliates: `${API_PREFIX}/affiliates`
         },
         documentation: 'https://docs.mallgram.org'
     });
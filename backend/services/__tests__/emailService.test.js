@@ -0,0 +1,55 @@
+/**
+ * Email templates escape text typed by customers and admins
+ */
+
+jest.mock('../../config/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+jest.mock('../../config/supabase', () => require('../../test/supabaseMock').module);
+
+const emailService = require('../emailService');
+
+const script = '<script>alert("x")</script>';
+
+describe('generateEmailTemplate', () => {
+    it('escapes the reason and admin notes of a return update', () => {
+        const html = emailService.generateEmailTemplate('return_update', {
+            name: 'Thandi & Co',
+            statusLabel: 'Rejected',
+            message: 'Unfortunately we cannot accept your return request.',
+            orderNumber: 'AB12CD34',
+            returnNumber: 'RMA-1',
+            reason: script,
+            adminNotes: `<img src=x onerror=alert(1)>`,
+            orderId: 'ord-1'
+        });
+
+        expect(html).not.toContain('<script>');
+        expect(html).not.toContain('<img');
+        expect(html).toContain('&#60;script&#62;');
+        expect(html).toContain('Thandi &#38; Co');
+    });
+
+    it('escapes the cancellation reason', () => {
+        const html = emailService.generateEmailTemplate('order_cancelled', {
+            name: 'Buyer',
+            orderNumber: 'AB12CD34',
+            reason: script,
+            orderId: 'ord-1'
+        });
+
+        expect(html).not.toContain('<script>');
+        expect(html).toContain('&#60;script&#62;alert(&#34;x&#34;)&#60;/script&#62;');
+    });
+
+    it('escapes product names in the order confirmation', () => {
+        const html = emailService.generateEmailTemplate('order_confirmation', {
+            name: 'Buyer',
+            orderNumber: 'AB12CD34',
+            currency: 'ZAR',
+            items: [{ name: script, quantity: 1, price: 10 }],
+            total: 10,
+            orderId: 'ord-1'
+        });
+
+        expect(html).not.toContain('<script>');
+    });
+});
@@ -0,0 +1,106 @@
+/**
+ * OAuth token cache: tokens are reused until shortly before they expire,
+ * concurrent callers share one refresh, and a request the provider answers
+ * with 401 is retried once with a fresh token
+ */
+
+jest.mock('../../config/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+const OAuthTokenCache = require('../oauthTokenCache');
+
+const unauthorized = () => Object.assign(new Error('Request failed with status code 401'), { response: { status: 401 } });
+
+let issued;
+let fetchToken;
+let cache;
+
+beforeEach(() => {
+    jest.useFakeTimers({ now: new Date('2026-10-19T12:00:00Z') });
+
+    issued = 0;
+    fetchToken = jest.fn(async () => ({ access_token: `token-${++issued}`, expires_in: 3600 }));
+    cache = new OAuthTokenCache('MTN MoMo', fetchToken);
+});
+
+afterEach(() => {
+    jest.useRealTimers();
+});
+
+describe('getToken', () => {
+    it('reuses a token until a minute before it expires', async () => {
+        await expect(cache.getToken()).resolves.toBe('token-1');
+
+        jest.advanceTimersByTime(58 * 60 * 1000);
+        await expect(cache.getToken()).resolves.toBe('token-1');
+
+        jest.advanceTimersByTime(60 * 1000);
+        await expect(cache.getToken()).resolves.toBe('token-2');
+        expect(fetchToken).toHaveBeenCalledTimes(2);
+    });
+
+    it('shares one refresh between concurrent callers', async () => {
+        const tokens = await Promise.all([cache.getToken(), cache.getToken(), cache.getToken()]);
+
+        expect(tokens).toEqual(['token-1', 'token-1', 'token-1']);
+        expect(fetchToken).toHaveBeenCalledTimes(1);
+    });
+
+    it('lets the next caller try again after a failed refresh', async () => {
+        fetchToken.mockRejectedValueOnce(new Error('Request failed with status code 500'));
+
+        const results = await Promise.allSettled([cache.getToken(), cache.getToken()]);
+
+        expect(results.map(result => result.status)).toEqual(['rejected', 'rejected']);
+        expect(fetchToken).toHaveBeenCalledTimes(1);
+        await expect(cache.getToken()).resolves.toBe('token-1');
+    });
+
+    it('refuses a token response without an access token', async () => {
+        fetchToken.mockResolvedValueOnce({ error: 'invalid_client' });
+
+        await expect(cache.getToken()).rejects.toThrow('MTN MoMo token response did not include an access token');
+    });
+});
+
+describe('withToken', () => {
+    it('retries a request the provider answered with 401 once, with a fresh token', async () => {
+        const request = jest.fn(async token => {
+            if (token === 'token-1') {
+                throw unauthorized();
+            }
+
+            return { status: 'SUCCESSFUL' };
+        });
+
+        await expect(cache.withToken(request)).resolves.toEqual({ status: 'SUCCESSFUL' });
+        expect(request.mock.calls.map(call => call[0])).toEqual(['token-1', 'token-2']);
+    });
+
+    it('gives up after the retry is rejected too', async () => {
+        const request = jest.fn().mockRejectedValue(unauthorized());
+
+        await expect(cache.withToken(request)).rejects.toMatchObject({ response: { status: 401 } });
+        expect(request).toHaveBeenCalledTimes(2);
+    });
+
+    it('does not retry other errors', async () => {
+        const request = jest.fn().mockRejectedValue(Object.assign(new Error('Request failed with status code 500'), { response: { status: 500 } }));
+
+        await expect(cache.withToken(request)).rejects.toThrow('status code 500');
+        expect(request).toHaveBeenCalledTimes(1);
+        expect(fetchToken).toHaveBeenCalledTimes(1);
+    });
+
+    it('refreshes a rejected token once for concurrent requests', async () => {
+        const request = jest.fn(async token => {
+            if (token === 'token-1') {
+                throw unauthorized();
+            }
+
+            return token;
+        });
+
+        await expect(Promise.all([cache.withToken(request), cache.withToken(request)])).resolves.toEqual(['token-2', 'token-2']);
+        expect(fetchToken).toHaveBeenCalledTimes(2);
+    });
+});
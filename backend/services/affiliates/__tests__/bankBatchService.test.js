@@ -0,0 +1,79 @@
+/**
+ * Bank payout batches: the bulk payment CSV lists the payouts still in the
+ * batch, and confirming it pays them except the lines the bank rejected
+ */
+
+jest.mock('../../../config/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+jest.mock('../../../config/supabase', () => require('../../../test/supabaseMock').module);
+
+const db = require('../../../test/supabaseMock');
+const bankBatchService = require('../bankBatchService');
+
+const admin = { id: 'admin-1' };
+
+const payout = (id, status, account, code = 'THANDI') => ({
+    id,
+    batch_id: 'batch-1',
+    payout_amount: 1250,
+    currency: 'ZAR',
+    payout_status: status,
+    created_at: `2026-10-0${id.slice(-1)}T08:00:00Z`,
+    promo_codes: { code },
+    affiliates: { id: `aff-${id}`, bank_account: account }
+});
+
+const account = { holder: 'Thandi Nkosi', bank: 'FNB', branch_code: '250655', account_number: '62812345678' };
+
+beforeEach(() => {
+    db.reset({
+        affiliate_payout_batches: [{ id: 'batch-1', currency: 'ZAR', status: 'exported', payout_count: 3, total_amount: 3750 }],
+        affiliate_payouts: [
+            payout('a1b2c3d4-0001', 'exported', account),
+            payout('e5f6a7b8-0002', 'exported', {
+                ...account,
+                holder: 'Mokoena, Sipho "Sly"',
+                account_number: '1029384756',
+                account_type: 'savings'
+            }, 'SIPHOWEEKENDSPECIALS'),
+            payout('c9d0e1f2-0003', 'failed', account)
+        ]
+    });
+});
+
+describe('toCsv', () => {
+    it('writes one bank line per payout still in the batch', async () => {
+        const csv = bankBatchService.toCsv(await bankBatchService.getBatch('batch-1'));
+
+        expect(csv.split('\r\n')).toEqual([
+            'Beneficiary Name,Bank,Branch Code,Account Number,Account Type,Amount,Beneficiary Reference,Own Reference',
+            'Thandi Nkosi,FNB,250655,62812345678,cheque,1250.00,MALLGRAM THANDI,AFF-A1B2C3D4',
+            '"Mokoena, Sipho ""Sly""",FNB,250655,1029384756,savings,1250.00,MALLGRAM SIPHOWEEKEN,AFF-E5F6A7B8',
+            ''
+        ]);
+    });
+});
+
+describe('confirmBatch', () => {
+    it('pays the batch and fails the lines the bank rejected', async () => {
+        const stats = await bankBatchService.confirmBatch('batch-1', admin, {
+            rejected: [{ payout_id: 'e5f6a7b8-0002', reason: 'Account closed' }]
+        });
+
+        expect(stats).toMatchObject({ paid: 1, failed: 1 });
+        expect(db.tables.affiliate_payout_batches[0]).toMatchObject({ status: 'paid', confirmed_by: 'admin-1' });
+        expect(db.tables.affiliate_payouts.map(row => row.payout_status)).toEqual(['paid', 'failed', 'failed']);
+        expect(db.tables.affiliate_payouts[1].failure_reason).toBe('Account closed');
+    });
+
+    it('can only be confirmed once', async () => {
+        await bankBatchService.confirmBatch('batch-1', admin);
+
+        await expect(bankBatchService.confirmBatch('batch-1', admin)).rejects.toThrow('already confirmed');
+    });
+
+    it('refuses rejected lines from another batch', async () => {
+        await expect(bankBatchService.confirmBatch('batch-1', admin, { rejected: [{ payout_id: 'pay-elsewhere' }] }))
+            .rejects.toThrow('Payouts not in this batch: pay-elsewhere');
+        expect(db.tables.affiliate_payout_batches[0].status).toBe('exported');
+    });
+});
@@ -0,0 +1,239 @@
+/**
+ * Affiliate payouts: one payout per completed block of uses, claimed
+ * before any money moves, failed only when the gateway refused it, and
+ * bank payouts gathered into an exported batch
+ */
+
+jest.mock('../../../config/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+jest.mock('../../../config/supabase', () => require('../../../test/supabaseMock').module);
+jest.mock('../../emailService', () => ({ sendAffiliatePayoutEmail: jest.fn() }));
+jest.mock('../../payments', () => ({ get: jest.fn() }));
+
+const db = require('../../../test/supabaseMock');
+const emailService = require('../../emailService');
+const paymentGatewayRegistry = require('../../payments');
+const { rejectedTransfer } = require('../../payments/disbursementErrors');
+const payoutService = require('../payoutService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const daysAgo = (days) => new Date(Date.now() - days * DAY_MS).toISOString();
+const admin = { id: 'admin-1' };
+
+const affiliate = {
+    id: 'aff-1',
+    user_id: 'u-aff',
+    default_commission_amount: 5000,
+    threshold_uses: 10,
+    payout_method: 'mtn',
+    payout_currency: 'XAF',
+    country: 'CM',
+    mobile_money_number: '+237 6 71 23 45 67',
+    users: { email: 'kofi@example.com', full_name: 'Kofi Boateng' }
+};
+
+const bankAffiliate = {
+    ...affiliate,
+    id: 'aff-2',
+    payout_method: 'bank',
+    payout_currency: 'ZAR',
+    country: 'ZA',
+    mobile_money_number: null,
+    bank_account: { holder: 'Thandi Nkosi', bank: 'FNB', branch_code: '250655', account_number: '62812345678' }
+};
+
+const pendingPayout = (id, payoutAffiliate = affiliate, extra = {}) => ({
+    id,
+    affiliate_id: payoutAffiliate.id,
+    promo_code_id: 'promo-1',
+    block_number: 1,
+    payout_amount: payoutAffiliate.default_commission_amount,
+    currency: payoutAffiliate.payout_currency,
+    payout_status: 'pending',
+    attempts: 0,
+    created_at: daysAgo(1),
+    promo_codes: { code: 'KOFI10' },
+    affiliates: payoutAffiliate,
+    ...extra
+});
+
+const commissions = (count, createdAt, extra = {}) => Array.from({ length: count }, (_, index) => ({
+    id: `stat-${createdAt}-${index}`,
+    promo_code_id: 'promo-1',
+    order_id: `ord-${createdAt}-${index}`,
+    reversed_at: null,
+    created_at: createdAt,
+    ...extra
+}));
+
+let gateway;
+
+beforeEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+
+    db.reset({
+        promo_codes: [{ id: 'promo-1', code: 'KOFI10', affiliate_id: 'aff-1', affiliates: affiliate }],
+        affiliate_stats: [],
+        affiliate_payouts: []
+    }, {
+        affiliate_payouts: [['promo_code_id', 'block_number']]
+    });
+
+    gateway = {
+        disburse: jest.fn(async ({ referenceId }) => ({ status: 'pending', gateway_reference: referenceId, gateway_response: {} })),
+        getDisbursementStatus: jest.fn()
+    };
+    paymentGatewayRegistry.get.mockImplementation(id => id === 'mtn' ? gateway : null);
+    emailService.sendAffiliatePayoutEmail.mockResolvedValue({ success: true });
+});
+
+describe('createDuePayouts', () => {
+    it('creates a payout for each completed block past the hold period', async () => {
+        db.tables.affiliate_stats = [
+            ...commissions(24, daysAgo(45)),
+            // Not yet past the hold period, or reversed by a refund
+            ...commissions(5, daysAgo(3)),
+            ...commissions(3, daysAgo(45), { reversed_at: daysAgo(40) })
+        ];
+
+        const stats = await payoutService.createDuePayouts();
+
+        expect(stats).toMatchObject({ codes: 1, created: 2, notified: 2 });
+        expect(db.tables.affiliate_payouts.map(payout => payout.block_number)).toEqual([1, 2]);
+        expect(db.tables.affiliate_payouts[0]).toMatchObject({ payout_amount: 5000, currency: 'XAF', payout_status: 'pending' });
+    });
+
+    it('skips blocks that already have a payout', async () => {
+        db.tables.affiliate_stats = commissions(20, daysAgo(45));
+        db.tables.affiliate_payouts = [pendingPayout('pay-old', affiliate, { payout_status: 'paid' })];
+
+        await expect(payoutService.createDuePayouts()).resolves.toMatchObject({ created: 1 });
+        expect(db.tables.affiliate_payouts.map(payout => payout.block_number)).toEqual([1, 2]);
+    });
+
+    it('leaves a block an overlapping run created to the unique (promo_code_id, block_number)', async () => {
+        db.tables.affiliate_stats = commissions(10, daysAgo(45));
+        db.tables.affiliate_payouts = [pendingPayout('pay-other-run')];
+
+        // This run read the blocks before the other one wrote its payout
+        jest.spyOn(payoutService, 'getPayoutBlocks').mockResolvedValue(new Set());
+
+        await expect(payoutService.createDuePayouts()).resolves.toMatchObject({ created: 0, notified: 0 });
+        expect(db.tables.affiliate_payouts).toHaveLength(1);
+        expect(emailService.sendAffiliatePayoutEmail).not.toHaveBeenCalled();
+    });
+});
+
+describe('sendPendingPayouts through mobile money', () => {
+    beforeEach(() => {
+        db.tables.affiliate_payouts = [pendingPayout('pay-1')];
+    });
+
+    it('claims the payout with its transfer reference before calling the gateway', async () => {
+        gateway.disburse.mockImplementation(async ({ referenceId }) => {
+            expect(db.tables.affiliate_payouts[0]).toMatchObject({ payout_status: 'processing', gateway_reference: referenceId });
+            return { status: 'success', gateway_reference: referenceId, gateway_response: { status: 'SUCCESSFUL' } };
+        });
+
+        await expect(payoutService.sendPendingPayouts()).resolves.toMatchObject({ paid: 1 });
+
+        expect(gateway.disburse).toHaveBeenCalledWith(expect.objectContaining({ reference: 'pay-1', phoneNumber: affiliate.mobile_money_number }));
+        expect(db.tables.affiliate_payouts[0]).toMatchObject({ payout_status: 'paid', attempts: 1, payout_destination: '****4567' });
+    });
+
+    it('sends a payout once when two runs overlap', async () => {
+        const [first, second] = await Promise.all([payoutService.sendPendingPayouts(), payoutService.sendPendingPayouts()]);
+
+        expect(gateway.disburse).toHaveBeenCalledTimes(1);
+        expect(first.sent + second.sent).toBe(1);
+        expect(first.skipped + second.skipped).toBe(1);
+    });
+
+    it('fails a payout the gateway refused', async () => {
+        gateway.disburse.mockRejectedValue(rejectedTransfer('MTN refused the transfer: PAYEE_NOT_FOUND'));
+
+        await expect(payoutService.sendPendingPayouts()).resolves.toMatchObject({ failed: 1 });
+        expect(db.tables.affiliate_payouts[0]).toMatchObject({
+            payout_status: 'failed',
+            failure_reason: 'MTN refused the transfer: PAYEE_NOT_FOUND'
+        });
+    });
+
+    it('leaves a payout whose answer was lost processing, then settles it from the gateway', async () => {
+        gateway.disburse.mockRejectedValue(Object.assign(new Error('timeout of 30000ms exceeded'), { code: 'ECONNABORTED' }));
+
+        await expect(payoutService.sendPendingPayouts()).resolves.toMatchObject({ sent: 1, failed: 0 });
+
+        const { gateway_reference: reference } = db.tables.affiliate_payouts[0];
+        expect(db.tables.affiliate_payouts[0].payout_status).toBe('processing');
+
+        // The next run does not send it again
+        await payoutService.sendPendingPayouts();
+        expect(gateway.disburse).toHaveBeenCalledTimes(1);
+
+        gateway.getDisbursementStatus.mockResolvedValue({ status: 'success', gateway_response: { status: 'SUCCESSFUL' } });
+
+        await expect(payoutService.checkProcessingPayouts()).resolves.toMatchObject({ checked: 1, paid: 1 });
+        expect(gateway.getDisbursementStatus).toHaveBeenCalledWith(reference);
+        expect(db.tables.affiliate_payouts[0].payout_status).toBe('paid');
+    });
+
+    it('only fails a transfer the gateway never saw once the grace period is over', async () => {
+        Object.assign(db.tables.affiliate_payouts[0], {
+            payout_status: 'processing',
+            payout_method: 'mtn',
+            gateway_reference: 'c5b1a7e2-0f4d-4a53-9a61-3e2f1b7d9c10',
+            requested_at: new Date(Date.now() - 60 * 1000).toISOString()
+        });
+        gateway.getDisbursementStatus.mockResolvedValue({ status: 'not_found', reason: 'Transfer not found at MTN' });
+
+        await expect(payoutService.checkProcessingPayouts()).resolves.toMatchObject({ failed: 0 });
+        expect(db.tables.affiliate_payouts[0].payout_status).toBe('processing');
+
+        db.tables.affiliate_payouts[0].requested_at = new Date(Date.now() - 20 * 60 * 1000).toISOString();
+
+        await expect(payoutService.checkProcessingPayouts()).resolves.toMatchObject({ failed: 1 });
+        expect(db.tables.affiliate_payouts[0]).toMatchObject({ payout_status: 'failed', failure_reason: 'Transfer not found at MTN' });
+    });
+
+    it('sends a retried payout under a new reference', async () => {
+        gateway.disburse.mockRejectedValueOnce(rejectedTransfer('Orange Money refused the cash-in'));
+        await payoutService.sendPendingPayouts();
+        const firstReference = gateway.disburse.mock.calls[0][0].referenceId;
+
+        await payoutService.retryPayout('pay-1', admin);
+        expect(db.tables.affiliate_payouts[0]).toMatchObject({ payout_status: 'pending', gateway_reference: null });
+
+        await expect(payoutService.sendPendingPayouts()).resolves.toMatchObject({ sent: 1 });
+        expect(gateway.disburse.mock.calls[1][0].referenceId).not.toBe(firstReference);
+        expect(db.tables.affiliate_payouts[0]).toMatchObject({ payout_status: 'processing', attempts: 2 });
+    });
+
+    it('only retries failed payouts', async () => {
+        await expect(payoutService.retryPayout('pay-1', admin)).rejects.toThrow('Only failed payouts can be retried');
+    });
+});
+
+describe('sendPendingPayouts through the bank', () => {
+    it('exports payouts with usable bank details and fails the rest', async () => {
+        db.tables.affiliate_payouts = [
+            pendingPayout('pay-za-1', bankAffiliate),
+            pendingPayout('pay-za-2', { ...bankAffiliate, id: 'aff-3', bank_account: { ...bankAffiliate.bank_account, branch_code: '25' } }, {
+                promo_code_id: 'promo-2'
+            })
+        ];
+
+        const stats = await payoutService.sendPendingPayouts();
+
+        expect(stats).toMatchObject({ exported: 1, batches: 1, failed: 1 });
+        expect(db.tables.affiliate_payouts[0]).toMatchObject({
+            payout_status: 'exported',
+            payout_method: 'bank',
+            payout_destination: '****5678',
+            batch_id: db.tables.affiliate_payout_batches[0].id
+        });
+        expect(db.tables.affiliate_payouts[1]).toMatchObject({ payout_status: 'failed', failure_reason: 'Bank account needs a 6-digit branch code' });
+        expect(db.tables.affiliate_payout_batches[0]).toMatchObject({ currency: 'ZAR', status: 'exported', payout_count: 1, total_amount: 5000 });
+        expect(gateway.disburse).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,171 @@
+/**
+ * Referral links: a typed code wins over a link, the customer's latest
+ * click counts, affiliates are never credited through their own link and
+ * a referral claimed by one account stays with it
+ */
+
+jest.mock('../../../config/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+jest.mock('../../../config/supabase', () => require('../../../test/supabaseMock').module);
+jest.mock('../../orders/etaService', () => ({ estimate: jest.fn() }));
+
+const db = require('../../../test/supabaseMock');
+const { ValidationError } = require('../../../middleware/errorHandler');
+const etaService = require('../../orders/etaService');
+const fxService = require('../../fx');
+const pricingService = require('../../orders/pricingService');
+const referralService = require('../referralService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const daysAgo = (days) => new Date(Date.now() - days * DAY_MS).toISOString();
+
+const promo = (id, code, affiliateId, affiliateUserId, discountPercent) => ({
+    id,
+    code,
+    status: 'active',
+    affiliate_id: affiliateId,
+    affiliates: { user_id: affiliateUserId },
+    usage_count: 0,
+    usage_limit: null,
+    per_user_limit: null,
+    discount_type: 'percentage',
+    discount_percent: discountPercent,
+    currency: 'USD',
+    min_spend: null,
+    countries: [],
+    categories: [],
+    stacks_with_wholesale: true
+});
+
+const kofi = promo('promo-kofi', 'KOFI10', 'aff-kofi', 'u-kofi', 10);
+const thandi = promo('promo-thandi', 'THANDI15', 'aff-thandi', 'u-thandi', 15);
+
+// A click of a link some days ago, claimed by userId if given
+const click = (id, link, ageDays, userId = null) => ({
+    id,
+    promo_code_id: link.id,
+    affiliate_id: link.affiliate_id,
+    user_id: userId,
+    claimed_at: userId ? daysAgo(ageDays) : null,
+    expires_at: daysAgo(ageDays - referralService.attributionDays),
+    created_at: daysAgo(ageDays),
+    promo_codes: { code: link.code },
+    affiliates: link.affiliates
+});
+
+const referralOf = (id) => db.tables.affiliate_referrals.find(referral => referral.id === id);
+
+beforeEach(() => {
+    fxService.cache = null;
+
+    db.reset({
+        promo_codes: [kofi, thandi, promo('promo-welcome', 'WELCOME10', null, null, 10)],
+        affiliate_referrals: [],
+        products: [{
+            id: 'prod-headset',
+            name: 'Bluetooth headset',
+            price: 10,
+            currency: 'USD',
+            category: 'Consumer Electronics',
+            stock: 500,
+            is_active: true,
+            shipping_info: { cost: 2 }
+        }],
+        exchange_rates: [{ base_currency: 'USD', quote_currency: 'ZAR', rate: 18.5, source: 'fixture', fetched_at: new Date().toISOString() }],
+        orders: []
+    });
+
+    etaService.estimate.mockResolvedValue({ earliest: '2026-11-02', latest: '2026-11-09' });
+});
+
+describe('a typed code', () => {
+    it('wins over the customer\'s referral link, and nobody is credited', async () => {
+        db.tables.affiliate_referrals = [click('ref-1', kofi, 2, 'u-ama')];
+
+        const referral = await referralService.resolve('u-ama');
+        const cart = await pricingService.priceCart({
+            items: [{ product_id: 'prod-headset', quantity: 1 }],
+            country: 'ZA',
+            promoCode: 'WELCOME10',
+            userId: 'u-ama',
+            referral
+        });
+
+        expect(referral).toMatchObject({ id: 'ref-1', code: 'KOFI10' });
+        expect(cart).toMatchObject({ promo_source: 'code', referral_id: null });
+        expect(cart.promo_code.code).toBe('WELCOME10');
+    });
+});
+
+describe('last click wins', () => {
+    it('attributes the customer to their most recent unexpired click', async () => {
+        db.tables.affiliate_referrals = [
+            click('ref-old', kofi, 20, 'u-ama'),
+            click('ref-new', thandi, 3, 'u-ama'),
+            click('ref-expired', kofi, referralService.attributionDays + 1, 'u-ama')
+        ];
+
+        await expect(referralService.resolve('u-ama')).resolves.toMatchObject({ id: 'ref-new', code: 'THANDI15' });
+    });
+
+    it('claims a link clicked before signing in and lets it win over older clicks', async () => {
+        db.tables.affiliate_referrals = [
+            click('ref-claimed', thandi, 10, 'u-ama'),
+            click('ref-guest', kofi, 1)
+        ];
+
+        await expect(referralService.resolve('u-ama', 'ref-guest')).resolves.toMatchObject({ id: 'ref-guest', code: 'KOFI10' });
+        expect(referralOf('ref-guest')).toMatchObject({ user_id: 'u-ama' });
+        expect(referralOf('ref-guest').claimed_at).toBeTruthy();
+    });
+
+    it('starts a new window with a new click of the same link', async () => {
+        db.tables.affiliate_referrals = [click('ref-old', kofi, referralService.attributionDays - 1, 'u-ama')];
+
+        const { referral_id: referralId, expires_at: expiresAt } = await referralService.recordClick({ code: 'KOFI10', userId: 'u-ama', country: 'za' });
+
+        expect(referralOf(referralId)).toMatchObject({ user_id: 'u-ama', country: 'ZA', affiliate_id: 'aff-kofi' });
+        expect(new Date(expiresAt) - Date.now()).toBeGreaterThan((referralService.attributionDays - 1) * DAY_MS);
+        await expect(referralService.resolve('u-ama')).resolves.toMatchObject({ id: referralId, expires_at: expiresAt });
+    });
+});
+
+describe('no self-referral', () => {
+    it('refuses a click of an affiliate\'s own link', async () => {
+        await expect(referralService.recordClick({ code: 'KOFI10', userId: 'u-kofi' }))
+            .rejects.toThrow(new ValidationError('You cannot use your own referral link', 'ref'));
+        expect(db.tables.affiliate_referrals).toHaveLength(0);
+    });
+
+    it('does not credit an affiliate who clicked their own link before signing in', async () => {
+        db.tables.affiliate_referrals = [click('ref-guest', kofi, 1)];
+
+        await expect(referralService.resolve('u-kofi', 'ref-guest')).resolves.toBeNull();
+        expect(referralOf('ref-guest').user_id).toBeNull();
+    });
+});
+
+describe('a claimed referral', () => {
+    beforeEach(() => {
+        db.tables.affiliate_referrals = [click('ref-ama', kofi, 2, 'u-ama')];
+    });
+
+    it('is not handed to another account', async () => {
+        await expect(referralService.claim('ref-ama', 'u-sipho')).resolves.toBeNull();
+        await expect(referralService.resolve('u-sipho', 'ref-ama')).resolves.toBeNull();
+        expect(referralOf('ref-ama').user_id).toBe('u-ama');
+    });
+
+    it('is not given to a guest who sends its ID', async () => {
+        await expect(referralService.resolve(null, 'ref-ama')).resolves.toBeNull();
+    });
+
+    it('does not replace the other account\'s own referral', async () => {
+        db.tables.affiliate_referrals.push(click('ref-sipho', thandi, 5, 'u-sipho'));
+
+        await expect(referralService.resolve('u-sipho', 'ref-ama')).resolves.toMatchObject({ id: 'ref-sipho' });
+    });
+
+    it('is still returned to the account that claimed it', async () => {
+        await expect(referralService.claim('ref-ama', 'u-ama')).resolves.toMatchObject({ id: 'ref-ama' });
+    });
+});
@@ -0,0 +1,316 @@
+/**
+ * Bank Batch Service
+ *
+ * South African affiliates are paid by EFT. Their pending payouts are
+ * gathered into an affiliate_payout_batches row per currency and exported
+ * as a bulk payment CSV (beneficiary, branch code, account, amount,
+ * reference) for upload to the bank's business banking. Once the bank has
+ * processed the file an admin confirms the batch, which marks its payouts
+ * paid; lines the bank rejected are marked failed for a retry.
+ *
+ * @author Mallgram Backend Team
+ */
+
+const { supabase } = require('../../config/supabase');
+const logger = require('../../config/logger');
+const { NotFoundError, ConflictError, ValidationError } = require('../../middleware/errorHandler');
+const { Money } = require('../../utils/money');
+
+const CSV_COLUMNS = [
+    ['holder', 'Beneficiary Name'],
+    ['bank', 'Bank'],
+    ['branch_code', 'Branch Code'],
+    ['account_number', 'Account Number'],
+    ['account_type', 'Account Type'],
+    ['amount', 'Amount'],
+    ['beneficiary_reference', 'Beneficiary Reference'],
+    ['own_reference', 'Own Reference']
+];
+
+const ACCOUNT_TYPES = ['cheque', 'savings', 'transmission'];
+
+// Banks cut statement references at 20 characters
+const MAX_REFERENCE_LENGTH = 20;
+
+class BankBatchService {
+    /**
+     * Check an affiliate's bank details before a payout is batched
+     * @param {Object} account - affiliates.bank_account: { holder, bank, branch_code, account_number, account_type }
+     * @returns {string|null} - What is wrong, or null if the account can be paid
+     */
+    checkAccount(account) {
+        if (!account || !account.account_number) {
+            return 'No bank account on file';
+        }
+
+        if (!account.holder) {
+            return 'Bank account has no account holder';
+        }
+
+        if (!/^\d{6}$/.test(String(account.branch_code || ''))) {
+            return 'Bank account needs a 6-digit branch code';
+        }
+
+        if (account.account_type && !ACCOUNT_TYPES.includes(account.account_type)) {
+            return `Bank account type must be one of: ${ACCOUNT_TYPES.join(', ')}`;
+        }
+
+        return null;
+    }
+
+    /**
+     * Put pending bank payouts into one batch per currency
+     * @param {Array} payouts - Pending payouts with their affiliates
+     * @returns {Promise<Array>} - Batches created
+     */
+    async createBatches(payouts) {
+        const byCurrency = new Map();
+
+        payouts.forEach(payout => {
+            const list = byCurrency.get(payout.currency) || [];
+            list.push(payout);
+            byCurrency.set(payout.currency, list);
+        });
+
+        const batches = [];
+
+        for (const [currency, list] of byCurrency) {
+            const now = new Date().toISOString();
+
+            const { data: batch, error } = await supabase
+                .from('affiliate_payout_batches')
+                .insert({
+                    currency,
+                    status: 'exported',
+                    payout_count: 0,
+                    total_amount: 0,
+                    created_at: now,
+                    updated_at: now
+                })
+                .select()
+                .single();
+
+            if (error) {
+                throw new Error(`Failed to create payout batch: ${error.message}`);
+            }
+
+            let total = Money.zero(currency);
+            let count = 0;
+
+            for (const payout of list) {
+                // Only payouts still pending join the batch, so a payout is never in two files
+                const { data: exported, error: updateError } = await supabase
+                    .from('affiliate_payouts')
+                    .update({
+                        payout_status: 'exported',
+                        payout_method: 'bank',
+                        payout_destination: `****${String(payout.affiliates.bank_account.account_number).slice(-4)}`,
+                        batch_id: batch.id,
+                        attempts: (payout.attempts || 0) + 1,
+                        requested_at: now,
+                        failure_reason: null,
+                        updated_at: now
+                    })
+                    .eq('id', payout.id)
+                    .eq('payout_status', 'pending')
+                    .select();
+
+                if (updateError) {
+                    throw new Error(`Failed to add payout ${payout.id} to batch: ${updateError.message}`);
+                }
+
+                if (exported && exported.length > 0) {
+                    total = total.add(Money.fromMajor(payout.payout_amount, currency));
+                    count++;
+                }
+            }
+
+            const { data: saved, error: totalError } = await supabase
+                .from('affiliate_payout_batches')
+                .update({ payout_count: count, total_amount: total.toMajor() })
+                .eq('id', batch.id)
+                .select()
+                .single();
+
+            if (totalError) {
+                throw new Error(`Failed to total payout batch ${batch.id}: ${totalError.message}`);
+            }
+
+            logger.info('Affiliate payout batch exported', {
+                batchId: batch.id,
+                currency,
+                payouts: count,
+                total: total.toString()
+            });
+
+            batches.push(saved);
+        }
+
+        return batches;
+    }
+
+    /**
+     * Get a batch with its payouts and the affiliates' bank details
+     * @param {string} batchId - Batch ID
+     * @returns {Promise<Object>} - { batch, payouts }
+     */
+    async getBatch(batchId) {
+        const { data: batch, error } = await supabase
+            .from('affiliate_payout_batches')
+            .select('*')
+            .eq('id', batchId)
+            .single();
+
+        if (error || !batch) {
+            throw new NotFoundError('Payout batch not found');
+        }
+
+        const { data: payouts, error: payoutError } = await supabase
+            .from('affiliate_payouts')
+            .select('*, promo_codes(code), affiliates(id, bank_account)')
+            .eq('batch_id', batchId)
+            .order('created_at', { ascending: true });
+
+        if (payoutError) {
+            throw new Error(`Failed to load batch payouts: ${payoutError.message}`);
+        }
+
+        return { batch, payouts: payouts || [] };
+    }
+
+    /**
+     * Batches, newest first
+     * @param {Object} filters - { status }
+     * @returns {Promise<Array>}
+     */
+    async listBatches({ status } = {}) {
+        let query = supabase
+            .from('affiliate_payout_batches')
+            .select('*')
+            .order('created_at', { ascending: false });
+
+        if (status) {
+            query = query.eq('status', status);
+        }
+
+        const { data: batches, error } = await query;
+
+        if (error) {
+            throw new Error(`Failed to load payout batches: ${error.message}`);
+        }
+
+        return batches || [];
+    }
+
+    /**
+     * Batch as a bulk payment CSV, one row per payout
+     * Payouts taken out of the batch (failed) are left out.
+     * @param {Object} batchData - From getBatch()
+     * @returns {string}
+     */
+    toCsv({ batch, payouts }) {
+        const escape = (value) => {
+            const text = value === null || value === undefined ? '' : String(value);
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+
+        const lines = payouts
+            .filter(payout => payout.payout_status === 'exported' || payout.payout_status === 'paid')
+            .map(payout => {
+                const account = payout.affiliates?.bank_account || {};
+
+                return {
+                    holder: account.holder,
+                    bank: account.bank,
+                    branch_code: account.branch_code,
+                    account_number: account.account_number,
+                    account_type: account.account_type || 'cheque',
+                    amount: Money.fromMajor(payout.payout_amount, batch.currency).toString(),
+                    beneficiary_reference: `MALLGRAM ${payout.promo_codes?.code || ''}`.trim().slice(0, MAX_REFERENCE_LENGTH),
+                    own_reference: `AFF-${payout.id.slice(0, 8).toUpperCase()}`
+                };
+            });
+
+        const rows = [
+            CSV_COLUMNS.map(([, heading]) => heading),
+            ...lines.map(line => CSV_COLUMNS.map(([key]) => line[key]))
+        ];
+
+        return rows.map(row => row.map(escape).join(',')).join('\r\n') + '\r\n';
+    }
+
+    /**
+     * Record that the bank paid a batch
+     * @param {string} batchId - Batch ID
+     * @param {Object} admin - Admin confirming the batch
+     * @param {Object} options
+     * @param {Array} [options.rejected] - [{ payout_id, reason }] lines the bank did not pay
+     * @returns {Promise<Object>} - { batch, paid, failed }
+     */
+    async confirmBatch(batchId, admin, { rejected = [] } = {}) {
+        if (!Array.isArray(rejected)) {
+            throw new ValidationError('rejected must be a list of { payout_id, reason }', 'rejected');
+        }
+
+        const { batch, payouts } = await this.getBatch(batchId);
+
+        if (batch.status !== 'exported') {
+            throw new ConflictError('Payout batch is already confirmed');
+        }
+
+        const reasons = new Map(rejected.map(line => [line.payout_id, line.reason || 'Rejected by the bank']));
+        const unknown = [...reasons.keys()].filter(id => !payouts.some(payout => payout.id === id));
+
+        if (unknown.length > 0) {
+            throw new ValidationError(`Payouts not in this batch: ${unknown.join(', ')}`, 'rejected');
+        }
+
+        const now = new Date().toISOString();
+        const { data: confirmed, error } = await supabase
+            .from('affiliate_payout_batches')
+            .update({ status: 'paid', confirmed_by: admin.id, confirmed_at: now, updated_at: now })
+            .eq('id', batchId)
+            .eq('status', 'exported')
+            .select();
+
+        if (error) {
+            throw new Error(`Failed to confirm payout batch: ${error.message}`);
+        }
+
+        if (!confirmed || confirmed.length === 0) {
+            throw new ConflictError('Payout batch is already confirmed');
+        }
+
+        const stats = { batch: confirmed[0], paid: 0, failed: 0 };
+
+        for (const payout of payouts.filter(line => line.payout_status === 'exported')) {
+            const reason = reasons.get(payout.id);
+            const updates = reason
+                ? { payout_status: 'failed', failure_reason: reason }
+                : { payout_status: 'paid', paid_at: now };
+
+            const { error: payoutError } = await supabase
+                .from('affiliate_payouts')
+                .update({ ...updates, updated_at: now })
+                .eq('id', payout.id)
+                .eq('payout_status', 'exported');
+
+            if (payoutError) {
+                throw new Error(`Failed to update payout ${payout.id}: ${payoutError.message}`);
+            }
+
+            stats[reason ? 'failed' : 'paid']++;
+        }
+
+        logger.info('Affiliate payout batch confirmed', {
+            batchId,
+            adminId: admin.id,
+            paid: stats.paid,
+            failed: stats.failed
+        });
+
+        return stats;
+    }
+}
+
+module.exports = new BankBatchService();
@@ -0,0 +1,622 @@
+/**
+ * Affiliate Payout Service
+ *
+ * Keeps the payout ledger (affiliate_payouts) and pays affiliates:
+ * - Every threshold_uses orders placed with an affiliate's promo code earn
+ *   one payout of default_commission_amount. Block 1 is the first
+ *   threshold_uses orders, block 2 the next, and so on; each block is paid
+ *   once (UNIQUE(promo_code_id, block_number)).
+ * - Only commissions that were not reversed (cancelled or returned
+ *   orders) and are older than AFFILIATE_PAYOUT_HOLD_DAYS count, so an
+ *   order still inside its return window does not earn a payout yet
+ * - Payouts go out by the affiliate's payout_method: MTN or Orange Money
+ *   disbursement, or a bank batch file for South African affiliates
+ *   (bankBatchService), which an admin uploads to the bank and confirms
+ *
+ * Payout statuses:
+ *   pending -> processing -> paid      (mobile money)
+ *   pending -> exported -> paid        (bank batch)
+ *   any of the above -> failed -> pending (admin retry)
+ *
+ * A mobile money payout gets its gateway reference when it is claimed, so
+ * it is only ever sent once under that reference; it fails only when the
+ * gateway refused it or has no record of it, and a retry gets a new one.
+ *
+ * @author Mallgram Backend Team
+ */
+
+const crypto = require('crypto');
+const { supabase } = require('../../config/supabase');
+const logger = require('../../config/logger');
+const { NotFoundError, ConflictError, ValidationError } = require('../../middleware/errorHandler');
+const { Money } = require('../../utils/money');
+const emailService = require('../emailService');
+const paymentGatewayRegistry = require('../payments');
+const { isRejection } = require('../payments/disbursementErrors');
+const bankBatchService = require('./bankBatchService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const PAYOUT_STATUSES = ['pending', 'processing', 'exported', 'paid', 'failed'];
+
+// Mobile money gateways affiliates can be paid through
+const MOBILE_MONEY_METHODS = ['mtn', 'orange'];
+
+// Upper bound on payouts sent in one run
+const BATCH_SIZE = 100;
+
+// How long a transfer the gateway has no record of may still be on its way
+const NOT_FOUND_GRACE_MS = 15 * 60 * 1000;
+
+const UNIQUE_VIOLATION = '23505';
+
+const AFFILIATE_FIELDS = `
+    id,
+    user_id,
+    default_commission_amount,
+    threshold_uses,
+    payout_method,
+    payout_currency,
+    country,
+    mobile_money_number,
+    bank_account,
+    users(email, full_name)
+`;
+
+/**
+ * Last four characters of an account or phone number, for the ledger
+ */
+const maskDestination = (value) => value ? `****${String(value).replace(/\s/g, '').slice(-4)}` : null;
+
+class AffiliatePayoutService {
+    constructor() {
+        this.holdDays = parseInt(process.env.AFFILIATE_PAYOUT_HOLD_DAYS) || 30;
+    }
+
+    /**
+     * Create a payout for every block of uses an affiliate promo code has
+     * completed and not been paid for, and email the affiliate
+     * @returns {Promise<Object>} - { codes, created, notified }
+     */
+    async createDuePayouts() {
+        const { data: promoCodes, error } = await supabase
+            .from('promo_codes')
+            .select(`id, code, affiliate_id, affiliates(${AFFILIATE_FIELDS})`)
+            .not('affiliate_id', 'is', null);
+
+        if (error) {
+            throw new Error(`Failed to load affiliate promo codes: ${error.message}`);
+        }
+
+        const cutoff = new Date(Date.now() - this.holdDays * DAY_MS).toISOString();
+        const stats = { codes: (promoCodes || []).length, created: 0, notified: 0 };
+
+        for (const promoCode of promoCodes || []) {
+            try {
+                const affiliate = promoCode.affiliates;
+                const thresholdUses = parseInt(affiliate?.threshold_uses) || 0;
+
+                if (!affiliate || thresholdUses < 1) {
+                    continue;
+                }
+
+                const uses = await this.countQualifyingUses(promoCode.id, cutoff);
+                const paidBlocks = await this.getPayoutBlocks(promoCode.id);
+                const completedBlocks = Math.floor(uses / thresholdUses);
+
+                for (let block = 1; block <= completedBlocks; block++) {
+                    if (paidBlocks.has(block)) {
+                        continue;
+                    }
+
+                    const payout = await this.createPayout(promoCode, affiliate, block);
+
+                    if (payout) {
+                        stats.created++;
+
+                        if (await this.notifyAffiliate(payout, promoCode, affiliate)) {
+                            stats.notified++;
+                        }
+                    }
+                }
+            } catch (error) {
+                logger.error(`Failed to create payouts for promo code ${promoCode.code}:`, error);
+            }
+        }
+
+        return stats;
+    }
+
+    /**
+     * Orders placed with a promo code that count towards payouts
+     * @param {string} promoCodeId - Promo code ID
+     * @param {string} cutoff - Only commissions recorded before this time count
+     * @returns {Promise<number>}
+     */
+    async countQualifyingUses(promoCodeId, cutoff) {
+        const { data: affiliateStats, error } = await supabase
+            .from('affiliate_stats')
+            .select('id')
+            .eq('promo_code_id', promoCodeId)
+            .is('reversed_at', null)
+            .lte('created_at', cutoff);
+
+        if (error) {
+            throw new Error(`Failed to count affiliate commissions: ${error.message}`);
+        }
+
+        return (affiliateStats || []).length;
+    }
+
+    /**
+     * Block numbers a promo code already has a payout for
+     * @param {string} promoCodeId - Promo code ID
+     * @returns {Promise<Set>}
+     */
+    async getPayoutBlocks(promoCodeId) {
+        const { data: payouts, error } = await supabase
+            .from('affiliate_payouts')
+            .select('block_number')
+            .eq('promo_code_id', promoCodeId);
+
+        if (error) {
+            throw new Error(`Failed to load affiliate payouts: ${error.message}`);
+        }
+
+        return new Set((payouts || []).map(payout => payout.block_number));
+    }
+
+    /**
+     * Add a block's payout to the ledger
+     * @returns {Promise<Object|null>} - The payout, or null if another run created it first
+     */
+    async createPayout(promoCode, affiliate, block) {
+        const now = new Date().toISOString();
+        const amount = Money.fromMajor(affiliate.default_commission_amount, affiliate.payout_currency || 'XAF');
+
+        const { data: payout, error } = await supabase
+            .from('affiliate_payouts')
+            .insert({
+                affiliate_id: affiliate.id,
+                promo_code_id: promoCode.id,
+                block_number: block,
+                payout_amount: amount.toMajor(),
+                currency: amount.currency,
+                payout_status: 'pending',
+                created_at: now,
+                updated_at: now
+            })
+            .select()
+            .single();
+
+        if (error) {
+            if (error.code === UNIQUE_VIOLATION) {
+                return null;
+            }
+
+            throw new Error(`Failed to create payout: ${error.message}`);
+        }
+
+        logger.info('Affiliate payout created', {
+            payoutId: payout.id,
+            affiliateId: affiliate.id,
+            promoCode: promoCode.code,
+            block,
+            amount: amount.toString(),
+            currency: amount.currency
+        });
+
+        return payout;
+    }
+
+    /**
+     * Email the affiliate that a payout is on its way
+     * Never throws: a missing email must not hold up the payout.
+     * @returns {Promise<boolean>} - Whether the email was sent
+     */
+    async notifyAffiliate(payout, promoCode, affiliate) {
+        if (!affiliate.users?.email) {
+            return false;
+        }
+
+        try {
+            const threshold = parseInt(affiliate.threshold_uses);
+
+            await emailService.sendAffiliatePayoutEmail(
+                affiliate.users.email,
+                {
+                    name: affiliate.users.full_name,
+                    amount: parseFloat(payout.payout_amount),
+                    currency: payout.currency,
+                    period: `Orders ${(payout.block_number - 1) * threshold + 1} to ${payout.block_number * threshold}`,
+                    totalSales: threshold,
+                    promoCode: promoCode.code
+                },
+                affiliate.user_id
+            );
+
+            await supabase
+                .from('affiliate_payouts')
+                .update({ notified_at: new Date().toISOString() })
+                .eq('id', payout.id);
+
+            return true;
+        } catch (error) {
+            logger.error(`Failed to send payout email for payout ${payout.id}:`, error);
+            return false;
+        }
+    }
+
+    /**
+     * Send pending payouts: mobile money payouts are disbursed one by one,
+     * bank payouts are gathered into a batch file per currency
+     * @returns {Promise<Object>} - { sent, paid, exported, batches, failed, skipped }
+     */
+    async sendPendingPayouts() {
+        const { data: payouts, error } = await supabase
+            .from('affiliate_payouts')
+            .select(`*, promo_codes(code), affiliates(${AFFILIATE_FIELDS})`)
+            .eq('payout_status', 'pending')
+            .order('created_at', { ascending: true })
+            .limit(BATCH_SIZE);
+
+        if (error) {
+            throw new Error(`Failed to load pending payouts: ${error.message}`);
+        }
+
+        const stats = { sent: 0, paid: 0, exported: 0, batches: 0, failed: 0, skipped: 0 };
+        const bankPayouts = [];
+
+        for (const payout of payouts || []) {
+            const affiliate = payout.affiliates;
+            const method = affiliate?.payout_method;
+
+            if (method === 'bank') {
+                const problem = bankBatchService.checkAccount(affiliate.bank_account);
+
+                if (problem) {
+                    await this.markFailed(payout, problem, 'pending');
+                    stats.failed++;
+                } else {
+                    bankPayouts.push(payout);
+                }
+                continue;
+            }
+
+            if (!MOBILE_MONEY_METHODS.includes(method)) {
+                await this.markFailed(payout, 'No payout method on file', 'pending');
+                stats.failed++;
+                continue;
+            }
+
+            const result = await this.disburse(payout, affiliate);
+            stats[result]++;
+        }
+
+        if (bankPayouts.length > 0) {
+            const batches = await bankBatchService.createBatches(bankPayouts);
+
+            stats.batches = batches.length;
+            stats.exported = batches.reduce((sum, batch) => sum + batch.payout_count, 0);
+        }
+
+        return stats;
+    }
+
+    /**
+     * Pay one payout through MTN or Orange Money
+     * The payout is claimed first (pending -> processing) together with the
+     * transfer reference sent to the gateway, so two runs never send it
+     * twice and a transfer whose answer was lost can still be looked up.
+     * Only a transfer the gateway refused fails the payout; any other error
+     * leaves it processing for checkProcessingPayouts() to settle.
+     * @returns {Promise<string>} - sent, paid, failed, or skipped when another run claimed it
+     */
+    async disburse(payout, affiliate) {
+        const gateway = paymentGatewayRegistry.get(affiliate.payout_method);
+
+        if (!gateway || typeof gateway.disburse !== 'function') {
+            await this.markFailed(payout, `${affiliate.payout_method} does not support payouts`, 'pending');
+            return 'failed';
+        }
+
+        if (!affiliate.mobile_money_number) {
+            await this.markFailed(payout, 'No mobile money number on file', 'pending');
+            return 'failed';
+        }
+
+        const gatewayReference = crypto.randomUUID();
+
+        const claimed = await this.updatePayout(payout.id, 'pending', {
+            payout_status: 'processing',
+            payout_method: affiliate.payout_method,
+            payout_destination: maskDestination(affiliate.mobile_money_number),
+            gateway_reference: gatewayReference,
+            attempts: (payout.attempts || 0) + 1,
+            requested_at: new Date().toISOString(),
+            failure_reason: null
+        });
+
+        if (!claimed) {
+            return 'skipped';
+        }
+
+        let result;
+
+        try {
+            result = await gateway.disburse({
+                amount: Money.fromMajor(payout.payout_amount, payout.currency),
+                reference: payout.id,
+                referenceId: gatewayReference,
+                phoneNumber: affiliate.mobile_money_number,
+                country: affiliate.country,
+                note: `Mallgram affiliate payout #${payout.block_number}`
+            });
+        } catch (error) {
+            if (isRejection(error)) {
+                logger.error(`Affiliate payout ${payout.id} was refused:`, error);
+                await this.markFailed(payout, error.message, 'processing');
+                return 'failed';
+            }
+
+            // The gateway may have accepted the transfer; never send it again blind
+            logger.warn(`Affiliate payout ${payout.id} sent with no answer; left processing to be checked`, {
+                gatewayReference,
+                error: error.message
+            });
+            return 'sent';
+        }
+
+        try {
+            await this.updatePayout(payout.id, 'processing', {
+                gateway_response: result.gateway_response
+            });
+
+            if (result.status === 'success') {
+                await this.markPaid(claimed);
+                return 'paid';
+            }
+        } catch (error) {
+            // The money is on its way; checkProcessingPayouts() records the outcome
+            logger.error(`Failed to record affiliate payout ${payout.id} after sending it:`, error);
+        }
+
+        return 'sent';
+    }
+
+    /**
+     * Ask MTN and Orange Money how payouts that are still processing went
+     * A transfer the gateway has no record of is only failed once
+     * NOT_FOUND_GRACE_MS have passed since it was sent, so a request still
+     * on its way is not mistaken for one that never arrived.
+     * @returns {Promise<Object>} - { checked, paid, failed }
+     */
+    async checkProcessingPayouts() {
+        const { data: payouts, error } = await supabase
+            .from('affiliate_payouts')
+            .select('*')
+            .eq('payout_status', 'processing')
+            .limit(BATCH_SIZE);
+
+        if (error) {
+            throw new Error(`Failed to load processing payouts: ${error.message}`);
+        }
+
+        const stats = { checked: 0, paid: 0, failed: 0 };
+
+        for (const payout of payouts || []) {
+            const gateway = paymentGatewayRegistry.get(payout.payout_method);
+
+            if (!payout.gateway_reference || !gateway || typeof gateway.getDisbursementStatus !== 'function') {
+                continue;
+            }
+
+            try {
+                const result = await gateway.getDisbursementStatus(payout.gateway_reference);
+                stats.checked++;
+
+                if (result.status === 'success') {
+                    await this.markPaid(payout, { gateway_response: result.gateway_response });
+                    stats.paid++;
+                } else if (result.status === 'failed') {
+                    await this.markFailed(payout, result.reason || 'Rejected by the gateway', 'processing');
+                    stats.failed++;
+                } else if (result.status === 'not_found' &&
+                    Date.now() - new Date(payout.requested_at).getTime() > NOT_FOUND_GRACE_MS) {
+                    await this.markFailed(payout, result.reason || 'Transfer never reached the gateway', 'processing');
+                    stats.failed++;
+                }
+            } catch (error) {
+                logger.error(`Failed to check affiliate payout ${payout.id}:`, error);
+            }
+        }
+
+        return stats;
+    }
+
+    /**
+     * Record a payout as paid
+     * @param {Object} payout - Payout in processing or exported
+     * @param {Object} [updates] - Extra columns to store
+     * @returns {Promise<Object|null>}
+     */
+    async markPaid(payout, updates = {}) {
+        const paid = await this.updatePayout(payout.id, payout.payout_status, {
+            ...updates,
+            payout_status: 'paid',
+            paid_at: new Date().toISOString()
+        });
+
+        if (paid) {
+            logger.info('Affiliate payout paid', {
+                payoutId: payout.id,
+                affiliateId: payout.affiliate_id,
+                amount: payout.payout_amount,
+                currency: payout.currency
+            });
+        }
+
+        return paid;
+    }
+
+    /**
+     * Record a payout as failed; an admin retries it once fixed
+     * @param {Object} payout - Payout
+     * @param {string} reason - Why it failed
+     * @param {string} fromStatus - Status it must still be in
+     * @returns {Promise<Object|null>}
+     */
+    async markFailed(payout, reason, fromStatus) {
+        logger.warn('Affiliate payout failed', { payoutId: payout.id, reason });
+
+        return this.updatePayout(payout.id, fromStatus, {
+            payout_status: 'failed',
+            failure_reason: reason
+        });
+    }
+
+    /**
+     * Put a failed payout back in the queue (after the affiliate's payout
+     * details were corrected)
+     * @param {string} payoutId - Payout ID
+     * @param {Object} admin - Admin user retrying the payout
+     * @returns {Promise<Object>}
+     */
+    async retryPayout(payoutId, admin) {
+        const payout = await this.updatePayout(payoutId, 'failed', {
+            payout_status: 'pending',
+            batch_id: null,
+            gateway_reference: null
+        });
+
+        if (payout) {
+            logger.info('Affiliate payout queued again', { payoutId, adminId: admin.id });
+            return payout;
+        }
+
+        await this.getPayout(payoutId);
+        throw new ConflictError('Only failed payouts can be retried');
+    }
+
+    /**
+     * Conditional status update: only applies if the payout is still in fromStatus
+     * @returns {Promise<Object|null>} - Updated payout, or null if its status had changed
+     */
+    async updatePayout(payoutId, fromStatus, updates) {
+        const { data: updated, error } = await supabase
+            .from('affiliate_payouts')
+            .update({ ...updates, updated_at: new Date().toISOString() })
+            .eq('id', payoutId)
+            .eq('payout_status', fromStatus)
+            .select();
+
+        if (error) {
+            throw new Error(`Failed to update payout ${payoutId}: ${error.message}`);
+        }
+
+        return updated && updated.length > 0 ? updated[0] : null;
+    }
+
+    /**
+     * Get a payout
+     * @param {string} payoutId - Payout ID
+     * @returns {Promise<Object>}
+     */
+    async getPayout(payoutId) {
+        const { data: payout, error } = await supabase
+            .from('affiliate_payouts')
+            .select('*')
+            .eq('id', payoutId)
+            .single();
+
+        if (error || !payout) {
+            throw new NotFoundError('Payout not found');
+        }
+
+        return payout;
+    }
+
+    /**
+     * Payout ledger for admins, newest first
+     * @param {Object} filters - { status, affiliateId }
+     * @returns {Promise<Array>}
+     */
+    async listPayouts({ status, affiliateId } = {}) {
+        if (status && !PAYOUT_STATUSES.includes(status)) {
+            throw new ValidationError(`Status must be one of: ${PAYOUT_STATUSES.join(', ')}`, 'status');
+        }
+
+        let query = supabase
+            .from('affiliate_payouts')
+            .select('*, promo_codes(code)')
+            .order('created_at', { ascending: false });
+
+        if (status) {
+            query = query.eq('payout_status', status);
+        }
+
+        if (affiliateId) {
+            query = query.eq('affiliate_id', affiliateId);
+        }
+
+        const { data: payouts, error } = await query;
+
+        if (error) {
+            throw new Error(`Failed to load payouts: ${error.message}`);
+        }
+
+        return payouts || [];
+    }
+
+    /**
+     * An affiliate's own ledger: their payouts, what has been paid and
+     * what is on its way, and how far each promo code is from its next payout
+     * @param {Object} affiliate - Affiliate record
+     * @returns {Promise<Object>} - { payouts, totals, promo_codes }
+     */
+    async getAffiliateLedger(affiliate) {
+        const payouts = await this.listPayouts({ affiliateId: affiliate.id });
+        const totals = {};
+
+        payouts.forEach(payout => {
+            const bucket = payout.payout_status === 'paid' ? 'paid'
+                : payout.payout_status === 'failed' ? 'on_hold' : 'in_progress';
+            const currency = payout.currency;
+
+            totals[currency] = totals[currency] || {
+                paid: Money.zero(currency),
+                in_progress: Money.zero(currency),
+                on_hold: Money.zero(currency)
+            };
+            totals[currency][bucket] = totals[currency][bucket].add(Money.fromMajor(payout.payout_amount, currency));
+        });
+
+        const { data: promoCodes, error } = await supabase
+            .from('promo_codes')
+            .select('id, code')
+            .eq('affiliate_id', affiliate.id);
+
+        if (error) {
+            throw new Error(`Failed to load promo codes: ${error.message}`);
+        }
+
+        const cutoff = new Date(Date.now() - this.holdDays * DAY_MS).toISOString();
+        const threshold = parseInt(affiliate.threshold_uses) || 0;
+
+        const progress = [];
+
+        for (const promoCode of promoCodes || []) {
+            const uses = await this.countQualifyingUses(promoCode.id, cutoff);
+
+            progress.push({
+                code: promoCode.code,
+                qualifying_uses: uses,
+                uses_to_next_payout: threshold > 0 ? threshold - (uses % threshold) : null
+            });
+        }
+
+        return { payouts, totals, promo_codes: progress };
+    }
+}
+
+module.exports = new AffiliatePayoutService();
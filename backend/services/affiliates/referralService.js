@@ -0,0 +1,233 @@
+/**
+ * Referral Service
+ *
+ * Affiliate referral links (/za?ref=CODE) credit an affiliate without the
+ * buyer typing their promo code. Each click of a link is stored in
+ * affiliate_referrals and attributes the visitor to the link's promo code
+ * for AFFILIATE_ATTRIBUTION_DAYS. The browser keeps the referral ID until
+ * the visitor signs in or signs up, when the referral is claimed for their
+ * account; from then on it follows the customer to any device.
+ *
+ * Attributed orders use the existing path: the order is priced with the
+ * link's promo code, stored in orders.promo_code_id (with referral_id) and
+ * credited in affiliate_stats once paid.
+ *
+ * Precedence:
+ * - A code typed by the customer always wins over a link, and a typed code
+ *   that cannot be used is refused as before
+ * - Without a typed code, the customer's most recent unexpired click
+ *   counts (last click wins); a new click of any link starts a new window
+ * - A link never blocks checkout: if its code cannot be used on the cart
+ *   (expired, used up, other country, minimum spend...) the order is placed
+ *   at the normal price and nobody is credited
+ * - Affiliates are never credited through their own link
+ * - A referral claimed by one account is not handed to another
+ *
+ * @author Mallgram Backend Team
+ */
+
+const { supabase } = require('../../config/supabase');
+const logger = require('../../config/logger');
+const { ValidationError } = require('../../middleware/errorHandler');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Longest landing path and referrer kept with a click
+const MAX_URL_LENGTH = 500;
+
+const REFERRAL_FIELDS = `
+    id,
+    promo_code_id,
+    affiliate_id,
+    user_id,
+    expires_at,
+    created_at,
+    promo_codes(code),
+    affiliates(user_id)
+`;
+
+class ReferralService {
+    constructor() {
+        this.attributionDays = parseInt(process.env.AFFILIATE_ATTRIBUTION_DAYS) || 30;
+    }
+
+    /**
+     * Record a click of a referral link
+     * @param {Object} params
+     * @param {string} params.code - Promo code from the link's ref parameter
+     * @param {string} [params.userId] - Visitor, if signed in
+     * @param {string} [params.country] - Storefront the link points to
+     * @param {string} [params.landingPath] - Page the link opened
+     * @param {string} [params.referrer] - Page the link was clicked on
+     * @returns {Promise<Object>} - { referral_id, code, expires_at }
+     */
+    async recordClick({ code, userId = null, country, landingPath, referrer }) {
+        if (!code || !String(code).trim()) {
+            throw new ValidationError('ref is required', 'ref');
+        }
+
+        const { data: promoCode, error } = await supabase
+            .from('promo_codes')
+            .select('id, code, status, affiliate_id, affiliates(user_id)')
+            .eq('code', String(code).trim())
+            .single();
+
+        if (error || !promoCode || promoCode.status !== 'active' || !promoCode.affiliate_id) {
+            throw new ValidationError('Invalid or inactive referral link', 'ref');
+        }
+
+        if (userId && promoCode.affiliates?.user_id === userId) {
+            throw new ValidationError('You cannot use your own referral link', 'ref');
+        }
+
+        const now = new Date();
+        const { data: referral, error: insertError } = await supabase
+            .from('affiliate_referrals')
+            .insert({
+                promo_code_id: promoCode.id,
+                affiliate_id: promoCode.affiliate_id,
+                user_id: userId,
+                country: country ? String(country).toUpperCase() : null,
+                landing_path: landingPath ? String(landingPath).slice(0, MAX_URL_LENGTH) : null,
+                referrer: referrer ? String(referrer).slice(0, MAX_URL_LENGTH) : null,
+                claimed_at: userId ? now.toISOString() : null,
+                expires_at: new Date(now.getTime() + this.attributionDays * DAY_MS).toISOString(),
+                created_at: now.toISOString()
+            })
+            .select()
+            .single();
+
+        if (insertError) {
+            throw new Error(`Failed to record referral: ${insertError.message}`);
+        }
+
+        logger.info('Affiliate referral recorded', {
+            referralId: referral.id,
+            affiliateId: promoCode.affiliate_id,
+            promoCodeId: promoCode.id,
+            userId
+        });
+
+        return {
+            referral_id: referral.id,
+            code: promoCode.code,
+            expires_at: referral.expires_at
+        };
+    }
+
+    /**
+     * Attribute a referral the browser kept to the customer who signed in
+     * Stale, expired or foreign referrals are ignored rather than refused,
+     * since the browser may hold on to one for a long time.
+     * @param {string} referralId - Referral ID from recordClick()
+     * @param {string} userId - Signed-in customer
+     * @returns {Promise<Object|null>} - The referral, or null if it cannot be claimed
+     */
+    async claim(referralId, userId) {
+        const referral = await this.getActiveReferral(referralId);
+
+        if (!referral || referral.affiliates?.user_id === userId) {
+            return null;
+        }
+
+        if (referral.user_id) {
+            return referral.user_id === userId ? referral : null;
+        }
+
+        const { data: claimed, error } = await supabase
+            .from('affiliate_referrals')
+            .update({ user_id: userId, claimed_at: new Date().toISOString() })
+            .eq('id', referralId)
+            .is('user_id', null)
+            .select(REFERRAL_FIELDS);
+
+        if (error) {
+            throw new Error(`Failed to claim referral: ${error.message}`);
+        }
+
+        if (!claimed || claimed.length === 0) {
+            return null;
+        }
+
+        logger.info('Affiliate referral claimed', {
+            referralId,
+            affiliateId: referral.affiliate_id,
+            userId
+        });
+
+        return claimed[0];
+    }
+
+    /**
+     * Referral that applies to a customer's cart, if any
+     * A referral ID sent by the browser is claimed first, so a link clicked
+     * before signing in counts on the first order.
+     * @param {string} [userId] - Customer; guests only get the referral they send
+     * @param {string} [referralId] - Referral ID kept by the browser
+     * @returns {Promise<Object|null>} - { id, promo_code_id, affiliate_id, code, expires_at }
+     */
+    async resolve(userId, referralId = null) {
+        let referral = null;
+
+        if (!userId) {
+            const sent = referralId ? await this.getActiveReferral(referralId) : null;
+            referral = sent && !sent.user_id ? sent : null;
+        } else {
+            if (referralId) {
+                await this.claim(referralId, userId);
+            }
+
+            referral = await this.getLatestForUser(userId);
+        }
+
+        if (!referral) {
+            return null;
+        }
+
+        return {
+            id: referral.id,
+            promo_code_id: referral.promo_code_id,
+            affiliate_id: referral.affiliate_id,
+            code: referral.promo_codes?.code,
+            expires_at: referral.expires_at
+        };
+    }
+
+    /**
+     * A customer's most recent referral that has not expired
+     */
+    async getLatestForUser(userId) {
+        const { data: referrals, error } = await supabase
+            .from('affiliate_referrals')
+            .select(REFERRAL_FIELDS)
+            .eq('user_id', userId)
+            .gt('expires_at', new Date().toISOString())
+            .order('created_at', { ascending: false })
+            .limit(1);
+
+        if (error) {
+            throw new Error(`Failed to load referrals: ${error.message}`);
+        }
+
+        return referrals && referrals.length > 0 ? referrals[0] : null;
+    }
+
+    /**
+     * A referral by ID, or null if it does not exist or has expired
+     */
+    async getActiveReferral(referralId) {
+        const { data: referral, error } = await supabase
+            .from('affiliate_referrals')
+            .select(REFERRAL_FIELDS)
+            .eq('id', referralId)
+            .single();
+
+        if (error || !referral || new Date(referral.expires_at) <= new Date()) {
+            return null;
+        }
+
+        return referral;
+    }
+}
+
+module.exports = new ReferralService();
@@ -17,6 +17,10 @@
 const nodemailer = require('nodemailer');
 const { supabase } = require('../config/supabase');
 const logger = require('../config/logger');
+const { formatMoney } = require('../utils/money');
+
+// Currency assumed when a caller does not say which one an amount is in
+const DEFAULT_CURRENCY = 'XAF';
 
 class EmailService {
     constructor() {
@@ -182,6 +186,31 @@ class EmailService {
      * @returns {string} - HTML email content
      */
     generateEmailTemplate(templateName, data) {
+        // Names, reasons, notes and carrier text are typed by customers, admins or
+        // carriers, so every text value is escaped before it goes into the HTML
+        const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+
+        // Every template is built below, so amounts a template does not use may be missing
+        const money = (amount) => (amount === undefined || amount === null)
+            ? ''
+            : formatMoney(amount, data.currency || DEFAULT_CURRENCY);
+
+        // Price breakdown line; skipped when the amount is missing or zero
+        const summaryRow = (label, amount) => (amount === undefined || amount === null || Number(amount) === 0)
+            ? ''
+            : `
+                                <tr>
+                                    <td colspan="2" style="padding: 10px; border: 1px solid #ddd;">${label}</td>
+                                    <td style="padding: 10px; text-align: right; border: 1px solid #ddd;">${money(amount)}</td>
+                                </tr>`;
+
+        // Shipment journey, oldest first: one row per supplier, hub and carrier event
+        const journeyRows = (data.journey || []).map(event => `
+                                <tr>
+                                    <td style="padding: 6px 10px; border-bottom: 1px solid #eee; white-space: nowrap; color: #666;">${new Date(event.occurred_at).toUTCString().slice(5, 22)}</td>
+                                    <td style="padding: 6px 10px; border-bottom: 1px solid #eee;">${escapeHtml(event.description)}${event.location ? `<br><span style="color: #666;">${escapeHtml(event.location)}</span>` : ''}</td>
+                                </tr>`).join('');
+
         const baseStyle = `
             <style>
                 body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; margin: 0; padding: 20px; background-color: #f5f5f5; }
@@ -206,7 +235,7 @@ class EmailService {
                             <h1>Welcome to Mallgram!</h1>
                         </div>
                         <div class="content">
-                            <h2>Hello ${data.name}!</h2>
+                            <h2>Hello ${escapeHtml(data.name)}!</h2>
                             <p>Thank you for joining Mallgram, your gateway to quality products from China delivered across Africa.</p>
                             <p>Your account has been successfully created. You can now:</p>
                             <ul>
@@ -237,8 +266,8 @@ class EmailService {
                             <h1>Order Confirmed!</h1>
                         </div>
                         <div class="content">
-                            <h2>Hello ${data.name}!</h2>
-                            <p>Your order <strong>#${data.orderNumber}</strong> has been confirmed and is being processed.</p>
+                            <h2>Hello ${escapeHtml(data.name)}!</h2>
+                            <p>Your order <strong>#${escapeHtml(data.orderNumber)}</strong> has been confirmed and is being processed.</p>
                             
                             <h3>Order Details:</h3>
                             <table style="width: 100%; border-collapse: collapse; margin: 20px 0;">
@@ -249,21 +278,26 @@ class EmailService {
                                 </tr>
                                 ${data.items?.map(item => `
                                     <tr>
-                                        <td style="padding: 10px; border: 1px solid #ddd;">${item.name}</td>
+                                        <td style="padding: 10px; border: 1px solid #ddd;">${escapeHtml(item.name)}</td>
                                         <td style="padding: 10px; text-align: right; border: 1px solid #ddd;">${item.quantity}</td>
-                                        <td style="padding: 10px; text-align: right; border: 1px solid #ddd;">XAF ${item.price}</td>
+                                        <td style="padding: 10px; text-align: right; border: 1px solid #ddd;">${money(item.price)}</td>
                                     </tr>
                                 `).join('') || ''}
+                                ${summaryRow('Subtotal', data.subtotal)}
+                                ${summaryRow('Discount', data.discount ? -data.discount : null)}
+                                ${summaryRow('Shipping', data.shipping)}
+                                ${summaryRow('Import Duty', data.duty)}
+                                ${summaryRow(`VAT${data.vatRate ? ` (${+(data.vatRate * 100).toFixed(2)}%)` : ''}`, data.tax)}
                                 <tr style="background-color: #f8f9fa; font-weight: bold;">
                                     <td colspan="2" style="padding: 10px; border: 1px solid #ddd;">Total</td>
-                                    <td style="padding: 10px; text-align: right; border: 1px solid #ddd;">XAF ${data.total}</td>
+                                    <td style="padding: 10px; text-align: right; border: 1px solid #ddd;">${money(data.total)}</td>
                                 </tr>
                             </table>
                             
-                            <p><strong>Estimated Delivery:</strong> ${data.estimatedDelivery}</p>
-                            <p><strong>Tracking Number:</strong> ${data.trackingNumber || 'Will be provided soon'}</p>
+                            <p><strong>Estimated Delivery:</strong> ${escapeHtml(data.estimatedDelivery)}</p>
+                            <p><strong>Tracking Number:</strong> ${escapeHtml(data.trackingNumber || 'Will be provided soon')}</p>
                             
-                            <a href="${process.env.FRONTEND_URL}/orders/${data.orderId}" class="button">Track Order</a>
+                            <a href="${process.env.FRONTEND_URL}/orders/${escapeHtml(data.orderId)}" class="button">Track Order</a>
                         </div>
                         <div class="footer">
                             <p>&copy; 2025 Mallgram. All rights reserved.</p>
@@ -283,7 +317,7 @@ class EmailService {
                             <h1>Password Reset</h1>
                         </div>
                         <div class="content">
-                            <h2>Hello ${data.name}!</h2>
+                            <h2>Hello ${escapeHtml(data.name)}!</h2>
                             <p>You requested to reset your password for your Mallgram account.</p>
                             <p>Click the button below to reset your password. This link will expire in 1 hour.</p>
                             <a href="${data.resetUrl}" class="button">Reset Password</a>
@@ -308,15 +342,15 @@ class EmailService {
                             <h1>Affiliate Payout Ready!</h1>
                         </div>
                         <div class="content">
-                            <h2>Hello ${data.name}!</h2>
+                            <h2>Hello ${escapeHtml(data.name)}!</h2>
                             <p>Congratulations! Your affiliate commission is ready for payout.</p>
                             
                             <h3>Payout Details:</h3>
                             <ul>
-                                <li><strong>Commission Amount:</strong> XAF ${data.amount}</li>
-                                <li><strong>Period:</strong> ${data.period}</li>
-                                <li><strong>Total Sales:</strong> ${data.totalSales}</li>
-                                <li><strong>Promo Code:</strong> ${data.promoCode}</li>
+                                <li><strong>Commission Amount:</strong> ${money(data.amount)}</li>
+                                <li><strong>Period:</strong> ${escapeHtml(data.period)}</li>
+                                <li><strong>Total Sales:</strong> ${escapeHtml(data.totalSales)}</li>
+                                <li><strong>Promo Code:</strong> ${escapeHtml(data.promoCode)}</li>
                             </ul>
                             
                             <a href="${process.env.FRONTEND_URL}/affiliate/payouts" class="button">View Payout Details</a>
@@ -329,6 +363,162 @@ class EmailService {
                     </div>
                 </body>
                 </html>
+            `,
+
+            refund: `
+                <!DOCTYPE html>
+                <html>
+                <head><meta charset="utf-8">${baseStyle}</head>
+                <body>
+                    <div class="container">
+                        <div class="header">
+                            <h1>Refund Issued</h1>
+                        </div>
+                        <div class="content">
+                            <h2>Hello ${escapeHtml(data.name)}!</h2>
+                            <p>We have issued a ${data.isFullRefund ? 'full' : 'partial'} refund for your order <strong>#${escapeHtml(data.orderNumber)}</strong>.</p>
+                            
+                            <h3>Refund Details:</h3>
+                            <ul>
+                                <li><strong>Amount:</strong> ${money(data.amount)}</li>
+                                <li><strong>Reason:</strong> ${escapeHtml(data.reason)}</li>
+                            </ul>
+                            
+                            <p>The money will be returned to the payment method you used. Depending on your bank or mobile money provider, it can take 3-10 business days to appear.</p>
+                            
+                            <a href="${process.env.FRONTEND_URL}/orders/${escapeHtml(data.orderId)}" class="button">View Order</a>
+                        </div>
+                        <div class="footer">
+                            <p>&copy; 2025 Mallgram. All rights reserved.</p>
+                        </div>
+                    </div>
+                </body>
+                </html>
+            `,
+
+            order_cancelled: `
+                <!DOCTYPE html>
+                <html>
+                <head><meta charset="utf-8">${baseStyle}</head>
+                <body>
+                    <div class="container">
+                        <div class="header">
+                            <h1>Order Cancelled</h1>
+                        </div>
+                        <div class="content">
+                            <h2>Hello ${escapeHtml(data.name)}!</h2>
+                            <p>Your order <strong>#${escapeHtml(data.orderNumber)}</strong> has been cancelled.</p>
+                            ${data.reason ? `<p><strong>Reason:</strong> ${escapeHtml(data.reason)}</p>` : ''}
+                            ${data.refundAmount ? `<p>A refund of <strong>${money(data.refundAmount)}</strong> is on its way to the payment method you used. You will receive a separate email once it has been issued.</p>` : ''}
+                            <p>If you did not ask for this cancellation, please contact our support team.</p>
+                            
+                            <a href="${process.env.FRONTEND_URL}/orders/${escapeHtml(data.orderId)}" class="button">View Order</a>
+                        </div>
+                        <div class="footer">
+                            <p>&copy; 2025 Mallgram. All rights reserved.</p>
+                        </div>
+                    </div>
+                </body>
+                </html>
+            `,
+
+            return_update: `
+                <!DOCTYPE html>
+                <html>
+                <head><meta charset="utf-8">${baseStyle}</head>
+                <body>
+                    <div class="container">
+                        <div class="header">
+                            <h1>Return ${escapeHtml(data.statusLabel)}</h1>
+                        </div>
+                        <div class="content">
+                            <h2>Hello ${escapeHtml(data.name)}!</h2>
+                            <p>${escapeHtml(data.message)}</p>
+                            
+                            <h3>Return Details:</h3>
+                            <ul>
+                                <li><strong>Order:</strong> #${escapeHtml(data.orderNumber)}</li>
+                                <li><strong>Return Reference:</strong> ${escapeHtml(data.returnNumber)}</li>
+                                <li><strong>Reason:</strong> ${escapeHtml(data.reason)}</li>
+                                ${data.adminNotes ? `<li><strong>Note from Mallgram:</strong> ${escapeHtml(data.adminNotes)}</li>` : ''}
+                                ${data.refundAmount ? `<li><strong>Refund:</strong> ${money(data.refundAmount)}</li>` : ''}
+                            </ul>
+                            
+                            <a href="${process.env.FRONTEND_URL}/orders/${escapeHtml(data.orderId)}" class="button">View Order</a>
+                        </div>
+                        <div class="footer">
+                            <p>&copy; 2025 Mallgram. All rights reserved.</p>
+                        </div>
+                    </div>
+                </body>
+                </html>
+            `,
+
+            order_tracking: `
+                <!DOCTYPE html>
+                <html>
+                <head><meta charset="utf-8">${baseStyle}</head>
+                <body>
+                    <div class="container">
+                        <div class="header">
+                            <h1>Order Update</h1>
+                        </div>
+                        <div class="content">
+                            <h2>Hello ${escapeHtml(data.customerName)}!</h2>
+                            <p>There is news about your order <strong>#${escapeHtml(data.orderNumber)}</strong>.</p>
+                            
+                            <ul>
+                                <li><strong>Status:</strong> ${String(data.status || '').replace(/_/g, ' ')}</li>
+                                ${data.description ? `<li><strong>Latest Event:</strong> ${escapeHtml(data.description)}</li>` : ''}
+                                ${data.location ? `<li><strong>Location:</strong> ${escapeHtml(data.location)}</li>` : ''}
+                                ${data.estimatedDelivery ? `<li><strong>Estimated Delivery:</strong> ${escapeHtml(data.estimatedDelivery)}</li>` : ''}
+                                ${data.trackingNumber ? `<li><strong>Tracking Number:</strong> ${escapeHtml(data.trackingNumber)}</li>` : ''}
+                            </ul>
+                            ${journeyRows ? `
+                            <h3>Your Parcel's Journey:</h3>
+                            <table style="width: 100%; border-collapse: collapse; margin: 10px 0; font-size: 14px;">${journeyRows}
+                            </table>` : ''}
+                            
+                            <a href="${process.env.FRONTEND_URL}/orders/${escapeHtml(data.orderId)}" class="button">Track Order</a>
+                        </div>
+                        <div class="footer">
+                            <p>&copy; 2025 Mallgram. All rights reserved.</p>
+                        </div>
+                    </div>
+                </body>
+                </html>
+            `,
+
+            delivery_delay: `
+                <!DOCTYPE html>
+                <html>
+                <head><meta charset="utf-8">${baseStyle}</head>
+                <body>
+                    <div class="container">
+                        <div class="header">
+                            <h1>About Your Delivery</h1>
+                        </div>
+                        <div class="content">
+                            <h2>Hello ${escapeHtml(data.customerName)}!</h2>
+                            <p>${escapeHtml(data.message)}</p>
+                            
+                            <ul>
+                                ${data.carrierName ? `<li><strong>Carrier:</strong> ${escapeHtml(data.carrierName)}</li>` : ''}
+                                ${data.trackingNumber ? `<li><strong>Tracking Number:</strong> ${escapeHtml(data.trackingNumber)}</li>` : ''}
+                                ${data.latestEvent ? `<li><strong>Latest Event:</strong> ${escapeHtml(data.latestEvent)}</li>` : ''}
+                                ${data.estimatedDelivery ? `<li><strong>Estimated Delivery:</strong> ${escapeHtml(data.estimatedDelivery)}</li>` : ''}
+                            </ul>
+                            
+                            <p>We are sorry for the wait. Our support team is following this up with the carrier and will keep you posted; there is nothing you need to do.</p>
+                            
+                            <a href="${process.env.FRONTEND_URL}/orders/${escapeHtml(data.orderId)}" class="button">Track Order</a>
+                        </div>
+                        <div class="footer">
+                            <p>&copy; 2025 Mallgram. All rights reserved.</p>
+                        </div>
+                    </div>
+                </body>
+                </html>
             `
         };
 
@@ -361,7 +551,55 @@ class EmailService {
             to: email,
             subject: `Order Confirmation - #${orderData.orderNumber}`,
             html,
-            text: `Your order #${orderData.orderNumber} has been confirmed. Total: XAF ${orderData.total}`,
+            text: `Your order #${orderData.orderNumber} has been confirmed. Total: ${formatMoney(orderData.total, orderData.currency || DEFAULT_CURRENCY)}`,
+            category: 'order_confirmation',
+            userId
+        });
+    }
+
+    /**
+     * Send refund confirmation email
+     */
+    async sendRefundEmail(email, refundData, userId = null) {
+        const html = this.generateEmailTemplate('refund', refundData);
+        
+        return this.sendEmail({
+            to: email,
+            subject: `Refund Issued - Order #${refundData.orderNumber}`,
+            html,
+            text: `A refund of ${formatMoney(refundData.amount, refundData.currency)} has been issued for your order #${refundData.orderNumber}.`,
+            category: 'order_confirmation',
+            userId
+        });
+    }
+
+    /**
+     * Send order cancellation email
+     */
+    async sendOrderCancelledEmail(email, orderData, userId = null) {
+        const html = this.generateEmailTemplate('order_cancelled', orderData);
+        
+        return this.sendEmail({
+            to: email,
+            subject: `Order Cancelled - #${orderData.orderNumber}`,
+            html,
+            text: `Your order #${orderData.orderNumber} has been cancelled.${orderData.refundAmount ? ` A refund of ${formatMoney(orderData.refundAmount, orderData.currency || DEFAULT_CURRENCY)} is on its way.` : ''}`,
+            category: 'order_confirmation',
+            userId
+        });
+    }
+
+    /**
+     * Send return request status email (requested, approved, rejected, received)
+     */
+    async sendReturnUpdateEmail(email, returnData, userId = null) {
+        const html = this.generateEmailTemplate('return_update', returnData);
+        
+        return this.sendEmail({
+            to: email,
+            subject: `Return ${returnData.statusLabel} - Order #${returnData.orderNumber}`,
+            html,
+            text: `${returnData.message} Return reference: ${returnData.returnNumber}.`,
             category: 'order_confirmation',
             userId
         });
@@ -389,12 +627,13 @@ class EmailService {
      */
     async sendAffiliatePayoutEmail(email, payoutData, userId = null) {
         const html = this.generateEmailTemplate('affiliate_payout', payoutData);
+        const amount = formatMoney(payoutData.amount, payoutData.currency || DEFAULT_CURRENCY);
         
         return this.sendEmail({
             to: email,
-            subject: `Affiliate Payout Ready - XAF ${payoutData.amount}`,
+            subject: `Affiliate Payout Ready - ${amount}`,
             html,
-            text: `Your affiliate commission of XAF ${payoutData.amount} is ready for payout.`,
+            text: `Your affiliate commission of ${amount} is ready for payout.`,
             category: 'affiliate',
             userId
         });
@@ -536,12 +775,47 @@ class EmailService {
         const emailOptions = {
             to: email,
             subject: `Order Update: ${orderData.orderNumber}`,
-            html: emailContent
+            html: emailContent,
+            text: `Your order #${orderData.orderNumber} is now ${String(trackingUpdate.status || '').replace(/_/g, ' ')}.${trackingUpdate.estimatedDelivery ? ` Estimated delivery: ${trackingUpdate.estimatedDelivery}.` : ''}` +
+                (trackingUpdate.journey || [])
+                    .map(event => `\n${event.occurred_at.slice(0, 16).replace('T', ' ')}  ${event.description}${event.location ? ` (${event.location})` : ''}`)
+                    .join(''),
+            category: 'order_confirmation',
+            userId
         };
 
         return await this.sendEmail(emailOptions);
     }
 
+    /**
+     * Send an apology for a stalled, failed or late delivery
+     * @param {string} email - Customer email
+     * @param {Object} delayData - { orderId, orderNumber, customerName, kind, carrierName, trackingNumber, latestEvent, estimatedDelivery }
+     *   where kind is stalled, exception or missed_eta
+     * @param {string} userId - Customer user ID
+     */
+    async sendDeliveryDelayEmail(email, delayData, userId = null) {
+        const messages = {
+            stalled: `Your order #${delayData.orderNumber} has not had a tracking update from the carrier for a few days.`,
+            exception: `The carrier ran into a problem delivering your order #${delayData.orderNumber}.`,
+            missed_eta: `Your order #${delayData.orderNumber} is taking longer than we estimated.`
+        };
+        const message = messages[delayData.kind] || messages.missed_eta;
+
+        const html = this.generateEmailTemplate('delivery_delay', { ...delayData, message });
+
+        return this.sendEmail({
+            to: email,
+            subject: `Delivery Update: ${delayData.orderNumber}`,
+            html,
+            text: `${message}${delayData.latestEvent ? ` Latest event: ${delayData.latestEvent}.` : ''}` +
+                `${delayData.estimatedDelivery ? ` Estimated delivery: ${delayData.estimatedDelivery}.` : ''}` +
+                ' We are sorry for the wait. Our support team is following this up with the carrier and will keep you posted.',
+            category: 'order_confirmation',
+            userId
+        });
+    }
+
     /**
      * Send bulk emails (for newsletters, promotions)
      */
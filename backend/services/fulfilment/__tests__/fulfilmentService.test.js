@@ -0,0 +1,66 @@
+/**
+ * Fulfilment service: a supplier status the client does not recognise
+ * flags the order until the supplier reports a known one
+ */
+
+jest.mock('../../../config/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+jest.mock('../../../config/supabase', () => require('../../../test/supabaseMock').module);
+jest.mock('../../fx', () => ({ baseCurrency: 'USD' }));
+jest.mock('../../orders/pricingService', () => ({}));
+jest.mock('../../shipping/shipmentEventService', () => ({ recordOrderEvent: jest.fn() }));
+
+const db = require('../../../test/supabaseMock');
+const fulfilmentService = require('../fulfilmentService');
+
+const client = { id: 'aliexpress', name: 'AliExpress', placeOrder: jest.fn(), getOrderStatus: jest.fn() };
+fulfilmentService.registerClient(client);
+
+beforeEach(() => {
+    jest.clearAllMocks();
+    db.reset({
+        orders: [{ id: 'ord-1', status: 'paid', fulfilment_status: 'ordered', fulfilment_issue: null }],
+        purchase_orders: [{
+            id: 'po-1',
+            order_id: 'ord-1',
+            source: 'aliexpress',
+            supplier_name: 'Shenzhen Audio',
+            status: 'placed',
+            supplier_order_id: '8190001',
+            items: [],
+            updated_at: '2026-10-01T00:00:00Z',
+            created_at: '2026-10-01T00:00:00Z'
+        }]
+    });
+});
+
+describe('syncPlaced', () => {
+    it('flags the order when the supplier status is not recognised', async () => {
+        client.getOrderStatus.mockResolvedValueOnce({
+            status: 'needs_attention',
+            tracking_number: null,
+            message: 'AliExpress reported unrecognised status IN_ISSUE',
+            raw: {}
+        });
+
+        const stats = await fulfilmentService.syncPlaced();
+
+        expect(stats).toEqual({ checked: 1, changed: 1, errors: 0 });
+        expect(db.tables.purchase_orders[0]).toMatchObject({
+            status: 'needs_attention',
+            last_error: 'AliExpress reported unrecognised status IN_ISSUE'
+        });
+        expect(db.tables.orders[0].fulfilment_status).toBe('needs_attention');
+    });
+
+    it('clears the flag once the supplier reports a known status', async () => {
+        db.tables.purchase_orders[0].status = 'needs_attention';
+        db.tables.purchase_orders[0].last_error = 'AliExpress reported unrecognised status IN_ISSUE';
+        db.tables.orders[0].fulfilment_status = 'needs_attention';
+        client.getOrderStatus.mockResolvedValueOnce({ status: 'placed', tracking_number: null, message: null, raw: {} });
+
+        await fulfilmentService.syncPlaced();
+
+        expect(db.tables.purchase_orders[0]).toMatchObject({ status: 'placed', last_error: null });
+        expect(db.tables.orders[0]).toMatchObject({ fulfilment_status: 'ordered', fulfilment_issue: null });
+    });
+});
@@ -0,0 +1,127 @@
+/**
+ * Supplier clients: open platform request signing, and supplier statuses
+ * the client does not recognise flagging the order
+ */
+
+jest.mock('axios');
+jest.mock('../../../../config/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+process.env.ALIEXPRESS_API_KEY = 'ae-key';
+process.env.ALIEXPRESS_API_SECRET = 'ae-secret';
+process.env.ALIEXPRESS_ACCESS_TOKEN = 'ae-token';
+process.env.ALIBABA_API_KEY = '1688-key';
+process.env.ALIBABA_API_SECRET = '1688-secret';
+process.env.ALIBABA_ACCESS_TOKEN = '1688-token';
+
+const crypto = require('crypto');
+const axios = require('axios');
+const logger = require('../../../../config/logger');
+const aliexpressClient = require('../aliexpressClient');
+const alibabaClient = require('../alibabaClient');
+
+const hub = { name: 'Mallgram Hub', phone: '+8620000000', country: 'CN', province: 'Guangdong', city: 'Guangzhou', district: 'Baiyun', address: '1 Hub Road', zip: '510000' };
+const purchaseOrder = {
+    id: 'po-1',
+    supplier_order_id: '8190001',
+    items: [{ external_id: '1005001', quantity: 2 }]
+};
+
+// Parameters of the last form POST, and what they were signed over
+const lastRequest = () => {
+    const [url, form] = axios.post.mock.calls[axios.post.mock.calls.length - 1];
+    const params = Object.fromEntries(new URLSearchParams(form));
+    const { sign, _aop_signature: aopSignature, ...unsigned } = params;
+    const canonical = Object.keys(unsigned).sort().map(key => `${key}${unsigned[key]}`).join('');
+
+    return { url, params, sign: sign || aopSignature, canonical };
+};
+
+const hmac = (algorithm, secret, value) => crypto.createHmac(algorithm, secret).update(value).digest('hex').toUpperCase();
+
+beforeEach(() => {
+    jest.clearAllMocks();
+});
+
+describe('AliExpress client', () => {
+    it('signs ds.order.create with HMAC-SHA256 of the sorted parameters', async () => {
+        axios.post.mockResolvedValueOnce({
+            data: { aliexpress_ds_order_create_response: { result: { is_success: true, order_list: { number: [8190001] } } } }
+        });
+
+        const result = await aliexpressClient.placeOrder(purchaseOrder, hub);
+        const { url, params, sign, canonical } = lastRequest();
+
+        expect(url).toBe('https://api-sg.aliexpress.com/sync');
+        expect(params).toMatchObject({ app_key: 'ae-key', session: 'ae-token', method: 'aliexpress.ds.order.create', sign_method: 'sha256' });
+        expect(sign).toBe(hmac('sha256', 'ae-secret', canonical));
+        expect(result).toMatchObject({ status: 'placed', supplier_order_id: '8190001' });
+    });
+
+    it('returns stock refusals as out_of_stock', async () => {
+        axios.post.mockResolvedValueOnce({
+            data: { aliexpress_ds_order_create_response: { result: { is_success: false, error_code: 'B_DROPSHIPPER_INVENTORY_NOT_ENOUGH' } } }
+        });
+
+        const result = await aliexpressClient.placeOrder(purchaseOrder, hub);
+
+        expect(result.status).toBe('out_of_stock');
+    });
+
+    it('flags an order status it does not recognise', async () => {
+        axios.post.mockResolvedValueOnce({
+            data: { aliexpress_ds_trade_order_get_response: { result: { order_status: 'IN_ISSUE' } } }
+        });
+
+        const result = await aliexpressClient.getOrderStatus(purchaseOrder);
+
+        expect(result.status).toBe('needs_attention');
+        expect(result.message).toBe('AliExpress reported unrecognised status IN_ISSUE');
+        expect(logger.warn).toHaveBeenCalledWith('AliExpress reported an unrecognised order status', expect.objectContaining({ status: 'IN_ISSUE' }));
+    });
+
+    it('reads a finished order without tracking as closed', async () => {
+        axios.post.mockResolvedValueOnce({
+            data: { aliexpress_ds_trade_order_get_response: { result: { order_status: 'FINISH', end_reason: 'buyer_cancel_order' } } }
+        });
+
+        const result = await aliexpressClient.getOrderStatus(purchaseOrder);
+
+        expect(result).toMatchObject({ status: 'cancelled', message: 'buyer_cancel_order' });
+    });
+});
+
+describe('Alibaba client', () => {
+    it('signs trade calls with HMAC-SHA1 of the API path and sorted parameters', async () => {
+        axios.post.mockResolvedValueOnce({
+            data: { success: true, result: { orderId: 2207001, totalSuccessAmount: 12345 } }
+        });
+
+        const result = await alibabaClient.placeOrder(purchaseOrder, hub);
+        const { url, params, sign, canonical } = lastRequest();
+        const path = 'param2/1/com.alibaba.trade/alibaba.trade.fastCreateOrder/1688-key';
+
+        expect(url).toBe(`https://gw.open.1688.com/openapi/${path}`);
+        expect(params.access_token).toBe('1688-token');
+        expect(sign).toBe(hmac('sha1', '1688-secret', path + canonical));
+        expect(result).toMatchObject({ status: 'placed', supplier_order_id: '2207001', cost: 123.45, currency: 'CNY' });
+    });
+
+    it('maps known trade statuses and flags unknown ones', async () => {
+        axios.post
+            .mockResolvedValueOnce({ data: { result: { baseInfo: { status: 'waitbuyerreceive' }, nativeLogistics: { logisticsItems: [{ logisticsBillNo: 'SF123' }] } } } })
+            .mockResolvedValueOnce({ data: { result: { baseInfo: { status: 'dispute_pending' } } } });
+
+        await expect(alibabaClient.getOrderStatus(purchaseOrder)).resolves.toMatchObject({ status: 'shipped', tracking_number: 'SF123' });
+        await expect(alibabaClient.getOrderStatus(purchaseOrder)).resolves.toMatchObject({ status: 'needs_attention' });
+    });
+
+    it('refuses to call the marketplace without credentials', async () => {
+        const accessToken = alibabaClient.accessToken;
+        alibabaClient.accessToken = undefined;
+
+        await expect(alibabaClient.getOrderStatus(purchaseOrder)).rejects.toThrow('access token must be configured');
+        expect(axios.post).not.toHaveBeenCalled();
+
+        alibabaClient.accessToken = accessToken;
+    });
+});
@@ -0,0 +1,166 @@
+/**
+ * Alibaba Supplier Client
+ *
+ * Places trade orders for products synced from Alibaba (B2B) through the
+ * 1688 open platform (com.alibaba.trade APIs). Each request is signed with
+ * _aop_signature: HMAC-SHA1 of the API path followed by the sorted
+ * parameters, using the app secret; the buyer account's access token is
+ * sent with every call.
+ *
+ * @author Mallgram Backend Team
+ */
+
+const SupplierApiClient = require('./supplierApiClient');
+
+// 1688 trade statuses mapped onto purchase order statuses
+const STATUS_MAP = {
+    waitbuyerpay: 'placed',
+    waitsellersend: 'placed',
+    waitlogisticstakein: 'placed',
+    waitbuyerreceive: 'shipped',
+    waitbuyersign: 'shipped',
+    signinsuccess: 'shipped',
+    confirm_goods: 'shipped',
+    success: 'shipped',
+    cancel: 'cancelled',
+    terminated: 'cancelled'
+};
+
+class AlibabaClient extends SupplierApiClient {
+    /**
+     * Call a com.alibaba.trade API
+     * @param {string} apiName - e.g. alibaba.trade.fastCreateOrder
+     * @param {Object} params - Business parameters
+     * @returns {Promise<Object>} - Response body
+     */
+    async call(apiName, params) {
+        this.requireCredentials();
+
+        const path = `param2/1/com.alibaba.trade/${apiName}/${this.appKey}`;
+        const signed = {
+            ...params,
+            access_token: this.accessToken,
+            _aop_timestamp: String(Date.now())
+        };
+        signed._aop_signature = this.hmac('sha1', path + this.canonicalize(signed));
+
+        const body = await this.post(`${this.baseUrl}/${path}`, signed);
+
+        if (body.error_code) {
+            throw new Error(`${this.name} ${apiName} failed: ${body.error_code} ${body.error_message || ''}`.trim());
+        }
+
+        return body;
+    }
+
+    /**
+     * Place a trade order shipped to the hub
+     * An out-of-stock answer comes back as a result, not an error, so it can
+     * be flagged instead of retried.
+     */
+    async placeOrder(purchaseOrder, shipTo) {
+        if (!shipTo) {
+            throw new Error('FULFILMENT_HUB_ADDRESS must be configured');
+        }
+
+        const body = await this.call('alibaba.trade.fastCreateOrder', {
+            flow: 'general',
+            message: `Mallgram purchase order ${purchaseOrder.id}`,
+            addressParam: JSON.stringify({
+                fullName: shipTo.name,
+                mobile: shipTo.phone,
+                postCode: shipTo.zip,
+                provinceText: shipTo.province,
+                cityText: shipTo.city,
+                areaText: shipTo.district,
+                address: shipTo.address
+            }),
+            cargoParamList: JSON.stringify(purchaseOrder.items.map(item => ({
+                offerId: item.external_id,
+                quantity: item.quantity
+            })))
+        });
+
+        const result = body.result || {};
+        const failedOffers = result.failedOfferList || [];
+
+        if (!body.success || !result.orderId) {
+            const reason = [body.code, body.message]
+                .concat(failedOffers.map(offer => offer.errorMessage || offer.errorCode))
+                .filter(Boolean)
+                .join(' ');
+
+            return {
+                status: /STOCK|库存/i.test(reason) ? 'out_of_stock' : 'rejected',
+                supplier_order_id: null,
+                cost: null,
+                currency: null,
+                unavailable_items: failedOffers.map(offer => String(offer.offerId)),
+                message: reason || 'Order refused',
+                raw: body
+            };
+        }
+
+        return {
+            status: 'placed',
+            supplier_order_id: String(result.orderId),
+            // 1688 quotes the total in fen
+            cost: result.totalSuccessAmount !== undefined ? result.totalSuccessAmount / 100 : null,
+            currency: 'CNY',
+            unavailable_items: [],
+            message: null,
+            raw: body
+        };
+    }
+
+    /**
+     * Get 1688's current status of a placed order
+     */
+    async getOrderStatus(purchaseOrder) {
+        const body = await this.call('alibaba.trade.get.buyerView', {
+            webSite: '1688',
+            orderId: purchaseOrder.supplier_order_id
+        });
+
+        const result = body.result || {};
+        const baseInfo = result.baseInfo || {};
+        const logistics = ((result.nativeLogistics || {}).logisticsItems || [])[0];
+        const status = this.mapStatus(baseInfo.status, { purchaseOrderId: purchaseOrder.id });
+
+        return {
+            status,
+            tracking_number: logistics && logistics.logisticsBillNo ? String(logistics.logisticsBillNo) : null,
+            message: status === 'needs_attention'
+                ? this.unrecognisedStatusMessage(baseInfo.status)
+                : (baseInfo.closeReason || null),
+            raw: body
+        };
+    }
+
+    /**
+     * Ask the supplier to cancel a placed order
+     */
+    async cancelOrder(purchaseOrder, reason) {
+        const body = await this.call('alibaba.trade.cancel', {
+            webSite: '1688',
+            tradeID: purchaseOrder.supplier_order_id,
+            cancelReason: 'other',
+            remark: reason
+        });
+
+        return {
+            status: body.success ? 'cancelled' : 'placed',
+            raw: body
+        };
+    }
+}
+
+module.exports = new AlibabaClient({
+    id: 'alibaba',
+    name: 'Alibaba',
+    baseUrl: process.env.ALIBABA_BASE_URL || 'https://gw.open.1688.com/openapi',
+    appKey: process.env.ALIBABA_API_KEY,
+    appSecret: process.env.ALIBABA_API_SECRET,
+    accessToken: process.env.ALIBABA_ACCESS_TOKEN,
+    statusMap: STATUS_MAP
+});
@@ -0,0 +1,166 @@
+/**
+ * AliExpress Supplier Client
+ *
+ * Places dropshipping orders for products synced from AliExpress (B2C)
+ * through the AliExpress open platform (aliexpress.ds.* APIs). Requests are
+ * signed with HMAC-SHA256 of the sorted parameters using the app secret, and
+ * carry the dropshipper account's access token as the session.
+ *
+ * AliExpress has no API to cancel a dropshipping order, so cancelOrder is
+ * not offered: the fulfilment service flags the order for staff to cancel
+ * it on AliExpress.
+ *
+ * @author Mallgram Backend Team
+ */
+
+const SupplierApiClient = require('./supplierApiClient');
+
+// AliExpress order statuses (lower-cased) mapped onto purchase order statuses.
+// FINISH depends on whether the order shipped; IN_ISSUE and IN_FROZEN
+// (disputes) are left out on purpose so they flag the order.
+const STATUS_MAP = {
+    place_order_success: 'placed',
+    wait_seller_examine_money: 'placed',
+    risk_control: 'placed',
+    wait_group_success: 'placed',
+    wait_seller_send_goods: 'placed',
+    seller_part_send_goods: 'placed',
+    wait_buyer_accept_goods: 'shipped',
+    fund_processing: 'shipped',
+    in_cancel: 'cancelled'
+};
+
+class AliExpressClient extends SupplierApiClient {
+    /**
+     * Call an AliExpress open platform API
+     * @param {string} method - API name, e.g. aliexpress.ds.order.create
+     * @param {Object} params - Business parameters
+     * @returns {Promise<Object>} - Response body
+     */
+    async call(method, params) {
+        this.requireCredentials();
+
+        const signed = {
+            ...params,
+            app_key: this.appKey,
+            method,
+            session: this.accessToken,
+            sign_method: 'sha256',
+            timestamp: String(Date.now())
+        };
+        signed.sign = this.hmac('sha256', this.canonicalize(signed));
+
+        const body = await this.post(`${this.baseUrl}/sync`, signed);
+
+        if (body.error_response) {
+            throw new Error(`${this.name} ${method} failed: ${body.error_response.code} ${body.error_response.msg || ''}`.trim());
+        }
+
+        return body;
+    }
+
+    /**
+     * Place a dropshipping order shipped to the hub
+     * An out-of-stock answer comes back as a result, not an error, so it can
+     * be flagged instead of retried.
+     */
+    async placeOrder(purchaseOrder, shipTo) {
+        if (!shipTo) {
+            throw new Error('FULFILMENT_HUB_ADDRESS must be configured');
+        }
+
+        const body = await this.call('aliexpress.ds.order.create', {
+            param_place_order_request4_open_api_d_t_o: JSON.stringify({
+                out_order_id: purchaseOrder.id,
+                logistics_address: {
+                    contact_person: shipTo.name,
+                    mobile_no: shipTo.phone,
+                    country: shipTo.country,
+                    province: shipTo.province,
+                    city: shipTo.city,
+                    address: shipTo.address,
+                    address2: shipTo.district,
+                    zip: shipTo.zip
+                },
+                product_items: purchaseOrder.items.map(item => ({
+                    product_id: item.external_id,
+                    product_count: item.quantity
+                }))
+            })
+        });
+
+        const result = (body.aliexpress_ds_order_create_response || {}).result || {};
+
+        if (!result.is_success) {
+            const code = String(result.error_code || '');
+
+            return {
+                status: /STOCK|INVENTORY/i.test(code) ? 'out_of_stock' : 'rejected',
+                supplier_order_id: null,
+                cost: null,
+                currency: null,
+                unavailable_items: [],
+                message: result.error_msg || code || 'Order refused',
+                raw: body
+            };
+        }
+
+        const orderIds = (result.order_list && result.order_list.number) || result.order_list || [];
+
+        return {
+            status: 'placed',
+            supplier_order_id: orderIds.length > 0 ? String(orderIds[0]) : null,
+            // The order is priced when it is paid on AliExpress
+            cost: null,
+            currency: null,
+            unavailable_items: [],
+            message: null,
+            raw: body
+        };
+    }
+
+    /**
+     * Get AliExpress's current status of a placed order
+     */
+    async getOrderStatus(purchaseOrder) {
+        const body = await this.call('aliexpress.ds.trade.order.get', {
+            single_order_query: JSON.stringify({ order_id: purchaseOrder.supplier_order_id })
+        });
+
+        const result = (body.aliexpress_ds_trade_order_get_response || {}).result || {};
+        const logistics = ((result.logistics_info_list || {}).ae_order_logistics_info || [])[0];
+        const trackingNumber = logistics && logistics.logistics_no ? String(logistics.logistics_no) : null;
+        const orderStatus = String(result.order_status || '');
+
+        // A finished order either shipped or was closed before it did
+        if (orderStatus.toLowerCase() === 'finish') {
+            return {
+                status: trackingNumber ? 'shipped' : 'cancelled',
+                tracking_number: trackingNumber,
+                message: trackingNumber ? null : (result.end_reason || 'Closed by AliExpress'),
+                raw: body
+            };
+        }
+
+        const status = this.mapStatus(orderStatus, { purchaseOrderId: purchaseOrder.id });
+
+        return {
+            status,
+            tracking_number: trackingNumber,
+            message: status === 'needs_attention'
+                ? this.unrecognisedStatusMessage(orderStatus)
+                : (result.end_reason || null),
+            raw: body
+        };
+    }
+}
+
+module.exports = new AliExpressClient({
+    id: 'aliexpress',
+    name: 'AliExpress',
+    baseUrl: process.env.ALIEXPRESS_BASE_URL || 'https://api-sg.aliexpress.com',
+    appKey: process.env.ALIEXPRESS_API_KEY,
+    appSecret: process.env.ALIEXPRESS_API_SECRET,
+    accessToken: process.env.ALIEXPRESS_ACCESS_TOKEN,
+    statusMap: STATUS_MAP
+});
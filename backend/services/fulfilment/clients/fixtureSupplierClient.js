@@ -0,0 +1,110 @@
+/**
+ * Fixture Supplier Client
+ *
+ * Accepts purchase orders without calling any marketplace, so fulfilment can
+ * be run in tests, CI and offline development. Set SUPPLIER_CLIENT=fixture to
+ * send every purchase order here; SUPPLIER_FIXTURE_PATH points at a different
+ * file.
+ *
+ * The fixture file lists product external IDs that behave differently:
+ * - out_of_stock: orders containing them are refused as out of stock
+ * - cancelled: orders containing them are later cancelled by the supplier
+ * - shipped: orders containing them are reported shipped on the next sync
+ *
+ * @author Mallgram Backend Team
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+class FixtureSupplierClient {
+    constructor() {
+        this.id = 'fixture';
+        this.name = 'Local fixture';
+        this.fixturePath = process.env.SUPPLIER_FIXTURE_PATH ||
+            path.join(__dirname, '..', 'fixtures', 'supplierOrders.json');
+    }
+
+    /**
+     * Read the fixture file
+     */
+    async loadFixture() {
+        const fixture = JSON.parse(await fs.promises.readFile(this.fixturePath, 'utf8'));
+
+        return {
+            out_of_stock: fixture.out_of_stock || [],
+            cancelled: fixture.cancelled || [],
+            shipped: fixture.shipped || []
+        };
+    }
+
+    /**
+     * External IDs of a purchase order that appear in a fixture list
+     */
+    matching(purchaseOrder, externalIds) {
+        return purchaseOrder.items
+            .map(item => item.external_id)
+            .filter(externalId => externalIds.includes(externalId));
+    }
+
+    /**
+     * Place a purchase order at the expected cost
+     */
+    async placeOrder(purchaseOrder) {
+        const fixture = await this.loadFixture();
+        const unavailable = this.matching(purchaseOrder, fixture.out_of_stock);
+
+        if (unavailable.length > 0) {
+            return {
+                status: 'out_of_stock',
+                supplier_order_id: null,
+                cost: null,
+                currency: null,
+                unavailable_items: unavailable,
+                message: 'Out of stock',
+                raw: { fixture: true, unavailable_items: unavailable }
+            };
+        }
+
+        return {
+            status: 'placed',
+            supplier_order_id: `FIX-${purchaseOrder.id.slice(-8).toUpperCase()}`,
+            cost: parseFloat(purchaseOrder.expected_cost),
+            currency: purchaseOrder.currency,
+            unavailable_items: [],
+            message: null,
+            raw: { fixture: true }
+        };
+    }
+
+    /**
+     * Report the fixture status of a placed order
+     */
+    async getOrderStatus(purchaseOrder) {
+        const fixture = await this.loadFixture();
+
+        if (this.matching(purchaseOrder, fixture.cancelled).length > 0) {
+            return { status: 'cancelled', tracking_number: null, message: 'Cancelled by supplier', raw: { fixture: true } };
+        }
+
+        if (this.matching(purchaseOrder, fixture.shipped).length > 0) {
+            return {
+                status: 'shipped',
+                tracking_number: `FIXTRACK${purchaseOrder.id.slice(-6).toUpperCase()}`,
+                message: null,
+                raw: { fixture: true }
+            };
+        }
+
+        return { status: 'placed', tracking_number: null, message: null, raw: { fixture: true } };
+    }
+
+    /**
+     * Cancel a placed order
+     */
+    async cancelOrder() {
+        return { status: 'cancelled', raw: { fixture: true } };
+    }
+}
+
+module.exports = new FixtureSupplierClient();
@@ -0,0 +1,117 @@
+/**
+ * Supplier API Client
+ *
+ * Base class for the marketplaces that take purchase orders over their
+ * open platform APIs (AliExpress dropshipping, Alibaba 1688 trade orders).
+ * Each marketplace subclass signs its requests with the app key and secret
+ * (plus the buyer account's access token) and normalizes responses to the
+ * supplier client interface in fulfilmentService.
+ *
+ * A status the marketplace reports that is not in the subclass's status map
+ * is logged and returned as needs_attention, which flags the order for admin
+ * action instead of assuming the supplier order is fine.
+ *
+ * @author Mallgram Backend Team
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+const logger = require('../../../config/logger');
+
+const REQUEST_TIMEOUT_MS = 30 * 1000;
+
+class SupplierApiClient {
+    /**
+     * @param {Object} config
+     * @param {string} config.id - Product source this client places orders for
+     * @param {string} config.name - Display name
+     * @param {string} config.baseUrl - API gateway URL
+     * @param {string} config.appKey - Open platform app key
+     * @param {string} config.appSecret - Open platform app secret, signs requests
+     * @param {string} config.accessToken - Buyer account authorization for the app
+     * @param {Object} config.statusMap - Marketplace order statuses mapped onto purchase order statuses
+     */
+    constructor({ id, name, baseUrl, appKey, appSecret, accessToken, statusMap }) {
+        this.id = id;
+        this.name = name;
+        this.baseUrl = baseUrl;
+        this.appKey = appKey;
+        this.appSecret = appSecret;
+        this.accessToken = accessToken;
+        this.statusMap = statusMap;
+    }
+
+    /**
+     * Map a marketplace status onto a purchase order status
+     * @param {string} status - Status reported by the marketplace
+     * @param {Object} [context] - Logged with an unrecognised status
+     * @returns {string} - Purchase order status, or needs_attention
+     */
+    mapStatus(status, context = {}) {
+        const mapped = this.statusMap[String(status || '').toLowerCase()];
+
+        if (mapped) {
+            return mapped;
+        }
+
+        logger.warn(`${this.name} reported an unrecognised order status`, { status, ...context });
+        return 'needs_attention';
+    }
+
+    /**
+     * Message stored with a purchase order whose status was not recognised
+     */
+    unrecognisedStatusMessage(status) {
+        return `${this.name} reported unrecognised status ${status || '(none)'}`;
+    }
+
+    /**
+     * Fail early when the app is not set up for this marketplace
+     */
+    requireCredentials() {
+        if (!this.appKey || !this.appSecret || !this.accessToken) {
+            throw new Error(`${this.name} app key, secret and access token must be configured`);
+        }
+    }
+
+    /**
+     * Concatenate parameters as the open platforms sign them: sorted by
+     * name, each name followed by its value
+     * @param {Object} params - Request parameters (signature excluded)
+     * @returns {string}
+     */
+    canonicalize(params) {
+        return Object.keys(params)
+            .sort()
+            .map(key => `${key}${params[key]}`)
+            .join('');
+    }
+
+    /**
+     * Upper-case hex HMAC of a string with the app secret
+     * @param {string} algorithm - sha1 or sha256
+     * @param {string} value - String to sign
+     */
+    hmac(algorithm, value) {
+        return crypto.createHmac(algorithm, this.appSecret).update(value, 'utf8').digest('hex').toUpperCase();
+    }
+
+    /**
+     * POST form parameters to the marketplace gateway
+     * @param {string} url - Full request URL
+     * @param {Object} params - Signed parameters
+     * @returns {Promise<Object>} - Response body
+     */
+    async post(url, params) {
+        const response = await axios.post(url, new URLSearchParams(params).toString(), {
+            timeout: REQUEST_TIMEOUT_MS,
+            headers: {
+                'Content-Type': 'application/x-www-form-urlencoded;charset=utf-8'
+            }
+        });
+
+        return response.data;
+    }
+}
+
+module.exports = SupplierApiClient;
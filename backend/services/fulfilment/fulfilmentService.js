@@ -0,0 +1,801 @@
+/**
+ * Fulfilment Service
+ *
+ * Buys what a customer paid for from the marketplaces Mallgram resells
+ * (dropship fulfilment):
+ * - When an order is paid its items are grouped by product source and
+ *   supplier (supplier_info) into purchase orders, one per supplier
+ * - Each purchase order is placed through the supplier client registered
+ *   for its source; the supplier's order ID and actual cost are recorded
+ * - Placement failures are retried by the fulfilment job; out-of-stock
+ *   answers, supplier cancellations, statuses the client does not recognise
+ *   and orders that keep failing flag the customer order
+ *   (fulfilment_status = needs_attention) for admin action
+ * - Parcels checked in at the hub mark purchase orders received; an order
+ *   whose purchase orders have all arrived is at_hub (see shipmentService)
+ *
+ * Supplier client interface:
+ * - id, name
+ * - placeOrder(purchaseOrder, shipTo) - { status: placed|out_of_stock|rejected,
+ *   supplier_order_id, cost, currency, unavailable_items, message, raw }
+ * - getOrderStatus(purchaseOrder) - { status: placed|shipped|cancelled|out_of_stock|rejected|needs_attention,
+ *   tracking_number, message, raw }; needs_attention for a status the client does not recognise
+ * - cancelOrder(purchaseOrder, reason) - Optional; { status, raw }
+ *
+ * @author Mallgram Backend Team
+ */
+
+const { supabase } = require('../../config/supabase');
+const logger = require('../../config/logger');
+const { NotFoundError, ConflictError, ValidationError } = require('../../middleware/errorHandler');
+const { Money } = require('../../utils/money');
+const fxService = require('../fx');
+const pricingService = require('../orders/pricingService');
+const shipmentEventService = require('../shipping/shipmentEventService');
+
+// Purchase order statuses that need an admin to step in
+const ISSUE_STATUSES = ['out_of_stock', 'rejected', 'failed', 'needs_attention'];
+
+// Purchase order statuses checked with the supplier; needs_attention clears
+// once the supplier reports a status the client recognises
+const SYNCED_STATUSES = ['placed', 'needs_attention'];
+
+// Purchase order statuses an admin can send back to the supplier
+const RETRYABLE_STATUSES = ['out_of_stock', 'rejected', 'failed', 'cancelled'];
+
+const UNIQUE_VIOLATION = '23505';
+const BATCH_SIZE = 50;
+
+/**
+ * Address suppliers ship to, from FULFILMENT_HUB_ADDRESS
+ * JSON: { name, phone, country, province, city, district, address, zip };
+ * a plain string is kept as the address line.
+ */
+const parseHubAddress = (value) => {
+    if (!value) {
+        return null;
+    }
+
+    try {
+        return JSON.parse(value);
+    } catch (error) {
+        return { address: value };
+    }
+};
+
+class FulfilmentService {
+    constructor() {
+        this.clients = new Map();
+        this.clientOverride = process.env.SUPPLIER_CLIENT || null;
+        this.maxAttempts = parseInt(process.env.SUPPLIER_ORDER_MAX_ATTEMPTS) || 5;
+        this.hubAddress = parseHubAddress(process.env.FULFILMENT_HUB_ADDRESS);
+    }
+
+    /**
+     * Register a supplier client
+     * @param {Object} client - Client implementing the supplier client interface
+     */
+    registerClient(client) {
+        if (!client.id || typeof client.placeOrder !== 'function' || typeof client.getOrderStatus !== 'function') {
+            throw new Error('Supplier clients need an id, placeOrder() and getOrderStatus()');
+        }
+
+        this.clients.set(client.id, client);
+    }
+
+    /**
+     * Get the client that places orders for a product source
+     * SUPPLIER_CLIENT sends every source to one client (e.g. fixture).
+     * @param {string} source - Product source (aliexpress, alibaba)
+     * @returns {Object}
+     */
+    getClient(source) {
+        const client = this.clients.get(this.clientOverride || source);
+
+        if (!client) {
+            throw new Error(`No supplier client for ${this.clientOverride || source}`);
+        }
+
+        return client;
+    }
+
+    /**
+     * Identify the supplier of a product from its synced supplier_info
+     * @param {Object} product - Product with supplier_info
+     * @returns {Object} - { key, name }
+     */
+    getSupplier(product) {
+        const info = product.supplier_info || {};
+        const key = info.id || info.supplier_id || info.store_id || info.name || 'default';
+
+        return {
+            key: String(key),
+            name: info.name || info.store_name || String(key)
+        };
+    }
+
+    /**
+     * Create and place the purchase orders of a paid order
+     * Safe to call more than once: an order that already has purchase orders
+     * is left as it is.
+     * @param {string} orderId - Order ID
+     * @returns {Promise<Array>} - Purchase orders
+     */
+    async createPurchaseOrders(orderId) {
+        const existing = await this.listPurchaseOrders({ orderId });
+
+        if (existing.length > 0) {
+            return existing;
+        }
+
+        const { data: items, error } = await supabase
+            .from('order_items')
+            .select(`
+                id,
+                product_id,
+                quantity,
+                products(
+                    id,
+                    name,
+                    external_id,
+                    source,
+                    supplier_info,
+                    price,
+                    currency,
+                    products_retailer(wholesale_price, min_order_quantity, bulk_discount_percent)
+                )
+            `)
+            .eq('order_id', orderId);
+
+        if (error) {
+            throw new Error(`Failed to load order items: ${error.message}`);
+        }
+
+        if (!items || items.length === 0) {
+            throw new Error(`Order ${orderId} has no items to fulfil`);
+        }
+
+        const groups = new Map();
+
+        for (const item of items) {
+            const product = item.products || {};
+            const retailer = Array.isArray(product.products_retailer)
+                ? product.products_retailer[0]
+                : product.products_retailer;
+            const source = product.source || 'aliexpress';
+            const supplier = this.getSupplier(product);
+            const groupKey = `${source}:${supplier.key}`;
+
+            const { price } = pricingService.getSupplierUnitPrice({ ...product, retailer }, item.quantity);
+            const unitCost = await this.toBaseCurrency(Money.fromMajor(price, product.currency || fxService.baseCurrency));
+
+            if (!groups.has(groupKey)) {
+                groups.set(groupKey, {
+                    source,
+                    supplier,
+                    items: [],
+                    expectedCost: Money.zero(fxService.baseCurrency)
+                });
+            }
+
+            const group = groups.get(groupKey);
+            group.items.push({
+                order_item_id: item.id,
+                product_id: item.product_id,
+                external_id: product.external_id,
+                name: product.name,
+                quantity: item.quantity,
+                expected_unit_cost: unitCost.toMajor()
+            });
+            group.expectedCost = group.expectedCost.add(unitCost.multiply(item.quantity));
+        }
+
+        const now = new Date().toISOString();
+        const { data: purchaseOrders, error: insertError } = await supabase
+            .from('purchase_orders')
+            .insert(Array.from(groups.values()).map(group => ({
+                order_id: orderId,
+                source: group.source,
+                supplier_key: group.supplier.key,
+                supplier_name: group.supplier.name,
+                status: 'pending',
+                items: group.items,
+                expected_cost: group.expectedCost.toMajor(),
+                currency: group.expectedCost.currency,
+                attempts: 0,
+                created_at: now,
+                updated_at: now
+            })))
+            .select();
+
+        if (insertError) {
+            // Another webhook delivery for the same payment got here first
+            if (insertError.code === UNIQUE_VIOLATION) {
+                return this.listPurchaseOrders({ orderId });
+            }
+
+            throw new Error(`Failed to create purchase orders: ${insertError.message}`);
+        }
+
+        logger.info('Purchase orders created', {
+            orderId,
+            purchaseOrders: purchaseOrders.length
+        });
+
+        for (const purchaseOrder of purchaseOrders) {
+            await this.placePurchaseOrder(purchaseOrder);
+        }
+
+        await this.refreshOrderFulfilment(orderId);
+
+        return this.listPurchaseOrders({ orderId });
+    }
+
+    /**
+     * Convert a supplier price into the base currency purchase orders are kept in
+     */
+    async toBaseCurrency(amount) {
+        if (amount.currency === fxService.baseCurrency) {
+            return amount;
+        }
+
+        return (await fxService.convert(amount, fxService.baseCurrency)).amount;
+    }
+
+    /**
+     * Send a pending purchase order to its supplier
+     * Errors are recorded and retried by the fulfilment job until
+     * SUPPLIER_ORDER_MAX_ATTEMPTS, after which the order is flagged.
+     * @param {Object} purchaseOrder - Purchase order record
+     * @returns {Promise<Object>} - Updated purchase order
+     */
+    async placePurchaseOrder(purchaseOrder) {
+        const attempts = (purchaseOrder.attempts || 0) + 1;
+        let updates;
+
+        try {
+            const result = await this.getClient(purchaseOrder.source).placeOrder(purchaseOrder, this.hubAddress);
+
+            updates = {
+                status: result.status,
+                supplier_order_id: result.supplier_order_id,
+                supplier_response: result.raw || null,
+                last_error: result.status === 'placed' || result.status === 'shipped' ? null : result.message,
+                unavailable_items: result.unavailable_items || []
+            };
+
+            if (result.status === 'placed' || result.status === 'shipped') {
+                updates.cost = result.cost;
+                updates.cost_currency = result.currency || purchaseOrder.currency;
+                updates.placed_at = new Date().toISOString();
+
+                if (result.cost !== null && result.cost > parseFloat(purchaseOrder.expected_cost)) {
+                    logger.warn('Supplier charged more than expected', {
+                        purchaseOrderId: purchaseOrder.id,
+                        expected: purchaseOrder.expected_cost,
+                        cost: result.cost,
+                        currency: updates.cost_currency
+                    });
+                }
+            }
+
+        } catch (error) {
+            updates = {
+                status: attempts >= this.maxAttempts ? 'failed' : 'pending',
+                last_error: error.message
+            };
+        }
+
+        const { data: updated, error } = await supabase
+            .from('purchase_orders')
+            .update({
+                ...updates,
+                attempts,
+                updated_at: new Date().toISOString()
+            })
+            .eq('id', purchaseOrder.id)
+            .eq('status', 'pending')
+            .select();
+
+        if (error) {
+            throw new Error(`Failed to update purchase order ${purchaseOrder.id}: ${error.message}`);
+        }
+
+        if (updated && updated[0] && ['placed', 'shipped'].includes(updates.status)) {
+            await this.recordPlaced(updated[0]);
+        }
+
+        logger.info('Purchase order placement attempted', {
+            purchaseOrderId: purchaseOrder.id,
+            orderId: purchaseOrder.order_id,
+            source: purchaseOrder.source,
+            status: updates.status,
+            attempts
+        });
+
+        return updated && updated[0] ? updated[0] : { ...purchaseOrder, ...updates, attempts };
+    }
+
+    /**
+     * Add a placed purchase order to its order's journey
+     */
+    async recordPlaced(purchaseOrder) {
+        await shipmentEventService.recordOrderEvent(purchaseOrder.order_id, {
+            source: 'supplier',
+            code: 'supplier_order_placed',
+            ref: purchaseOrder.id,
+            description: purchaseOrder.supplier_name
+                ? `Ordered from ${purchaseOrder.supplier_name}`
+                : 'Ordered from the supplier',
+            occurredAt: purchaseOrder.placed_at
+        });
+    }
+
+    /**
+     * Check a placed purchase order with its supplier
+     * Supplier-side cancellations and stock problems flag the order.
+     * @param {Object} purchaseOrder - Placed purchase order
+     * @returns {Promise<boolean>} - Whether the status changed
+     */
+    async syncPurchaseOrder(purchaseOrder) {
+        const result = await this.getClient(purchaseOrder.source).getOrderStatus(purchaseOrder);
+
+        if (result.status === purchaseOrder.status) {
+            return false;
+        }
+
+        const updates = {
+            status: result.status,
+            supplier_response: result.raw || null,
+            updated_at: new Date().toISOString()
+        };
+
+        if (result.tracking_number) {
+            updates.supplier_tracking_number = result.tracking_number;
+        }
+
+        if (result.status === 'shipped') {
+            updates.shipped_at = new Date().toISOString();
+        }
+
+        updates.last_error = ['placed', 'shipped'].includes(result.status)
+            ? null
+            : result.message || `Supplier reported ${result.status}`;
+
+        if (result.status === 'cancelled') {
+            updates.cancelled_at = new Date().toISOString();
+            updates.cancelled_by = 'supplier';
+        }
+
+        const { data: updated, error } = await supabase
+            .from('purchase_orders')
+            .update(updates)
+            .eq('id', purchaseOrder.id)
+            .eq('status', purchaseOrder.status)
+            .select();
+
+        if (error) {
+            throw new Error(`Failed to update purchase order ${purchaseOrder.id}: ${error.message}`);
+        }
+
+        if (updated && updated[0] && result.status === 'shipped') {
+            await shipmentEventService.recordOrderEvent(purchaseOrder.order_id, {
+                source: 'supplier',
+                code: 'supplier_shipped',
+                ref: purchaseOrder.id,
+                description: 'Shipped by the supplier to our consolidation hub',
+                occurredAt: updates.shipped_at
+            });
+        }
+
+        logger.info('Purchase order status changed by supplier', {
+            purchaseOrderId: purchaseOrder.id,
+            orderId: purchaseOrder.order_id,
+            from: purchaseOrder.status,
+            to: result.status
+        });
+
+        return true;
+    }
+
+    /**
+     * Work out an order's fulfilment status from its purchase orders
+     * A cancelled order whose supplier orders are still live is flagged too,
+     * so that staff can stop or return them.
+     * @param {string} orderId - Order ID
+     * @returns {Promise<string>} - pending, ordered, at_hub, needs_attention or cancelled
+     */
+    async refreshOrderFulfilment(orderId) {
+        const { data: order } = await supabase
+            .from('orders')
+            .select('status, fulfilment_status, fulfilment_issue')
+            .eq('id', orderId)
+            .single();
+
+        const purchaseOrders = await this.listPurchaseOrders({ orderId });
+        const orderCancelled = order && ['cancelled', 'refunded'].includes(order.status);
+        const issues = purchaseOrders.filter(purchaseOrder => (orderCancelled
+            ? ['pending', 'placed', 'shipped', 'received', 'needs_attention'].includes(purchaseOrder.status)
+            : ISSUE_STATUSES.includes(purchaseOrder.status) ||
+                (purchaseOrder.status === 'cancelled' && purchaseOrder.cancelled_by === 'supplier')
+        ));
+
+        let status = 'pending';
+        let issue = null;
+
+        if (issues.length > 0) {
+            status = 'needs_attention';
+            issue = issues
+                .map(purchaseOrder => `${purchaseOrder.supplier_name} (${purchaseOrder.source}): ${purchaseOrder.status.replace(/_/g, ' ')}` +
+                    (orderCancelled ? ' after the order was cancelled' : ''))
+                .join('; ');
+        } else if (orderCancelled) {
+            status = 'cancelled';
+        } else if (purchaseOrders.length > 0 && purchaseOrders.every(purchaseOrder => purchaseOrder.status === 'received')) {
+            status = 'at_hub';
+        } else if (purchaseOrders.length > 0 && purchaseOrders.every(purchaseOrder => ['placed', 'shipped', 'received'].includes(purchaseOrder.status))) {
+            status = 'ordered';
+        }
+
+        if (order && order.fulfilment_status === status && order.fulfilment_issue === issue) {
+            return status;
+        }
+
+        const { error } = await supabase
+            .from('orders')
+            .update({
+                fulfilment_status: status,
+                fulfilment_issue: issue,
+                updated_at: new Date().toISOString()
+            })
+            .eq('id', orderId);
+
+        if (error) {
+            logger.error(`Failed to update fulfilment status of order ${orderId}:`, error);
+        }
+
+        if (status === 'needs_attention') {
+            logger.warn('Order flagged for admin action', { orderId, issue });
+        }
+
+        return status;
+    }
+
+    /**
+     * Create purchase orders for paid orders that have none
+     * Catches orders whose purchase orders could not be created when the
+     * payment came in.
+     * @returns {Promise<number>} - Orders picked up
+     */
+    async createMissingPurchaseOrders() {
+        const { data: orders, error } = await supabase
+            .from('orders')
+            .select('id, purchase_orders(id)')
+            .eq('status', 'paid')
+            .eq('fulfilment_status', 'pending')
+            .order('created_at', { ascending: true })
+            .limit(BATCH_SIZE);
+
+        if (error) {
+            throw new Error(`Failed to load paid orders: ${error.message}`);
+        }
+
+        const missing = (orders || []).filter(order => !order.purchase_orders || order.purchase_orders.length === 0);
+
+        for (const order of missing) {
+            try {
+                await this.createPurchaseOrders(order.id);
+            } catch (createError) {
+                logger.error(`Failed to create purchase orders for order ${order.id}:`, createError);
+            }
+        }
+
+        return missing.length;
+    }
+
+    /**
+     * Place pending purchase orders that are due a retry
+     * @returns {Promise<Object>} - { attempted, placed }
+     */
+    async placePending() {
+        const { data: purchaseOrders, error } = await supabase
+            .from('purchase_orders')
+            .select('*')
+            .eq('status', 'pending')
+            .lt('attempts', this.maxAttempts)
+            .order('created_at', { ascending: true })
+            .limit(BATCH_SIZE);
+
+        if (error) {
+            throw new Error(`Failed to load pending purchase orders: ${error.message}`);
+        }
+
+        const orderIds = new Set();
+        let placed = 0;
+
+        for (const purchaseOrder of purchaseOrders || []) {
+            const updated = await this.placePurchaseOrder(purchaseOrder);
+            orderIds.add(purchaseOrder.order_id);
+
+            if (updated.status === 'placed') {
+                placed++;
+            }
+        }
+
+        for (const orderId of orderIds) {
+            await this.refreshOrderFulfilment(orderId);
+        }
+
+        return { attempted: (purchaseOrders || []).length, placed };
+    }
+
+    /**
+     * Check placed purchase orders, and ones whose status was not
+     * recognised, with their suppliers
+     * @returns {Promise<Object>} - { checked, changed, errors }
+     */
+    async syncPlaced() {
+        const { data: purchaseOrders, error } = await supabase
+            .from('purchase_orders')
+            .select('*')
+            .in('status', SYNCED_STATUSES)
+            .order('updated_at', { ascending: true })
+            .limit(BATCH_SIZE);
+
+        if (error) {
+            throw new Error(`Failed to load placed purchase orders: ${error.message}`);
+        }
+
+        const orderIds = new Set();
+        const stats = { checked: 0, changed: 0, errors: 0 };
+
+        for (const purchaseOrder of (purchaseOrders || []).filter(purchaseOrder => purchaseOrder.supplier_order_id)) {
+            stats.checked++;
+
+            try {
+                if (await this.syncPurchaseOrder(purchaseOrder)) {
+                    stats.changed++;
+                    orderIds.add(purchaseOrder.order_id);
+                }
+            } catch (syncError) {
+                stats.errors++;
+                logger.error(`Failed to check purchase order ${purchaseOrder.id}:`, syncError);
+            }
+        }
+
+        for (const orderId of orderIds) {
+            await this.refreshOrderFulfilment(orderId);
+        }
+
+        return stats;
+    }
+
+    /**
+     * Cancel the purchase orders of a cancelled customer order
+     * Supplier orders that have already shipped, or that the supplier
+     * refuses to cancel, stay as they are and flag the customer order.
+     * @param {string} orderId - Order ID
+     * @param {string} reason - Why the order was cancelled
+     */
+    async cancelPurchaseOrders(orderId, reason) {
+        const purchaseOrders = await this.listPurchaseOrders({ orderId });
+
+        for (const purchaseOrder of purchaseOrders) {
+            if (!['pending', 'placed'].includes(purchaseOrder.status)) {
+                continue;
+            }
+
+            if (purchaseOrder.status === 'placed') {
+                const client = this.getClient(purchaseOrder.source);
+
+                try {
+                    if (typeof client.cancelOrder !== 'function') {
+                        throw new Error(`${client.name} orders cannot be cancelled through the API`);
+                    }
+
+                    const result = await client.cancelOrder(purchaseOrder, reason);
+
+                    if (result.status !== 'cancelled') {
+                        throw new Error(`Supplier answered ${result.status}`);
+                    }
+                } catch (error) {
+                    logger.error(`Failed to cancel purchase order ${purchaseOrder.id}:`, error);
+
+                    await supabase
+                        .from('purchase_orders')
+                        .update({
+                            last_error: `Supplier order could not be cancelled: ${error.message}`,
+                            updated_at: new Date().toISOString()
+                        })
+                        .eq('id', purchaseOrder.id);
+                    continue;
+                }
+            }
+
+            await supabase
+                .from('purchase_orders')
+                .update({
+                    status: 'cancelled',
+                    cancelled_at: new Date().toISOString(),
+                    cancelled_by: 'mallgram',
+                    updated_at: new Date().toISOString()
+                })
+                .eq('id', purchaseOrder.id)
+                .eq('status', purchaseOrder.status);
+        }
+
+        if (purchaseOrders.length > 0) {
+            await this.refreshOrderFulfilment(orderId);
+        }
+    }
+
+    /**
+     * Send a flagged purchase order back to its supplier
+     * @param {string} purchaseOrderId - Purchase order ID
+     * @param {Object} admin - Admin user
+     * @returns {Promise<Object>} - Updated purchase order
+     */
+    async retryPurchaseOrder(purchaseOrderId, admin) {
+        const purchaseOrder = await this.requirePurchaseOrder(purchaseOrderId);
+
+        if (!RETRYABLE_STATUSES.includes(purchaseOrder.status)) {
+            throw new ConflictError(`Purchase orders that are ${purchaseOrder.status} cannot be retried`);
+        }
+
+        const { data: order } = await supabase
+            .from('orders')
+            .select('status')
+            .eq('id', purchaseOrder.order_id)
+            .single();
+
+        if (order && ['cancelled', 'refunded'].includes(order.status)) {
+            throw new ConflictError(`Order is ${order.status}; its purchase orders cannot be retried`);
+        }
+
+        const { data: reset, error } = await supabase
+            .from('purchase_orders')
+            .update({
+                status: 'pending',
+                attempts: 0,
+                supplier_order_id: null,
+                last_error: null,
+                cancelled_at: null,
+                cancelled_by: null,
+                updated_at: new Date().toISOString()
+            })
+            .eq('id', purchaseOrderId)
+            .eq('status', purchaseOrder.status)
+            .select();
+
+        if (error || !reset || reset.length === 0) {
+            throw new ConflictError('Purchase order changed before it could be retried');
+        }
+
+        logger.info('Purchase order retried', { purchaseOrderId, adminId: admin.id });
+
+        const updated = await this.placePurchaseOrder(reset[0]);
+        await this.refreshOrderFulfilment(purchaseOrder.order_id);
+
+        return updated;
+    }
+
+    /**
+     * Record a purchase order that staff placed with the supplier by hand
+     * @param {string} purchaseOrderId - Purchase order ID
+     * @param {Object} admin - Admin user
+     * @param {Object} params
+     * @param {string} params.supplierOrderId - Supplier's order ID
+     * @param {number} params.cost - Amount paid to the supplier
+     * @param {string} [params.currency] - Currency of the cost (defaults to the purchase order's)
+     * @returns {Promise<Object>} - Updated purchase order
+     */
+    async recordManualPlacement(purchaseOrderId, admin, { supplierOrderId, cost, currency }) {
+        const purchaseOrder = await this.requirePurchaseOrder(purchaseOrderId);
+
+        if (!supplierOrderId) {
+            throw new ValidationError('Supplier order ID is required', 'supplier_order_id');
+        }
+
+        if (!(parseFloat(cost) >= 0)) {
+            throw new ValidationError('Cost must be a positive amount', 'cost');
+        }
+
+        if (['placed', 'shipped'].includes(purchaseOrder.status)) {
+            throw new ConflictError(`Purchase order is already ${purchaseOrder.status}`);
+        }
+
+        const { data: updated, error } = await supabase
+            .from('purchase_orders')
+            .update({
+                status: 'placed',
+                supplier_order_id: String(supplierOrderId),
+                cost: parseFloat(cost),
+                cost_currency: (currency || purchaseOrder.currency).toUpperCase(),
+                placed_at: new Date().toISOString(),
+                placed_by: admin.id,
+                last_error: null,
+                updated_at: new Date().toISOString()
+            })
+            .eq('id', purchaseOrderId)
+            .eq('status', purchaseOrder.status)
+            .select();
+
+        if (error || !updated || updated.length === 0) {
+            throw new ConflictError('Purchase order changed before it could be updated');
+        }
+
+        logger.info('Purchase order placed by hand', { purchaseOrderId, adminId: admin.id });
+
+        await this.recordPlaced(updated[0]);
+
+        await this.refreshOrderFulfilment(purchaseOrder.order_id);
+
+        return updated[0];
+    }
+
+    /**
+     * Load a purchase order or fail with 404
+     */
+    async requirePurchaseOrder(purchaseOrderId) {
+        const { data: purchaseOrder, error } = await supabase
+            .from('purchase_orders')
+            .select('*')
+            .eq('id', purchaseOrderId)
+            .single();
+
+        if (error || !purchaseOrder) {
+            throw new NotFoundError('Purchase order not found');
+        }
+
+        return purchaseOrder;
+    }
+
+    /**
+     * List purchase orders, newest first
+     * @param {Object} [filters] - { status, orderId }
+     * @returns {Promise<Array>}
+     */
+    async listPurchaseOrders({ status, orderId } = {}) {
+        let query = supabase
+            .from('purchase_orders')
+            .select('*')
+            .order('created_at', { ascending: false })
+            .limit(200);
+
+        if (status) {
+            query = query.eq('status', status);
+        }
+
+        if (orderId) {
+            query = query.eq('order_id', orderId);
+        }
+
+        const { data: purchaseOrders, error } = await query;
+
+        if (error) {
+            throw new Error(`Failed to load purchase orders: ${error.message}`);
+        }
+
+        return purchaseOrders || [];
+    }
+
+    /**
+     * Orders flagged for admin action, with their purchase orders
+     * @returns {Promise<Array>}
+     */
+    async listFlaggedOrders() {
+        const { data: orders, error } = await supabase
+            .from('orders')
+            .select('id, status, country, total_price, currency, fulfilment_status, fulfilment_issue, created_at, purchase_orders(*)')
+            .eq('fulfilment_status', 'needs_attention')
+            .order('created_at', { ascending: true });
+
+        if (error) {
+            throw new Error(`Failed to load flagged orders: ${error.message}`);
+        }
+
+        return orders || [];
+    }
+}
+
+module.exports = new FulfilmentService();
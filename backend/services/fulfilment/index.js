@@ -0,0 +1,17 @@
+/**
+ * Fulfilment
+ *
+ * Registers every supplier client with the fulfilment service. Clients are
+ * picked by product source; SUPPLIER_CLIENT=fixture sends every purchase
+ * order to the fixture client instead.
+ *
+ * @author Mallgram Backend Team
+ */
+
+const fulfilmentService = require('./fulfilmentService');
+
+fulfilmentService.registerClient(require('./clients/aliexpressClient'));
+fulfilmentService.registerClient(require('./clients/alibabaClient'));
+fulfilmentService.registerClient(require('./clients/fixtureSupplierClient'));
+
+module.exports = fulfilmentService;
@@ -0,0 +1,125 @@
+/**
+ * FX service: cross rates are derived through the base currency, missing
+ * or stale rates are refused, and a refresh stores what the source can
+ * price and skips the rest
+ */
+
+jest.mock('../../../config/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+jest.mock('../../../config/supabase', () => require('../../../test/supabaseMock').module);
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const db = require('../../../test/supabaseMock');
+const { Money } = require('../../../utils/money');
+const fxService = require('..');
+const fixtureRateSource = require('../sources/fixtureRateSource');
+
+const HOUR_MS = 60 * 60 * 1000;
+const hoursAgo = (hours) => new Date(Date.now() - hours * HOUR_MS).toISOString();
+
+const rate = (currency, value, fetchedAt = hoursAgo(1)) => ({
+    base_currency: 'USD',
+    quote_currency: currency,
+    rate: value,
+    source: 'fixture',
+    fetched_at: fetchedAt
+});
+
+const defaultFixture = fixtureRateSource.fixturePath;
+
+beforeEach(() => {
+    fxService.cache = null;
+    fxService.sourceId = 'fixture';
+    fixtureRateSource.fixturePath = defaultFixture;
+
+    db.reset({
+        exchange_rates: [
+            rate('ZAR', 18.1, hoursAgo(30)),
+            rate('ZAR', 18.5, hoursAgo(2)),
+            rate('XAF', 610, hoursAgo(5))
+        ]
+    });
+});
+
+describe('getRate', () => {
+    it('derives a cross rate through the base currency, dated by its older leg', async () => {
+        const snapshot = await fxService.getRate('ZAR', 'XAF');
+
+        expect(snapshot).toMatchObject({ base_currency: 'ZAR', quote_currency: 'XAF', source: 'fixture' });
+        expect(snapshot.rate).toBeCloseTo(610 / 18.5, 9);
+        expect(snapshot.fetched_at).toBe(db.tables.exchange_rates[2].fetched_at);
+    });
+
+    it('uses the latest stored rate of each currency', async () => {
+        await expect(fxService.getRate('USD', 'ZAR')).resolves.toMatchObject({ rate: 18.5 });
+    });
+
+    it('converts into the target currency\'s minor units', async () => {
+        const { amount, rate: snapshot } = await fxService.convert(Money.fromMajor(100, 'ZAR'), 'XAF');
+
+        expect(amount.toMajor()).toBe(3297);
+        expect(snapshot.quote_currency).toBe('XAF');
+    });
+
+    it('refuses a currency with no stored rate', async () => {
+        await expect(fxService.getRate('USD', 'NGN')).rejects.toThrow('No exchange rate available for NGN');
+    });
+
+    it('refuses a rate older than FX_MAX_RATE_AGE_HOURS', async () => {
+        db.tables.exchange_rates = [rate('ZAR', 18.5, hoursAgo(2)), rate('XAF', 610, hoursAgo(fxService.maxRateAgeHours + 1))];
+
+        await expect(fxService.getRate('ZAR', 'XAF')).rejects.toThrow('Exchange rate for XAF is stale');
+    });
+});
+
+describe('refreshRates from the fixture source', () => {
+    let dir;
+
+    const useFixture = (fixture) => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fx-'));
+        fixtureRateSource.fixturePath = path.join(dir, 'rates.json');
+        fs.writeFileSync(fixtureRateSource.fixturePath, JSON.stringify(fixture));
+    };
+
+    afterEach(() => {
+        if (dir) {
+            fs.rmSync(dir, { recursive: true, force: true });
+            dir = null;
+        }
+    });
+
+    it('stores a rate for every currency Mallgram prices in', async () => {
+        db.tables.exchange_rates = [];
+
+        const result = await fxService.refreshRates();
+
+        expect(result).toMatchObject({ source: 'fixture', skipped: [] });
+        expect(result.stored).toBe(db.tables.exchange_rates.length);
+        await expect(fxService.getRate('USD', 'XAF')).resolves.toMatchObject({ rate: 610 });
+    });
+
+    it('skips currencies the source has no usable rate for', async () => {
+        useFixture({ base: 'USD', rates: { ZAR: 18.7, XAF: 0, NGN: 'n/a' } });
+
+        const result = await fxService.refreshRates();
+
+        expect(result.stored).toBe(1);
+        expect(result.skipped).toEqual(expect.arrayContaining(['XAF', 'NGN']));
+        expect(db.tables.exchange_rates.filter(row => row.quote_currency === 'XAF')).toHaveLength(1);
+        await expect(fxService.getRate('USD', 'ZAR')).resolves.toMatchObject({ rate: 18.7 });
+    });
+
+    it('stores nothing when no rate is usable', async () => {
+        useFixture({ base: 'USD', rates: { ZAR: -1 } });
+
+        await expect(fxService.refreshRates()).rejects.toThrow('fixture returned no usable rates');
+        expect(db.tables.exchange_rates).toHaveLength(3);
+    });
+
+    it('refuses rates quoted against another base', async () => {
+        useFixture({ base: 'EUR', rates: { ZAR: 20.1 } });
+
+        await expect(fxService.refreshRates()).rejects.toThrow('quoted against EUR');
+    });
+});
@@ -0,0 +1,241 @@
+/**
+ * FX Service
+ *
+ * Exchange rates stored in the exchange_rates table, quoted against
+ * FX_BASE_CURRENCY (USD, the currency supplier prices arrive in):
+ * - refreshRates() pulls the latest rates from the configured rate source
+ * - getRate() / convert() derive cross rates (e.g. ZAR -> XAF) via the base
+ * - Every conversion returns a rate snapshot that callers store alongside
+ *   orders and payments so totals can be audited later
+ *
+ * Rate sources register themselves (see services/fx/index.js); FX_RATE_SOURCE
+ * picks which one refreshRates() uses.
+ *
+ * @author Mallgram Backend Team
+ */
+
+const { supabase } = require('../../config/supabase');
+const logger = require('../../config/logger');
+const { Money, CURRENCIES } = require('../../utils/money');
+
+// How long rates read from the database are reused before re-reading
+const CACHE_TTL_MS = 5 * 60 * 1000;
+
+class FxService {
+    constructor() {
+        this.sources = new Map();
+        this.baseCurrency = (process.env.FX_BASE_CURRENCY || 'USD').toUpperCase();
+        this.sourceId = process.env.FX_RATE_SOURCE || 'http';
+        this.maxRateAgeHours = parseInt(process.env.FX_MAX_RATE_AGE_HOURS) || 48;
+        this.cache = null;
+    }
+
+    /**
+     * Register a rate source
+     * @param {Object} source - { id, name, fetchRates(baseCurrency) }
+     */
+    registerSource(source) {
+        if (!source.id || typeof source.fetchRates !== 'function') {
+            throw new Error('Rate sources need an id and a fetchRates(baseCurrency) method');
+        }
+
+        this.sources.set(source.id, source);
+    }
+
+    /**
+     * Get the configured rate source
+     */
+    getSource() {
+        const source = this.sources.get(this.sourceId);
+
+        if (!source) {
+            throw new Error(`Unknown FX rate source: ${this.sourceId}`);
+        }
+
+        return source;
+    }
+
+    /**
+     * Fetch the latest rates from the rate source and store them
+     * Only currencies Mallgram can price in are kept.
+     * @returns {Promise<Object>} - { source, fetched_at, stored, skipped }
+     */
+    async refreshRates() {
+        const source = this.getSource();
+        const result = await source.fetchRates(this.baseCurrency);
+
+        if ((result.base || '').toUpperCase() !== this.baseCurrency) {
+            throw new Error(`${source.id} returned rates against ${result.base}, expected ${this.baseCurrency}`);
+        }
+
+        const fetchedAt = result.fetched_at || new Date().toISOString();
+        const rows = [];
+        const skipped = [];
+
+        Object.keys(CURRENCIES)
+            .filter(currency => currency !== this.baseCurrency)
+            .forEach(currency => {
+                const rate = Number(result.rates[currency]);
+
+                if (!(rate > 0)) {
+                    skipped.push(currency);
+                    return;
+                }
+
+                rows.push({
+                    base_currency: this.baseCurrency,
+                    quote_currency: currency,
+                    rate,
+                    source: source.id,
+                    fetched_at: fetchedAt,
+                    created_at: new Date().toISOString()
+                });
+            });
+
+        if (rows.length === 0) {
+            throw new Error(`${source.id} returned no usable rates`);
+        }
+
+        const { error } = await supabase
+            .from('exchange_rates')
+            .insert(rows);
+
+        if (error) {
+            throw new Error(`Failed to store exchange rates: ${error.message}`);
+        }
+
+        this.cache = null;
+
+        if (skipped.length > 0) {
+            logger.warn(`FX source ${source.id} has no rate for: ${skipped.join(', ')}`);
+        }
+
+        return {
+            source: source.id,
+            fetched_at: fetchedAt,
+            stored: rows.length,
+            skipped
+        };
+    }
+
+    /**
+     * Get the latest stored rate of every currency against the base
+     * @returns {Promise<Object>} - { [currency]: { rate, source, fetched_at } }
+     */
+    async getLatestRates() {
+        if (this.cache && Date.now() - this.cache.loadedAt < CACHE_TTL_MS) {
+            return this.cache.rates;
+        }
+
+        const rates = {
+            [this.baseCurrency]: { rate: 1, source: 'base', fetched_at: null }
+        };
+
+        const results = await Promise.all(
+            Object.keys(CURRENCIES)
+                .filter(currency => currency !== this.baseCurrency)
+                .map(currency => supabase
+                    .from('exchange_rates')
+                    .select('quote_currency, rate, source, fetched_at')
+                    .eq('base_currency', this.baseCurrency)
+                    .eq('quote_currency', currency)
+                    .order('fetched_at', { ascending: false })
+                    .limit(1))
+        );
+
+        results.forEach(({ data, error }) => {
+            if (error) {
+                throw new Error(`Failed to load exchange rates: ${error.message}`);
+            }
+
+            const latest = data && data[0];
+            if (latest) {
+                rates[latest.quote_currency] = {
+                    rate: parseFloat(latest.rate),
+                    source: latest.source,
+                    fetched_at: latest.fetched_at
+                };
+            }
+        });
+
+        this.cache = { rates, loadedAt: Date.now() };
+        return rates;
+    }
+
+    /**
+     * Get the rate to convert one unit of `from` into `to`
+     * @param {string} from - ISO currency code
+     * @param {string} to - ISO currency code
+     * @returns {Promise<Object>} - Rate snapshot
+     *   { base_currency, quote_currency, rate, source, fetched_at }
+     */
+    async getRate(from, to) {
+        const fromCurrency = from.toUpperCase();
+        const toCurrency = to.toUpperCase();
+
+        if (fromCurrency === toCurrency) {
+            return {
+                base_currency: fromCurrency,
+                quote_currency: toCurrency,
+                rate: 1,
+                source: 'identity',
+                fetched_at: null
+            };
+        }
+
+        const rates = await this.getLatestRates();
+        const fromRate = this.requireRate(rates, fromCurrency);
+        const toRate = this.requireRate(rates, toCurrency);
+
+        // The older of the two legs dates the cross rate
+        const fetchedAt = [fromRate.fetched_at, toRate.fetched_at]
+            .filter(Boolean)
+            .sort()[0] || null;
+
+        return {
+            base_currency: fromCurrency,
+            quote_currency: toCurrency,
+            rate: Number((toRate.rate / fromRate.rate).toPrecision(12)),
+            source: fromCurrency === this.baseCurrency ? toRate.source : fromRate.source,
+            fetched_at: fetchedAt
+        };
+    }
+
+    /**
+     * Convert an amount into another currency
+     * @param {Money} amount - Amount to convert
+     * @param {string} toCurrency - Target ISO currency code
+     * @returns {Promise<Object>} - { amount: Money, rate: rate snapshot }
+     */
+    async convert(amount, toCurrency) {
+        const rate = await this.getRate(amount.currency, toCurrency);
+
+        return {
+            amount: Money.fromMajor(amount.toMajor() * rate.rate, toCurrency),
+            rate
+        };
+    }
+
+    /**
+     * Look up a currency's rate, refusing missing or stale rates
+     */
+    requireRate(rates, currency) {
+        const entry = rates[currency];
+
+        if (!entry) {
+            throw new Error(`No exchange rate available for ${currency}`);
+        }
+
+        if (entry.fetched_at) {
+            const ageHours = (Date.now() - new Date(entry.fetched_at).getTime()) / (60 * 60 * 1000);
+
+            if (ageHours > this.maxRateAgeHours) {
+                throw new Error(`Exchange rate for ${currency} is stale (fetched ${entry.fetched_at})`);
+            }
+        }
+
+        return entry;
+    }
+}
+
+module.exports = new FxService();
@@ -0,0 +1,15 @@
+/**
+ * FX
+ *
+ * Registers every exchange rate source with the FX service. Add new
+ * sources here and select one with FX_RATE_SOURCE.
+ *
+ * @author Mallgram Backend Team
+ */
+
+const fxService = require('./fxService');
+
+fxService.registerSource(require('./sources/httpRateSource'));
+fxService.registerSource(require('./sources/fixtureRateSource'));
+
+module.exports = fxService;
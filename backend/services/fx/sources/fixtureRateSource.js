@@ -0,0 +1,43 @@
+/**
+ * Fixture Rate Source
+ *
+ * Serves fixed rates from a JSON file so tests, CI and offline development
+ * get predictable conversions. Set FX_RATE_SOURCE=fixture to use it;
+ * FX_RATE_FIXTURE_PATH points at a different file.
+ *
+ * @author Mallgram Backend Team
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+class FixtureRateSource {
+    constructor() {
+        this.id = 'fixture';
+        this.name = 'Local fixture';
+        this.fixturePath = process.env.FX_RATE_FIXTURE_PATH ||
+            path.join(__dirname, '..', 'fixtures', 'rates.json');
+    }
+
+    /**
+     * Read rates from the fixture file
+     * Rates are stamped with the current time so they never count as stale.
+     * @param {string} baseCurrency - Currency the rates must be quoted against
+     * @returns {Promise<Object>} - { base, rates, fetched_at }
+     */
+    async fetchRates(baseCurrency) {
+        const fixture = JSON.parse(await fs.promises.readFile(this.fixturePath, 'utf8'));
+
+        if (fixture.base !== baseCurrency) {
+            throw new Error(`Fixture rates are quoted against ${fixture.base}, expected ${baseCurrency}`);
+        }
+
+        return {
+            base: fixture.base,
+            rates: fixture.rates,
+            fetched_at: new Date().toISOString()
+        };
+    }
+}
+
+module.exports = new FixtureRateSource();
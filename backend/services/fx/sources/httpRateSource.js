@@ -0,0 +1,48 @@
+/**
+ * HTTP Rate Source
+ *
+ * Fetches daily reference rates from an ExchangeRate-API compatible endpoint
+ * (FX_RATE_API_URL, default https://open.er-api.com/v6/latest). An API key,
+ * if the provider needs one, goes in FX_RATE_API_KEY.
+ *
+ * @author Mallgram Backend Team
+ */
+
+const axios = require('axios');
+
+class HttpRateSource {
+    constructor() {
+        this.id = 'http';
+        this.name = 'ExchangeRate-API';
+        this.apiUrl = process.env.FX_RATE_API_URL || 'https://open.er-api.com/v6/latest';
+        this.apiKey = process.env.FX_RATE_API_KEY;
+    }
+
+    /**
+     * Fetch the latest rates against a base currency
+     * @param {string} baseCurrency - ISO currency code
+     * @returns {Promise<Object>} - { base, rates, fetched_at }
+     */
+    async fetchRates(baseCurrency) {
+        const response = await axios.get(`${this.apiUrl}/${baseCurrency}`, {
+            headers: this.apiKey ? { 'Authorization': `Bearer ${this.apiKey}` } : {},
+            timeout: 10000
+        });
+
+        const data = response.data;
+
+        if (data.result !== 'success' || !data.rates) {
+            throw new Error(`Rate request failed: ${data['error-type'] || 'unexpected response'}`);
+        }
+
+        return {
+            base: data.base_code,
+            rates: data.rates,
+            fetched_at: data.time_last_update_unix
+                ? new Date(data.time_last_update_unix * 1000).toISOString()
+                : new Date().toISOString()
+        };
+    }
+}
+
+module.exports = new HttpRateSource();
@@ -0,0 +1,118 @@
+/**
+ * OAuth Token Cache
+ *
+ * Caches client-credentials access tokens for gateway and carrier API
+ * clients (MTN MoMo, Orange Money, ...):
+ * - Tokens are reused until shortly before their expires_in runs out
+ * - Concurrent callers share a single in-flight refresh
+ * - A 401 from the provider clears the token and the request is retried once
+ *
+ * Each client creates its own cache with a function that fetches a token:
+ *
+ *     this.tokenCache = new OAuthTokenCache('Orange Money', () => this.requestAccessToken());
+ *     const response = await this.tokenCache.withToken(token => axios.get(url, { headers: ... }));
+ *
+ * @author Mallgram Backend Team
+ */
+
+const logger = require('../config/logger');
+
+// Refresh this long before the provider's expiry to absorb clock skew and latency
+const DEFAULT_REFRESH_MARGIN_MS = 60 * 1000;
+
+// Used when a provider omits expires_in
+const DEFAULT_TTL_MS = 60 * 60 * 1000;
+
+class OAuthTokenCache {
+    /**
+     * @param {string} name - Client name, used in logs
+     * @param {Function} fetchToken - Async function resolving to { access_token, expires_in }
+     * @param {Object} options - { refreshMarginMs, defaultTtlMs }
+     */
+    constructor(name, fetchToken, options = {}) {
+        this.name = name;
+        this.fetchToken = fetchToken;
+        this.refreshMarginMs = options.refreshMarginMs ?? DEFAULT_REFRESH_MARGIN_MS;
+        this.defaultTtlMs = options.defaultTtlMs ?? DEFAULT_TTL_MS;
+
+        this.accessToken = null;
+        this.expiresAt = 0;
+        this.refreshPromise = null;
+    }
+
+    /**
+     * Get a valid access token, refreshing it if needed
+     * @returns {Promise<string>} - Access token
+     */
+    async getToken() {
+        if (this.accessToken && Date.now() < this.expiresAt - this.refreshMarginMs) {
+            return this.accessToken;
+        }
+
+        // Share one refresh between every caller waiting on it
+        if (!this.refreshPromise) {
+            this.refreshPromise = this.refresh().finally(() => {
+                this.refreshPromise = null;
+            });
+        }
+
+        return this.refreshPromise;
+    }
+
+    /**
+     * Fetch and store a new token
+     * @returns {Promise<string>} - Access token
+     */
+    async refresh() {
+        const token = await this.fetchToken();
+
+        if (!token || !token.access_token) {
+            throw new Error(`${this.name} token response did not include an access token`);
+        }
+
+        const expiresInMs = parseInt(token.expires_in) * 1000 || this.defaultTtlMs;
+
+        this.accessToken = token.access_token;
+        this.expiresAt = Date.now() + expiresInMs;
+
+        logger.debug(`${this.name} access token refreshed`, { expiresInSeconds: expiresInMs / 1000 });
+
+        return this.accessToken;
+    }
+
+    /**
+     * Drop the cached token so the next call fetches a new one
+     */
+    invalidate() {
+        this.accessToken = null;
+        this.expiresAt = 0;
+    }
+
+    /**
+     * Run an API request with a token, retrying once with a fresh token on 401
+     * @param {Function} request - Async function receiving the access token
+     * @returns {Promise<*>} - Result of the request
+     */
+    async withToken(request) {
+        const token = await this.getToken();
+
+        try {
+            return await request(token);
+        } catch (error) {
+            if (error.response?.status !== 401) {
+                throw error;
+            }
+
+            logger.warn(`${this.name} rejected access token, refreshing`);
+
+            // Another caller may already have replaced the rejected token
+            if (this.accessToken === token) {
+                this.invalidate();
+            }
+
+            return request(await this.getToken());
+        }
+    }
+}
+
+module.exports = OAuthTokenCache;
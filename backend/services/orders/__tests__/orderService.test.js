@@ -0,0 +1,97 @@
+/**
+ * Order service: an order placed through a referral link whose code was
+ * used up after pricing is placed again without the code, while a typed
+ * code that ran out is refused
+ */
+
+jest.mock('../../../config/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+jest.mock('../../../config/supabase', () => require('../../../test/supabaseMock').module);
+jest.mock('../../emailService', () => ({}));
+jest.mock('../../fulfilment', () => ({}));
+jest.mock('../../payments/refundService', () => ({}));
+jest.mock('../../payments/paymentProcessor', () => ({}));
+jest.mock('../../affiliates/referralService', () => ({ resolve: jest.fn() }));
+jest.mock('../pricingService', () => ({ priceCart: jest.fn() }));
+
+const db = require('../../../test/supabaseMock');
+const { Money } = require('../../../utils/money');
+const { ValidationError } = require('../../../middleware/errorHandler');
+const referralService = require('../../affiliates/referralService');
+const pricingService = require('../pricingService');
+const orderService = require('../orderService');
+
+const user = { id: 'u1', email: 'ama@example.com' };
+const items = [{ product_id: 'prod-headset', quantity: 1 }];
+const shippingAddress = { line1: '12 Rue Joss', city: 'Douala', country: 'CM' };
+const referral = { id: 'ref-1', code: 'KOFI10' };
+
+const pricing = (promoSource, total) => ({
+    country: 'CM',
+    currency: 'XAF',
+    items: [{
+        product_id: 'prod-headset',
+        quantity: 1,
+        unit_price: Money.fromMajor(6100, 'XAF'),
+        price_tier: 'retail',
+        discount: Money.zero('XAF'),
+        shipping: Money.fromMajor(1220, 'XAF'),
+        duty_rate: 0.3,
+        duty: Money.fromMajor(2196, 'XAF'),
+        tax: Money.fromMajor(1832, 'XAF')
+    }],
+    subtotal: Money.fromMajor(6100, 'XAF'),
+    discount: Money.zero('XAF'),
+    shipping: Money.fromMajor(1220, 'XAF'),
+    duty: Money.fromMajor(2196, 'XAF'),
+    tax: Money.fromMajor(1832, 'XAF'),
+    total: Money.fromMajor(total, 'XAF'),
+    promo_code: promoSource ? { id: 'promo-kofi', code: 'KOFI10' } : null,
+    promo_source: promoSource,
+    referral_id: promoSource === 'referral' ? 'ref-1' : null,
+    estimated_delivery: { earliest: '2026-11-02', latest: '2026-11-09' },
+    fx_rate_snapshot: { rate: 610 }
+});
+
+let createOrder;
+
+beforeEach(() => {
+    jest.clearAllMocks();
+    db.reset({ orders: [] });
+
+    createOrder = jest.fn(({ p_order: order }) => {
+        if (order.promo_code_id) {
+            throw new Error('promo_code_limit_reached');
+        }
+
+        db.tables.orders.push({ id: 'ord-1', ...order, order_items: [] });
+        return 'ord-1';
+    });
+    db.rpcHandlers.create_order_with_items = createOrder;
+    referralService.resolve.mockResolvedValue(referral);
+});
+
+describe('createOrder when the promo code was used up after pricing', () => {
+    it('places a referral order again without the code', async () => {
+        pricingService.priceCart
+            .mockResolvedValueOnce(pricing('referral', 9984))
+            .mockResolvedValueOnce(pricing(null, 11348));
+
+        const { order, pricing: placed } = await orderService.createOrder(user, { items, shippingAddress, referralId: 'ref-1' });
+
+        expect(pricingService.priceCart).toHaveBeenNthCalledWith(1, expect.objectContaining({ referral }));
+        expect(pricingService.priceCart.mock.calls[1][0]).not.toHaveProperty('referral');
+        expect(createOrder).toHaveBeenCalledTimes(2);
+        expect(order).toMatchObject({ id: 'ord-1', promo_code_id: null, referral_id: null, total_price: 11348 });
+        expect(placed.promo_source).toBeNull();
+    });
+
+    it('refuses an order whose typed code ran out', async () => {
+        pricingService.priceCart.mockResolvedValueOnce(pricing('code', 9984));
+
+        await expect(orderService.createOrder(user, { items, shippingAddress, promoCode: 'KOFI10' }))
+            .rejects.toThrow(new ValidationError('This promo code has reached its usage limit', 'promo_code'));
+
+        expect(pricingService.priceCart).toHaveBeenCalledTimes(1);
+        expect(db.tables.orders).toHaveLength(0);
+    });
+});
@@ -0,0 +1,190 @@
+/**
+ * Pricing service: carts are priced from the catalogue at wholesale or
+ * retail, converted at stored rates, discounted by a typed code or else the
+ * referral's code, and given each market's duty and VAT
+ */
+
+jest.mock('../../../config/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+jest.mock('../../../config/supabase', () => require('../../../test/supabaseMock').module);
+jest.mock('../etaService', () => ({ estimate: jest.fn() }));
+
+const db = require('../../../test/supabaseMock');
+const { ValidationError, ExternalServiceError } = require('../../../middleware/errorHandler');
+const etaService = require('../etaService');
+const fxService = require('../../fx');
+const pricingService = require('../pricingService');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const rate = (currency, value, fetchedAt = new Date().toISOString()) => ({
+    base_currency: 'USD',
+    quote_currency: currency,
+    rate: value,
+    source: 'fixture',
+    fetched_at: fetchedAt
+});
+
+const promo = (code, extra = {}) => ({
+    id: `promo-${code}`,
+    code,
+    status: 'active',
+    usage_count: 0,
+    usage_limit: null,
+    per_user_limit: null,
+    discount_type: 'percentage',
+    discount_percent: 10,
+    currency: 'USD',
+    min_spend: null,
+    countries: [],
+    categories: [],
+    stacks_with_wholesale: true,
+    ...extra
+});
+
+const referral = { id: 'ref-1', code: 'KOFI10' };
+const headset = [{ product_id: 'prod-headset', quantity: 1 }];
+
+beforeEach(() => {
+    fxService.cache = null;
+
+    db.reset({
+        products: [
+            {
+                id: 'prod-headset',
+                name: 'Bluetooth headset',
+                price: 10,
+                currency: 'USD',
+                category: 'Consumer Electronics',
+                stock: 500,
+                is_active: true,
+                shipping_info: { cost: 2 }
+            },
+            {
+                id: 'prod-tshirt',
+                name: 'Cotton T-shirt',
+                price: 4,
+                currency: 'USD',
+                category: 'Apparel',
+                stock: 500,
+                is_active: true,
+                shipping_info: { weight_kg: 0.2 }
+            }
+        ],
+        products_retailer: [{
+            product_id: 'prod-tshirt',
+            wholesale_price: 3,
+            min_order_quantity: 50,
+            bulk_discount_percent: 10,
+            lead_time_days: 7
+        }],
+        exchange_rates: [rate('ZAR', 18.5), rate('XAF', 610)],
+        promo_codes: [
+            promo('WELCOME10'),
+            promo('KOFI10', { discount_percent: 15 }),
+            promo('OLDLINK', { expires_at: '2026-01-01T00:00:00Z' }),
+            promo('SHOESONLY', { categories: ['Shoes'] })
+        ],
+        orders: []
+    });
+
+    etaService.estimate.mockResolvedValue({ earliest: '2026-11-02', latest: '2026-11-09' });
+});
+
+describe('wholesale pricing', () => {
+    it('gives lines that meet the minimum order quantity the wholesale price less its bulk discount', async () => {
+        const cart = await pricingService.priceCart({ items: [{ product_id: 'prod-tshirt', quantity: 50 }], country: 'ZA' });
+
+        expect(cart.items[0]).toMatchObject({ price_tier: 'wholesale' });
+        expect(cart.items[0].unit_price.toString()).toBe('49.95');
+        expect(cart.subtotal.toString()).toBe('2497.50');
+    });
+
+    it('prices a line one short of the minimum at retail', async () => {
+        const cart = await pricingService.priceCart({ items: [{ product_id: 'prod-tshirt', quantity: 49 }], country: 'ZA' });
+
+        expect(cart.items[0]).toMatchObject({ price_tier: 'retail' });
+        expect(cart.items[0].unit_price.toString()).toBe('74.00');
+    });
+
+    it('merges repeated lines before checking the minimum', async () => {
+        const cart = await pricingService.priceCart({
+            items: [{ product_id: 'prod-tshirt', quantity: 30 }, { product_id: 'prod-tshirt', quantity: 20 }],
+            country: 'ZA'
+        });
+
+        expect(cart.items).toHaveLength(1);
+        expect(cart.items[0]).toMatchObject({ quantity: 50, price_tier: 'wholesale' });
+    });
+});
+
+describe('duty and VAT per market', () => {
+    it('charges South African duty on the goods alone and 15% VAT', async () => {
+        const cart = await pricingService.priceCart({ items: headset, country: 'ZA' });
+
+        expect(cart).toMatchObject({ country: 'ZA', currency: 'ZAR', vat_rate: 0.15 });
+        expect(cart.items[0]).toMatchObject({ duty_category: 'electronics', duty_rate: 0.15 });
+        expect([cart.subtotal, cart.shipping, cart.duty, cart.tax, cart.total].map(String))
+            .toEqual(['185.00', '37.00', '27.75', '37.46', '287.21']);
+    });
+
+    it('charges Cameroonian duty on goods plus freight and 19.25% VAT, in whole francs', async () => {
+        const cart = await pricingService.priceCart({ items: headset, country: 'CM' });
+
+        expect(cart).toMatchObject({ country: 'CM', currency: 'XAF', vat_rate: 0.1925 });
+        expect(cart.items[0]).toMatchObject({ duty_category: 'electronics', duty_rate: 0.30 });
+        expect([cart.subtotal, cart.shipping, cart.duty, cart.tax, cart.total].map(money => money.toMajor()))
+            .toEqual([6100, 1220, 2196, 1832, 11348]);
+    });
+
+    it('refuses countries Mallgram does not deliver to', async () => {
+        await expect(pricingService.priceCart({ items: headset, country: 'NG' })).rejects.toThrow(ValidationError);
+    });
+});
+
+describe('promo code and referral', () => {
+    it('uses the code the customer typed over their referral', async () => {
+        const cart = await pricingService.priceCart({ items: headset, country: 'ZA', promoCode: 'WELCOME10', referral });
+
+        expect(cart).toMatchObject({ promo_source: 'code', referral_id: null });
+        expect(cart.promo_code.code).toBe('WELCOME10');
+        expect(cart.discount.toString()).toBe('18.50');
+    });
+
+    it('falls back to the referral link\'s code without a typed one', async () => {
+        const cart = await pricingService.priceCart({ items: headset, country: 'ZA', referral });
+
+        expect(cart).toMatchObject({ promo_source: 'referral', referral_id: 'ref-1', promo_eligible_items: ['prod-headset'] });
+        expect(cart.discount.toString()).toBe('27.75');
+    });
+
+    it('drops a referral code the customer cannot use instead of refusing the cart', async () => {
+        const expired = await pricingService.priceCart({ items: headset, country: 'ZA', referral: { id: 'ref-2', code: 'OLDLINK' } });
+        const notForCart = await pricingService.priceCart({ items: headset, country: 'ZA', referral: { id: 'ref-3', code: 'SHOESONLY' } });
+
+        [expired, notForCart].forEach(cart => {
+            expect(cart).toMatchObject({ promo_code: null, promo_source: null, referral_id: null });
+            expect(cart.discount.isZero()).toBe(true);
+        });
+    });
+
+    it('refuses a typed code the customer cannot use', async () => {
+        await expect(pricingService.priceCart({ items: headset, country: 'ZA', promoCode: 'OLDLINK' }))
+            .rejects.toThrow('This promo code has expired');
+        await expect(pricingService.priceCart({ items: headset, country: 'ZA', promoCode: 'SHOESONLY' }))
+            .rejects.toThrow('does not apply to any item');
+    });
+});
+
+describe('exchange rates', () => {
+    it('refuses to price a cart when the market\'s rate is stale', async () => {
+        db.tables.exchange_rates = [rate('ZAR', 18.5, new Date(Date.now() - 72 * HOUR_MS).toISOString())];
+
+        await expect(pricingService.priceCart({ items: headset, country: 'ZA' })).rejects.toThrow(ExternalServiceError);
+    });
+
+    it('stores the rate the cart was priced at', async () => {
+        const cart = await pricingService.priceCart({ items: headset, country: 'CM' });
+
+        expect(cart.fx_rate_snapshot).toMatchObject({ base_currency: 'USD', quote_currency: 'XAF', rate: 610, source: 'fixture' });
+    });
+});
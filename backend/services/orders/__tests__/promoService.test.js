@@ -0,0 +1,60 @@
+/**
+ * Promo service: a fixed discount split across cart lines never takes a
+ * line below zero or above its goods, and adds up to the discount
+ */
+
+jest.mock('../../../config/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+jest.mock('../../../config/supabase', () => require('../../../test/supabaseMock').module);
+
+const { Money } = require('../../../utils/money');
+const promoService = require('../promoService');
+
+const line = (id, subtotal, currency = 'XAF') => ({
+    product: { id, category: 'Electronics' },
+    tier: 'retail',
+    subtotal: Money.fromMajor(subtotal, currency),
+    freight: Money.zero(currency)
+});
+
+const fixed = (amount, currency = 'XAF') => ({
+    code: 'SAVE',
+    discount_type: 'fixed',
+    discount_amount: amount,
+    currency,
+    categories: []
+});
+
+const minorUnits = (discounts) => discounts.map(discount => discount.minorUnits);
+
+describe('applyDiscount with a fixed amount', () => {
+    it('carries rounding forward instead of giving the last line a negative share', async () => {
+        const lines = ['p1', 'p2', 'p3', 'p4', 'p5'].map(id => line(id, 1));
+
+        const { discounts } = await promoService.applyDiscount(fixed(3), lines, 'XAF');
+
+        expect(minorUnits(discounts)).toEqual([1, 1, 0, 1, 0]);
+    });
+
+    it('keeps every share between zero and the line goods', async () => {
+        const lines = [line('p1', 0.01, 'ZAR'), line('p2', 999.99, 'ZAR'), line('p3', 0.01, 'ZAR')];
+
+        const { discounts } = await promoService.applyDiscount(fixed(500, 'ZAR'), lines, 'ZAR');
+        const total = discounts.reduce((sum, discount) => sum.add(discount), Money.zero('ZAR'));
+
+        discounts.forEach((discount, index) => {
+            expect(discount.isNegative()).toBe(false);
+            expect(discount.greaterThan(lines[index].subtotal)).toBe(false);
+        });
+        expect(total.toString()).toBe('500.00');
+    });
+
+    it('caps the discount at the eligible goods and leaves other lines alone', async () => {
+        const promo = { ...fixed(5000), categories: ['Electronics'] };
+        const lines = [line('p1', 1200), { ...line('p2', 800), product: { id: 'p2', category: 'Fashion' } }, line('p3', 1800)];
+
+        const { discounts, eligible } = await promoService.applyDiscount(promo, lines, 'XAF');
+
+        expect(minorUnits(discounts)).toEqual([1200, 0, 1800]);
+        expect(eligible).toEqual(['p1', 'p3']);
+    });
+});
@@ -0,0 +1,126 @@
+/**
+ * Return service: a return whose refund or restock failed when it was
+ * received can be refunded or restocked later
+ */
+
+jest.mock('../../../config/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+jest.mock('../../../config/supabase', () => require('../../../test/supabaseMock').module);
+jest.mock('../../emailService', () => ({ sendReturnUpdateEmail: jest.fn() }));
+jest.mock('../../payments/refundService', () => ({ refundOrder: jest.fn() }));
+jest.mock('../../payments/paymentProcessor', () => ({ reverseAffiliateCommission: jest.fn() }));
+jest.mock('../orderService', () => ({ getOrder: jest.fn() }));
+
+const db = require('../../../test/supabaseMock');
+const refundService = require('../../payments/refundService');
+const orderService = require('../orderService');
+const returnService = require('../returnService');
+
+const admin = { id: 'admin-1' };
+const refund = {
+    refund: { id: 'ref-1', amount: 50, currency: 'ZAR', status: 'success' },
+    payment_status: 'partially_refunded'
+};
+
+beforeEach(() => {
+    jest.clearAllMocks();
+    db.reset({
+        order_returns: [{
+            id: 'ret-1',
+            order_id: 'ord-1',
+            user_id: 'u1',
+            status: 'approved',
+            reason: 'damaged',
+            items: [{ order_item_id: 'item-1', quantity: 1, unit_price: 50 }],
+            created_at: '2026-09-01T00:00:00Z'
+        }],
+        users: [{ id: 'u1', email: 'buyer@example.com', full_name: 'Buyer' }]
+    });
+    db.rpcHandlers.restock_return = jest.fn(({ p_return_id: returnId }) => {
+        db.tables.order_returns.find(row => row.id === returnId).restocked_at = new Date().toISOString();
+    });
+    orderService.getOrder.mockResolvedValue({
+        id: 'ord-1',
+        order_items: [{ id: 'item-1', quantity: 2, unit_price: '50.00' }]
+    });
+});
+
+describe('returns whose refund failed', () => {
+    it('stay received, then are refunded by retryRefund', async () => {
+        refundService.refundOrder.mockRejectedValueOnce(new Error('Gateway timeout'));
+
+        const received = await returnService.receiveReturn('ret-1', admin);
+
+        expect(received.refund).toBeNull();
+        expect(db.tables.order_returns[0].status).toBe('received');
+
+        refundService.refundOrder.mockResolvedValueOnce(refund);
+        const retried = await returnService.retryRefund('ret-1', admin);
+
+        expect(refundService.refundOrder).toHaveBeenLastCalledWith('ord-1', 0.5, expect.any(String), 'admin-1', { actorType: 'admin' });
+        expect(retried.refund).toBe(refund);
+        expect(db.tables.order_returns[0]).toMatchObject({ status: 'refunded', refund_id: 'ref-1' });
+    });
+
+    it('pass gateway errors on retry to the admin', async () => {
+        db.tables.order_returns[0].status = 'received';
+        refundService.refundOrder.mockRejectedValueOnce(new Error('Gateway timeout'));
+
+        await expect(returnService.retryRefund('ret-1', admin)).rejects.toThrow('Gateway timeout');
+        expect(db.tables.order_returns[0].status).toBe('received');
+    });
+
+    it('cannot be refunded twice', async () => {
+        db.tables.order_returns[0].status = 'refunded';
+
+        await expect(returnService.retryRefund('ret-1', admin)).rejects.toThrow('Only received returns');
+    });
+});
+
+describe('returns whose restock failed', () => {
+    beforeEach(() => {
+        db.rpcHandlers.restock_return.mockImplementationOnce(() => {
+            throw new Error('could not obtain lock on row in relation "products"');
+        });
+    });
+
+    it('keep the error on the return and are restocked by retryRestock', async () => {
+        refundService.refundOrder.mockResolvedValueOnce(refund);
+
+        await returnService.receiveReturn('ret-1', admin);
+
+        expect(db.tables.order_returns[0]).toMatchObject({
+            status: 'refunded',
+            restock_error: 'could not obtain lock on row in relation "products"'
+        });
+        expect(db.tables.order_returns[0].restocked_at).toBeUndefined();
+
+        const restocked = await returnService.retryRestock('ret-1', admin);
+
+        expect(restocked.restock_error).toBeNull();
+        expect(restocked.restocked_at).toEqual(expect.any(String));
+        await expect(returnService.retryRestock('ret-1', admin)).rejects.toThrow('already restocked');
+    });
+
+    it('are restocked before the refund is retried', async () => {
+        refundService.refundOrder.mockRejectedValueOnce(new Error('Gateway timeout'));
+        await returnService.receiveReturn('ret-1', admin);
+
+        refundService.refundOrder.mockResolvedValueOnce(refund);
+        await returnService.retryRefund('ret-1', admin);
+
+        expect(db.rpcHandlers.restock_return).toHaveBeenCalledTimes(2);
+        expect(db.tables.order_returns[0]).toMatchObject({ status: 'refunded', restock_error: null });
+        expect(db.tables.order_returns[0].restocked_at).toEqual(expect.any(String));
+    });
+
+    it('are not restocked again once restocked', async () => {
+        db.rpcHandlers.restock_return.mockReset();
+        db.tables.order_returns[0].status = 'received';
+        db.tables.order_returns[0].restocked_at = '2026-09-03T10:00:00Z';
+        refundService.refundOrder.mockResolvedValueOnce(refund);
+
+        await returnService.retryRefund('ret-1', admin);
+
+        expect(db.rpcHandlers.restock_return).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,324 @@
+/**
+ * ETA Service
+ *
+ * Estimated delivery date ranges, built from each stage an order goes through:
+ * 1. Supplier: lead_time_days from products_retailer for wholesale lines,
+ *    otherwise the supplier's handling time (shipping_info.handling_days)
+ * 2. Consolidation: orders at the hub wait in their country's bulk shipment,
+ *    which is dispatched BULK_SHIPPING_DELAY_HOURS after it opens
+ * 3. Transit: how long recent orders to the same country took from dispatch
+ *    to delivery, falling back to defaults until there is history
+ *
+ * Ranges are given as ISO dates ({ earliest, latest }) and narrowed by
+ * refine() as carrier tracking events arrive.
+ *
+ * @author Mallgram Backend Team
+ */
+
+const { supabase } = require('../../config/supabase');
+const logger = require('../../config/logger');
+const { ValidationError, NotFoundError } = require('../../middleware/errorHandler');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Supplier handling time when a supplier does not give one, in days
+const DEFAULT_HANDLING_DAYS = { min: 1, max: 3 };
+
+// Transit from dispatch to delivery until there is enough history, in days
+const DEFAULT_TRANSIT_DAYS = {
+    ZA: { min: 8, max: 15 },
+    CM: { min: 12, max: 25 }
+};
+
+// Delivered orders needed before history replaces the defaults, and how far back to look
+const MIN_TRANSIT_SAMPLES = 10;
+const TRANSIT_HISTORY_DAYS = 90;
+
+// Share of past deliveries that arrived before the earliest / latest date
+const EARLIEST_PERCENTILE = 0.2;
+const LATEST_PERCENTILE = 0.8;
+
+// Extra days added to the latest date while a shipment has a delivery exception
+const EXCEPTION_DELAY_DAYS = 3;
+
+// How long transit statistics are reused before re-reading
+const CACHE_TTL_MS = 60 * 60 * 1000;
+
+/**
+ * Value at a percentile of sorted numbers
+ */
+const percentile = (sorted, share) => sorted[Math.min(sorted.length - 1, Math.floor(share * sorted.length))];
+
+const addDays = (date, days) => new Date(new Date(date).getTime() + days * DAY_MS);
+
+const toDateString = (date) => new Date(date).toISOString().slice(0, 10);
+
+class EtaService {
+    constructor() {
+        this.consolidationHours = parseInt(process.env.BULK_SHIPPING_DELAY_HOURS) || 48;
+        this.transitCache = new Map();
+    }
+
+    /**
+     * Days a supplier needs before goods reach the consolidation hub
+     * @param {Object} product - Product with shipping_info and .retailer terms
+     * @param {string} tier - Price tier of the line (retail or wholesale)
+     * @returns {Object} - { min, max }
+     */
+    getSupplierDays(product, tier) {
+        const leadTime = parseInt(product.retailer && product.retailer.lead_time_days);
+
+        if (tier === 'wholesale' && leadTime > 0) {
+            return { min: leadTime, max: leadTime };
+        }
+
+        const handling = parseInt((product.shipping_info || {}).handling_days);
+
+        if (handling > 0) {
+            return { min: handling, max: handling };
+        }
+
+        return DEFAULT_HANDLING_DAYS;
+    }
+
+    /**
+     * Transit days to a country, from recent deliveries when there are enough
+     * @param {string} country - ISO country code
+     * @returns {Promise<Object>} - { min, max, basis: history|default }
+     */
+    async getTransitDays(country) {
+        const code = String(country || '').toUpperCase();
+        const cached = this.transitCache.get(code);
+
+        if (cached && Date.now() - cached.loadedAt < CACHE_TTL_MS) {
+            return cached.transit;
+        }
+
+        const fallback = { ...(DEFAULT_TRANSIT_DAYS[code] || DEFAULT_TRANSIT_DAYS.CM), basis: 'default' };
+        let transit = fallback;
+
+        try {
+            const { data: orders, error } = await supabase
+                .from('orders')
+                .select('shipped_at, delivered_at')
+                .eq('country', code)
+                .not('delivered_at', 'is', null)
+                .not('shipped_at', 'is', null)
+                .gte('delivered_at', new Date(Date.now() - TRANSIT_HISTORY_DAYS * DAY_MS).toISOString())
+                .limit(1000);
+
+            if (error) {
+                throw new Error(error.message);
+            }
+
+            const days = (orders || [])
+                .map(order => (new Date(order.delivered_at) - new Date(order.shipped_at)) / DAY_MS)
+                .filter(value => value > 0)
+                .sort((a, b) => a - b);
+
+            if (days.length >= MIN_TRANSIT_SAMPLES) {
+                transit = {
+                    min: Math.floor(percentile(days, EARLIEST_PERCENTILE)),
+                    max: Math.ceil(percentile(days, LATEST_PERCENTILE)),
+                    basis: 'history'
+                };
+            }
+        } catch (error) {
+            logger.warn(`Failed to load transit history for ${code}, using defaults:`, error);
+        }
+
+        this.transitCache.set(code, { transit, loadedAt: Date.now() });
+        return transit;
+    }
+
+    /**
+     * Estimate delivery for a set of products
+     * Supplier work starts once the order is paid; the bulk shipment waits
+     * for both the slowest supplier and the consolidation window.
+     * @param {Object} params
+     * @param {string} params.country - Destination country code
+     * @param {Array} params.lines - [{ product, tier }]
+     * @param {Date|string} [params.createdAt] - When the order was placed (defaults to now)
+     * @param {Date|string} [params.paidAt] - When it was paid (defaults to createdAt)
+     * @returns {Promise<Object>} - { earliest, latest, basis }
+     */
+    async estimate({ country, lines, createdAt = new Date(), paidAt = createdAt }) {
+        const supplier = lines.reduce((slowest, line) => {
+            const days = this.getSupplierDays(line.product, line.tier);
+            return {
+                min: Math.max(slowest.min, days.min),
+                max: Math.max(slowest.max, days.max)
+            };
+        }, { min: 0, max: 0 });
+
+        const consolidated = new Date(new Date(createdAt).getTime() + this.consolidationHours * 60 * 60 * 1000);
+        const dispatchEarliest = new Date(Math.max(consolidated, addDays(paidAt, supplier.min)));
+        const dispatchLatest = new Date(Math.max(consolidated, addDays(paidAt, supplier.max)));
+        const transit = await this.getTransitDays(country);
+
+        return {
+            earliest: toDateString(addDays(dispatchEarliest, transit.min)),
+            latest: toDateString(addDays(dispatchLatest, transit.max)),
+            basis: transit.basis
+        };
+    }
+
+    /**
+     * Estimate delivery of one product, for product pages
+     * @param {string} productId - Product ID
+     * @param {string} country - Destination country code
+     * @param {number} [quantity] - Quantity; wholesale quantities use the supplier lead time
+     * @returns {Promise<Object>} - { earliest, latest, basis }
+     */
+    async estimateForProduct(productId, country, quantity = 1) {
+        if (!DEFAULT_TRANSIT_DAYS[String(country || '').toUpperCase()]) {
+            throw new ValidationError(`Mallgram does not deliver to ${country || 'this country'} yet`, 'country');
+        }
+
+        const { data: product, error } = await supabase
+            .from('products')
+            .select('id, shipping_info, products_retailer(lead_time_days, min_order_quantity)')
+            .eq('id', productId)
+            .single();
+
+        if (error || !product) {
+            throw new NotFoundError('Product not found');
+        }
+
+        const retailer = Array.isArray(product.products_retailer)
+            ? product.products_retailer[0]
+            : product.products_retailer;
+        const tier = retailer && quantity >= (retailer.min_order_quantity || 1) ? 'wholesale' : 'retail';
+
+        return this.estimate({
+            country,
+            lines: [{ product: { ...product, retailer }, tier }]
+        });
+    }
+
+    /**
+     * Estimate delivery of a placed order from its items
+     * Used when the order is paid, which is when supplier work starts.
+     * @param {Object} order - Order with id, country and created_at
+     * @param {Date|string} [paidAt] - When the order was paid (defaults to now)
+     * @returns {Promise<Object>} - { earliest, latest, basis }
+     */
+    async estimateForOrder(order, paidAt = new Date()) {
+        const { data: items, error } = await supabase
+            .from('order_items')
+            .select('price_tier, products(id, shipping_info, products_retailer(lead_time_days))')
+            .eq('order_id', order.id);
+
+        if (error) {
+            throw new Error(`Failed to load order items: ${error.message}`);
+        }
+
+        const lines = (items || []).map(item => {
+            const product = item.products || {};
+            const retailer = Array.isArray(product.products_retailer)
+                ? product.products_retailer[0]
+                : product.products_retailer;
+
+            return { product: { ...product, retailer }, tier: item.price_tier };
+        });
+
+        return this.estimate({
+            country: order.country,
+            lines,
+            createdAt: order.created_at,
+            paidAt
+        });
+    }
+
+    /**
+     * Narrow an order's range once it is with a carrier
+     * @param {Object} order - Order with status, country, shipped_at or bulk_shipment_created_at
+     *                         and the stored estimated_delivery_min / _max
+     * @param {Object} [tracking] - { status, estimated_delivery } from the latest tracking event
+     * @returns {Promise<Object|null>} - { earliest, latest, basis }, or null to keep the stored range
+     */
+    async refine(order, tracking = {}) {
+        const status = tracking.status || order.status;
+        const today = new Date();
+
+        if (status === 'delivered') {
+            const deliveredOn = toDateString(order.delivered_at || today);
+            return { earliest: deliveredOn, latest: deliveredOn, basis: 'delivered' };
+        }
+
+        if (status === 'out_for_delivery') {
+            return { earliest: toDateString(today), latest: toDateString(today), basis: 'carrier' };
+        }
+
+        let range = null;
+
+        if (tracking.estimated_delivery && !isNaN(new Date(tracking.estimated_delivery))) {
+            const carrierDate = toDateString(tracking.estimated_delivery);
+            range = { earliest: carrierDate, latest: carrierDate, basis: 'carrier' };
+        } else if (order.shipped_at || order.bulk_shipment_created_at) {
+            // Transit is counted from dispatch; before that from joining the shipment
+            const leftHub = order.shipped_at || order.bulk_shipment_created_at;
+            const transit = await this.getTransitDays(order.country);
+            range = {
+                earliest: toDateString(addDays(leftHub, transit.min)),
+                latest: toDateString(addDays(leftHub, transit.max)),
+                basis: transit.basis
+            };
+        }
+
+        if (!range) {
+            return null;
+        }
+
+        if (status === 'delivery_exception') {
+            range.latest = toDateString(addDays(range.latest, EXCEPTION_DELAY_DAYS));
+        }
+
+        // A late parcel is still coming: never promise a date that has passed
+        const tomorrow = toDateString(addDays(today, 1));
+        return {
+            earliest: range.earliest < tomorrow ? tomorrow : range.earliest,
+            latest: range.latest < tomorrow ? tomorrow : range.latest,
+            basis: range.basis
+        };
+    }
+
+    /**
+     * Order columns holding a range
+     * @param {Object} range - { earliest, latest }
+     * @returns {Object}
+     */
+    toOrderColumns(range) {
+        return {
+            estimated_delivery_min: range.earliest,
+            estimated_delivery_max: range.latest
+        };
+    }
+
+    /**
+     * Format a range for emails, e.g. "3 Nov - 14 Nov 2025"
+     * @param {Object} range - { earliest, latest }
+     * @param {string} [locale] - BCP 47 locale
+     * @returns {string}
+     */
+    formatRange(range, locale = 'en-GB') {
+        if (!range || !range.earliest) {
+            return 'To be confirmed';
+        }
+
+        const format = (date, withYear) => new Intl.DateTimeFormat(locale, {
+            day: 'numeric',
+            month: 'short',
+            ...(withYear ? { year: 'numeric' } : {}),
+            timeZone: 'UTC'
+        }).format(new Date(date));
+
+        if (range.earliest === range.latest) {
+            return format(range.latest, true);
+        }
+
+        return `${format(range.earliest, false)} - ${format(range.latest, true)}`;
+    }
+}
+
+module.exports = new EtaService();
@@ -0,0 +1,196 @@
+/**
+ * Landed Cost Service
+ *
+ * Everything Mallgram sells ships from China, so the price a customer pays
+ * is the product plus international freight, import duty and VAT in the
+ * destination country. This service works those out for one cart line:
+ * - Freight comes from the supplier's shipping_info captured by productSync:
+ *   a per-unit cost when the supplier quotes one, otherwise the unit weight
+ *   at the market's air freight rate
+ * - Duty is charged by product category on the customs value, which is the
+ *   goods alone in South Africa (FOB) and goods plus freight in Cameroon (CIF)
+ * - VAT is charged on what the customer pays: goods less discount, plus
+ *   freight and duty
+ *
+ * Duty rates are Mallgram's working rates per category, not a full tariff
+ * lookup; keep them in step with SARS and the CEMAC common external tariff.
+ *
+ * @author Mallgram Backend Team
+ */
+
+const { Money } = require('../../utils/money');
+
+// Import rules per destination country
+// freightPerKg is in the base (supplier) currency and only used when the
+// supplier gives a weight but no shipping cost
+const IMPORT_RULES = {
+    ZA: {
+        vatRate: 0.15,
+        dutyIncludesFreight: false,
+        freightPerKg: 9,
+        defaultDutyRate: 0.20,
+        dutyRates: {
+            phones: 0,
+            computers: 0,
+            electronics: 0.15,
+            machinery: 0,
+            clothing: 0.45,
+            textiles: 0.22,
+            shoes: 0.30,
+            home: 0.20,
+            furniture: 0.20,
+            beauty: 0.20,
+            toys: 0.20
+        }
+    },
+    CM: {
+        vatRate: 0.1925,
+        dutyIncludesFreight: true,
+        freightPerKg: 11,
+        defaultDutyRate: 0.30,
+        dutyRates: {
+            phones: 0.20,
+            computers: 0.10,
+            electronics: 0.30,
+            machinery: 0.10,
+            clothing: 0.30,
+            textiles: 0.30,
+            shoes: 0.30,
+            home: 0.30,
+            furniture: 0.30,
+            beauty: 0.30,
+            toys: 0.30
+        }
+    }
+};
+
+// Supplier category names mapped onto the categories duty is set for
+const CATEGORY_ALIASES = {
+    'mobile phones': 'phones',
+    smartphones: 'phones',
+    'consumer electronics': 'electronics',
+    'computer & office': 'computers',
+    laptops: 'computers',
+    apparel: 'clothing',
+    fashion: 'clothing',
+    "women's clothing": 'clothing',
+    "men's clothing": 'clothing',
+    fabric: 'textiles',
+    footwear: 'shoes',
+    'home & garden': 'home',
+    'home improvement': 'home',
+    'beauty & health': 'beauty',
+    'toys & hobbies': 'toys',
+    'industrial machinery': 'machinery'
+};
+
+class LandedCostService {
+    /**
+     * Get the import rules for a destination country
+     * @param {string} country - ISO country code
+     * @returns {Object|null}
+     */
+    getRules(country) {
+        return IMPORT_RULES[String(country || '').toUpperCase()] || null;
+    }
+
+    /**
+     * Map a product's category onto the category its duty is set for
+     * The subcategory is tried first as it is usually more specific.
+     * @param {Object} product - { category, subcategory }
+     * @param {Object} rules - Import rules of the destination country
+     * @returns {string|null} - Duty category, or null for the default rate
+     */
+    getDutyCategory(product, rules) {
+        const candidates = [product.subcategory, product.category]
+            .filter(Boolean)
+            .map(name => String(name).trim().toLowerCase());
+
+        for (const name of candidates) {
+            const category = CATEGORY_ALIASES[name] || name;
+
+            if (Object.prototype.hasOwnProperty.call(rules.dutyRates, category)) {
+                return category;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Duty rate for a product in a destination country
+     * @param {string} country - ISO country code
+     * @param {Object} product - { category, subcategory }
+     * @returns {Object} - { category, rate }
+     */
+    getDutyRate(country, product) {
+        const rules = this.getRules(country);
+
+        if (!rules) {
+            throw new Error(`No import rules for ${country}`);
+        }
+
+        const category = this.getDutyCategory(product, rules);
+
+        return {
+            category,
+            rate: category ? rules.dutyRates[category] : rules.defaultDutyRate
+        };
+    }
+
+    /**
+     * Freight for one unit, in the currency the supplier quotes in
+     * @param {string} country - ISO country code
+     * @param {Object} product - { shipping_info, currency }
+     * @param {string} baseCurrency - Currency freightPerKg is in
+     * @returns {Money}
+     */
+    getUnitFreight(country, product, baseCurrency) {
+        const rules = this.getRules(country);
+        const shippingInfo = product.shipping_info || {};
+        const cost = parseFloat(shippingInfo.cost);
+
+        if (cost > 0) {
+            return Money.fromMajor(cost, product.currency || baseCurrency);
+        }
+
+        const weightKg = parseFloat(shippingInfo.weight_kg);
+
+        if (rules && weightKg > 0) {
+            return Money.fromMajor(weightKg * rules.freightPerKg, baseCurrency);
+        }
+
+        return Money.zero(baseCurrency);
+    }
+
+    /**
+     * Duty and VAT on a cart line, in the order currency
+     * @param {string} country - ISO country code
+     * @param {Object} line
+     * @param {Object} line.product - { category, subcategory }
+     * @param {Money} line.subtotal - Goods at catalogue price
+     * @param {Money} line.discount - Promo discount on the goods (or the freight, for free shipping codes)
+     * @param {Money} line.freight - Freight for the whole line
+     * @returns {Object} - { duty_category, duty_rate, duty, vat_rate, tax, total }
+     */
+    quoteLine(country, { product, subtotal, discount, freight }) {
+        const rules = this.getRules(country);
+        const { category, rate } = this.getDutyRate(country, product);
+
+        const customsValue = rules.dutyIncludesFreight ? subtotal.add(freight) : subtotal;
+        const duty = customsValue.multiply(rate);
+        const taxable = subtotal.subtract(discount).add(freight).add(duty);
+        const tax = taxable.multiply(rules.vatRate);
+
+        return {
+            duty_category: category,
+            duty_rate: rate,
+            duty,
+            vat_rate: rules.vatRate,
+            tax,
+            total: taxable.add(tax)
+        };
+    }
+}
+
+module.exports = new LandedCostService();
@@ -0,0 +1,305 @@
+/**
+ * Order Service
+ *
+ * Creates orders from a cart priced by the pricing service. The order, its
+ * items and the stock reservation are written in one transaction by the
+ * create_order_with_items database function, so a failed insert never
+ * leaves a half-written order or a stock count that does not match.
+ *
+ * Orders placed without a typed promo code are attributed to the affiliate
+ * referral link the customer came from, if any (referralService).
+ *
+ * Stock reserved by an order is given back with releaseStock() when the
+ * order is cancelled, either by the customer before it ships
+ * (cancelOrder) or because it was never paid.
+ *
+ * @author Mallgram Backend Team
+ */
+
+const { supabase } = require('../../config/supabase');
+const logger = require('../../config/logger');
+const { ValidationError, ConflictError, NotFoundError } = require('../../middleware/errorHandler');
+const emailService = require('../emailService');
+const refundService = require('../payments/refundService');
+const paymentProcessor = require('../payments/paymentProcessor');
+const pricingService = require('./pricingService');
+const orderStateMachine = require('./orderStateMachine');
+const fulfilmentService = require('../fulfilment');
+const referralService = require('../affiliates/referralService');
+
+// Raised by create_order_with_items when stock ran out after pricing
+const INSUFFICIENT_STOCK = 'insufficient_stock';
+
+// Raised by create_order_with_items when the promo code was used up after pricing
+const PROMO_CODE_LIMIT_REACHED = 'promo_code_limit_reached';
+const PROMO_CODE_USER_LIMIT_REACHED = 'promo_code_user_limit_reached';
+
+// Orders the customer can still cancel (nothing has been handed to a shipper yet)
+const CANCELLABLE_STATUSES = ['pending', 'paid'];
+
+class OrderService {
+    /**
+     * Create an order for a user
+     * @param {Object} user - Authenticated user
+     * @param {Object} params
+     * @param {Array} params.items - [{ product_id, quantity }]
+     * @param {Object} params.shippingAddress - Delivery address; country decides currency, duty and VAT
+     * @param {string} [params.promoCode] - Promo code typed by the customer
+     * @param {string} [params.referralId] - Affiliate referral kept by the browser
+     * @param {string} [params.notes] - Delivery notes
+     * @returns {Promise<Object>} - { order, pricing }
+     */
+    async createOrder(user, { items, shippingAddress, promoCode, referralId, notes }) {
+        if (!shippingAddress || typeof shippingAddress !== 'object') {
+            throw new ValidationError('A shipping address is required', 'shipping_address');
+        }
+
+        const cart = { items, country: shippingAddress.country, promoCode, userId: user.id };
+        let pricing = await pricingService.priceCart({
+            ...cart,
+            referral: await referralService.resolve(user.id, referralId)
+        });
+        let { data: orderId, error } = await this.insertOrder(user, pricing, { shippingAddress, notes });
+
+        const promoUsedUp = error && [PROMO_CODE_LIMIT_REACHED, PROMO_CODE_USER_LIMIT_REACHED]
+            .some(reason => (error.message || '').includes(reason));
+
+        // A referral link never blocks checkout: if its code was used up since pricing, place the order without it
+        if (promoUsedUp && pricing.promo_source === 'referral') {
+            pricing = await pricingService.priceCart(cart);
+            ({ data: orderId, error } = await this.insertOrder(user, pricing, { shippingAddress, notes }));
+        }
+
+        if (error) {
+            if ((error.message || '').includes(INSUFFICIENT_STOCK)) {
+                throw new ConflictError('Some items sold out while the order was being placed');
+            }
+
+            if ((error.message || '').includes(PROMO_CODE_USER_LIMIT_REACHED)) {
+                throw new ValidationError('You have already used this promo code', 'promo_code');
+            }
+
+            if ((error.message || '').includes(PROMO_CODE_LIMIT_REACHED)) {
+                throw new ValidationError('This promo code has reached its usage limit', 'promo_code');
+            }
+
+            throw new Error(`Failed to create order: ${error.message}`);
+        }
+
+        const order = await this.getOrder(orderId, user.id);
+
+        if (!order) {
+            throw new Error(`Order ${orderId} was created but could not be loaded`);
+        }
+
+        logger.info('Order created', {
+            orderId: order.id,
+            userId: user.id,
+            items: pricing.items.length,
+            total: pricing.total.toString(),
+            currency: pricing.currency,
+            promoCodeId: order.promo_code_id,
+            referralId: pricing.referral_id
+        });
+
+        return { order, pricing };
+    }
+
+    /**
+     * Write a priced order with create_order_with_items
+     * @returns {Promise<Object>} - { data: order ID, error }
+     */
+    async insertOrder(user, pricing, { shippingAddress, notes }) {
+        return supabase.rpc('create_order_with_items', {
+            p_order: {
+                user_id: user.id,
+                status: 'pending',
+                payment_status: 'pending',
+                country: pricing.country,
+                currency: pricing.currency,
+                subtotal: pricing.subtotal.toMajor(),
+                discount_amount: pricing.discount.toMajor(),
+                shipping_amount: pricing.shipping.toMajor(),
+                duty_amount: pricing.duty.toMajor(),
+                tax_amount: pricing.tax.toMajor(),
+                total_price: pricing.total.toMajor(),
+                promo_code_id: pricing.promo_code ? pricing.promo_code.id : null,
+                referral_id: pricing.referral_id,
+                estimated_delivery_min: pricing.estimated_delivery.earliest,
+                estimated_delivery_max: pricing.estimated_delivery.latest,
+                fx_rate_snapshot: pricing.fx_rate_snapshot,
+                shipping_address: { ...shippingAddress, country: pricing.country },
+                notes: notes || null
+            },
+            p_items: pricing.items.map(item => ({
+                product_id: item.product_id,
+                quantity: item.quantity,
+                unit_price: item.unit_price.toMajor(),
+                price_tier: item.price_tier,
+                discount_amount: item.discount.toMajor(),
+                shipping_amount: item.shipping.toMajor(),
+                duty_rate: item.duty_rate,
+                duty_amount: item.duty.toMajor(),
+                tax_amount: item.tax.toMajor()
+            }))
+        });
+    }
+
+    /**
+     * Get an order with its items
+     * @param {string} orderId - Order ID
+     * @param {string} [userId] - Restrict to this customer's orders
+     * @returns {Promise<Object|null>}
+     */
+    async getOrder(orderId, userId = null) {
+        let query = supabase
+            .from('orders')
+            .select(`
+                *,
+                order_items(
+                    id,
+                    product_id,
+                    quantity,
+                    unit_price,
+                    subtotal,
+                    price_tier,
+                    discount_amount,
+                    shipping_amount,
+                    duty_rate,
+                    duty_amount,
+                    tax_amount,
+                    products(name, images)
+                )
+            `)
+            .eq('id', orderId);
+
+        if (userId) {
+            query = query.eq('user_id', userId);
+        }
+
+        const { data: order, error } = await query.single();
+
+        if (error || !order) {
+            return null;
+        }
+
+        return order;
+    }
+
+    /**
+     * Cancel an order before it ships
+     * Paid orders are refunded in full and their affiliate commission is
+     * reversed. A failed refund does not undo the cancellation; it is logged
+     * so it can be retried from POST /payments/:id/refund. Unpaid orders
+     * cannot be cancelled while a payment attempt is still running.
+     * @param {string} orderId - Order ID
+     * @param {Object} params
+     * @param {Object} params.actor - { type, id } - who is cancelling
+     * @param {string} params.reason - Why the order is cancelled
+     * @param {string} [params.userId] - Restrict to this customer's orders
+     * @returns {Promise<Object>} - { order, refund }
+     */
+    async cancelOrder(orderId, { actor, reason, userId = null }) {
+        const order = await this.getOrder(orderId, userId);
+
+        if (!order) {
+            throw new NotFoundError('Order not found');
+        }
+
+        if (!CANCELLABLE_STATUSES.includes(order.status)) {
+            throw new ConflictError(`Orders that are ${order.status.replace(/_/g, ' ')} can no longer be cancelled`);
+        }
+
+        const wasPaid = order.status === 'paid';
+
+        // Money must not arrive for an order that is already cancelled:
+        // attempts that ran out are expired, a running one is refused
+        if (!wasPaid) {
+            await paymentProcessor.closeOpenAttempts(order.id);
+        }
+
+        const { order: cancelledOrder } = await orderStateMachine.transition(order.id, 'cancelled', {
+            actor,
+            reason: `${actor.type}_cancelled`,
+            updates: { cancellation_reason: reason }
+        });
+
+        await this.releaseStock(order.id);
+
+        let refund = null;
+
+        if (wasPaid) {
+            await paymentProcessor.reverseAffiliateCommission(order.id, 'order_cancelled');
+
+            try {
+                await fulfilmentService.cancelPurchaseOrders(order.id, reason);
+            } catch (error) {
+                logger.error(`Failed to cancel purchase orders for order ${order.id}:`, error);
+            }
+
+            try {
+                refund = await refundService.refundOrder(order.id, 1, `Order cancelled: ${reason}`, actor.id, {
+                    actorType: actor.type
+                });
+            } catch (error) {
+                logger.error('Refund for cancelled order failed; refund it manually', {
+                    orderId: order.id,
+                    error: error.message
+                });
+            }
+        }
+
+        await this.sendCancellationEmail(order, reason, refund);
+
+        return { order: cancelledOrder, refund };
+    }
+
+    /**
+     * Email the customer that their order was cancelled
+     */
+    async sendCancellationEmail(order, reason, refund) {
+        try {
+            const { data: user } = await supabase
+                .from('users')
+                .select('email, full_name')
+                .eq('id', order.user_id)
+                .single();
+
+            if (!user) {
+                return;
+            }
+
+            await emailService.sendOrderCancelledEmail(
+                user.email,
+                {
+                    name: user.full_name,
+                    orderNumber: order.id.slice(-8).toUpperCase(),
+                    orderId: order.id,
+                    reason,
+                    refundAmount: refund ? refund.refund.amount : null,
+                    currency: refund ? refund.refund.currency : order.currency
+                },
+                order.user_id
+            );
+        } catch (error) {
+            logger.error('Failed to send order cancellation email:', error);
+        }
+    }
+
+    /**
+     * Give back the stock a cancelled order reserved, and the use of its promo code
+     * Safe to call more than once; only the first call restores stock.
+     * @param {string} orderId - Order ID
+     */
+    async releaseStock(orderId) {
+        const { error } = await supabase.rpc('release_order_stock', {
+            p_order_id: orderId
+        });
+
+        if (error) {
+            throw new Error(`Failed to release stock for order ${orderId}: ${error.message}`);
+        }
+    }
+}
+
+module.exports = new OrderService();
@@ -0,0 +1,188 @@
+/**
+ * Order State Machine
+ *
+ * The only place order statuses are changed. Each status lists the statuses
+ * it may move to; anything else is rejected. Every change is written to
+ * order_status_history with who made it (actor) and why (reason).
+ *
+ * Updates are conditional on the status that was read, so two writers
+ * racing on the same order cannot both apply a transition.
+ *
+ * @author Mallgram Backend Team
+ */
+
+const { supabase } = require('../../config/supabase');
+const logger = require('../../config/logger');
+const { NotFoundError, ConflictError } = require('../../middleware/errorHandler');
+
+// Allowed transitions from each status
+const TRANSITIONS = {
+    pending: ['paid', 'cancelled'],
+    paid: ['processing', 'cancelled', 'refunded'],
+    processing: ['shipped', 'in_transit', 'out_for_delivery', 'delivered', 'delivery_exception', 'cancelled', 'refunded'],
+    shipped: ['in_transit', 'out_for_delivery', 'delivered', 'delivery_exception', 'refunded'],
+    in_transit: ['out_for_delivery', 'delivered', 'delivery_exception', 'refunded'],
+    out_for_delivery: ['in_transit', 'delivered', 'delivery_exception', 'refunded'],
+    delivery_exception: ['in_transit', 'out_for_delivery', 'delivered', 'refunded'],
+    delivered: ['refunded'],
+    cancelled: ['refunded'],
+    refunded: []
+};
+
+const ORDER_STATUSES = Object.keys(TRANSITIONS);
+
+// Statuses of orders that are with a carrier and still need tracking
+const IN_FLIGHT_STATUSES = ['processing', 'shipped', 'in_transit', 'out_for_delivery', 'delivery_exception'];
+
+// Who can change an order's status
+const ACTOR_TYPES = ['system', 'customer', 'admin', 'payment', 'carrier'];
+
+class OrderStateMachine {
+    constructor() {
+        this.statuses = ORDER_STATUSES;
+        this.inFlightStatuses = IN_FLIGHT_STATUSES;
+    }
+
+    /**
+     * Check whether an order may move from one status to another
+     * @param {string} currentStatus - Stored order status
+     * @param {string} nextStatus - Requested status
+     * @returns {boolean}
+     */
+    canTransition(currentStatus, nextStatus) {
+        return (TRANSITIONS[currentStatus] || []).includes(nextStatus);
+    }
+
+    /**
+     * Move an order to a new status
+     * Moving an order to the status it already has is a no-op.
+     * @param {string} orderId - Order ID
+     * @param {string} toStatus - New status
+     * @param {Object} options
+     * @param {Object} options.actor - { type, id } - who is making the change
+     * @param {string} [options.reason] - Why, e.g. payment_window_expired
+     * @param {Object} [options.updates] - Other order columns to set with the status
+     * @param {Object} [options.match] - Extra column values the order must still have
+     * @param {Object} [options.metadata] - Extra detail kept on the history entry
+     * @returns {Promise<Object>} - { changed, from, order }
+     */
+    async transition(orderId, toStatus, options = {}) {
+        const {
+            actor = { type: 'system' },
+            reason = null,
+            updates = {},
+            match = {},
+            metadata = null
+        } = options;
+
+        if (!ORDER_STATUSES.includes(toStatus)) {
+            throw new Error(`Unknown order status: ${toStatus}`);
+        }
+
+        if (!ACTOR_TYPES.includes(actor.type)) {
+            throw new Error(`Unknown order actor type: ${actor.type}`);
+        }
+
+        const { data: order, error } = await supabase
+            .from('orders')
+            .select('id, status')
+            .eq('id', orderId)
+            .single();
+
+        if (error || !order) {
+            throw new NotFoundError(`Order ${orderId} not found`);
+        }
+
+        const fromStatus = order.status;
+
+        if (fromStatus === toStatus) {
+            return { changed: false, from: fromStatus, order };
+        }
+
+        if (!this.canTransition(fromStatus, toStatus)) {
+            throw new ConflictError(`Order cannot move from ${fromStatus} to ${toStatus}`);
+        }
+
+        let query = supabase
+            .from('orders')
+            .update({
+                ...updates,
+                status: toStatus,
+                updated_at: new Date().toISOString()
+            })
+            .eq('id', orderId)
+            .eq('status', fromStatus);
+
+        Object.entries(match).forEach(([column, value]) => {
+            query = query.eq(column, value);
+        });
+
+        const { data: updatedOrders, error: updateError } = await query.select();
+
+        if (updateError) {
+            throw new Error(`Failed to update order status: ${updateError.message}`);
+        }
+
+        if (!updatedOrders || updatedOrders.length === 0) {
+            throw new ConflictError(`Order ${orderId} changed before it could move to ${toStatus}`);
+        }
+
+        await this.recordHistory(orderId, fromStatus, toStatus, actor, reason, metadata);
+
+        logger.info('Order status changed', {
+            orderId,
+            from: fromStatus,
+            to: toStatus,
+            actor: actor.type,
+            actorId: actor.id,
+            reason
+        });
+
+        return { changed: true, from: fromStatus, order: updatedOrders[0] };
+    }
+
+    /**
+     * Append an entry to an order's status history
+     * The status change has already been applied, so a failure here is
+     * logged rather than thrown.
+     */
+    async recordHistory(orderId, fromStatus, toStatus, actor, reason, metadata) {
+        const { error } = await supabase
+            .from('order_status_history')
+            .insert({
+                order_id: orderId,
+                from_status: fromStatus,
+                to_status: toStatus,
+                actor_type: actor.type,
+                actor_id: actor.id ? String(actor.id) : null,
+                reason,
+                metadata,
+                created_at: new Date().toISOString()
+            });
+
+        if (error) {
+            logger.error(`Failed to record status history for order ${orderId}:`, error);
+        }
+    }
+
+    /**
+     * Get an order's status history, oldest first
+     * @param {string} orderId - Order ID
+     * @returns {Promise<Array>}
+     */
+    async getHistory(orderId) {
+        const { data: history, error } = await supabase
+            .from('order_status_history')
+            .select('from_status, to_status, actor_type, reason, created_at')
+            .eq('order_id', orderId)
+            .order('created_at', { ascending: true });
+
+        if (error) {
+            throw new Error(`Failed to load order status history: ${error.message}`);
+        }
+
+        return history || [];
+    }
+}
+
+module.exports = new OrderStateMachine();
@@ -0,0 +1,321 @@
+/**
+ * Pricing Service
+ *
+ * Prices a cart from the catalogue rather than from anything the browser
+ * sends, so the total stored on an order (and later charged by
+ * /payments/initialize) is always Mallgram's own:
+ * - Unit prices come from products, or from products_retailer when the
+ *   line meets the product's minimum order quantity
+ * - Prices are converted from the supplier currency into the currency of
+ *   the destination country at the current rate
+ * - Freight is added per line, then the promo code discount is worked
+ *   out by the promo service, then import duty and VAT are added per line
+ *   by the landed cost service
+ * - The promo code is the one the customer typed or, failing that, the
+ *   code of the affiliate referral link they came from (referralService).
+ *   A referral code that does not apply to the cart is dropped quietly.
+ *
+ * The same breakdown, with an estimated delivery range, is returned by
+ * POST /orders/quote before checkout, so the quote a customer sees is what
+ * the order is created with.
+ *
+ * @author Mallgram Backend Team
+ */
+
+const { supabase } = require('../../config/supabase');
+const { ValidationError, ConflictError, ExternalServiceError } = require('../../middleware/errorHandler');
+const { Money } = require('../../utils/money');
+const fxService = require('../fx');
+const landedCostService = require('./landedCostService');
+const promoService = require('./promoService');
+const etaService = require('./etaService');
+
+// Countries Mallgram delivers to, with the currency orders are priced in
+// (freight, duty and VAT rules are in the landed cost service)
+const MARKETS = {
+    ZA: { currency: 'ZAR' },
+    CM: { currency: 'XAF' }
+};
+
+// Upper bounds that keep a single request from pricing the whole catalogue
+const MAX_LINE_ITEMS = 50;
+const MAX_QUANTITY = 10000;
+
+class PricingService {
+    /**
+     * Get the market settings for a destination country
+     * @param {string} country - ISO country code
+     * @returns {Object} - { country, currency }
+     */
+    getMarket(country) {
+        const code = String(country || '').toUpperCase();
+        const market = MARKETS[code];
+
+        if (!market) {
+            throw new ValidationError(`Mallgram does not deliver to ${country || 'this country'} yet`, 'country');
+        }
+
+        return { country: code, ...market };
+    }
+
+    /**
+     * Validate cart line items and merge repeated products
+     * @param {Array} items - [{ product_id, quantity }]
+     * @returns {Array} - [{ product_id, quantity }]
+     */
+    normalizeItems(items) {
+        if (!Array.isArray(items) || items.length === 0) {
+            throw new ValidationError('At least one item is required', 'items');
+        }
+
+        if (items.length > MAX_LINE_ITEMS) {
+            throw new ValidationError(`An order can contain at most ${MAX_LINE_ITEMS} items`, 'items');
+        }
+
+        const quantities = new Map();
+
+        items.forEach((item, index) => {
+            const productId = item && item.product_id;
+            const quantity = Number(item && item.quantity);
+
+            if (!productId) {
+                throw new ValidationError(`Item ${index + 1} is missing a product_id`, 'items');
+            }
+
+            if (!Number.isInteger(quantity) || quantity < 1 || quantity > MAX_QUANTITY) {
+                throw new ValidationError(`Item ${index + 1} must have a whole quantity between 1 and ${MAX_QUANTITY}`, 'items');
+            }
+
+            quantities.set(productId, (quantities.get(productId) || 0) + quantity);
+        });
+
+        return Array.from(quantities, ([product_id, quantity]) => ({ product_id, quantity }));
+    }
+
+    /**
+     * Load the products in a cart along with their wholesale terms
+     * @param {Array} productIds - Product IDs
+     * @returns {Promise<Map>} - product ID -> product (with .retailer when B2B)
+     */
+    async loadProducts(productIds) {
+        const { data: products, error } = await supabase
+            .from('products')
+            .select('id, name, price, currency, category, subcategory, stock, is_active, shipping_info')
+            .in('id', productIds);
+
+        if (error) {
+            throw new Error(`Failed to load products: ${error.message}`);
+        }
+
+        const { data: retailerTerms, error: retailerError } = await supabase
+            .from('products_retailer')
+            .select('product_id, wholesale_price, min_order_quantity, bulk_discount_percent, lead_time_days')
+            .in('product_id', productIds);
+
+        if (retailerError) {
+            throw new Error(`Failed to load wholesale prices: ${retailerError.message}`);
+        }
+
+        const byId = new Map();
+
+        (products || []).forEach(product => byId.set(product.id, { ...product, retailer: null }));
+        (retailerTerms || []).forEach(terms => {
+            const product = byId.get(terms.product_id);
+            if (product) {
+                product.retailer = terms;
+            }
+        });
+
+        return byId;
+    }
+
+    /**
+     * Unit price of a line in the product's own currency
+     * Lines that meet a B2B product's minimum order quantity get the
+     * wholesale price less its bulk discount.
+     */
+    getSupplierUnitPrice(product, quantity) {
+        const terms = product.retailer;
+
+        if (terms && quantity >= (terms.min_order_quantity || 1) && terms.wholesale_price !== null) {
+            const discount = parseFloat(terms.bulk_discount_percent) || 0;
+
+            return {
+                price: parseFloat(terms.wholesale_price) * (1 - discount / 100),
+                tier: 'wholesale'
+            };
+        }
+
+        return { price: parseFloat(product.price), tier: 'retail' };
+    }
+
+    /**
+     * Convert a supplier amount into the market currency
+     * Missing or stale rates mean the cart cannot be priced right now.
+     */
+    async convert(amount, currency) {
+        try {
+            return (await fxService.convert(amount, currency)).amount;
+        } catch (error) {
+            throw new ExternalServiceError('fx', `Cannot price items in ${currency}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Promo code of a referral link, or null if the customer cannot use it
+     * (a typed code would be refused with the same checks)
+     */
+    async findReferralPromo(referral, options) {
+        try {
+            return await promoService.findPromoCode(referral.code, options);
+        } catch (error) {
+            if (error instanceof ValidationError) {
+                return null;
+            }
+
+            throw error;
+        }
+    }
+
+    /**
+     * Price a cart for delivery to a country
+     * Each line carries its own freight, duty and VAT; the cart totals are
+     * the sums of the lines so the breakdown always adds up.
+     * @param {Object} params
+     * @param {Array} params.items - [{ product_id, quantity }]
+     * @param {string} params.country - Destination country code
+     * @param {string} [params.promoCode] - Promo code typed by the customer
+     * @param {string} [params.userId] - Customer, for the promo code's per-customer limit
+     * @param {Object} [params.referral] - Affiliate referral from referralService.resolve(), used without a typed code
+     * @returns {Promise<Object>} - Priced cart; amounts are Money in the market currency
+     */
+    async priceCart({ items, country, promoCode, userId = null, referral = null }) {
+        const market = this.getMarket(country);
+        const lines = this.normalizeItems(items);
+        const products = await this.loadProducts(lines.map(line => line.product_id));
+        const currency = market.currency;
+        const fromReferral = !promoCode && !!referral;
+        let promo = null;
+
+        if (promoCode) {
+            promo = await promoService.findPromoCode(promoCode, { country: market.country, userId });
+        } else if (referral) {
+            promo = await this.findReferralPromo(referral, { country: market.country, userId });
+        }
+
+        const totals = {
+            subtotal: Money.zero(currency),
+            discount: Money.zero(currency),
+            shipping: Money.zero(currency),
+            duty: Money.zero(currency),
+            tax: Money.zero(currency),
+            total: Money.zero(currency)
+        };
+        const pricedLines = [];
+
+        for (const line of lines) {
+            const product = products.get(line.product_id);
+
+            if (!product || product.is_active === false) {
+                throw new ValidationError(`Product ${line.product_id} is not available`, 'items');
+            }
+
+            if ((product.stock || 0) < line.quantity) {
+                throw new ConflictError(`Only ${product.stock || 0} of ${product.name} left in stock`);
+            }
+
+            const supplierCurrency = product.currency || fxService.baseCurrency;
+            const { price, tier } = this.getSupplierUnitPrice(product, line.quantity);
+
+            if (!(price > 0)) {
+                throw new ValidationError(`${product.name} has no price`, 'items');
+            }
+
+            const unitPrice = await this.convert(Money.fromMajor(price, supplierCurrency), currency);
+            const unitFreight = await this.convert(
+                landedCostService.getUnitFreight(market.country, product, fxService.baseCurrency),
+                currency
+            );
+
+            pricedLines.push({
+                product,
+                tier,
+                quantity: line.quantity,
+                unitPrice,
+                subtotal: unitPrice.multiply(line.quantity),
+                freight: unitFreight.multiply(line.quantity)
+            });
+        }
+
+        let promoDiscount = null;
+
+        if (promo) {
+            try {
+                promoDiscount = await promoService.applyDiscount(promo, pricedLines, currency);
+            } catch (error) {
+                if (!fromReferral || !(error instanceof ValidationError)) {
+                    throw error;
+                }
+
+                promo = null;
+            }
+        }
+        const pricedItems = [];
+
+        pricedLines.forEach((line, index) => {
+            const { product, subtotal, freight } = line;
+            const discount = promoDiscount ? promoDiscount.discounts[index] : Money.zero(currency);
+            const landed = landedCostService.quoteLine(market.country, { product, subtotal, discount, freight });
+
+            totals.subtotal = totals.subtotal.add(subtotal);
+            totals.discount = totals.discount.add(discount);
+            totals.shipping = totals.shipping.add(freight);
+            totals.duty = totals.duty.add(landed.duty);
+            totals.tax = totals.tax.add(landed.tax);
+            totals.total = totals.total.add(landed.total);
+
+            pricedItems.push({
+                product_id: product.id,
+                name: product.name,
+                quantity: line.quantity,
+                price_tier: line.tier,
+                unit_price: line.unitPrice,
+                subtotal,
+                discount,
+                shipping: freight,
+                duty_category: landed.duty_category,
+                duty_rate: landed.duty_rate,
+                duty: landed.duty,
+                tax: landed.tax,
+                total: landed.total
+            });
+        });
+
+        let fxRate;
+
+        try {
+            fxRate = await fxService.getRate(fxService.baseCurrency, currency);
+        } catch (error) {
+            throw new ExternalServiceError('fx', `Cannot price items in ${currency}: ${error.message}`);
+        }
+
+        return {
+            country: market.country,
+            currency,
+            items: pricedItems,
+            promo_code: promo,
+            promo_source: promo ? (fromReferral ? 'referral' : 'code') : null,
+            referral_id: promo && fromReferral ? referral.id : null,
+            promo_eligible_items: promoDiscount ? promoDiscount.eligible : [],
+            ...totals,
+            vat_rate: landedCostService.getRules(market.country).vatRate,
+            estimated_delivery: await etaService.estimate({
+                country: market.country,
+                lines: pricedLines.map(line => ({ product: line.product, tier: line.tier }))
+            }),
+            fx_rate_snapshot: fxRate
+        };
+    }
+}
+
+module.exports = new PricingService();
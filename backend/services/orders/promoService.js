@@ -0,0 +1,280 @@
+/**
+ * Promo Service
+ *
+ * Checks promo codes and works out the discount they give on a priced
+ * cart. A code gives one of:
+ * - percentage: discount_percent off the goods
+ * - fixed: discount_amount (in the code's currency) off the goods
+ * - free_shipping: the freight of every eligible line is waived
+ *
+ * A code can be limited to a date window (starts_at, expires_at), to
+ * destination countries, to product categories, to a minimum spend and to
+ * a number of uses, both in total (usage_limit) and per customer
+ * (per_user_limit). Uses are counted when an order is placed and given
+ * back when the order is cancelled (create_order_with_items and
+ * release_order_stock), so the checks here are for the customer; the
+ * database has the final say.
+ *
+ * Combining discounts:
+ * - One promo code per order; codes never stack with each other
+ * - Wholesale pricing is applied first and the code is taken off the
+ *   wholesale price. Codes with stacks_with_wholesale = false leave
+ *   wholesale-priced lines alone, and those lines do not count towards
+ *   the minimum spend.
+ * - Percentage and fixed discounts come off the goods only, never off
+ *   freight, duty or VAT, and never take an eligible line below zero
+ * - Free shipping waives freight only; import duty and VAT are still due
+ * - The minimum spend is measured on eligible goods before the discount
+ *
+ * @author Mallgram Backend Team
+ */
+
+const { supabase } = require('../../config/supabase');
+const { ValidationError, ExternalServiceError } = require('../../middleware/errorHandler');
+const { Money } = require('../../utils/money');
+const fxService = require('../fx');
+
+// Orders that no longer hold a use of their promo code
+const RELEASED_ORDER_STATUSES = ['cancelled'];
+
+const PROMO_FIELDS = `
+    id,
+    code,
+    status,
+    usage_count,
+    usage_limit,
+    per_user_limit,
+    discount_type,
+    discount_percent,
+    discount_amount,
+    currency,
+    min_spend,
+    starts_at,
+    expires_at,
+    countries,
+    categories,
+    stacks_with_wholesale
+`;
+
+class PromoService {
+    /**
+     * Look up a promo code a customer can use on an order
+     * Checks everything that does not depend on the cart: status, date
+     * window, usage limits and destination country.
+     * @param {string} code - Code typed by the customer
+     * @param {Object} options
+     * @param {string} options.country - Destination country code
+     * @param {string} [options.userId] - Customer, for the per-customer limit (skipped for guests)
+     * @returns {Promise<Object>} - Promo code record
+     */
+    async findPromoCode(code, { country, userId = null } = {}) {
+        const { data: promoCode, error } = await supabase
+            .from('promo_codes')
+            .select(PROMO_FIELDS)
+            .eq('code', String(code).trim())
+            .single();
+
+        if (error || !promoCode || promoCode.status !== 'active') {
+            throw new ValidationError('Invalid or inactive promo code', 'promo_code');
+        }
+
+        const now = new Date();
+
+        if (promoCode.starts_at && new Date(promoCode.starts_at) > now) {
+            throw new ValidationError(`This promo code can be used from ${promoCode.starts_at.slice(0, 10)}`, 'promo_code');
+        }
+
+        if (promoCode.expires_at && new Date(promoCode.expires_at) <= now) {
+            throw new ValidationError('This promo code has expired', 'promo_code');
+        }
+
+        if (promoCode.usage_limit !== null && promoCode.usage_count >= promoCode.usage_limit) {
+            throw new ValidationError('This promo code has reached its usage limit', 'promo_code');
+        }
+
+        if (promoCode.countries?.length && !promoCode.countries.includes(country)) {
+            throw new ValidationError(`This promo code cannot be used on orders to ${country}`, 'promo_code');
+        }
+
+        if (userId && promoCode.per_user_limit !== null) {
+            const used = await this.countUses(promoCode.id, userId);
+
+            if (used >= promoCode.per_user_limit) {
+                throw new ValidationError(
+                    promoCode.per_user_limit === 1
+                        ? 'You have already used this promo code'
+                        : `You have already used this promo code ${used} times`,
+                    'promo_code'
+                );
+            }
+        }
+
+        return promoCode;
+    }
+
+    /**
+     * Orders a customer has placed with a promo code, cancelled ones aside
+     * @param {string} promoCodeId - Promo code ID
+     * @param {string} userId - Customer ID
+     * @returns {Promise<number>}
+     */
+    async countUses(promoCodeId, userId) {
+        const { data: orders, error } = await supabase
+            .from('orders')
+            .select('id, status')
+            .eq('promo_code_id', promoCodeId)
+            .eq('user_id', userId);
+
+        if (error) {
+            throw new Error(`Failed to count promo code uses: ${error.message}`);
+        }
+
+        return (orders || []).filter(order => !RELEASED_ORDER_STATUSES.includes(order.status)).length;
+    }
+
+    /**
+     * Whether a code applies to a cart line
+     * @param {Object} promoCode - Promo code record
+     * @param {Object} line - { product: { category, subcategory }, tier }
+     * @returns {boolean}
+     */
+    isEligible(promoCode, { product, tier }) {
+        if (tier === 'wholesale' && promoCode.stacks_with_wholesale === false) {
+            return false;
+        }
+
+        if (!promoCode.categories?.length) {
+            return true;
+        }
+
+        const categories = promoCode.categories.map(category => category.toLowerCase());
+
+        return [product.category, product.subcategory]
+            .some(category => category && categories.includes(String(category).toLowerCase()));
+    }
+
+    /**
+     * Discount of a code on each line of a priced cart
+     * @param {Object} promoCode - Promo code record from findPromoCode()
+     * @param {Array} lines - [{ product, tier, subtotal, freight }], amounts as Money in the order currency
+     * @param {string} currency - Order currency
+     * @returns {Promise<Object>} - { discounts, eligible }: a Money per line and the eligible product IDs
+     */
+    async applyDiscount(promoCode, lines, currency) {
+        const eligibleLines = lines.filter(line => this.isEligible(promoCode, line));
+
+        if (eligibleLines.length === 0) {
+            throw new ValidationError('This promo code does not apply to any item in your cart', 'promo_code');
+        }
+
+        const eligibleSubtotal = eligibleLines.reduce((sum, line) => sum.add(line.subtotal), Money.zero(currency));
+
+        if (promoCode.min_spend !== null && promoCode.min_spend !== undefined) {
+            const minSpend = await this.toOrderCurrency(promoCode.min_spend, promoCode.currency, currency);
+
+            if (eligibleSubtotal.lessThan(minSpend)) {
+                throw new ValidationError(
+                    `Spend at least ${minSpend.format()} on eligible items to use this promo code`,
+                    'promo_code'
+                );
+            }
+        }
+
+        const discountType = promoCode.discount_type || 'percentage';
+        let discounts;
+
+        if (discountType === 'percentage') {
+            const rate = Math.min(parseFloat(promoCode.discount_percent) || 0, 100) / 100;
+            discounts = lines.map(line => eligibleLines.includes(line) ? line.subtotal.multiply(rate) : Money.zero(currency));
+        } else if (discountType === 'fixed') {
+            const amount = await this.toOrderCurrency(promoCode.discount_amount, promoCode.currency, currency);
+            discounts = this.allocate(amount, lines, eligibleLines, eligibleSubtotal);
+        } else if (discountType === 'free_shipping') {
+            discounts = lines.map(line => eligibleLines.includes(line) ? line.freight : Money.zero(currency));
+        } else {
+            throw new Error(`Unknown discount type ${discountType} on promo code ${promoCode.code}`);
+        }
+
+        return {
+            discounts,
+            eligible: eligibleLines.map(line => line.product.id)
+        };
+    }
+
+    /**
+     * Split a fixed discount across eligible lines in proportion to their
+     * goods, so a refunded line gives back its own share. Each line takes
+     * its share of what is still unallocated, kept between zero and the
+     * line's goods, so rounding is carried forward to the next line and
+     * the last line takes what is left.
+     */
+    allocate(amount, lines, eligibleLines, eligibleSubtotal) {
+        const currency = eligibleSubtotal.currency;
+        let remaining = amount.greaterThan(eligibleSubtotal) ? eligibleSubtotal : amount;
+        let remainingSubtotal = eligibleSubtotal;
+
+        return lines.map(line => {
+            if (!eligibleLines.includes(line)) {
+                return Money.zero(currency);
+            }
+
+            let share = remainingSubtotal.isPositive()
+                ? remaining.multiply(line.subtotal.minorUnits / remainingSubtotal.minorUnits)
+                : Money.zero(currency);
+
+            if (share.greaterThan(line.subtotal)) {
+                share = line.subtotal;
+            }
+
+            if (share.greaterThan(remaining)) {
+                share = remaining;
+            }
+
+            if (share.isNegative()) {
+                share = Money.zero(currency);
+            }
+
+            remaining = remaining.subtract(share);
+            remainingSubtotal = remainingSubtotal.subtract(line.subtotal);
+            return share;
+        });
+    }
+
+    /**
+     * Convert an amount set on a promo code into the order currency
+     */
+    async toOrderCurrency(amount, promoCurrency, currency) {
+        const money = Money.fromMajor(amount, promoCurrency || currency);
+
+        if (money.currency === currency) {
+            return money;
+        }
+
+        try {
+            return (await fxService.convert(money, currency)).amount;
+        } catch (error) {
+            throw new ExternalServiceError('fx', `Cannot convert promo code amounts to ${currency}: ${error.message}`);
+        }
+    }
+
+    /**
+     * What a code gives, as shown to the customer
+     * @param {Object} promoCode - Promo code record
+     * @returns {string}
+     */
+    describe(promoCode) {
+        const discountType = promoCode.discount_type || 'percentage';
+
+        if (discountType === 'fixed') {
+            return `${Money.fromMajor(promoCode.discount_amount, promoCode.currency).format()} off`;
+        }
+
+        if (discountType === 'free_shipping') {
+            return 'Free shipping';
+        }
+
+        return `${parseFloat(promoCode.discount_percent) || 0}% off`;
+    }
+}
+
+module.exports = new PromoService();
@@ -0,0 +1,610 @@
+/**
+ * Return Service
+ *
+ * Return (RMA) requests for delivered orders:
+ * - Customers ask for a return within RETURN_WINDOW_DAYS of delivered_at,
+ *   giving a reason and optional photos (stored in Supabase storage)
+ * - Admins approve or reject the request, then mark the parcel received
+ * - Receiving a return restocks the items, refunds the customer's share of
+ *   the order through the payment gateway and, when the whole order has
+ *   been refunded, reverses the affiliate commission; a failed refund or
+ *   restock is retried by an admin
+ *
+ * Return statuses: requested -> approved | rejected, approved -> received -> refunded
+ *
+ * @author Mallgram Backend Team
+ */
+
+const crypto = require('crypto');
+const { supabase } = require('../../config/supabase');
+const logger = require('../../config/logger');
+const { ValidationError, ConflictError, NotFoundError } = require('../../middleware/errorHandler');
+const emailService = require('../emailService');
+const refundService = require('../payments/refundService');
+const paymentProcessor = require('../payments/paymentProcessor');
+const orderService = require('./orderService');
+
+const RETURN_REASONS = ['damaged', 'defective', 'wrong_item', 'not_as_described', 'no_longer_needed', 'other'];
+
+// Returns that still hold on to their items (a rejected return frees them again)
+const OPEN_RETURN_STATUSES = ['requested', 'approved', 'received', 'refunded'];
+
+// Photos arrive as base64 data URLs in the JSON body
+const PHOTO_TYPES = {
+    'image/jpeg': 'jpg',
+    'image/png': 'png',
+    'image/webp': 'webp'
+};
+// Base64 adds a third, so this stays under the 10mb JSON body limit
+const MAX_PHOTOS = 3;
+const MAX_PHOTO_BYTES = 2 * 1024 * 1024;
+
+class ReturnService {
+    constructor() {
+        this.windowDays = parseInt(process.env.RETURN_WINDOW_DAYS) || 14;
+        this.photoBucket = process.env.RETURN_PHOTOS_BUCKET || 'return-photos';
+    }
+
+    /**
+     * Short reference shown to customers, e.g. RMA-1A2B3C4D
+     */
+    getReturnNumber(orderReturn) {
+        return `RMA-${orderReturn.id.slice(-8).toUpperCase()}`;
+    }
+
+    /**
+     * Ask for a return on a delivered order
+     * @param {Object} user - Authenticated customer
+     * @param {string} orderId - Order ID
+     * @param {Object} params
+     * @param {string} params.reason - One of RETURN_REASONS
+     * @param {string} [params.comments] - Details from the customer
+     * @param {Array} [params.items] - [{ order_item_id, quantity }]; defaults to everything not yet returned
+     * @param {Array} [params.photos] - Base64 data URLs (jpeg, png, webp)
+     * @returns {Promise<Object>} - Return record
+     */
+    async requestReturn(user, orderId, { reason, comments, items, photos }) {
+        if (!RETURN_REASONS.includes(reason)) {
+            throw new ValidationError(`Return reason must be one of: ${RETURN_REASONS.join(', ')}`, 'reason');
+        }
+
+        const parsedPhotos = this.parsePhotos(photos);
+        const order = await orderService.getOrder(orderId, user.id);
+
+        if (!order) {
+            throw new NotFoundError('Order not found');
+        }
+
+        if (order.status !== 'delivered' || !order.delivered_at) {
+            throw new ConflictError('Only delivered orders can be returned');
+        }
+
+        const windowEnds = new Date(new Date(order.delivered_at).getTime() + this.windowDays * 24 * 60 * 60 * 1000);
+
+        if (new Date() > windowEnds) {
+            throw new ConflictError(`The ${this.windowDays}-day return window for this order closed on ${windowEnds.toDateString()}`);
+        }
+
+        const returnItems = await this.selectItems(order, items);
+        const returnId = crypto.randomUUID();
+        const photoPaths = await this.uploadPhotos(order.id, returnId, parsedPhotos);
+
+        const { data: orderReturn, error } = await supabase
+            .from('order_returns')
+            .insert({
+                id: returnId,
+                order_id: order.id,
+                user_id: user.id,
+                status: 'requested',
+                reason,
+                comments: comments || null,
+                items: returnItems,
+                photos: photoPaths,
+                created_at: new Date().toISOString(),
+                updated_at: new Date().toISOString()
+            })
+            .select()
+            .single();
+
+        if (error) {
+            throw new Error(`Failed to record return request: ${error.message}`);
+        }
+
+        logger.info('Return requested', {
+            returnId,
+            orderId: order.id,
+            userId: user.id,
+            reason,
+            items: returnItems.length
+        });
+
+        await this.notify(orderReturn, 'Requested',
+            'We have received your return request and will review it within 2 business days.');
+
+        return orderReturn;
+    }
+
+    /**
+     * Work out which order items a return covers
+     * Quantities already on an open return cannot be returned again.
+     */
+    async selectItems(order, requestedItems) {
+        const { data: previousReturns, error } = await supabase
+            .from('order_returns')
+            .select('items, status')
+            .eq('order_id', order.id)
+            .in('status', OPEN_RETURN_STATUSES);
+
+        if (error) {
+            throw new Error(`Failed to load previous returns: ${error.message}`);
+        }
+
+        const alreadyReturned = new Map();
+        (previousReturns || []).forEach(previous => {
+            (previous.items || []).forEach(item => {
+                alreadyReturned.set(item.order_item_id, (alreadyReturned.get(item.order_item_id) || 0) + item.quantity);
+            });
+        });
+
+        const orderItems = order.order_items || [];
+        const available = (orderItem) => orderItem.quantity - (alreadyReturned.get(orderItem.id) || 0);
+
+        const wanted = requestedItems && requestedItems.length > 0
+            ? requestedItems
+            : orderItems.map(orderItem => ({ order_item_id: orderItem.id, quantity: available(orderItem) }));
+
+        const selected = wanted
+            .map(item => {
+                const orderItem = orderItems.find(candidate => candidate.id === item.order_item_id);
+                const quantity = Number(item.quantity);
+
+                if (!orderItem) {
+                    throw new ValidationError(`Item ${item.order_item_id} is not part of this order`, 'items');
+                }
+
+                if (!Number.isInteger(quantity) || quantity < 0 || quantity > available(orderItem)) {
+                    throw new ValidationError(`Up to ${available(orderItem)} of item ${orderItem.id} can be returned`, 'items');
+                }
+
+                return {
+                    order_item_id: orderItem.id,
+                    product_id: orderItem.product_id,
+                    quantity,
+                    unit_price: parseFloat(orderItem.unit_price)
+                };
+            })
+            .filter(item => item.quantity > 0);
+
+        if (selected.length === 0) {
+            throw new ConflictError('There are no items left to return on this order');
+        }
+
+        return selected;
+    }
+
+    /**
+     * Decode and check photo data URLs
+     * @returns {Array} - [{ buffer, contentType, extension }]
+     */
+    parsePhotos(photos) {
+        if (!photos) {
+            return [];
+        }
+
+        if (!Array.isArray(photos) || photos.length > MAX_PHOTOS) {
+            throw new ValidationError(`Up to ${MAX_PHOTOS} photos can be attached`, 'photos');
+        }
+
+        return photos.map((photo, index) => {
+            const match = /^data:([\w/+.-]+);base64,(.+)$/.exec(String(photo));
+            const extension = match && PHOTO_TYPES[match[1]];
+
+            if (!extension) {
+                throw new ValidationError(`Photo ${index + 1} must be a JPEG, PNG or WebP data URL`, 'photos');
+            }
+
+            const buffer = Buffer.from(match[2], 'base64');
+
+            if (buffer.length > MAX_PHOTO_BYTES) {
+                throw new ValidationError(`Photo ${index + 1} is larger than ${MAX_PHOTO_BYTES / (1024 * 1024)}MB`, 'photos');
+            }
+
+            return { buffer, contentType: match[1], extension };
+        });
+    }
+
+    /**
+     * Store return photos in Supabase storage
+     * @returns {Promise<Array>} - Storage paths inside the return photo bucket
+     */
+    async uploadPhotos(orderId, returnId, photos) {
+        const paths = [];
+
+        for (const [index, photo] of photos.entries()) {
+            const path = `${orderId}/${returnId}/${index + 1}.${photo.extension}`;
+            const { error } = await supabase.storage
+                .from(this.photoBucket)
+                .upload(path, photo.buffer, { contentType: photo.contentType });
+
+            if (error) {
+                throw new Error(`Failed to store return photo: ${error.message}`);
+            }
+
+            paths.push(path);
+        }
+
+        return paths;
+    }
+
+    /**
+     * Get a return with short-lived links to its photos
+     * @param {string} returnId - Return ID
+     * @returns {Promise<Object|null>}
+     */
+    async getReturn(returnId) {
+        const orderReturn = await this.loadReturn(returnId);
+
+        if (!orderReturn) {
+            return null;
+        }
+
+        let photoUrls = [];
+
+        if (orderReturn.photos && orderReturn.photos.length > 0) {
+            const { data: signed } = await supabase.storage
+                .from(this.photoBucket)
+                .createSignedUrls(orderReturn.photos, 60 * 60);
+
+            photoUrls = (signed || []).map(entry => entry.signedUrl);
+        }
+
+        return { ...orderReturn, photo_urls: photoUrls };
+    }
+
+    /**
+     * Load a return record
+     */
+    async loadReturn(returnId) {
+        const { data: orderReturn, error } = await supabase
+            .from('order_returns')
+            .select('*')
+            .eq('id', returnId)
+            .single();
+
+        if (error || !orderReturn) {
+            return null;
+        }
+
+        return orderReturn;
+    }
+
+    /**
+     * List returns, newest first
+     * @param {Object} filters - { status, orderId, userId }
+     * @returns {Promise<Array>}
+     */
+    async listReturns({ status, orderId, userId } = {}) {
+        let query = supabase
+            .from('order_returns')
+            .select('*')
+            .order('created_at', { ascending: false });
+
+        if (status) {
+            query = query.eq('status', status);
+        }
+
+        if (orderId) {
+            query = query.eq('order_id', orderId);
+        }
+
+        if (userId) {
+            query = query.eq('user_id', userId);
+        }
+
+        const { data: returns, error } = await query;
+
+        if (error) {
+            throw new Error(`Failed to load returns: ${error.message}`);
+        }
+
+        return returns || [];
+    }
+
+    /**
+     * Move a return from one status to the next
+     * Conditional on the current status so two admins cannot both act on it.
+     */
+    async updateStatus(returnId, fromStatus, toStatus, updates = {}) {
+        const { data: updated, error } = await supabase
+            .from('order_returns')
+            .update({
+                ...updates,
+                status: toStatus,
+                updated_at: new Date().toISOString()
+            })
+            .eq('id', returnId)
+            .eq('status', fromStatus)
+            .select();
+
+        if (error) {
+            throw new Error(`Failed to update return: ${error.message}`);
+        }
+
+        if (!updated || updated.length === 0) {
+            throw new ConflictError(`Return is no longer ${fromStatus}`);
+        }
+
+        return updated[0];
+    }
+
+    /**
+     * Load a return and check it is in the expected status
+     */
+    async requireReturn(returnId, expectedStatus) {
+        const orderReturn = await this.loadReturn(returnId);
+
+        if (!orderReturn) {
+            throw new NotFoundError('Return not found');
+        }
+
+        if (orderReturn.status !== expectedStatus) {
+            throw new ConflictError(`Only ${expectedStatus} returns can be processed this way; this one is ${orderReturn.status}`);
+        }
+
+        return orderReturn;
+    }
+
+    /**
+     * Approve a return request; the customer can now send the items back
+     */
+    async approveReturn(returnId, admin, notes) {
+        await this.requireReturn(returnId, 'requested');
+
+        const orderReturn = await this.updateStatus(returnId, 'requested', 'approved', {
+            admin_notes: notes || null,
+            reviewed_by: admin.id,
+            reviewed_at: new Date().toISOString()
+        });
+
+        logger.info('Return approved', { returnId, adminId: admin.id });
+
+        await this.notify(orderReturn, 'Approved',
+            'Your return has been approved. Please send the items back using the instructions from our support team; we will refund you once they arrive.');
+
+        return orderReturn;
+    }
+
+    /**
+     * Reject a return request
+     */
+    async rejectReturn(returnId, admin, notes) {
+        if (!notes || !notes.trim()) {
+            throw new ValidationError('A reason is required to reject a return', 'notes');
+        }
+
+        await this.requireReturn(returnId, 'requested');
+
+        const orderReturn = await this.updateStatus(returnId, 'requested', 'rejected', {
+            admin_notes: notes.trim(),
+            reviewed_by: admin.id,
+            reviewed_at: new Date().toISOString()
+        });
+
+        logger.info('Return rejected', { returnId, adminId: admin.id });
+
+        await this.notify(orderReturn, 'Rejected',
+            'Unfortunately we cannot accept your return request.');
+
+        return orderReturn;
+    }
+
+    /**
+     * Record that returned items arrived, restock them and refund the customer
+     * A failed refund leaves the return as received; retryRefund() issues it.
+     * A failed restock is recorded in restock_error; retryRefund() and
+     * retryRestock() run it again.
+     * @returns {Promise<Object>} - { return, refund }
+     */
+    async receiveReturn(returnId, admin, notes) {
+        await this.requireReturn(returnId, 'approved');
+
+        const updates = {
+            received_by: admin.id,
+            received_at: new Date().toISOString()
+        };
+
+        if (notes) {
+            updates.admin_notes = notes;
+        }
+
+        let orderReturn = await this.updateStatus(returnId, 'approved', 'received', updates);
+
+        orderReturn = await this.restock(orderReturn);
+
+        let refund = null;
+
+        try {
+            ({ return: orderReturn, refund } = await this.refundReturn(orderReturn, admin));
+        } catch (error) {
+            logger.error('Refund for received return failed', {
+                returnId,
+                orderId: orderReturn.order_id,
+                error: error.message
+            });
+        }
+
+        logger.info('Return received', {
+            returnId,
+            orderId: orderReturn.order_id,
+            adminId: admin.id,
+            refundId: refund ? refund.refund.id : null
+        });
+
+        await this.notify(orderReturn, 'Received',
+            refund
+                ? 'Your returned items have arrived and your refund has been issued.'
+                : 'Your returned items have arrived.');
+
+        return { return: orderReturn, refund };
+    }
+
+    /**
+     * Issue the refund of a received return whose refund failed
+     * Items whose restock failed as well are restocked first.
+     * @returns {Promise<Object>} - { return, refund }
+     */
+    async retryRefund(returnId, admin) {
+        const orderReturn = await this.restock(await this.requireReturn(returnId, 'received'));
+        const result = await this.refundReturn(orderReturn, admin);
+
+        if (!result.refund) {
+            throw new ConflictError('Nothing is left to refund on this order');
+        }
+
+        logger.info('Return refund retried', {
+            returnId,
+            orderId: orderReturn.order_id,
+            adminId: admin.id,
+            refundId: result.refund.refund.id
+        });
+
+        await this.notify(result.return, 'Refunded', 'Your refund for the returned items has been issued.');
+
+        return result;
+    }
+
+    /**
+     * Put the items of a received or refunded return back in stock when
+     * restocking them failed
+     * @returns {Promise<Object>} - The restocked return
+     */
+    async retryRestock(returnId, admin) {
+        const orderReturn = await this.loadReturn(returnId);
+
+        if (!orderReturn) {
+            throw new NotFoundError('Return not found');
+        }
+
+        if (!['received', 'refunded'].includes(orderReturn.status)) {
+            throw new ConflictError(`Only received or refunded returns can be restocked; this one is ${orderReturn.status}`);
+        }
+
+        if (orderReturn.restocked_at) {
+            throw new ConflictError('Return is already restocked');
+        }
+
+        const restocked = await this.restock(orderReturn);
+
+        if (!restocked.restocked_at) {
+            throw new Error(`Failed to restock return: ${restocked.restock_error}`);
+        }
+
+        logger.info('Return restocked', { returnId, adminId: admin.id });
+
+        return restocked;
+    }
+
+    /**
+     * Run restock_return for a return not restocked yet
+     * A failure is logged and kept in restock_error rather than thrown, so
+     * receiving the return and refunding it go ahead.
+     * @returns {Promise<Object>} - The return as it now stands
+     */
+    async restock(orderReturn) {
+        if (orderReturn.restocked_at) {
+            return orderReturn;
+        }
+
+        const { error } = await supabase.rpc('restock_return', {
+            p_return_id: orderReturn.id
+        });
+
+        if (error) {
+            logger.error(`Failed to restock return ${orderReturn.id}:`, error);
+        }
+
+        const { data: updated } = await supabase
+            .from('order_returns')
+            .update({ restock_error: error ? error.message : null })
+            .eq('id', orderReturn.id)
+            .select();
+
+        return updated && updated[0] ? updated[0] : { ...orderReturn, restock_error: error ? error.message : null };
+    }
+
+    /**
+     * Refund a received return and mark it refunded
+     * @returns {Promise<Object>} - { return, refund }; refund is null if nothing is refundable
+     */
+    async refundReturn(orderReturn, admin) {
+        const order = await orderService.getOrder(orderReturn.order_id);
+        const orderItems = order.order_items || [];
+        const itemsValue = orderItems.reduce((total, item) => total + item.quantity * parseFloat(item.unit_price), 0);
+        const returnedValue = orderReturn.items.reduce((total, item) => total + item.quantity * item.unit_price, 0);
+
+        // Shipping, discount and VAT are refunded in the same proportion as the items
+        const share = itemsValue > 0 ? Math.min(returnedValue / itemsValue, 1) : 0;
+
+        const refund = await refundService.refundOrder(
+            order.id,
+            share,
+            `Return ${this.getReturnNumber(orderReturn)}: ${orderReturn.reason}`,
+            admin.id,
+            { actorType: 'admin' }
+        );
+
+        if (!refund) {
+            return { return: orderReturn, refund: null };
+        }
+
+        const refunded = await this.updateStatus(orderReturn.id, 'received', 'refunded', {
+            refund_id: refund.refund.id,
+            refund_amount: refund.refund.amount,
+            refund_currency: refund.refund.currency
+        });
+
+        if (refund.payment_status === 'refunded') {
+            await paymentProcessor.reverseAffiliateCommission(order.id, 'order_returned');
+        }
+
+        return { return: refunded, refund };
+    }
+
+    /**
+     * Email the customer about their return
+     */
+    async notify(orderReturn, statusLabel, message) {
+        try {
+            const { data: user } = await supabase
+                .from('users')
+                .select('email, full_name')
+                .eq('id', orderReturn.user_id)
+                .single();
+
+            if (!user) {
+                return;
+            }
+
+            await emailService.sendReturnUpdateEmail(
+                user.email,
+                {
+                    name: user.full_name,
+                    orderId: orderReturn.order_id,
+                    orderNumber: orderReturn.order_id.slice(-8).toUpperCase(),
+                    returnNumber: this.getReturnNumber(orderReturn),
+                    reason: orderReturn.reason.replace(/_/g, ' '),
+                    adminNotes: orderReturn.admin_notes,
+                    refundAmount: orderReturn.refund_amount,
+                    currency: orderReturn.refund_currency,
+                    statusLabel,
+                    message
+                },
+                orderReturn.user_id
+            );
+        } catch (error) {
+            logger.error('Failed to send return update email:', error);
+        }
+    }
+}
+
+module.exports = new ReturnService();
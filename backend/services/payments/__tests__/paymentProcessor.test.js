@@ -0,0 +1,180 @@
+/**
+ * Payment processor: payment success side effects survive failures and
+ * replays, webhooks are matched against the payment they claim, money for
+ * a cancelled order is given back, and an order earns one affiliate
+ * commission
+ */
+
+jest.mock('../../../config/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+jest.mock('../../../config/supabase', () => require('../../../test/supabaseMock').module);
+jest.mock('../../emailService', () => ({ sendOrderConfirmationEmail: jest.fn() }));
+jest.mock('../../fulfilment', () => ({ createPurchaseOrders: jest.fn() }));
+jest.mock('../refundService', () => ({ refundOrder: jest.fn() }));
+
+const db = require('../../../test/supabaseMock');
+const paymentProcessor = require('../paymentProcessor');
+const orderStateMachine = require('../../orders/orderStateMachine');
+const refundService = require('../refundService');
+const { ConflictError } = require('../../../middleware/errorHandler');
+
+const gateway = { id: 'mtn' };
+const success = { payment_id: 'pay-1', transaction_id: 'txn-1', status: 'success', event_id: 'evt-1' };
+
+beforeEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+    db.reset({
+        payments: [{ id: 'pay-1', order_id: 'ord-1', payment_method: 'mtn', status: 'pending', amount: 100, currency: 'XAF' }],
+        orders: [{ id: 'ord-1', status: 'pending', payment_status: 'pending', user_id: 'u1', promo_code_id: 'promo-1', country: 'CM', order_items: [] }],
+        promo_codes: [{ id: 'promo-1', affiliate_id: 'aff-1' }]
+    }, {
+        payment_events: [['gateway', 'event_key']],
+        affiliate_stats: [['order_id']]
+    });
+});
+
+describe('processUpdate', () => {
+    it('marks the order paid and records the commission on success', async () => {
+        const { outcome } = await paymentProcessor.processUpdate(gateway, success);
+
+        expect(outcome).toBe('applied');
+        expect(db.tables.orders[0]).toMatchObject({ status: 'paid', payment_status: 'success' });
+        expect(db.tables.affiliate_stats).toHaveLength(1);
+        expect(db.tables.payment_events[0].outcome).toBe('applied');
+    });
+
+    it('ignores a duplicate delivery', async () => {
+        await paymentProcessor.processUpdate(gateway, success);
+        const { outcome } = await paymentProcessor.processUpdate(gateway, success);
+
+        expect(outcome).toBe('duplicate');
+        expect(db.tables.affiliate_stats).toHaveLength(1);
+    });
+
+    it('finishes the order when the gateway retries after the side effects failed', async () => {
+        jest.spyOn(orderStateMachine, 'transition').mockRejectedValueOnce(new Error('connection reset'));
+
+        await expect(paymentProcessor.processUpdate(gateway, success)).rejects.toThrow('connection reset');
+
+        expect(db.tables.payments[0].status).toBe('success');
+        expect(db.tables.orders[0].status).toBe('pending');
+        expect(db.tables.payment_events).toHaveLength(0);
+
+        const { outcome } = await paymentProcessor.processUpdate(gateway, success);
+
+        expect(outcome).toBe('applied');
+        expect(db.tables.orders[0]).toMatchObject({ status: 'paid', payment_status: 'success' });
+        expect(db.tables.affiliate_stats).toHaveLength(1);
+    });
+
+    it('does not re-run side effects for another success event once the order is paid', async () => {
+        await paymentProcessor.processUpdate(gateway, success);
+        const { outcome } = await paymentProcessor.processUpdate(gateway, { ...success, event_id: 'evt-2' });
+
+        expect(outcome).toBe('stale');
+        expect(db.tables.affiliate_stats).toHaveLength(1);
+    });
+});
+
+describe('Orange Money notifications', () => {
+    const orangeService = require('../orangeService');
+    const notification = (notifToken) => ({
+        payment_id: 'pay-1',
+        transaction_id: 'MP2410.1234.A56789',
+        status: 'success',
+        gateway_response: { status: 'SUCCESS', order_id: 'pay-1', notif_token: notifToken }
+    });
+
+    beforeEach(() => {
+        // A status poll has already replaced the initialization response
+        Object.assign(db.tables.payments[0], {
+            payment_method: 'orange',
+            webhook_token: 'notif-7f3a',
+            gateway_response: { status: 'PENDING', txnid: null }
+        });
+    });
+
+    it('are matched against the token issued at initialization', async () => {
+        const { outcome } = await paymentProcessor.processUpdate(orangeService, notification('notif-7f3a'));
+
+        expect(outcome).toBe('applied');
+        expect(db.tables.payments[0]).toMatchObject({ status: 'success', webhook_token: 'notif-7f3a' });
+    });
+
+    it('are refused with any other token', async () => {
+        await expect(paymentProcessor.processUpdate(orangeService, notification('notif-0000')))
+            .rejects.toThrow('Webhook does not match payment record');
+
+        expect(db.tables.payments[0].status).toBe('pending');
+    });
+});
+
+describe('payment for a cancelled order', () => {
+    beforeEach(() => {
+        db.tables.orders[0].status = 'cancelled';
+    });
+
+    it('refunds the money in full', async () => {
+        refundService.refundOrder.mockResolvedValueOnce({ refund: { id: 'ref-1', status: 'pending' } });
+
+        const { outcome } = await paymentProcessor.processUpdate(gateway, success);
+
+        expect(outcome).toBe('applied');
+        expect(refundService.refundOrder).toHaveBeenCalledWith('ord-1', 1, expect.any(String), null, { actorType: 'system' });
+        expect(db.tables.orders[0].status).toBe('cancelled');
+        expect(db.tables.affiliate_stats || []).toHaveLength(0);
+    });
+
+    it('forgets the event when the refund fails so the retry refunds it', async () => {
+        refundService.refundOrder
+            .mockRejectedValueOnce(new Error('gateway unavailable'))
+            .mockResolvedValueOnce({ refund: { id: 'ref-1', status: 'success' } });
+
+        await expect(paymentProcessor.processUpdate(gateway, success)).rejects.toThrow('gateway unavailable');
+        expect(db.tables.payment_events).toHaveLength(0);
+
+        const { outcome } = await paymentProcessor.processUpdate(gateway, success);
+
+        expect(outcome).toBe('applied');
+        expect(refundService.refundOrder).toHaveBeenCalledTimes(2);
+    });
+
+    it('does not refund a success replayed for an order that is already paid', async () => {
+        db.tables.orders[0].status = 'paid';
+        jest.spyOn(orderStateMachine, 'transition').mockRejectedValueOnce(new ConflictError('Order is already paid'));
+
+        await paymentProcessor.handlePaymentSuccess(db.tables.payments[0]);
+
+        expect(refundService.refundOrder).not.toHaveBeenCalled();
+    });
+});
+
+describe('closeOpenAttempts', () => {
+    it('expires attempts that ran out and returns every attempt', async () => {
+        db.tables.payments[0].expires_at = new Date(Date.now() - 60 * 1000).toISOString();
+
+        const attempts = await paymentProcessor.closeOpenAttempts('ord-1');
+
+        expect(attempts).toHaveLength(1);
+        expect(db.tables.payments[0].status).toBe('expired');
+    });
+
+    it('refuses while an attempt is still running', async () => {
+        db.tables.payments[0].expires_at = new Date(Date.now() + 60 * 1000).toISOString();
+
+        await expect(paymentProcessor.closeOpenAttempts('ord-1')).rejects.toThrow(ConflictError);
+        expect(db.tables.payments[0].status).toBe('pending');
+    });
+});
+
+describe('processAffiliateCommission', () => {
+    it('records one commission per order', async () => {
+        await Promise.all([
+            paymentProcessor.processAffiliateCommission('ord-1'),
+            paymentProcessor.processAffiliateCommission('ord-1')
+        ]);
+
+        expect(db.tables.affiliate_stats).toHaveLength(1);
+        expect(db.tables.affiliate_stats[0]).toMatchObject({ affiliate_id: 'aff-1', order_id: 'ord-1' });
+    });
+});
@@ -0,0 +1,153 @@
+/**
+ * Refund service: the refundable balance is checked and taken in one
+ * database call, partial refunds are recorded on the order, and refunds
+ * the gateway accepted as pending are settled later
+ */
+
+jest.mock('../../../config/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+jest.mock('../../../config/supabase', () => require('../../../test/supabaseMock').module);
+jest.mock('../../emailService', () => ({ sendRefundEmail: jest.fn() }));
+jest.mock('../gatewayRegistry', () => ({ get: jest.fn() }));
+jest.mock('../../orders/orderStateMachine', () => ({ transition: jest.fn(), recordHistory: jest.fn() }));
+
+const db = require('../../../test/supabaseMock');
+const { Money } = require('../../../utils/money');
+const { ValidationError } = require('../../../middleware/errorHandler');
+const paymentGatewayRegistry = require('../gatewayRegistry');
+const orderStateMachine = require('../../orders/orderStateMachine');
+const refundService = require('../refundService');
+
+const gateway = { id: 'mtn', refundPayment: jest.fn(), getRefundStatus: jest.fn() };
+const payment = {
+    id: 'mg_ord-1_1',
+    order_id: 'ord-1',
+    user_id: 'u1',
+    payment_method: 'mtn',
+    amount: 100,
+    currency: 'XAF',
+    status: 'success'
+};
+
+// Same checks as the request_refund database function, run without yielding
+const requestRefund = ({ p_payment_id, p_amount, p_reason, p_requested_by }) => {
+    const locked = db.tables.payments.find(row => row.id === p_payment_id);
+
+    if (!locked || !['success', 'partially_refunded'].includes(locked.status)) {
+        throw new Error(`refund_not_allowed: ${p_payment_id}`);
+    }
+
+    const refundable = locked.amount - db.tables.payment_refunds
+        .filter(row => row.payment_id === p_payment_id && ['requested', 'pending', 'success'].includes(row.status))
+        .reduce((total, row) => total + row.amount, 0);
+
+    if (p_amount <= 0 || p_amount > refundable) {
+        throw new Error(`refund_exceeds_refundable: ${refundable}`);
+    }
+
+    const refund = {
+        id: `refund-${db.tables.payment_refunds.length + 1}`,
+        payment_id: p_payment_id,
+        order_id: locked.order_id,
+        amount: p_amount,
+        currency: locked.currency,
+        reason: p_reason,
+        status: 'requested',
+        requested_by: p_requested_by
+    };
+    db.tables.payment_refunds.push(refund);
+
+    return { refund: { ...refund }, refundable_amount: refundable };
+};
+
+beforeEach(() => {
+    jest.clearAllMocks();
+    db.reset({
+        payments: [payment],
+        payment_refunds: [],
+        orders: [{ id: 'ord-1', status: 'paid', payment_status: 'success', refunded_amount: 0 }],
+        users: []
+    });
+    db.rpcHandlers.request_refund = requestRefund;
+    paymentGatewayRegistry.get.mockReturnValue(gateway);
+    gateway.refundPayment.mockImplementation(async () => ({
+        status: 'pending',
+        gateway_refund_id: `mtn-${Math.random()}`,
+        gateway_response: null
+    }));
+});
+
+describe('refundPayment', () => {
+    it('lets only one of two concurrent refunds take the balance', async () => {
+        const results = await Promise.allSettled([
+            refundService.refundPayment(payment, Money.fromMajor(60, 'XAF'), 'Damaged', 'admin-1'),
+            refundService.refundPayment(payment, Money.fromMajor(60, 'XAF'), 'Damaged', 'admin-2')
+        ]);
+
+        expect(results.map(result => result.status).sort()).toEqual(['fulfilled', 'rejected']);
+        expect(results.find(result => result.status === 'rejected').reason).toBeInstanceOf(ValidationError);
+        expect(db.tables.payment_refunds).toHaveLength(1);
+        expect(gateway.refundPayment).toHaveBeenCalledTimes(1);
+    });
+
+    it('records a partial refund on the order without changing its status', async () => {
+        const result = await refundService.refundPayment(payment, Money.fromMajor(40, 'XAF'), 'One item missing', 'admin-1');
+
+        expect(result.payment_status).toBe('partially_refunded');
+        expect(result.remaining_refundable.toMajor()).toBe(60);
+        expect(db.tables.orders[0]).toMatchObject({ status: 'paid', payment_status: 'partially_refunded', refunded_amount: 40 });
+        expect(orderStateMachine.transition).not.toHaveBeenCalled();
+        expect(orderStateMachine.recordHistory).toHaveBeenCalledWith(
+            'ord-1', 'paid', 'paid', { type: 'admin', id: 'admin-1' }, 'partially_refunded',
+            expect.objectContaining({ refund_id: 'refund-1', amount: 40 })
+        );
+    });
+
+    it('moves the order to refunded once nothing is left', async () => {
+        const result = await refundService.refundPayment(payment, Money.fromMajor(100, 'XAF'), 'Cancelled', 'admin-1');
+
+        expect(result.payment_status).toBe('refunded');
+        expect(orderStateMachine.transition).toHaveBeenCalledWith('ord-1', 'refunded', expect.any(Object));
+        expect(orderStateMachine.recordHistory).not.toHaveBeenCalled();
+    });
+});
+
+describe('reconcilePendingRefunds', () => {
+    beforeEach(async () => {
+        await refundService.refundPayment(payment, Money.fromMajor(40, 'XAF'), 'One item missing', 'admin-1');
+        db.tables.payments[0].status = 'partially_refunded';
+        jest.clearAllMocks();
+    });
+
+    it('marks a refund the gateway completed as successful', async () => {
+        gateway.getRefundStatus.mockResolvedValueOnce({ status: 'success', reason: null, gateway_response: {} });
+
+        const stats = await refundService.reconcilePendingRefunds();
+
+        expect(stats).toEqual({ checked: 1, settled: 1, failed: 0, errors: 0 });
+        expect(db.tables.payment_refunds[0].status).toBe('success');
+        expect(db.tables.orders[0]).toMatchObject({ payment_status: 'partially_refunded', refunded_amount: 40 });
+    });
+
+    it('gives the balance back when the gateway reports a failed refund', async () => {
+        gateway.getRefundStatus.mockResolvedValueOnce({ status: 'failed', reason: 'PAYEE_NOT_FOUND', gateway_response: {} });
+
+        const stats = await refundService.reconcilePendingRefunds();
+
+        expect(stats).toEqual({ checked: 1, settled: 0, failed: 1, errors: 0 });
+        expect(db.tables.payment_refunds[0]).toMatchObject({ status: 'failed', failure_reason: 'PAYEE_NOT_FOUND' });
+        expect(db.tables.payments[0].status).toBe('success');
+        expect(db.tables.orders[0]).toMatchObject({ payment_status: 'success', refunded_amount: 0 });
+        expect(orderStateMachine.recordHistory).toHaveBeenCalledWith(
+            'ord-1', 'paid', 'paid', { type: 'payment', id: null }, 'refund_failed', expect.any(Object)
+        );
+    });
+
+    it('leaves refunds the gateway still reports as pending', async () => {
+        gateway.getRefundStatus.mockResolvedValueOnce({ status: 'pending', reason: null, gateway_response: {} });
+
+        const stats = await refundService.reconcilePendingRefunds();
+
+        expect(stats).toEqual({ checked: 1, settled: 0, failed: 0, errors: 0 });
+        expect(db.tables.payment_refunds[0].status).toBe('pending');
+    });
+});
@@ -0,0 +1,56 @@
+/**
+ * Disbursement Error Helpers
+ *
+ * Shared by the gateways that send money out (affiliate payouts). A
+ * transfer request only failed for certain when the gateway refused it:
+ * a client error response, or a body that says so. After a timeout, a
+ * network error or a 5xx the gateway may still have accepted the
+ * transfer, so its outcome has to be read with getDisbursementStatus()
+ * instead of sending it again.
+ *
+ * @author Mallgram Backend Team
+ */
+
+/**
+ * Whether a failed gateway request was refused (nothing was sent)
+ * @param {Error} error - Error thrown by axios or by the gateway service
+ * @returns {boolean}
+ */
+const isRejection = (error) => {
+    if (error.rejected === true) {
+        return true;
+    }
+
+    const status = error.response?.status;
+
+    return status >= 400 && status < 500 && status !== 408;
+};
+
+/**
+ * Wrap a failed transfer request, keeping whether the gateway refused it
+ * @param {string} message - Error message
+ * @param {Error} cause - Original error
+ * @returns {Error} - Error with rejected set
+ */
+const disbursementError = (message, cause) => {
+    const error = new Error(message);
+    error.rejected = isRejection(cause);
+    return error;
+};
+
+/**
+ * A transfer the gateway explicitly refused
+ * @param {string} message - Gateway's reason
+ * @returns {Error}
+ */
+const rejectedTransfer = (message) => {
+    const error = new Error(message);
+    error.rejected = true;
+    return error;
+};
+
+module.exports = {
+    isRejection,
+    disbursementError,
+    rejectedTransfer
+};
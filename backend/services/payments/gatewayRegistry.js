@@ -0,0 +1,160 @@
+/**
+ * Payment Gateway Registry
+ *
+ * Central registry of payment gateway services. Each service in
+ * services/payments/ registers itself here with a common interface so that
+ * routes can be driven by the registry instead of per-gateway switches.
+ *
+ * Gateway interface:
+ * - id, name, type, logo, description, fees - Display metadata
+ * - supportedCountries, supportedCurrencies - Availability
+ * - requiresPhoneNumber - Whether initialization needs a phone number
+ * - webhookAcknowledgement - Optional plain-text body a gateway expects in reply to webhooks
+ * - initializePayment(order, user, options) - Start a payment; may return a webhook_token
+ *   its notifications must carry, stored on the payment and never updated
+ * - verifyWebhook(webhookRequest) - Verify a webhook against its raw body, headers and query
+ * - verifyWebhookPayment(paymentUpdate, payment) - Optional check of a webhook against the stored payment
+ * - handleWebhook(webhookRequest) - Normalize a verified webhook into a payment update
+ * - verifyPayment(paymentId, transactionReference) - Check status with the gateway;
+ *   payment_status is normalized to pending, success, failed or cancelled
+ * - refundPayment(payment, amount, reason, reference) - Refund a captured payment (full or partial)
+ *   by a Money amount in the payment currency;
+ *   returns { status: 'success' | 'pending', gateway_refund_id, gateway_response }
+ * - getCurrency(country) - Currency used for a country
+ * - checkPaymentStatus(payment) - Optional; gateways that implement it have pending
+ *   payments polled (same result shape as verifyPayment)
+ *
+ * @author Mallgram Backend Team
+ */
+
+const REQUIRED_METHODS = [
+    'initializePayment',
+    'verifyWebhook',
+    'handleWebhook',
+    'verifyPayment',
+    'refundPayment',
+    'getCurrency'
+];
+
+const REQUIRED_FIELDS = ['id', 'name', 'type', 'supportedCountries', 'supportedCurrencies'];
+
+class PaymentGatewayRegistry {
+    constructor() {
+        this.gateways = new Map();
+    }
+
+    /**
+     * Register a gateway service
+     * @param {Object} gateway - Gateway service implementing the common interface
+     */
+    register(gateway) {
+        const missingFields = REQUIRED_FIELDS.filter(field => !gateway[field]);
+        const missingMethods = REQUIRED_METHODS.filter(method => typeof gateway[method] !== 'function');
+
+        if (missingFields.length > 0 || missingMethods.length > 0) {
+            throw new Error(
+                `Payment gateway ${gateway.id || 'unknown'} is missing: ${[...missingFields, ...missingMethods].join(', ')}`
+            );
+        }
+
+        if (this.gateways.has(gateway.id)) {
+            throw new Error(`Payment gateway already registered: ${gateway.id}`);
+        }
+
+        this.gateways.set(gateway.id, gateway);
+    }
+
+    /**
+     * Get a registered gateway by ID
+     * @param {string} id - Gateway ID (e.g. 'kora', 'mtn')
+     * @returns {Object|null} - Gateway service or null
+     */
+    get(id) {
+        return this.gateways.get(id) || null;
+    }
+
+    /**
+     * Check whether a gateway is registered
+     * @param {string} id - Gateway ID
+     * @returns {boolean}
+     */
+    has(id) {
+        return this.gateways.has(id);
+    }
+
+    /**
+     * Get all registered gateways
+     * @returns {Array<Object>}
+     */
+    list() {
+        return Array.from(this.gateways.values());
+    }
+
+    /**
+     * Check whether a gateway can be used in a country
+     * @param {string} id - Gateway ID
+     * @param {string} country - ISO country code
+     * @returns {boolean}
+     */
+    isAvailableInCountry(id, country) {
+        const gateway = this.get(id);
+        return !!gateway && gateway.supportedCountries.includes(country?.toUpperCase());
+    }
+
+    /**
+     * Get gateways available in a country
+     * @param {string} country - ISO country code
+     * @returns {Array<Object>}
+     */
+    getForCountry(country) {
+        return this.list().filter(gateway => gateway.supportedCountries.includes(country?.toUpperCase()));
+    }
+
+    /**
+     * Get every country supported by at least one gateway
+     * @returns {Array<string>}
+     */
+    getSupportedCountries() {
+        const countries = new Set();
+        this.list().forEach(gateway => gateway.supportedCountries.forEach(country => countries.add(country)));
+        return Array.from(countries);
+    }
+
+    /**
+     * Describe a gateway as a payment method for the API
+     * @param {Object} gateway - Gateway service
+     * @param {string} country - ISO country code
+     * @returns {Object} - Payment method description
+     */
+    describe(gateway, country) {
+        return {
+            id: gateway.id,
+            name: gateway.name,
+            type: gateway.type,
+            logo: gateway.logo,
+            description: gateway.description,
+            fees: gateway.fees,
+            currency: gateway.getCurrency(country),
+            requires_phone_number: !!gateway.requiresPhoneNumber
+        };
+    }
+
+    /**
+     * Get payment methods for one country, or for every supported country
+     * @param {string} country - Optional ISO country code
+     * @returns {Array|Object} - Methods for the country, or methods keyed by country
+     */
+    getPaymentMethods(country) {
+        if (country) {
+            const code = country.toUpperCase();
+            return this.getForCountry(code).map(gateway => this.describe(gateway, code));
+        }
+
+        return this.getSupportedCountries().reduce((methods, code) => {
+            methods[code] = this.getForCountry(code).map(gateway => this.describe(gateway, code));
+            return methods;
+        }, {});
+    }
+}
+
+module.exports = new PaymentGatewayRegistry();
@@ -0,0 +1,19 @@
+/**
+ * Payment Gateways
+ *
+ * Loads every payment gateway service so that each one registers itself
+ * with the gateway registry. Add new gateways here; registration order is
+ * the order methods are listed in GET /payments/methods.
+ *
+ * @author Mallgram Backend Team
+ */
+
+const paymentGatewayRegistry = require('./gatewayRegistry');
+
+require('./payGateService');
+require('./payFastService');
+require('./orangeService');
+require('./mtnService');
+require('./koraPayService');
+
+module.exports = paymentGatewayRegistry;
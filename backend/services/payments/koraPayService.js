@@ -10,9 +10,22 @@
 const axios = require('axios');
 const crypto = require('crypto');
 const logger = require('../../config/logger');
+const { Money } = require('../../utils/money');
+const paymentGatewayRegistry = require('./gatewayRegistry');
+const { safeCompare } = require('./webhookSecurity');
 
 class KoraPayService {
     constructor() {
+        this.id = 'kora';
+        this.name = 'Kora Pay';
+        this.type = 'card';
+        this.logo = '/images/kora-logo.png';
+        this.description = 'Credit/Debit Cards';
+        this.fees = '3.5%';
+        this.supportedCountries = ['ZA', 'NG', 'KE', 'GH', 'CM'];
+        this.supportedCurrencies = ['ZAR', 'NGN', 'KES', 'GHS', 'XAF'];
+        this.requiresPhoneNumber = false;
+
         this.baseUrl = process.env.KORA_PAY_BASE_URL || 'https://api.korahq.com';
         this.publicKey = process.env.KORA_PAY_PUBLIC_KEY;
         this.secretKey = process.env.KORA_PAY_SECRET_KEY;
@@ -22,11 +35,12 @@ class KoraPayService {
     /**
      * Initialize payment with Kora Pay
      */
-    async initializePayment(order, user, returnUrl) {
+    async initializePayment(order, user, { returnUrl } = {}) {
         try {
+            const currency = this.getCurrency(user.country);
             const paymentData = {
-                amount: order.total_price,
-                currency: this.getCurrency(user.country),
+                amount: Money.fromMajor(order.total_price, currency).toMajor(),
+                currency,
                 reference: `mg_${order.id}_${Date.now()}`,
                 customer: {
                     name: user.full_name,
@@ -34,7 +48,7 @@ class KoraPayService {
                     phone: user.phone_number
                 },
                 redirect_url: returnUrl || `${process.env.FRONTEND_URL}/payment/success`,
-                notification_url: `${process.env.API_URL}/payments/webhook`,
+                notification_url: `${process.env.API_URL}/payments/webhook/${this.id}`,
                 description: `Mallgram Order #${order.id.slice(-8).toUpperCase()}`,
                 metadata: {
                     order_id: order.id,
@@ -76,28 +90,40 @@ class KoraPayService {
         }
     }
 
+    /**
+     * Verify webhook signature against the raw request body
+     */
+    verifyWebhook({ rawBody, headers }) {
+        if (!this.webhookSecret) {
+            logger.error('Kora Pay webhook secret not configured, rejecting webhook');
+            return false;
+        }
+
+        const expectedSignature = crypto
+            .createHmac('sha512', this.webhookSecret)
+            .update(rawBody)
+            .digest('hex');
+
+        return safeCompare(expectedSignature, headers['x-kora-signature']);
+    }
+
     /**
      * Handle webhook from Kora Pay
      */
-    async handleWebhook(payload, signature) {
+    async handleWebhook({ payload }) {
         try {
-            // Verify webhook signature
-            if (!this.verifyWebhookSignature(payload, signature)) {
-                throw new Error('Invalid webhook signature');
-            }
-
             const event = payload;
             
             if (event.event === 'charge.success') {
                 return {
-                    payment_id: event.data.reference.split('_')[1], // Extract order ID
+                    payment_id: event.data.reference,
                     transaction_id: event.data.reference,
                     status: 'success',
                     gateway_response: event
                 };
             } else if (event.event === 'charge.failed') {
                 return {
-                    payment_id: event.data.reference.split('_')[1],
+                    payment_id: event.data.reference,
                     transaction_id: event.data.reference,
                     status: 'failed',
                     gateway_response: event
@@ -128,8 +154,15 @@ class KoraPayService {
 
             const result = response.data;
 
+            const paymentStatus = {
+                success: 'success',
+                failed: 'failed'
+            }[result.data.status] || 'pending';
+
             return {
                 status: result.data.status === 'success' ? 'verified' : 'failed',
+                payment_status: paymentStatus,
+                transaction_id: result.data.reference || transactionReference,
                 response: result
             };
 
@@ -140,20 +173,42 @@ class KoraPayService {
     }
 
     /**
-     * Verify webhook signature
+     * Refund a captured payment (full or partial)
      */
-    verifyWebhookSignature(payload, signature) {
-        if (!this.webhookSecret) {
-            logger.warn('Kora Pay webhook secret not configured');
-            return true; // Skip verification if not configured
-        }
+    async refundPayment(payment, amount, reason, reference) {
+        try {
+            const response = await axios.post(
+                `${this.baseUrl}/merchant/api/v1/refunds/initiate`,
+                {
+                    payment_reference: payment.id,
+                    reference,
+                    amount: amount.toMajor(),
+                    reason
+                },
+                {
+                    headers: {
+                        'Authorization': `Bearer ${this.secretKey}`,
+                        'Content-Type': 'application/json'
+                    }
+                }
+            );
 
-        const expectedSignature = crypto
-            .createHmac('sha512', this.webhookSecret)
-            .update(JSON.stringify(payload))
-            .digest('hex');
+            const result = response.data;
+
+            if (!result.status || !result.data) {
+                throw new Error(result.message || 'Refund request failed');
+            }
+
+            return {
+                status: result.data.status === 'success' ? 'success' : 'pending',
+                gateway_refund_id: result.data.reference || reference,
+                gateway_response: result
+            };
 
-        return signature === expectedSignature;
+        } catch (error) {
+            logger.error('Kora Pay refund failed:', error);
+            throw new Error(`Kora Pay error: ${error.response?.data?.message || error.message}`);
+        }
     }
 
     /**
@@ -172,4 +227,7 @@ class KoraPayService {
     }
 }
 
-module.exports = new KoraPayService();
+const koraPayService = new KoraPayService();
+paymentGatewayRegistry.register(koraPayService);
+
+module.exports = koraPayService;
@@ -10,27 +10,49 @@
 const axios = require('axios');
 const crypto = require('crypto');
 const logger = require('../../config/logger');
+const { Money } = require('../../utils/money');
+const OAuthTokenCache = require('../oauthTokenCache');
+const paymentGatewayRegistry = require('./gatewayRegistry');
+const { safeCompare } = require('./webhookSecurity');
+const { disbursementError } = require('./disbursementErrors');
 
 class MTNService {
     constructor() {
+        this.id = 'mtn';
+        this.name = 'MTN Mobile Money';
+        this.type = 'mobile_money';
+        this.logo = '/images/mtn-logo.png';
+        this.description = 'Mobile Money';
+        this.fees = '1.5%';
+        this.supportedCountries = ['CM', 'GH', 'UG', 'RW', 'ZM'];
+        this.supportedCurrencies = ['XAF', 'GHS', 'UGX', 'RWF', 'ZMW'];
+        this.requiresPhoneNumber = true;
+
         this.baseUrl = process.env.MTN_MOMO_BASE_URL || 'https://sandbox.momodeveloper.mtn.com';
         this.subscriptionKey = process.env.MTN_MOMO_SUBSCRIPTION_KEY;
+        this.disbursementSubscriptionKey = process.env.MTN_MOMO_DISBURSEMENT_SUBSCRIPTION_KEY;
         this.apiKey = process.env.MTN_MOMO_API_KEY;
         this.apiSecret = process.env.MTN_MOMO_API_SECRET;
         this.environment = process.env.MTN_MOMO_ENVIRONMENT || 'sandbox';
+        this.callbackToken = process.env.MTN_MOMO_CALLBACK_TOKEN;
+
+        // Collection and disbursement are separate MTN products with their own tokens
+        this.tokenCaches = {
+            collection: new OAuthTokenCache('MTN collection', () => this.requestAccessToken('collection')),
+            disbursement: new OAuthTokenCache('MTN disbursement', () => this.requestAccessToken('disbursement'))
+        };
     }
 
     /**
      * Initialize MTN Mobile Money payment
      */
-    async initializePayment(order, user, phoneNumber) {
+    async initializePayment(order, user, { phoneNumber } = {}) {
         try {
-            // Get access token
-            const accessToken = await this.getAccessToken();
-
+            const currency = this.getCurrency(user.country);
+            const amount = Money.fromMajor(order.total_price, currency);
             const paymentData = {
-                amount: order.total_price.toString(),
-                currency: this.getCurrency(user.country),
+                amount: amount.toString(),
+                currency,
                 externalId: `mg_${order.id}_${Date.now()}`,
                 payer: {
                     partyIdType: 'MSISDN',
@@ -40,19 +62,20 @@ class MTNService {
                 payeeNote: `Mallgram order payment`
             };
 
-            const response = await axios.post(
+            const response = await this.tokenCaches.collection.withToken(accessToken => axios.post(
                 `${this.baseUrl}/collection/v1_0/requesttopay`,
                 paymentData,
                 {
                     headers: {
                         'Authorization': `Bearer ${accessToken}`,
                         'X-Reference-Id': paymentData.externalId,
+                        'X-Callback-Url': `${process.env.API_URL}/payments/webhook/${this.id}?token=${this.callbackToken}`,
                         'X-Target-Environment': this.environment,
                         'Content-Type': 'application/json',
                         'Ocp-Apim-Subscription-Key': this.subscriptionKey
                     }
                 }
-            );
+            ));
 
             if (response.status === 202) {
                 return {
@@ -62,7 +85,7 @@ class MTNService {
                     currency: paymentData.currency,
                     expires_at: new Date(Date.now() + 15 * 60 * 1000).toISOString(), // 15 minutes
                     gateway_response: response.data,
-                    instructions: `Please check your phone for the MTN Mobile Money payment request and follow the prompts to complete your payment of ${paymentData.currency} ${paymentData.amount}.`
+                    instructions: `Please check your phone for the MTN Mobile Money payment request and follow the prompts to complete your payment of ${amount.format()}.`
                 };
             } else {
                 throw new Error('Payment initialization failed');
@@ -75,26 +98,47 @@ class MTNService {
     }
 
     /**
-     * Handle webhook from MTN (polling-based status check)
+     * Verify callback authenticity
+     * MTN does not sign callbacks, so the callback URL carries a shared token
+     * and the reported status is confirmed with the API in handleWebhook.
      */
-    async handleWebhook(payload, signature) {
+    verifyWebhook({ query }) {
+        if (!this.callbackToken) {
+            logger.error('MTN callback token not configured, rejecting callback');
+            return false;
+        }
+
+        return safeCompare(this.callbackToken, query?.token);
+    }
+
+    /**
+     * Handle callback from MTN (status is confirmed by polling the API)
+     */
+    async handleWebhook({ payload }) {
         try {
-            // MTN typically uses polling rather than webhooks
-            // This is a placeholder for webhook handling if implemented
-            
-            if (payload.status === 'SUCCESSFUL') {
+            const reference = payload.referenceId || payload.externalId;
+
+            if (!reference) {
+                return null;
+            }
+
+            // Never trust the callback body alone; confirm with MTN
+            const verification = await this.verifyPayment(reference, reference);
+            const confirmed = verification.response;
+
+            if (confirmed.status === 'SUCCESSFUL') {
                 return {
-                    payment_id: payload.referenceId,
-                    transaction_id: payload.financialTransactionId || payload.referenceId,
+                    payment_id: reference,
+                    transaction_id: confirmed.financialTransactionId || reference,
                     status: 'success',
-                    gateway_response: payload
+                    gateway_response: confirmed
                 };
-            } else if (payload.status === 'FAILED') {
+            } else if (confirmed.status === 'FAILED') {
                 return {
-                    payment_id: payload.referenceId,
-                    transaction_id: payload.referenceId,
+                    payment_id: reference,
+                    transaction_id: reference,
                     status: 'failed',
-                    gateway_response: payload
+                    gateway_response: confirmed
                 };
             }
 
@@ -111,9 +155,7 @@ class MTNService {
      */
     async verifyPayment(paymentId, transactionReference) {
         try {
-            const accessToken = await this.getAccessToken();
-
-            const response = await axios.get(
+            const response = await this.tokenCaches.collection.withToken(accessToken => axios.get(
                 `${this.baseUrl}/collection/v1_0/requesttopay/${transactionReference}`,
                 {
                     headers: {
@@ -122,12 +164,19 @@ class MTNService {
                         'Ocp-Apim-Subscription-Key': this.subscriptionKey
                     }
                 }
-            );
+            ));
 
             const result = response.data;
 
+            const paymentStatus = {
+                SUCCESSFUL: 'success',
+                FAILED: 'failed'
+            }[result.status] || 'pending';
+
             return {
                 status: result.status === 'SUCCESSFUL' ? 'verified' : 'failed',
+                payment_status: paymentStatus,
+                transaction_id: result.financialTransactionId || transactionReference,
                 response: result
             };
 
@@ -138,24 +187,212 @@ class MTNService {
     }
 
     /**
-     * Get access token for MTN API
+     * Refund a captured payment through the disbursement API
+     * MTN accepts the refund (202) and completes it asynchronously.
+     */
+    async refundPayment(payment, amount, reason, reference) {
+        try {
+            const referenceId = crypto.randomUUID();
+
+            const response = await this.tokenCaches.disbursement.withToken(accessToken => axios.post(
+                `${this.baseUrl}/disbursement/v2_0/refund`,
+                {
+                    amount: amount.toString(),
+                    currency: payment.currency,
+                    externalId: reference,
+                    payerMessage: `Mallgram refund: ${reason}`,
+                    payeeNote: `Refund for payment ${payment.id}`,
+                    referenceIdToRefund: payment.id
+                },
+                {
+                    headers: {
+                        'Authorization': `Bearer ${accessToken}`,
+                        'X-Reference-Id': referenceId,
+                        'X-Target-Environment': this.environment,
+                        'Content-Type': 'application/json',
+                        'Ocp-Apim-Subscription-Key': this.disbursementSubscriptionKey
+                    }
+                }
+            ));
+
+            if (response.status !== 202) {
+                throw new Error('Refund request failed');
+            }
+
+            return {
+                status: 'pending',
+                gateway_refund_id: referenceId,
+                gateway_response: response.data || null
+            };
+
+        } catch (error) {
+            logger.error('MTN Mobile Money refund failed:', error);
+            throw new Error(`MTN MoMo error: ${error.response?.data?.message || error.message}`);
+        }
+    }
+
+    /**
+     * Outcome of a refund made with refundPayment()
+     * @param {string} referenceId - gateway_refund_id returned by refundPayment()
+     * @returns {Promise<Object>} - { status: pending | success | failed, reason, gateway_response }
+     */
+    async getRefundStatus(referenceId) {
+        try {
+            const response = await this.tokenCaches.disbursement.withToken(accessToken => axios.get(
+                `${this.baseUrl}/disbursement/v2_0/refund/${referenceId}`,
+                {
+                    headers: {
+                        'Authorization': `Bearer ${accessToken}`,
+                        'X-Target-Environment': this.environment,
+                        'Ocp-Apim-Subscription-Key': this.disbursementSubscriptionKey
+                    }
+                }
+            ));
+
+            const statusMap = {
+                'SUCCESSFUL': 'success',
+                'FAILED': 'failed',
+                'PENDING': 'pending'
+            };
+
+            return {
+                status: statusMap[response.data.status] || 'pending',
+                reason: response.data.reason || null,
+                gateway_response: response.data
+            };
+
+        } catch (error) {
+            logger.error('MTN Mobile Money refund status check failed:', error);
+            throw new Error(`MTN MoMo error: ${error.response?.data?.message || error.message}`);
+        }
+    }
+
+    /**
+     * Send money to a mobile money account (affiliate payouts)
+     * MTN accepts the transfer (202) and completes it asynchronously; its
+     * outcome is read with getDisbursementStatus(). The X-Reference-Id is
+     * the caller's referenceId, saved before the request, so a transfer
+     * whose answer was lost can still be looked up; MTN refuses a second
+     * transfer with the same reference (409).
+     * @param {Object} transfer - { amount: Money, reference, referenceId, phoneNumber, country, note }
+     * @returns {Promise<Object>} - { status, gateway_reference, gateway_response }
+     * @throws {Error} - rejected is true only when MTN refused the transfer
      */
-    async getAccessToken() {
+    async disburse({ amount, reference, referenceId, phoneNumber, country, note }) {
+        try {
+            const response = await this.tokenCaches.disbursement.withToken(accessToken => axios.post(
+                `${this.baseUrl}/disbursement/v1_0/transfer`,
+                {
+                    amount: amount.toString(),
+                    currency: amount.currency,
+                    externalId: reference,
+                    payee: {
+                        partyIdType: 'MSISDN',
+                        partyId: this.formatPhoneNumber(phoneNumber, country)
+                    },
+                    payerMessage: note,
+                    payeeNote: note
+                },
+                {
+                    headers: {
+                        'Authorization': `Bearer ${accessToken}`,
+                        'X-Reference-Id': referenceId,
+                        'X-Target-Environment': this.environment,
+                        'Content-Type': 'application/json',
+                        'Ocp-Apim-Subscription-Key': this.disbursementSubscriptionKey
+                    }
+                }
+            ));
+
+            if (response.status !== 202) {
+                throw new Error(`Unexpected transfer response ${response.status}`);
+            }
+
+            return {
+                status: 'pending',
+                gateway_reference: referenceId,
+                gateway_response: response.data || null
+            };
+
+        } catch (error) {
+            if (error.response?.status === 409) {
+                // An earlier request with this reference got through
+                return {
+                    status: 'pending',
+                    gateway_reference: referenceId,
+                    gateway_response: error.response.data || null
+                };
+            }
+
+            logger.error('MTN Mobile Money transfer failed:', error);
+            throw disbursementError(`MTN MoMo error: ${error.response?.data?.message || error.message}`, error);
+        }
+    }
+
+    /**
+     * Outcome of a transfer made with disburse()
+     * @param {string} referenceId - gateway_reference returned by disburse()
+     * @returns {Promise<Object>} - { status: pending | success | failed | not_found, reason, gateway_response }
+     */
+    async getDisbursementStatus(referenceId) {
+        try {
+            const response = await this.tokenCaches.disbursement.withToken(accessToken => axios.get(
+                `${this.baseUrl}/disbursement/v1_0/transfer/${referenceId}`,
+                {
+                    headers: {
+                        'Authorization': `Bearer ${accessToken}`,
+                        'X-Target-Environment': this.environment,
+                        'Ocp-Apim-Subscription-Key': this.disbursementSubscriptionKey
+                    }
+                }
+            ));
+
+            const statusMap = {
+                'SUCCESSFUL': 'success',
+                'FAILED': 'failed',
+                'PENDING': 'pending'
+            };
+
+            return {
+                status: statusMap[response.data.status] || 'pending',
+                reason: response.data.reason || null,
+                gateway_response: response.data
+            };
+
+        } catch (error) {
+            if (error.response?.status === 404) {
+                // MTN never received a transfer with this reference
+                return { status: 'not_found', reason: 'Transfer not found at MTN', gateway_response: error.response.data || null };
+            }
+
+            logger.error('MTN Mobile Money transfer status check failed:', error);
+            throw new Error(`MTN MoMo error: ${error.response?.data?.message || error.message}`);
+        }
+    }
+
+    /**
+     * Request a new access token for an MTN API product (cached by tokenCaches)
+     * @param {string} product - 'collection' or 'disbursement'
+     */
+    async requestAccessToken(product) {
         try {
             const credentials = Buffer.from(`${this.apiKey}:${this.apiSecret}`).toString('base64');
+            const subscriptionKey = product === 'disbursement'
+                ? this.disbursementSubscriptionKey
+                : this.subscriptionKey;
 
             const response = await axios.post(
-                `${this.baseUrl}/collection/token/`,
+                `${this.baseUrl}/${product}/token/`,
                 {},
                 {
                     headers: {
                         'Authorization': `Basic ${credentials}`,
-                        'Ocp-Apim-Subscription-Key': this.subscriptionKey
+                        'Ocp-Apim-Subscription-Key': subscriptionKey
                     }
                 }
             );
 
-            return response.data.access_token;
+            return response.data;
 
         } catch (error) {
             logger.error('MTN token generation failed:', error);
@@ -208,16 +445,14 @@ class MTNService {
 
     /**
      * Check payment status (for polling)
+     * MTN callbacks are not guaranteed, so pending payments are polled.
      */
-    async checkPaymentStatus(transactionReference) {
-        try {
-            const verification = await this.verifyPayment(null, transactionReference);
-            return verification.status === 'verified';
-        } catch (error) {
-            logger.error('MTN status check failed:', error);
-            return false;
-        }
+    async checkPaymentStatus(payment) {
+        return this.verifyPayment(payment.id, payment.gateway_transaction_id || payment.id);
     }
 }
 
-module.exports = new MTNService();
+const mtnService = new MTNService();
+paymentGatewayRegistry.register(mtnService);
+
+module.exports = mtnService;
@@ -8,34 +8,48 @@
  */
 
 const axios = require('axios');
-const crypto = require('crypto');
 const logger = require('../../config/logger');
+const { Money } = require('../../utils/money');
+const OAuthTokenCache = require('../oauthTokenCache');
+const paymentGatewayRegistry = require('./gatewayRegistry');
+const { safeCompare } = require('./webhookSecurity');
+const { disbursementError, rejectedTransfer } = require('./disbursementErrors');
 
 class OrangeService {
     constructor() {
+        this.id = 'orange';
+        this.name = 'Orange Money';
+        this.type = 'mobile_money';
+        this.logo = '/images/orange-logo.png';
+        this.description = 'Mobile Money';
+        this.fees = '1.5%';
+        this.supportedCountries = ['CM', 'SN', 'ML', 'BF', 'CI', 'NE', 'MG'];
+        this.supportedCurrencies = ['XAF', 'XOF', 'MGA'];
+        this.requiresPhoneNumber = true;
+
         this.baseUrl = process.env.ORANGE_MONEY_BASE_URL || 'https://api.orange.com';
         this.clientId = process.env.ORANGE_MONEY_CLIENT_ID;
         this.clientSecret = process.env.ORANGE_MONEY_CLIENT_SECRET;
         this.merchantKey = process.env.ORANGE_MONEY_MERCHANT_KEY;
         this.environment = process.env.ORANGE_MONEY_ENVIRONMENT || 'sandbox';
+
+        this.tokenCache = new OAuthTokenCache('Orange Money', () => this.requestAccessToken());
     }
 
     /**
      * Initialize Orange Money payment
      */
-    async initializePayment(order, user, phoneNumber) {
+    async initializePayment(order, user, { phoneNumber } = {}) {
         try {
-            // Get access token
-            const accessToken = await this.getAccessToken();
-
+            const currency = this.getCurrency(user.country);
             const paymentData = {
                 merchant_key: this.merchantKey,
-                currency: this.getCurrency(user.country),
+                currency,
                 order_id: `mg_${order.id}_${Date.now()}`,
-                amount: order.total_price,
+                amount: Money.fromMajor(order.total_price, currency).toMajor(),
                 return_url: `${process.env.FRONTEND_URL}/payment/success`,
                 cancel_url: `${process.env.FRONTEND_URL}/payment/cancel`,
-                notif_url: `${process.env.API_URL}/payments/webhook`,
+                notif_url: `${process.env.API_URL}/payments/webhook/${this.id}`,
                 lang: 'en',
                 reference: `Mallgram Order #${order.id.slice(-8).toUpperCase()}`,
                 customer: {
@@ -45,7 +59,7 @@ class OrangeService {
                 }
             };
 
-            const response = await axios.post(
+            const response = await this.tokenCache.withToken(accessToken => axios.post(
                 `${this.baseUrl}/orange-money-webpay/dev/v1/webpayment`,
                 paymentData,
                 {
@@ -55,7 +69,7 @@ class OrangeService {
                         'Accept': 'application/json'
                     }
                 }
-            );
+            ));
 
             const result = response.data;
 
@@ -66,6 +80,7 @@ class OrangeService {
                     payment_url: result.payment_url,
                     currency: paymentData.currency,
                     expires_at: new Date(Date.now() + 30 * 60 * 1000).toISOString(), // 30 minutes
+                    webhook_token: result.notif_token,
                     gateway_response: result,
                     instructions: 'You will be redirected to Orange Money to complete your payment.'
                 };
@@ -79,16 +94,29 @@ class OrangeService {
         }
     }
 
+    /**
+     * Verify notification shape
+     * Orange Money does not sign notifications; each one carries the notif_token
+     * issued at initialization, which is matched in verifyWebhookPayment.
+     * The token is kept in payments.webhook_token: gateway_response is
+     * replaced by every status update.
+     */
+    verifyWebhook({ payload }) {
+        return !!(payload && payload.notif_token && payload.order_id);
+    }
+
+    /**
+     * Match a notification against the stored payment
+     */
+    verifyWebhookPayment(paymentUpdate, payment) {
+        return safeCompare(payment.webhook_token, paymentUpdate.gateway_response?.notif_token);
+    }
+
     /**
      * Handle webhook from Orange Money
      */
-    async handleWebhook(payload, signature) {
+    async handleWebhook({ payload }) {
         try {
-            // Verify webhook signature if provided
-            if (signature && !this.verifyWebhookSignature(payload, signature)) {
-                throw new Error('Invalid webhook signature');
-            }
-
             if (payload.status === 'SUCCESS') {
                 return {
                     payment_id: payload.order_id,
@@ -118,9 +146,7 @@ class OrangeService {
      */
     async verifyPayment(paymentId, transactionReference) {
         try {
-            const accessToken = await this.getAccessToken();
-
-            const response = await axios.post(
+            const response = await this.tokenCache.withToken(accessToken => axios.post(
                 `${this.baseUrl}/orange-money-webpay/dev/v1/transactionstatus`,
                 {
                     order_id: paymentId,
@@ -133,12 +159,21 @@ class OrangeService {
                         'Content-Type': 'application/json'
                     }
                 }
-            );
+            ));
 
             const result = response.data;
 
+            const paymentStatus = {
+                SUCCESS: 'success',
+                FAILED: 'failed',
+                CANCELLED: 'failed',
+                EXPIRED: 'failed'
+            }[result.status] || 'pending';
+
             return {
                 status: result.status === 'SUCCESS' ? 'verified' : 'failed',
+                payment_status: paymentStatus,
+                transaction_id: result.txnid || transactionReference,
                 response: result
             };
 
@@ -149,9 +184,191 @@ class OrangeService {
     }
 
     /**
-     * Get access token for Orange Money API
+     * Check payment status (for polling)
+     * Customers often close the WebPay page before the notification is sent,
+     * so pending payments are polled.
+     */
+    async checkPaymentStatus(payment) {
+        return this.verifyPayment(payment.id, payment.gateway_transaction_id);
+    }
+
+    /**
+     * Refund a captured payment (full or partial)
+     */
+    async refundPayment(payment, amount, reason, reference) {
+        try {
+            const response = await this.tokenCache.withToken(accessToken => axios.post(
+                `${this.baseUrl}/orange-money-webpay/dev/v1/refund`,
+                {
+                    merchant_key: this.merchantKey,
+                    order_id: payment.id,
+                    txnid: payment.gateway_transaction_id,
+                    amount: amount.toMajor(),
+                    currency: payment.currency,
+                    refund_reference: reference,
+                    reason
+                },
+                {
+                    headers: {
+                        'Authorization': `Bearer ${accessToken}`,
+                        'Content-Type': 'application/json'
+                    }
+                }
+            ));
+
+            const result = response.data;
+
+            if (result.status === 'FAILED') {
+                throw new Error(result.message || 'Refund request failed');
+            }
+
+            return {
+                status: result.status === 'SUCCESS' ? 'success' : 'pending',
+                gateway_refund_id: result.refund_id || result.txnid || reference,
+                gateway_response: result
+            };
+
+        } catch (error) {
+            logger.error('Orange Money refund failed:', error);
+            throw new Error(`Orange Money error: ${error.response?.data?.message || error.message}`);
+        }
+    }
+
+    /**
+     * Outcome of a refund made with refundPayment()
+     * @param {string} refundId - gateway_refund_id returned by refundPayment()
+     * @returns {Promise<Object>} - { status: pending | success | failed, reason, gateway_response }
+     */
+    async getRefundStatus(refundId) {
+        try {
+            const response = await this.tokenCache.withToken(accessToken => axios.post(
+                `${this.baseUrl}/orange-money-webpay/dev/v1/refund/status`,
+                {
+                    merchant_key: this.merchantKey,
+                    refund_id: refundId
+                },
+                {
+                    headers: {
+                        'Authorization': `Bearer ${accessToken}`,
+                        'Content-Type': 'application/json'
+                    }
+                }
+            ));
+
+            const statusMap = {
+                'SUCCESS': 'success',
+                'FAILED': 'failed',
+                'PENDING': 'pending'
+            };
+
+            return {
+                status: statusMap[response.data.status] || 'pending',
+                reason: response.data.message || null,
+                gateway_response: response.data
+            };
+
+        } catch (error) {
+            logger.error('Orange Money refund status check failed:', error);
+            throw new Error(`Orange Money error: ${error.response?.data?.message || error.message}`);
+        }
+    }
+
+    /**
+     * Send money to an Orange Money account (affiliate payouts)
+     * The cash-in reference is the caller's referenceId, saved before the
+     * request, so a cash-in whose answer was lost can still be looked up.
+     * @param {Object} transfer - { amount: Money, reference, referenceId, phoneNumber, country, note }
+     * @returns {Promise<Object>} - { status, gateway_reference, gateway_response }
+     * @throws {Error} - rejected is true only when Orange Money refused the cash-in
+     */
+    async disburse({ amount, referenceId, phoneNumber, country, note }) {
+        let result;
+
+        try {
+            const response = await this.tokenCache.withToken(accessToken => axios.post(
+                `${this.baseUrl}/orange-money-webpay/dev/v1/cashin`,
+                {
+                    merchant_key: this.merchantKey,
+                    reference: referenceId,
+                    msisdn: this.formatPhoneNumber(phoneNumber, country),
+                    amount: amount.toMajor(),
+                    currency: amount.currency,
+                    description: note
+                },
+                {
+                    headers: {
+                        'Authorization': `Bearer ${accessToken}`,
+                        'Content-Type': 'application/json'
+                    }
+                }
+            ));
+
+            result = response.data;
+
+        } catch (error) {
+            logger.error('Orange Money cash-in failed:', error);
+            throw disbursementError(`Orange Money error: ${error.response?.data?.message || error.message}`, error);
+        }
+
+        if (result.status === 'FAILED') {
+            throw rejectedTransfer(`Orange Money error: ${result.message || 'Cash-in request failed'}`);
+        }
+
+        return {
+            status: result.status === 'SUCCESS' ? 'success' : 'pending',
+            gateway_reference: referenceId,
+            gateway_response: result
+        };
+    }
+
+    /**
+     * Outcome of a cash-in made with disburse()
+     * @param {string} reference - gateway_reference returned by disburse()
+     * @returns {Promise<Object>} - { status: pending | success | failed | not_found, reason, gateway_response }
      */
-    async getAccessToken() {
+    async getDisbursementStatus(reference) {
+        try {
+            const response = await this.tokenCache.withToken(accessToken => axios.post(
+                `${this.baseUrl}/orange-money-webpay/dev/v1/cashin/status`,
+                {
+                    merchant_key: this.merchantKey,
+                    reference
+                },
+                {
+                    headers: {
+                        'Authorization': `Bearer ${accessToken}`,
+                        'Content-Type': 'application/json'
+                    }
+                }
+            ));
+
+            const statusMap = {
+                'SUCCESS': 'success',
+                'FAILED': 'failed',
+                'PENDING': 'pending'
+            };
+
+            return {
+                status: statusMap[response.data.status] || 'pending',
+                reason: response.data.message || null,
+                gateway_response: response.data
+            };
+
+        } catch (error) {
+            if (error.response?.status === 404) {
+                // Orange Money never received a cash-in with this reference
+                return { status: 'not_found', reason: 'Cash-in not found at Orange Money', gateway_response: error.response.data || null };
+            }
+
+            logger.error('Orange Money cash-in status check failed:', error);
+            throw new Error(`Orange Money error: ${error.response?.data?.message || error.message}`);
+        }
+    }
+
+    /**
+     * Request a new access token for Orange Money API (cached by tokenCache)
+     */
+    async requestAccessToken() {
         try {
             const credentials = Buffer.from(`${this.clientId}:${this.clientSecret}`).toString('base64');
 
@@ -167,7 +384,7 @@ class OrangeService {
                 }
             );
 
-            return response.data.access_token;
+            return response.data;
 
         } catch (error) {
             logger.error('Orange Money token generation failed:', error);
@@ -222,36 +439,15 @@ class OrangeService {
         return currencyMap[country] || 'XAF';
     }
 
-    /**
-     * Verify webhook signature
-     */
-    verifyWebhookSignature(payload, signature) {
-        if (!this.merchantKey) {
-            logger.warn('Orange Money merchant key not configured');
-            return true; // Skip verification if not configured
-        }
-
-        try {
-            // Orange Money signature verification logic
-            const expectedSignature = crypto
-                .createHash('md5')
-                .update(JSON.stringify(payload) + this.merchantKey)
-                .digest('hex');
-
-            return signature.toLowerCase() === expectedSignature.toLowerCase();
-        } catch (error) {
-            logger.error('Orange Money signature verification failed:', error);
-            return false;
-        }
-    }
-
     /**
      * Check if Orange Money is available in country
      */
     isAvailableInCountry(country) {
-        const supportedCountries = ['CM', 'SN', 'ML', 'BF', 'CI', 'NE', 'MG'];
-        return supportedCountries.includes(country);
+        return this.supportedCountries.includes(country);
     }
 }
 
-module.exports = new OrangeService();
+const orangeService = new OrangeService();
+paymentGatewayRegistry.register(orangeService);
+
+module.exports = orangeService;
@@ -10,21 +10,36 @@
 const axios = require('axios');
 const crypto = require('crypto');
 const logger = require('../../config/logger');
+const { Money } = require('../../utils/money');
+const paymentGatewayRegistry = require('./gatewayRegistry');
+const { safeCompare } = require('./webhookSecurity');
 
 class PayFastService {
     constructor() {
-        this.baseUrl = process.env.PAYFAST_BASE_URL || 'https://www.payfast.co.za/eng/process';
-        this.sandboxUrl = 'https://sandbox.payfast.co.za/eng/process';
+        this.id = 'payfast';
+        this.name = 'PayFast';
+        this.type = 'card';
+        this.logo = '/images/payfast-logo.png';
+        this.description = 'Credit/Debit Cards, EFT, SnapScan';
+        this.fees = '2.9% + R2.00';
+        this.supportedCountries = ['ZA'];
+        this.supportedCurrencies = ['ZAR'];
+        this.requiresPhoneNumber = false;
+
+        this.testMode = process.env.NODE_ENV !== 'production';
+        // Checkout and ITN validation host (sandbox outside production, or a local simulator)
+        this.baseUrl = process.env.PAYFAST_BASE_URL ||
+            (this.testMode ? 'https://sandbox.payfast.co.za' : 'https://www.payfast.co.za');
+        this.apiUrl = process.env.PAYFAST_API_URL || 'https://api.payfast.co.za';
         this.merchantId = process.env.PAYFAST_MERCHANT_ID;
         this.merchantKey = process.env.PAYFAST_MERCHANT_KEY;
         this.passphrase = process.env.PAYFAST_PASSPHRASE;
-        this.testMode = process.env.NODE_ENV !== 'production';
     }
 
     /**
      * Initialize PayFast payment
      */
-    async initializePayment(order, user, returnUrl) {
+    async initializePayment(order, user, { returnUrl } = {}) {
         try {
             const reference = `mg_${order.id}_${Date.now()}`;
             
@@ -33,12 +48,12 @@ class PayFastService {
                 merchant_key: this.merchantKey,
                 return_url: returnUrl || `${process.env.FRONTEND_URL}/payment/success`,
                 cancel_url: `${process.env.FRONTEND_URL}/payment/cancel`,
-                notify_url: `${process.env.API_URL}/payments/webhook`,
+                notify_url: `${process.env.API_URL}/payments/webhook/${this.id}`,
                 name_first: user.full_name.split(' ')[0] || user.full_name,
                 name_last: user.full_name.split(' ').slice(1).join(' ') || '',
                 email_address: user.email,
                 m_payment_id: reference,
-                amount: order.total_price.toFixed(2),
+                amount: Money.fromMajor(order.total_price, 'ZAR').toString(),
                 item_name: `Mallgram Order #${order.id.slice(-8).toUpperCase()}`,
                 item_description: `Payment for Mallgram order containing ${order.order_items?.length || 1} items`,
                 custom_str1: order.id,
@@ -59,9 +74,8 @@ class PayFastService {
             // Remove passphrase from data before sending
             delete paymentData.passphrase;
 
-            const paymentUrl = this.testMode ? this.sandboxUrl : this.baseUrl;
             const queryString = new URLSearchParams(paymentData).toString();
-            const fullPaymentUrl = `${paymentUrl}?${queryString}`;
+            const fullPaymentUrl = `${this.baseUrl}/eng/process?${queryString}`;
 
             return {
                 payment_id: reference,
@@ -80,24 +94,48 @@ class PayFastService {
     }
 
     /**
-     * Handle webhook from PayFast
+     * Verify an ITN (Instant Transaction Notification) from PayFast
+     * The signature covers the posted fields in the order they were sent,
+     * so it is computed from the raw body, then confirmed with PayFast.
      */
-    async handleWebhook(payload, signature) {
-        try {
-            // PayFast sends data as URL-encoded form data
-            const data = typeof payload === 'string' ? this.parseFormData(payload) : payload;
+    async verifyWebhook({ rawBody }) {
+        const pairs = rawBody.split('&');
+        const signaturePair = pairs.find(pair => pair.startsWith('signature='));
+        const paramString = pairs.filter(pair => !pair.startsWith('signature=')).join('&');
 
-            // Verify signature
-            if (!this.verifySignature(data)) {
-                throw new Error('Invalid PayFast signature');
-            }
+        if (!signaturePair) {
+            return false;
+        }
 
-            // Verify payment with PayFast
-            const isValid = await this.validatePayment(data);
-            if (!isValid) {
-                throw new Error('Payment validation failed');
-            }
+        let signedString = paramString;
+        if (this.passphrase) {
+            signedString += `&passphrase=${encodeURIComponent(this.passphrase.trim()).replace(/%20/g, '+')}`;
+        }
+
+        const calculatedSignature = crypto.createHash('md5').update(signedString).digest('hex');
+
+        if (!safeCompare(calculatedSignature, signaturePair.slice('signature='.length))) {
+            return false;
+        }
+
+        // Confirm the notification with PayFast
+        return this.validatePayment(paramString);
+    }
+
+    /**
+     * Check the notified amount against the stored payment
+     */
+    verifyWebhookPayment(paymentUpdate, payment) {
+        const amountGross = Money.fromMajor(paymentUpdate.gateway_response.amount_gross, 'ZAR');
+        return amountGross.equals(Money.fromMajor(payment.amount, payment.currency || 'ZAR'));
+    }
 
+    /**
+     * Handle webhook from PayFast
+     */
+    async handleWebhook({ payload }) {
+        try {
+            const data = payload;
             const paymentStatus = data.payment_status;
             let status = 'pending';
 
@@ -108,7 +146,7 @@ class PayFastService {
             }
 
             return {
-                payment_id: data.custom_str1, // Order ID stored in custom_str1
+                payment_id: data.m_payment_id,
                 transaction_id: data.pf_payment_id || data.m_payment_id,
                 status,
                 gateway_response: data
@@ -131,6 +169,8 @@ class PayFastService {
             
             return {
                 status: 'verified',
+                payment_status: 'pending',
+                transaction_id: transactionReference,
                 response: { message: 'PayFast verification completed via webhook' }
             };
 
@@ -140,6 +180,72 @@ class PayFastService {
         }
     }
 
+    /**
+     * Refund a captured payment through the PayFast API
+     * Refunds are made against PayFast's own payment ID (pf_payment_id).
+     */
+    async refundPayment(payment, amount, reason, reference) {
+        try {
+            const headers = {
+                'merchant-id': this.merchantId,
+                version: 'v1',
+                timestamp: new Date().toISOString().slice(0, 19)
+            };
+            const body = {
+                amount: amount.minorUnits, // Cents
+                reason
+            };
+
+            headers.signature = this.generateApiSignature({ ...headers, ...body });
+
+            const response = await axios.post(
+                `${this.apiUrl}/refunds/${payment.gateway_transaction_id}${this.testMode ? '?testing=true' : ''}`,
+                body,
+                {
+                    headers: {
+                        ...headers,
+                        'Content-Type': 'application/json'
+                    },
+                    timeout: 10000
+                }
+            );
+
+            const result = response.data;
+
+            if (result.status !== 'success') {
+                throw new Error(result.data?.message || 'Refund request failed');
+            }
+
+            return {
+                status: 'success',
+                gateway_refund_id: reference,
+                gateway_response: result
+            };
+
+        } catch (error) {
+            logger.error('PayFast refund failed:', error);
+            throw new Error(`PayFast error: ${error.response?.data?.data?.message || error.message}`);
+        }
+    }
+
+    /**
+     * Generate PayFast API signature
+     * Unlike checkout signatures, the passphrase is sorted in with the
+     * header and body fields.
+     */
+    generateApiSignature(data) {
+        const signed = { ...data };
+
+        if (this.passphrase) {
+            signed.passphrase = this.passphrase.trim();
+        }
+
+        return crypto
+            .createHash('md5')
+            .update(new URLSearchParams(Object.keys(signed).sort().map(key => [key, signed[key]])).toString())
+            .digest('hex');
+    }
+
     /**
      * Generate PayFast signature
      */
@@ -165,38 +271,14 @@ class PayFastService {
         return crypto.createHash('md5').update(paramString).digest('hex');
     }
 
-    /**
-     * Verify signature from PayFast response
-     */
-    verifySignature(data) {
-        const receivedSignature = data.signature;
-        delete data.signature; // Remove signature for calculation
-        
-        const calculatedSignature = this.generateSignature(data);
-        
-        return receivedSignature === calculatedSignature;
-    }
-
     /**
      * Validate payment with PayFast servers
+     * @param {string} paramString - Posted ITN fields, without the signature
      */
-    async validatePayment(data) {
+    async validatePayment(paramString) {
         try {
-            const validateUrl = this.testMode 
-                ? 'https://sandbox.payfast.co.za/eng/query/validate'
-                : 'https://www.payfast.co.za/eng/query/validate';
-
-            // Create parameter string for validation
-            let paramString = '';
-            Object.keys(data).forEach(key => {
-                if (key !== 'signature') {
-                    paramString += `${key}=${encodeURIComponent(data[key])}&`;
-                }
-            });
-            paramString = paramString.slice(0, -1); // Remove trailing &
-
             const response = await axios.post(
-                validateUrl,
+                `${this.baseUrl}/eng/query/validate`,
                 paramString,
                 {
                     headers: {
@@ -214,23 +296,6 @@ class PayFastService {
         }
     }
 
-    /**
-     * Parse form data string into object
-     */
-    parseFormData(formString) {
-        const result = {};
-        const pairs = formString.split('&');
-        
-        pairs.forEach(pair => {
-            const [key, value] = pair.split('=');
-            if (key && value !== undefined) {
-                result[decodeURIComponent(key)] = decodeURIComponent(value.replace(/\+/g, ' '));
-            }
-        });
-        
-        return result;
-    }
-
     /**
      * Get supported payment methods
      */
@@ -259,19 +324,26 @@ class PayFastService {
         ];
     }
 
+    /**
+     * Get currency code for country
+     */
+    getCurrency(country) {
+        return 'ZAR';
+    }
+
     /**
      * Check if PayFast is available for country
      */
     isAvailableInCountry(country) {
         // PayFast is primarily for South Africa
-        return country === 'ZA';
+        return this.supportedCountries.includes(country);
     }
 
     /**
      * Format amount for PayFast
      */
     formatAmount(amount) {
-        return parseFloat(amount).toFixed(2);
+        return Money.fromMajor(amount, 'ZAR').toString();
     }
 
     /**
@@ -292,4 +364,7 @@ class PayFastService {
     }
 }
 
-module.exports = new PayFastService();
+const payFastService = new PayFastService();
+paymentGatewayRegistry.register(payFastService);
+
+module.exports = payFastService;
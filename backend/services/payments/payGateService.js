@@ -10,10 +10,25 @@
 const axios = require('axios');
 const crypto = require('crypto');
 const logger = require('../../config/logger');
+const { Money } = require('../../utils/money');
+const paymentGatewayRegistry = require('./gatewayRegistry');
+const { safeCompare, parseOrderedFormBody } = require('./webhookSecurity');
 
 class PayGateService {
     constructor() {
-        this.baseUrl = process.env.PAYGATE_BASE_URL || 'https://secure.paygate.co.za/payweb3/process.trans';
+        this.id = 'paygate';
+        this.name = 'PayGate';
+        this.type = 'card';
+        this.logo = '/images/paygate-logo.png';
+        this.description = 'Credit/Debit Cards, EFT';
+        this.fees = '2.9% + R2.00';
+        this.supportedCountries = ['ZA'];
+        this.supportedCurrencies = ['ZAR'];
+        this.requiresPhoneNumber = false;
+        this.webhookAcknowledgement = 'OK';
+
+        // PayWeb3 and PayHost host (or a local simulator)
+        this.baseUrl = process.env.PAYGATE_BASE_URL || 'https://secure.paygate.co.za';
         this.payGateId = process.env.PAYGATE_ID;
         this.payGateKey = process.env.PAYGATE_SECRET_KEY;
         this.testMode = process.env.NODE_ENV !== 'production';
@@ -22,10 +37,10 @@ class PayGateService {
     /**
      * Initialize PayGate payment
      */
-    async initializePayment(order, user, returnUrl) {
+    async initializePayment(order, user, { returnUrl } = {}) {
         try {
             const reference = `mg_${order.id}_${Date.now()}`;
-            const amount = Math.round(order.total_price * 100); // Convert to cents
+            const amount = Money.fromMajor(order.total_price, 'ZAR').minorUnits; // Cents
 
             const paymentData = {
                 PAYGATE_ID: this.payGateId,
@@ -39,7 +54,7 @@ class PayGateService {
                 EMAIL: user.email,
                 PAY_METHOD: '', // Let user choose
                 PAY_METHOD_DETAIL: '',
-                NOTIFY_URL: `${process.env.API_URL}/payments/webhook`,
+                NOTIFY_URL: `${process.env.API_URL}/payments/webhook/${this.id}`,
                 USER1: order.id, // Store order ID for reference
                 USER2: user.id,  // Store user ID for reference
                 USER3: 'mallgram'
@@ -52,7 +67,7 @@ class PayGateService {
             const formData = new URLSearchParams(paymentData);
 
             const response = await axios.post(
-                this.baseUrl,
+                `${this.baseUrl}/payweb3/initiate.trans`,
                 formData,
                 {
                     headers: {
@@ -61,7 +76,7 @@ class PayGateService {
                 }
             );
 
-            // PayGate returns HTML with redirect
+            // PayGate returns the request as url-encoded fields
             const responseText = response.data;
             
             // Extract PAY_REQUEST_ID from response
@@ -69,7 +84,7 @@ class PayGateService {
             const payRequestId = payRequestIdMatch ? payRequestIdMatch[1] : null;
 
             if (payRequestId) {
-                const paymentUrl = `https://secure.paygate.co.za/payweb3/process.trans?PAY_REQUEST_ID=${payRequestId}`;
+                const paymentUrl = `${this.baseUrl}/payweb3/process.trans?PAY_REQUEST_ID=${payRequestId}`;
 
                 return {
                     payment_id: reference,
@@ -91,18 +106,33 @@ class PayGateService {
     }
 
     /**
-     * Handle webhook from PayGate
+     * Verify notification checksum against the raw request body
+     * PayGate checksums the posted values in the order they were sent.
      */
-    async handleWebhook(payload, signature) {
-        try {
-            // PayGate sends data as URL-encoded form data
-            const data = typeof payload === 'string' ? this.parseFormData(payload) : payload;
+    verifyWebhook({ rawBody }) {
+        const pairs = parseOrderedFormBody(rawBody);
+        const checksumPair = pairs.find(([key]) => key === 'CHECKSUM');
 
-            // Verify checksum
-            if (!this.verifyChecksum(data)) {
-                throw new Error('Invalid PayGate checksum');
-            }
+        if (!checksumPair || !this.payGateKey) {
+            return false;
+        }
+
+        const valueString = pairs
+            .filter(([key]) => key !== 'CHECKSUM')
+            .map(([, value]) => value)
+            .join('');
+
+        const calculatedChecksum = crypto.createHash('md5').update(valueString + this.payGateKey).digest('hex');
 
+        return safeCompare(calculatedChecksum, checksumPair[1].toLowerCase());
+    }
+
+    /**
+     * Handle webhook from PayGate
+     */
+    async handleWebhook({ payload }) {
+        try {
+            const data = payload;
             const transactionStatus = data.TRANSACTION_STATUS;
             let status = 'pending';
 
@@ -115,7 +145,7 @@ class PayGateService {
             }
 
             return {
-                payment_id: data.USER1, // Order ID stored in USER1
+                payment_id: data.REFERENCE,
                 transaction_id: data.PAY_REQUEST_ID,
                 status,
                 gateway_response: data
@@ -143,7 +173,7 @@ class PayGateService {
             const formData = new URLSearchParams(queryData);
 
             const response = await axios.post(
-                'https://secure.paygate.co.za/payweb3/query.trans',
+                `${this.baseUrl}/payweb3/query.trans`,
                 formData,
                 {
                     headers: {
@@ -154,8 +184,17 @@ class PayGateService {
 
             const result = this.parseFormData(response.data);
 
+            // 1 = approved, 2 = declined, 4 = cancelled; anything else is still in progress
+            const paymentStatus = {
+                1: 'success',
+                2: 'failed',
+                4: 'cancelled'
+            }[result.TRANSACTION_STATUS] || 'pending';
+
             return {
                 status: result.TRANSACTION_STATUS === '1' ? 'verified' : 'failed',
+                payment_status: paymentStatus,
+                transaction_id: transactionReference,
                 response: result
             };
 
@@ -165,28 +204,83 @@ class PayGateService {
         }
     }
 
+    /**
+     * Refund a captured payment through the PayHost SOAP API
+     * PayWeb does not expose refunds, so a PayHost SingleFollowUpRequest is
+     * sent against PayGate's TRANSACTION_ID from the notification.
+     */
+    async refundPayment(payment, amount, reason, reference) {
+        try {
+            const transactionId = payment.gateway_response?.TRANSACTION_ID || payment.gateway_transaction_id;
+
+            const envelope = `<?xml version="1.0" encoding="UTF-8"?>
+<SOAP-ENV:Envelope xmlns:SOAP-ENV="http://schemas.xmlsoap.org/soap/envelope/" xmlns:ns1="http://www.paygate.co.za/PayHOST">
+    <SOAP-ENV:Body>
+        <ns1:SingleFollowUpRequest>
+            <ns1:RefundRequest>
+                <ns1:Account>
+                    <ns1:PayGateId>${this.payGateId}</ns1:PayGateId>
+                    <ns1:Password>${this.payGateKey}</ns1:Password>
+                </ns1:Account>
+                <ns1:TransactionId>${transactionId}</ns1:TransactionId>
+                <ns1:MerchantOrderId>${reference}</ns1:MerchantOrderId>
+                <ns1:Amount>${amount.minorUnits}</ns1:Amount>
+            </ns1:RefundRequest>
+        </ns1:SingleFollowUpRequest>
+    </SOAP-ENV:Body>
+</SOAP-ENV:Envelope>`;
+
+            const response = await axios.post(
+                `${this.baseUrl}/payhost/process.trans`,
+                envelope,
+                {
+                    headers: {
+                        'Content-Type': 'text/xml; charset=utf-8',
+                        'SOAPAction': 'SingleFollowUp'
+                    },
+                    timeout: 15000
+                }
+            );
+
+            const statusName = this.readXmlValue(response.data, 'StatusName');
+            const transactionStatus = this.readXmlValue(response.data, 'TransactionStatusCode');
+
+            if (statusName === 'Error' || transactionStatus === '2') {
+                throw new Error(this.readXmlValue(response.data, 'ResultDescription') || 'Refund request failed');
+            }
+
+            return {
+                status: transactionStatus === '1' ? 'success' : 'pending',
+                gateway_refund_id: this.readXmlValue(response.data, 'TransactionId') || reference,
+                gateway_response: { raw: response.data }
+            };
+
+        } catch (error) {
+            logger.error('PayGate refund failed:', error);
+            throw new Error(`PayGate error: ${error.message}`);
+        }
+    }
+
+    /**
+     * Read the first value of a (namespaced) element from a SOAP response
+     */
+    readXmlValue(xml, tagName) {
+        const match = new RegExp(`<(?:\\w+:)?${tagName}>([^<]*)</(?:\\w+:)?${tagName}>`).exec(xml || '');
+        return match ? match[1] : null;
+    }
+
     /**
      * Generate PayGate checksum
      */
     generateChecksum(data) {
-        // Create string of values in alphabetical order of keys
-        const sortedKeys = Object.keys(data).filter(key => key !== 'CHECKSUM').sort();
-        const valueString = sortedKeys.map(key => data[key]).join('');
+        // PayGate checksums values in field order, so keys keep insertion order
+        const keys = Object.keys(data).filter(key => key !== 'CHECKSUM');
+        const valueString = keys.map(key => data[key]).join('');
         
         // Append secret key
         const stringToHash = valueString + this.payGateKey;
         
-        return crypto.createHash('md5').update(stringToHash).digest('hex').toUpperCase();
-    }
-
-    /**
-     * Verify checksum from PayGate response
-     */
-    verifyChecksum(data) {
-        const receivedChecksum = data.CHECKSUM;
-        const calculatedChecksum = this.generateChecksum(data);
-        
-        return receivedChecksum === calculatedChecksum;
+        return crypto.createHash('md5').update(stringToHash).digest('hex');
     }
 
     /**
@@ -233,7 +327,14 @@ class PayGateService {
      * Format amount for PayGate (in cents)
      */
     formatAmount(amount) {
-        return Math.round(parseFloat(amount) * 100);
+        return Money.fromMajor(amount, 'ZAR').minorUnits;
+    }
+
+    /**
+     * Get currency code for country
+     */
+    getCurrency(country) {
+        return 'ZAR';
     }
 
     /**
@@ -241,8 +342,11 @@ class PayGateService {
      */
     isAvailableInCountry(country) {
         // PayGate is primarily for South Africa
-        return country === 'ZA';
+        return this.supportedCountries.includes(country);
     }
 }
 
-module.exports = new PayGateService();
+const payGateService = new PayGateService();
+paymentGatewayRegistry.register(payGateService);
+
+module.exports = payGateService;
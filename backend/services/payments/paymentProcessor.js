@@ -0,0 +1,566 @@
+/**
+ * Payment Processor
+ *
+ * Applies gateway payment updates (from webhooks, manual verification,
+ * status polling or expiry) exactly once. Every incoming event is recorded
+ * in the payment_events log, keyed by gateway event ID or transaction
+ * reference, before anything is changed:
+ * - Duplicate deliveries are acknowledged without side effects
+ * - Out-of-order events never move a payment backwards (e.g. success -> pending)
+ * - Order updates, confirmation emails and affiliate stats only run on the
+ *   transition into success, and only if the order can still move to paid;
+ *   money that arrives after the order was cancelled is refunded
+ * - If they fail, the event is forgotten so the gateway's retry runs them
+ *   again: a success replayed on a successful payment whose order was never
+ *   marked paid picks up where the first delivery stopped
+ *
+ * @author Mallgram Backend Team
+ */
+
+const { supabase } = require('../../config/supabase');
+const logger = require('../../config/logger');
+const emailService = require('../emailService');
+const { ConflictError } = require('../../middleware/errorHandler');
+const paymentGatewayRegistry = require('./gatewayRegistry');
+const orderStateMachine = require('../orders/orderStateMachine');
+const landedCostService = require('../orders/landedCostService');
+const etaService = require('../orders/etaService');
+const fulfilmentService = require('../fulfilment');
+const refundService = require('./refundService');
+
+// Payments only ever move to a higher rank
+const STATUS_RANK = {
+    pending: 0,
+    failed: 1,
+    cancelled: 1,
+    expired: 1,
+    success: 2,
+    partially_refunded: 3,
+    refunded: 3
+};
+
+const UNIQUE_VIOLATION = '23505';
+
+class PaymentProcessor {
+    /**
+     * Build the idempotency key for a payment update
+     * @param {Object} paymentUpdate - Normalized update from a gateway
+     * @returns {string} - Gateway event ID, or transaction reference and status
+     */
+    getEventKey(paymentUpdate) {
+        if (paymentUpdate.event_id) {
+            return String(paymentUpdate.event_id);
+        }
+
+        const reference = paymentUpdate.transaction_id || paymentUpdate.payment_id;
+        return `${reference}:${paymentUpdate.status}`;
+    }
+
+    /**
+     * Check whether a payment may move from one status to another
+     * @param {string} currentStatus - Stored payment status
+     * @param {string} nextStatus - Status reported by the gateway
+     * @returns {boolean}
+     */
+    canTransition(currentStatus, nextStatus) {
+        if (!(nextStatus in STATUS_RANK)) {
+            return false;
+        }
+
+        return STATUS_RANK[nextStatus] > (STATUS_RANK[currentStatus] ?? 0);
+    }
+
+    /**
+     * Apply a payment update from a gateway
+     * @param {Object} gateway - Registered gateway service
+     * @param {Object} paymentUpdate - { payment_id, transaction_id, status, gateway_response, event_id? }
+     * @param {Object} options - { source: 'webhook' | 'verification' | 'poll' | 'expiry' }
+     * @returns {Promise<Object>} - { outcome: 'applied' | 'duplicate' | 'stale', payment }
+     */
+    async processUpdate(gateway, paymentUpdate, { source = 'webhook' } = {}) {
+        const { data: payment, error: paymentError } = await supabase
+            .from('payments')
+            .select('*')
+            .eq('id', paymentUpdate.payment_id)
+            .eq('payment_method', gateway.id)
+            .single();
+
+        if (paymentError || !payment) {
+            throw new Error('Payment not found');
+        }
+
+        // Make sure the webhook matches the payment we issued
+        if (source === 'webhook' && typeof gateway.verifyWebhookPayment === 'function' &&
+            !gateway.verifyWebhookPayment(paymentUpdate, payment)) {
+            throw new Error('Webhook does not match payment record');
+        }
+
+        const eventKey = this.getEventKey(paymentUpdate);
+        const event = await this.recordEvent(gateway.id, eventKey, source, paymentUpdate);
+
+        if (!event) {
+            logger.info('Duplicate payment event ignored', {
+                gateway: gateway.id,
+                paymentId: payment.id,
+                eventKey
+            });
+            return { outcome: 'duplicate', payment };
+        }
+
+        try {
+            if (paymentUpdate.status === 'success' && payment.status === 'success' &&
+                await this.isOrderAwaitingPayment(payment)) {
+                // An earlier delivery moved the payment to success, then failed before the order was marked paid
+                await this.handlePaymentSuccess(payment);
+                await this.completeEvent(event.id, 'applied');
+
+                logger.info('Payment success replayed for unpaid order', {
+                    gateway: gateway.id,
+                    paymentId: payment.id,
+                    orderId: payment.order_id,
+                    source
+                });
+                return { outcome: 'applied', payment };
+            }
+
+            if (!this.canTransition(payment.status, paymentUpdate.status)) {
+                await this.completeEvent(event.id, 'stale');
+
+                logger.info('Stale payment event ignored', {
+                    gateway: gateway.id,
+                    paymentId: payment.id,
+                    currentStatus: payment.status,
+                    reportedStatus: paymentUpdate.status
+                });
+                return { outcome: 'stale', payment };
+            }
+
+            // Only update if the status has not changed since it was read
+            const { data: updatedPayments, error: updateError } = await supabase
+                .from('payments')
+                .update({
+                    status: paymentUpdate.status,
+                    gateway_transaction_id: paymentUpdate.transaction_id || payment.gateway_transaction_id,
+                    gateway_response: paymentUpdate.gateway_response || payment.gateway_response,
+                    processed_at: paymentUpdate.status === 'success' ? new Date().toISOString() : payment.processed_at,
+                    updated_at: new Date().toISOString()
+                })
+                .eq('id', payment.id)
+                .eq('status', payment.status)
+                .select();
+
+            if (updateError) {
+                throw new Error('Failed to update payment record');
+            }
+
+            if (!updatedPayments || updatedPayments.length === 0) {
+                // Another event changed the payment first
+                await this.completeEvent(event.id, 'stale');
+                return { outcome: 'stale', payment };
+            }
+
+            const updatedPayment = updatedPayments[0];
+            await this.completeEvent(event.id, 'applied');
+
+            if (updatedPayment.status === 'success') {
+                await this.handlePaymentSuccess(updatedPayment);
+            }
+
+            logger.info('Payment event applied', {
+                gateway: gateway.id,
+                paymentId: payment.id,
+                source,
+                from: payment.status,
+                to: updatedPayment.status
+            });
+
+            return { outcome: 'applied', payment: updatedPayment };
+
+        } catch (error) {
+            // Forget the event so that the gateway's retry is processed again
+            await this.discardEvent(event.id);
+            throw error;
+        }
+    }
+
+    /**
+     * Whether a successful payment's order still has to be marked paid
+     * handlePaymentSuccess sets the order's payment_status to success
+     * before any of its other side effects.
+     * @param {Object} payment - Payment record
+     * @returns {Promise<boolean>}
+     */
+    async isOrderAwaitingPayment(payment) {
+        const { data: order, error } = await supabase
+            .from('orders')
+            .select('id, payment_status')
+            .eq('id', payment.order_id)
+            .single();
+
+        if (error || !order) {
+            return false;
+        }
+
+        return order.payment_status !== 'success';
+    }
+
+    /**
+     * Mark a pending payment as expired so a new attempt can be started
+     * @param {Object} payment - Payment record past its expires_at
+     * @returns {Promise<Object>} - Result of processUpdate
+     */
+    async expirePayment(payment) {
+        const gateway = paymentGatewayRegistry.get(payment.payment_method) || { id: payment.payment_method };
+
+        return this.processUpdate(gateway, {
+            event_id: `expiry:${payment.id}`,
+            payment_id: payment.id,
+            status: 'expired'
+        }, { source: 'expiry' });
+    }
+
+    /**
+     * Record an incoming event in the payment event log
+     * @param {string} gatewayId - Gateway ID
+     * @param {string} eventKey - Idempotency key
+     * @param {string} source - 'webhook', 'verification', 'poll' or 'expiry'
+     * @param {Object} paymentUpdate - Normalized update
+     * @returns {Promise<Object|null>} - Stored event, or null if it was already recorded
+     */
+    async recordEvent(gatewayId, eventKey, source, paymentUpdate) {
+        const { data: event, error } = await supabase
+            .from('payment_events')
+            .insert({
+                gateway: gatewayId,
+                event_key: eventKey,
+                payment_id: paymentUpdate.payment_id,
+                status: paymentUpdate.status,
+                source,
+                outcome: 'received',
+                payload: paymentUpdate.gateway_response || null,
+                created_at: new Date().toISOString()
+            })
+            .select()
+            .single();
+
+        if (error) {
+            if (error.code === UNIQUE_VIOLATION) {
+                return null;
+            }
+            throw new Error(`Failed to record payment event: ${error.message}`);
+        }
+
+        return event;
+    }
+
+    /**
+     * Mark a recorded event as processed
+     * @param {string} eventId - Event ID
+     * @param {string} outcome - 'applied' or 'stale'
+     */
+    async completeEvent(eventId, outcome) {
+        const { error } = await supabase
+            .from('payment_events')
+            .update({
+                outcome,
+                processed_at: new Date().toISOString()
+            })
+            .eq('id', eventId);
+
+        if (error) {
+            logger.error('Failed to update payment event:', error);
+        }
+    }
+
+    /**
+     * Remove an event that could not be processed
+     * @param {string} eventId - Event ID
+     */
+    async discardEvent(eventId) {
+        const { error } = await supabase
+            .from('payment_events')
+            .delete()
+            .eq('id', eventId);
+
+        if (error) {
+            logger.error('Failed to discard payment event:', error);
+        }
+    }
+
+    /**
+     * Run side effects for a payment that just succeeded
+     * @param {Object} payment - Payment record
+     */
+    async handlePaymentSuccess(payment) {
+        try {
+            await orderStateMachine.transition(payment.order_id, 'paid', {
+                actor: { type: 'payment', id: payment.id },
+                reason: 'payment_succeeded',
+                updates: { payment_status: 'success' }
+            });
+        } catch (error) {
+            if (!(error instanceof ConflictError)) {
+                throw error;
+            }
+
+            await this.refundCancelledOrder(payment, error);
+            return;
+        }
+
+        // Get order details for email
+        const { data: order } = await supabase
+            .from('orders')
+            .select(`
+                *,
+                users(email, full_name),
+                order_items(
+                    quantity,
+                    unit_price,
+                    products(name)
+                )
+            `)
+            .eq('id', payment.order_id)
+            .single();
+
+        // Supplier work starts now, so re-estimate delivery from the payment time
+        let estimatedDelivery = order && order.estimated_delivery_min
+            ? { earliest: order.estimated_delivery_min, latest: order.estimated_delivery_max }
+            : null;
+
+        if (order) {
+            try {
+                estimatedDelivery = await etaService.estimateForOrder(order);
+
+                await supabase
+                    .from('orders')
+                    .update(etaService.toOrderColumns(estimatedDelivery))
+                    .eq('id', order.id);
+            } catch (error) {
+                logger.error(`Failed to estimate delivery for order ${order.id}:`, error);
+            }
+        }
+
+        // Send order confirmation email
+        if (order && order.users) {
+            try {
+                await emailService.sendOrderConfirmationEmail(
+                    order.users.email,
+                    {
+                        name: order.users.full_name,
+                        orderNumber: order.id.slice(-8).toUpperCase(),
+                        orderId: order.id,
+                        total: order.total_price,
+                        currency: order.currency || payment.currency,
+                        subtotal: order.subtotal,
+                        discount: order.discount_amount,
+                        shipping: order.shipping_amount,
+                        duty: order.duty_amount,
+                        tax: order.tax_amount,
+                        vatRate: landedCostService.getRules(order.country)?.vatRate,
+                        items: order.order_items.map(item => ({
+                            name: item.products.name,
+                            quantity: item.quantity,
+                            price: item.unit_price
+                        })),
+                        estimatedDelivery: etaService.formatRange(estimatedDelivery),
+                        trackingNumber: order.tracking_number
+                    },
+                    order.user_id
+                );
+            } catch (emailError) {
+                logger.error('Failed to send order confirmation email:', emailError);
+            }
+        }
+
+        // Process affiliate commission if applicable
+        await this.processAffiliateCommission(payment.order_id);
+
+        // Buy the items from their suppliers; failures are retried by the fulfilment job
+        try {
+            await fulfilmentService.createPurchaseOrders(payment.order_id);
+        } catch (error) {
+            logger.error(`Failed to create purchase orders for order ${payment.order_id}:`, error);
+        }
+    }
+
+    /**
+     * Give back money that arrived after its order was cancelled (a customer
+     * cancelled with a mobile money attempt still open, or the payment
+     * window ran out first)
+     * A failed refund is thrown, so the event is forgotten and the gateway's
+     * retry replays the success and tries the refund again.
+     * @param {Object} payment - Successful payment record
+     * @param {Error} transitionError - Why the order could not move to paid
+     */
+    async refundCancelledOrder(payment, transitionError) {
+        const { data: order } = await supabase
+            .from('orders')
+            .select('id, status, payment_status')
+            .eq('id', payment.order_id)
+            .single();
+
+        if (!order || order.status !== 'cancelled') {
+            // Already paid by an earlier event; nothing to give back
+            logger.info('Payment success for an order that is no longer awaiting payment', {
+                orderId: payment.order_id,
+                paymentId: payment.id,
+                orderStatus: order ? order.status : null,
+                reason: transitionError.message
+            });
+            return;
+        }
+
+        const refund = await refundService.refundOrder(payment.order_id, 1, 'Payment received after the order was cancelled', null, {
+            actorType: 'system'
+        });
+
+        if (!refund) {
+            // Keep the payment on record on the order for a manual refund
+            await supabase
+                .from('orders')
+                .update({
+                    payment_status: 'success',
+                    updated_at: new Date().toISOString()
+                })
+                .eq('id', payment.order_id);
+
+            logger.error('Payment succeeded for a cancelled order but nothing could be refunded; refund it manually', {
+                orderId: payment.order_id,
+                paymentId: payment.id
+            });
+            return;
+        }
+
+        logger.warn('Payment for a cancelled order refunded', {
+            orderId: payment.order_id,
+            paymentId: payment.id,
+            refundId: refund.refund.id,
+            refundStatus: refund.refund.status
+        });
+    }
+
+    /**
+     * Close off an order's pending payment attempts before the order moves
+     * on (a new attempt, a cancellation). Attempts past their expires_at
+     * are expired; an attempt still running is refused, since the customer
+     * may be confirming it on their phone.
+     * @param {string} orderId - Order ID
+     * @returns {Promise<Array>} - Every payment attempt of the order
+     * @throws {ConflictError} - An attempt is still in progress
+     */
+    async closeOpenAttempts(orderId) {
+        const { data: attempts, error } = await supabase
+            .from('payments')
+            .select('*')
+            .eq('order_id', orderId);
+
+        if (error) {
+            throw new Error(`Failed to load payments for order ${orderId}: ${error.message}`);
+        }
+
+        for (const attempt of (attempts || []).filter(a => a.status === 'pending')) {
+            if (attempt.expires_at && new Date(attempt.expires_at) <= new Date()) {
+                await this.expirePayment(attempt);
+            } else {
+                throw new ConflictError(
+                    `A payment attempt for this order is already in progress${attempt.expires_at ? ` until ${attempt.expires_at}` : ''}`
+                );
+            }
+        }
+
+        return attempts || [];
+    }
+
+    /**
+     * Process affiliate commission for successful orders
+     * @param {string} orderId - Order ID
+     */
+    async processAffiliateCommission(orderId) {
+        try {
+            // Check if order used a promo code
+            const { data: order } = await supabase
+                .from('orders')
+                .select('promo_code_id, user_id, total_price')
+                .eq('id', orderId)
+                .single();
+
+            if (order && order.promo_code_id) {
+                // Get promo code details
+                const { data: promoCode } = await supabase
+                    .from('promo_codes')
+                    .select('affiliate_id, admin_id')
+                    .eq('id', order.promo_code_id)
+                    .single();
+
+                // Only process if it's an affiliate promo code
+                if (promoCode && promoCode.affiliate_id) {
+                    // affiliate_stats is unique per order, so a replayed payment success records nothing
+                    const { error } = await supabase
+                        .from('affiliate_stats')
+                        .insert({
+                            affiliate_id: promoCode.affiliate_id,
+                            promo_code_id: order.promo_code_id,
+                            user_id: order.user_id,
+                            order_id: orderId,
+                            created_at: new Date().toISOString(),
+                            updated_at: new Date().toISOString()
+                        });
+
+                    if (error) {
+                        if (error.code === UNIQUE_VIOLATION) {
+                            logger.info('Affiliate commission already recorded', { orderId });
+                            return;
+                        }
+
+                        throw new Error(error.message);
+                    }
+
+                    logger.info('Affiliate commission processed', {
+                        orderId,
+                        affiliateId: promoCode.affiliate_id,
+                        promoCodeId: order.promo_code_id
+                    });
+                }
+            }
+        } catch (error) {
+            logger.error('Failed to process affiliate commission:', error);
+        }
+    }
+
+    /**
+     * Reverse the affiliate commission of an order that was cancelled or
+     * returned in full. Reversed stats no longer count towards payouts.
+     * @param {string} orderId - Order ID
+     * @param {string} reason - Why the commission is reversed
+     */
+    async reverseAffiliateCommission(orderId, reason) {
+        try {
+            const { data: reversed, error } = await supabase
+                .from('affiliate_stats')
+                .update({
+                    reversed_at: new Date().toISOString(),
+                    reversal_reason: reason,
+                    updated_at: new Date().toISOString()
+                })
+                .eq('order_id', orderId)
+                .is('reversed_at', null)
+                .select('id, affiliate_id');
+
+            if (error) {
+                throw new Error(error.message);
+            }
+
+            if (reversed && reversed.length > 0) {
+                logger.info('Affiliate commission reversed', {
+                    orderId,
+                    affiliateId: reversed[0].affiliate_id,
+                    reason
+                });
+            }
+        } catch (error) {
+            logger.error(`Failed to reverse affiliate commission for order ${orderId}:`, error);
+        }
+    }
+}
+
+module.exports = new PaymentProcessor();
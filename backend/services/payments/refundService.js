@@ -0,0 +1,464 @@
+/**
+ * Refund Service
+ *
+ * Issues full and partial refunds through the payment's own gateway and
+ * keeps Mallgram in sync:
+ * - Each refund is stored in payment_refunds alongside the payment, checked
+ *   against the refundable amount by request_refund under a payment lock
+ * - Payment and order statuses move to partially_refunded / refunded, and
+ *   orders.refunded_amount keeps the total; a partial refund is also added
+ *   to the order's status history
+ * - The customer is emailed once the gateway accepts the refund
+ * - Refunds the gateway accepts as pending (MTN, Orange Money) are settled
+ *   by the payment poller through reconcilePendingRefunds()
+ *
+ * @author Mallgram Backend Team
+ */
+
+const { supabase } = require('../../config/supabase');
+const logger = require('../../config/logger');
+const { ValidationError, ConflictError } = require('../../middleware/errorHandler');
+const { Money } = require('../../utils/money');
+const emailService = require('../emailService');
+const paymentGatewayRegistry = require('./gatewayRegistry');
+const orderStateMachine = require('../orders/orderStateMachine');
+
+// Payment statuses that can still be refunded
+const REFUNDABLE_STATUSES = ['success', 'partially_refunded'];
+
+// Refund statuses that count against the refundable amount
+const ACTIVE_REFUND_STATUSES = ['requested', 'pending', 'success'];
+
+class RefundService {
+    /**
+     * Check whether a payment can be refunded
+     * @param {Object} payment - Payment record
+     * @returns {boolean}
+     */
+    isRefundable(payment) {
+        return REFUNDABLE_STATUSES.includes(payment.status);
+    }
+
+    /**
+     * Get refunds recorded for a payment
+     * @param {string} paymentId - Payment ID
+     * @returns {Promise<Array>} - Refund records, newest first
+     */
+    async getRefunds(paymentId) {
+        const { data: refunds, error } = await supabase
+            .from('payment_refunds')
+            .select('*')
+            .eq('payment_id', paymentId)
+            .order('created_at', { ascending: false });
+
+        if (error) {
+            throw new Error(`Failed to load refunds: ${error.message}`);
+        }
+
+        return refunds || [];
+    }
+
+    /**
+     * Get the amount that can still be refunded on a payment
+     * @param {Object} payment - Payment record
+     * @returns {Promise<Money>} - Remaining refundable amount
+     */
+    async getRefundableAmount(payment) {
+        const refunds = await this.getRefunds(payment.id);
+        const refunded = refunds
+            .filter(refund => ACTIVE_REFUND_STATUSES.includes(refund.status))
+            .reduce(
+                (total, refund) => total.add(Money.fromMajor(refund.amount, payment.currency)),
+                Money.zero(payment.currency)
+            );
+        const remaining = Money.fromMajor(payment.amount, payment.currency).subtract(refunded);
+
+        return remaining.isNegative() ? Money.zero(payment.currency) : remaining;
+    }
+
+    /**
+     * Refund a payment through its gateway
+     * @param {Object} payment - Payment record (must be refundable)
+     * @param {Money} amount - Amount to refund, in the payment currency
+     * @param {string} reason - Reason shown to the gateway and customer
+     * @param {string} requestedBy - ID of the user issuing the refund
+     * @param {Object} [options]
+     * @param {string} [options.actorType] - Who the order history credits (default admin)
+     * @returns {Promise<Object>} - { refund, payment_status, remaining_refundable }
+     */
+    async refundPayment(payment, amount, reason, requestedBy, options = {}) {
+        const gateway = paymentGatewayRegistry.get(payment.payment_method);
+
+        if (!gateway) {
+            throw new Error(`Unsupported payment method: ${payment.payment_method}`);
+        }
+
+        // request_refund locks the payment while it checks the refundable
+        // amount and records the refund, so concurrent refunds cannot both
+        // pass the check; the refund then counts against the payment while
+        // the gateway request is in flight
+        const { data: requested, error: requestError } = await supabase.rpc('request_refund', {
+            p_payment_id: payment.id,
+            p_amount: amount.toMajor(),
+            p_reason: reason,
+            p_requested_by: requestedBy
+        });
+
+        if (requestError) {
+            if (requestError.message.includes('refund_exceeds_refundable')) {
+                throw new ValidationError('Refund amount exceeds the refundable balance', 'amount');
+            }
+
+            if (requestError.message.includes('refund_not_allowed')) {
+                throw new ConflictError('Payment can no longer be refunded');
+            }
+
+            throw new Error(`Failed to record refund: ${requestError.message}`);
+        }
+
+        const refund = requested.refund;
+        const remaining = Money.fromMajor(requested.refundable_amount, payment.currency).subtract(amount);
+
+        let gatewayResult;
+
+        try {
+            gatewayResult = await gateway.refundPayment(payment, amount, reason, refund.id);
+        } catch (error) {
+            await supabase
+                .from('payment_refunds')
+                .update({
+                    status: 'failed',
+                    failure_reason: error.message,
+                    updated_at: new Date().toISOString()
+                })
+                .eq('id', refund.id);
+
+            throw error;
+        }
+
+        const { data: updatedRefund } = await supabase
+            .from('payment_refunds')
+            .update({
+                status: gatewayResult.status,
+                gateway_refund_id: gatewayResult.gateway_refund_id,
+                gateway_response: gatewayResult.gateway_response,
+                processed_at: gatewayResult.status === 'success' ? new Date().toISOString() : null,
+                updated_at: new Date().toISOString()
+            })
+            .eq('id', refund.id)
+            .select()
+            .single();
+
+        const isFullRefund = remaining.isZero();
+        const paymentStatus = await this.applyRefundedTotal(payment, remaining);
+        const actor = { type: options.actorType || (requestedBy ? 'admin' : 'system'), id: requestedBy };
+
+        if (isFullRefund) {
+            // The money has already gone back; a rejected transition must not fail the refund
+            try {
+                await orderStateMachine.transition(payment.order_id, 'refunded', {
+                    actor,
+                    reason: reason || 'payment_refunded',
+                    metadata: { payment_id: payment.id, refund_id: refund.id }
+                });
+            } catch (error) {
+                logger.error(`Failed to mark order ${payment.order_id} as refunded:`, error);
+            }
+        } else {
+            // The order keeps its status; its history shows what was paid back
+            await this.recordOrderRefundEvent(payment.order_id, actor, 'partially_refunded', {
+                payment_id: payment.id,
+                refund_id: refund.id,
+                amount: amount.toMajor(),
+                currency: payment.currency
+            });
+        }
+
+        logger.info('Payment refunded', {
+            paymentId: payment.id,
+            refundId: refund.id,
+            gateway: gateway.id,
+            amount: amount.toString(),
+            refundStatus: gatewayResult.status,
+            paymentStatus,
+            requestedBy
+        });
+
+        await this.sendRefundEmail(payment, updatedRefund || refund, isFullRefund);
+
+        return {
+            refund: updatedRefund || refund,
+            payment_status: paymentStatus,
+            remaining_refundable: remaining
+        };
+    }
+
+    /**
+     * Set payment and order statuses from what is left to refund
+     * @param {Object} payment - Payment record
+     * @param {Money} remaining - Amount still refundable on the payment
+     * @returns {Promise<string>} - New payment status
+     */
+    async applyRefundedTotal(payment, remaining) {
+        const refunded = Money.fromMajor(payment.amount, payment.currency).subtract(remaining);
+        const paymentStatus = remaining.isZero()
+            ? 'refunded'
+            : (refunded.isPositive() ? 'partially_refunded' : 'success');
+
+        await supabase
+            .from('payments')
+            .update({
+                status: paymentStatus,
+                updated_at: new Date().toISOString()
+            })
+            .eq('id', payment.id);
+
+        await supabase
+            .from('orders')
+            .update({
+                payment_status: paymentStatus,
+                refunded_amount: refunded.toMajor(),
+                updated_at: new Date().toISOString()
+            })
+            .eq('id', payment.order_id);
+
+        return paymentStatus;
+    }
+
+    /**
+     * Add a refund event to the order's history without changing its status
+     * @param {string} orderId - Order ID
+     * @param {Object} actor - { type, id }
+     * @param {string} reason - partially_refunded or refund_failed
+     * @param {Object} metadata - Payment, refund and amount
+     */
+    async recordOrderRefundEvent(orderId, actor, reason, metadata) {
+        const { data: order } = await supabase
+            .from('orders')
+            .select('status')
+            .eq('id', orderId)
+            .single();
+
+        if (order) {
+            await orderStateMachine.recordHistory(orderId, order.status, order.status, actor, reason, metadata);
+        }
+    }
+
+    /**
+     * Settle refunds the gateway accepted as pending (MTN, Orange Money)
+     * Called by the payment poller. A refund the gateway reports as failed
+     * no longer counts against the payment, so its payment and order
+     * statuses are worked out again from the refunds that remain.
+     * @param {number} [limit] - Most refunds to check in one run
+     * @returns {Promise<Object>} - { checked, settled, failed, errors }
+     */
+    async reconcilePendingRefunds(limit = 50) {
+        const stats = { checked: 0, settled: 0, failed: 0, errors: 0 };
+
+        const { data: refunds, error } = await supabase
+            .from('payment_refunds')
+            .select('*')
+            .eq('status', 'pending')
+            .order('updated_at', { ascending: true })
+            .limit(limit);
+
+        if (error) {
+            throw new Error(`Failed to load pending refunds: ${error.message}`);
+        }
+
+        for (const refund of refunds || []) {
+            try {
+                const outcome = await this.reconcileRefund(refund);
+
+                stats.checked++;
+
+                if (outcome === 'success') {
+                    stats.settled++;
+                } else if (outcome === 'failed') {
+                    stats.failed++;
+                }
+            } catch (reconcileError) {
+                logger.error(`Failed to check refund ${refund.id}:`, reconcileError);
+                stats.errors++;
+            }
+        }
+
+        return stats;
+    }
+
+    /**
+     * Ask the gateway for the outcome of one pending refund and apply it
+     * @param {Object} refund - Pending refund record
+     * @returns {Promise<string|null>} - success, failed, pending, or null if the gateway cannot tell
+     */
+    async reconcileRefund(refund) {
+        const { data: payment, error } = await supabase
+            .from('payments')
+            .select('*')
+            .eq('id', refund.payment_id)
+            .single();
+
+        if (error || !payment) {
+            throw new Error(`Payment ${refund.payment_id} not found`);
+        }
+
+        const gateway = paymentGatewayRegistry.get(payment.payment_method);
+
+        const result = gateway && typeof gateway.getRefundStatus === 'function' && refund.gateway_refund_id
+            ? await gateway.getRefundStatus(refund.gateway_refund_id)
+            : null;
+
+        if (!result || (result.status !== 'success' && result.status !== 'failed')) {
+            // Checked refunds go to the back of the queue, so ones the gateway
+            // cannot report on do not hold up the rest
+            await supabase
+                .from('payment_refunds')
+                .update({ updated_at: new Date().toISOString() })
+                .eq('id', refund.id)
+                .eq('status', 'pending');
+
+            return result ? 'pending' : null;
+        }
+
+        const { data: updated, error: updateError } = await supabase
+            .from('payment_refunds')
+            .update({
+                status: result.status,
+                failure_reason: result.status === 'failed' ? (result.reason || 'Refund rejected by the gateway') : null,
+                gateway_response: result.gateway_response,
+                processed_at: result.status === 'success' ? new Date().toISOString() : null,
+                updated_at: new Date().toISOString()
+            })
+            .eq('id', refund.id)
+            .eq('status', 'pending')
+            .select();
+
+        if (updateError) {
+            throw new Error(`Failed to update refund ${refund.id}: ${updateError.message}`);
+        }
+
+        // Settled by another run in the meantime
+        if (!updated || updated.length === 0) {
+            return null;
+        }
+
+        if (result.status === 'failed') {
+            const remaining = await this.getRefundableAmount(payment);
+            const paymentStatus = await this.applyRefundedTotal(payment, remaining);
+
+            await this.recordOrderRefundEvent(payment.order_id, { type: 'payment', id: null }, 'refund_failed', {
+                payment_id: payment.id,
+                refund_id: refund.id,
+                amount: refund.amount,
+                currency: refund.currency,
+                failure_reason: result.reason || null
+            });
+
+            // The customer has already been emailed about the refund, and an
+            // order moved to refunded cannot be moved back
+            logger.error('Refund failed at the gateway, needs admin attention', {
+                paymentId: payment.id,
+                refundId: refund.id,
+                orderId: payment.order_id,
+                reason: result.reason,
+                paymentStatus
+            });
+        } else {
+            logger.info('Pending refund completed', {
+                paymentId: payment.id,
+                refundId: refund.id,
+                gateway: gateway.id
+            });
+        }
+
+        return result.status;
+    }
+
+    /**
+     * Get the order's payment that can still be refunded
+     * @param {string} orderId - Order ID
+     * @returns {Promise<Object|null>} - Payment record, or null if nothing was paid
+     */
+    async getRefundablePayment(orderId) {
+        const { data: payments, error } = await supabase
+            .from('payments')
+            .select('*')
+            .eq('order_id', orderId)
+            .in('status', REFUNDABLE_STATUSES)
+            .order('created_at', { ascending: false })
+            .limit(1);
+
+        if (error) {
+            throw new Error(`Failed to load payments for order ${orderId}: ${error.message}`);
+        }
+
+        return (payments && payments[0]) || null;
+    }
+
+    /**
+     * Refund a share of what was paid for an order
+     * Used by cancellations (share 1) and returns (share of the order value
+     * sent back). The amount is capped at what is still refundable.
+     * @param {string} orderId - Order ID
+     * @param {number} share - Fraction of the amount paid to refund (0-1]
+     * @param {string} reason - Reason shown to the gateway and customer
+     * @param {string} requestedBy - ID of the user asking for the refund
+     * @param {Object} [options] - Passed to refundPayment
+     * @returns {Promise<Object|null>} - Result of refundPayment, or null if nothing is refundable
+     */
+    async refundOrder(orderId, share, reason, requestedBy, options = {}) {
+        const payment = await this.getRefundablePayment(orderId);
+
+        if (!payment) {
+            return null;
+        }
+
+        const refundableAmount = await this.getRefundableAmount(payment);
+        const requested = Money.fromMajor(payment.amount, payment.currency).multiply(share);
+        const amount = requested.greaterThan(refundableAmount) ? refundableAmount : requested;
+
+        if (!amount.isPositive()) {
+            return null;
+        }
+
+        return this.refundPayment(payment, amount, reason, requestedBy, options);
+    }
+
+    /**
+     * Email the customer about a refund
+     * @param {Object} payment - Payment record
+     * @param {Object} refund - Refund record
+     * @param {boolean} isFullRefund - Whether the whole payment was refunded
+     */
+    async sendRefundEmail(payment, refund, isFullRefund) {
+        try {
+            const { data: user } = await supabase
+                .from('users')
+                .select('email, full_name')
+                .eq('id', payment.user_id)
+                .single();
+
+            if (!user) {
+                return;
+            }
+
+            await emailService.sendRefundEmail(
+                user.email,
+                {
+                    name: user.full_name,
+                    orderNumber: payment.order_id.slice(-8).toUpperCase(),
+                    orderId: payment.order_id,
+                    amount: refund.amount,
+                    currency: refund.currency,
+                    reason: refund.reason,
+                    isFullRefund
+                },
+                payment.user_id
+            );
+        } catch (error) {
+            logger.error('Failed to send refund email:', error);
+        }
+    }
+}
+
+module.exports = new RefundService();
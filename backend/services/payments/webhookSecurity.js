@@ -0,0 +1,56 @@
+/**
+ * Webhook Security Helpers
+ *
+ * Shared helpers for verifying payment gateway webhooks against the raw
+ * request body.
+ *
+ * @author Mallgram Backend Team
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Compare two signatures in constant time
+ * @param {string} expected - Signature computed locally
+ * @param {string} received - Signature sent by the gateway
+ * @returns {boolean} - True if both are present and equal
+ */
+const safeCompare = (expected, received) => {
+    if (!expected || !received) {
+        return false;
+    }
+
+    const expectedBuffer = Buffer.from(String(expected));
+    const receivedBuffer = Buffer.from(String(received));
+
+    return expectedBuffer.length === receivedBuffer.length &&
+        crypto.timingSafeEqual(expectedBuffer, receivedBuffer);
+};
+
+/**
+ * Parse a urlencoded body into ordered key/value pairs
+ * Gateways such as PayFast and PayGate sign fields in the order they post them,
+ * so the order must be preserved.
+ * @param {string} rawBody - Raw urlencoded body
+ * @returns {Array<Array<string>>} - Ordered [key, value] pairs
+ */
+const parseOrderedFormBody = (rawBody = '') => {
+    return rawBody
+        .split('&')
+        .filter(Boolean)
+        .map(pair => {
+            const separatorIndex = pair.indexOf('=');
+            const key = separatorIndex === -1 ? pair : pair.slice(0, separatorIndex);
+            const value = separatorIndex === -1 ? '' : pair.slice(separatorIndex + 1);
+
+            return [
+                decodeURIComponent(key.replace(/\+/g, ' ')),
+                decodeURIComponent(value.replace(/\+/g, ' '))
+            ];
+        });
+};
+
+module.exports = {
+    safeCompare,
+    parseOrderedFormBody
+};
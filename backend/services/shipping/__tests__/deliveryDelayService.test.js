@@ -0,0 +1,224 @@
+/**
+ * Delivery delay service: stalled, out-for-delivery and late parcels are
+ * spotted, follow-ups are opened once per problem and close themselves when
+ * it clears, and one support resolved by hand is not reopened (nor the
+ * customer emailed again) until the carrier or the estimate moves on
+ */
+
+jest.mock('../../../config/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+jest.mock('../../../config/supabase', () => require('../../../test/supabaseMock').module);
+jest.mock('../../emailService', () => ({ sendDeliveryDelayEmail: jest.fn() }));
+jest.mock('../../orders/etaService', () => ({ refine: jest.fn(), formatRange: jest.fn() }));
+jest.mock('../shipmentEventService', () => ({ getLatestTrackingEvents: jest.fn() }));
+jest.mock('../carriers', () => ({ get: () => ({ id: 'dhl', name: 'DHL Express' }) }));
+
+const db = require('../../../test/supabaseMock');
+const emailService = require('../../emailService');
+const shipmentEventService = require('../shipmentEventService');
+const deliveryDelayService = require('../deliveryDelayService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const daysAgo = (days) => new Date(Date.now() - days * DAY_MS).toISOString();
+const admin = { id: 'admin-1' };
+
+const scan = (occurredAt) => ({
+    tracking_number: 'JD014600003',
+    tracking_status: 'in_transit',
+    description: 'Arrived at sort facility',
+    occurred_at: occurredAt
+});
+
+let latestScan;
+
+beforeEach(() => {
+    jest.clearAllMocks();
+
+    db.reset({
+        orders: [{
+            id: 'ord-1',
+            status: 'in_transit',
+            carrier: 'dhl',
+            tracking_number: 'JD014600003',
+            user_id: 'u1',
+            shipped_at: daysAgo(12),
+            estimated_delivery_min: null,
+            estimated_delivery_max: null,
+            users: { email: 'ama@example.com', full_name: 'Ama Mensah' }
+        }],
+        delivery_follow_ups: []
+    });
+
+    latestScan = scan(daysAgo(8));
+    shipmentEventService.getLatestTrackingEvents.mockImplementation(async () => new Map([['JD014600003', latestScan]]));
+    emailService.sendDeliveryDelayEmail.mockResolvedValue({ success: true });
+});
+
+const resolveByHand = () => deliveryDelayService.resolveFollowUp(
+    db.tables.delivery_follow_ups[0].id,
+    admin,
+    { notes: 'Customer called, parcel is with a neighbour' }
+);
+
+describe('detectDelays after support resolved a follow-up', () => {
+    it('does not reopen it or email the customer again for the same stall', async () => {
+        await expect(deliveryDelayService.detectDelays()).resolves.toMatchObject({ opened: 1, notified: 1 });
+        await resolveByHand();
+
+        await expect(deliveryDelayService.detectDelays()).resolves.toMatchObject({ opened: 0, notified: 0 });
+
+        expect(db.tables.delivery_follow_ups).toHaveLength(1);
+        expect(db.tables.delivery_follow_ups[0]).toMatchObject({ kind: 'stalled', status: 'resolved', resolution: 'support' });
+        expect(emailService.sendDeliveryDelayEmail).toHaveBeenCalledTimes(1);
+    });
+
+    it('opens a new one when the parcel stalls again after a newer scan', async () => {
+        await deliveryDelayService.detectDelays();
+        await resolveByHand();
+
+        latestScan = scan(daysAgo(6));
+
+        await expect(deliveryDelayService.detectDelays()).resolves.toMatchObject({ opened: 1 });
+
+        expect(db.tables.delivery_follow_ups.map(followUp => followUp.status)).toEqual(['resolved', 'open']);
+    });
+
+    it('keeps a missed ETA closed until the estimate changes', async () => {
+        latestScan = scan(new Date().toISOString());
+        db.tables.orders[0].estimated_delivery_max = daysAgo(2).slice(0, 10);
+
+        await deliveryDelayService.detectDelays();
+        await resolveByHand();
+
+        await expect(deliveryDelayService.detectDelays()).resolves.toMatchObject({ opened: 0 });
+
+        db.tables.orders[0].estimated_delivery_max = daysAgo(1).slice(0, 10);
+
+        await expect(deliveryDelayService.detectDelays()).resolves.toMatchObject({ opened: 1 });
+        expect(db.tables.delivery_follow_ups.map(followUp => followUp.kind)).toEqual(['missed_eta', 'missed_eta']);
+    });
+});
+
+describe('findIssues', () => {
+    const now = new Date('2026-10-19T12:00:00Z');
+    const hoursBefore = (hours) => new Date(now.getTime() - hours * 60 * 60 * 1000).toISOString();
+
+    const shipped = (extra = {}) => ({ ...db.tables.orders[0], shipped_at: hoursBefore(10 * 24), ...extra });
+
+    it('reports a parcel with no carrier scan for DELIVERY_STALL_DAYS as stalled', () => {
+        const stallHours = deliveryDelayService.stallHours;
+
+        expect(deliveryDelayService.findIssues(shipped(), scan(hoursBefore(stallHours - 1)), now)).toEqual([]);
+        expect(deliveryDelayService.findIssues(shipped(), scan(hoursBefore(stallHours)), now)).toEqual([{
+            kind: 'stalled',
+            tracking_status: 'in_transit',
+            last_scan_at: hoursBefore(stallHours),
+            detail: `No carrier scan for ${stallHours / 24} days (last: Arrived at sort facility)`
+        }]);
+    });
+
+    it('counts from the dispatch when the carrier never scanned the parcel', () => {
+        expect(deliveryDelayService.findIssues(shipped(), null, now)).toEqual([{
+            kind: 'stalled',
+            tracking_status: null,
+            last_scan_at: hoursBefore(10 * 24),
+            detail: 'No carrier scan for 10 days'
+        }]);
+    });
+
+    it('reports a parcel out for delivery as stalled after 36 hours', () => {
+        const order = shipped({ status: 'out_for_delivery' });
+        const withDriver = (hours) => ({ ...scan(hoursBefore(hours)), tracking_status: 'out_for_delivery', description: 'With delivery courier' });
+
+        expect(deliveryDelayService.findIssues(order, withDriver(35), now)).toEqual([]);
+        expect(deliveryDelayService.findIssues(order, withDriver(36), now)).toEqual([
+            expect.objectContaining({ kind: 'stalled', detail: 'No carrier scan for 36 hours (last: With delivery courier)' })
+        ]);
+    });
+
+    it('reports the carrier\'s exception ahead of a missed estimate, without a stall', () => {
+        const order = shipped({ status: 'delivery_exception', estimated_delivery_max: '2026-10-17' });
+        const held = { ...scan(hoursBefore(30 * 24)), tracking_status: 'exception', description: 'Held at customs, duties unpaid' };
+
+        expect(deliveryDelayService.findIssues(order, held, now)).toEqual([
+            expect.objectContaining({ kind: 'exception', tracking_status: 'exception', detail: 'Held at customs, duties unpaid' }),
+            expect.objectContaining({ kind: 'missed_eta', detail: 'Estimated delivery by 2026-10-17 has passed' })
+        ]);
+    });
+
+    it('only reports a missed estimate once its last day is over', () => {
+        const recent = scan(hoursBefore(2));
+
+        expect(deliveryDelayService.findIssues(shipped({ estimated_delivery_max: '2026-10-19' }), recent, now)).toEqual([]);
+        expect(deliveryDelayService.findIssues(shipped({ estimated_delivery_max: '2026-10-18' }), recent, now)).toEqual([
+            expect.objectContaining({ kind: 'missed_eta', last_scan_at: hoursBefore(2) })
+        ]);
+    });
+});
+
+describe('resolveCleared', () => {
+    const followUp = (id, kind, orderStatus, lastScanAt) => ({
+        id,
+        order_id: `ord-${id}`,
+        kind,
+        status: 'open',
+        tracking_number: 'JD014600003',
+        last_scan_at: lastScanAt,
+        orders: { status: orderStatus }
+    });
+
+    const statusOf = () => db.tables.delivery_follow_ups.map(item => [item.id, item.status, item.resolution || null]);
+
+    it('closes every kind of follow-up once the order is delivered, refunded or cancelled', async () => {
+        db.tables.delivery_follow_ups = [
+            followUp('fu-1', 'stalled', 'delivered', latestScan.occurred_at),
+            followUp('fu-2', 'missed_eta', 'refunded', latestScan.occurred_at),
+            followUp('fu-3', 'exception', 'cancelled', latestScan.occurred_at)
+        ];
+
+        await expect(deliveryDelayService.resolveCleared()).resolves.toBe(3);
+        expect(statusOf()).toEqual([
+            ['fu-1', 'resolved', 'order_delivered'],
+            ['fu-2', 'resolved', 'order_refunded'],
+            ['fu-3', 'resolved', 'order_cancelled']
+        ]);
+    });
+
+    it('closes a stall once the carrier scanned the parcel again', async () => {
+        db.tables.delivery_follow_ups = [
+            followUp('fu-1', 'stalled', 'in_transit', daysAgo(9)),
+            followUp('fu-2', 'stalled', 'in_transit', latestScan.occurred_at)
+        ];
+
+        await expect(deliveryDelayService.resolveCleared()).resolves.toBe(1);
+        expect(statusOf()).toEqual([['fu-1', 'resolved', 'carrier_resumed'], ['fu-2', 'open', null]]);
+    });
+
+    it('closes an exception once the order left delivery_exception', async () => {
+        db.tables.delivery_follow_ups = [
+            followUp('fu-1', 'exception', 'out_for_delivery', daysAgo(9)),
+            followUp('fu-2', 'exception', 'delivery_exception', daysAgo(9))
+        ];
+
+        await expect(deliveryDelayService.resolveCleared()).resolves.toBe(1);
+        expect(statusOf()).toEqual([['fu-1', 'resolved', 'carrier_resumed'], ['fu-2', 'open', null]]);
+    });
+
+    it('keeps a missed estimate open while the order is on its way, whatever the carrier scans', async () => {
+        db.tables.delivery_follow_ups = [followUp('fu-1', 'missed_eta', 'in_transit', daysAgo(9))];
+
+        await expect(deliveryDelayService.resolveCleared()).resolves.toBe(0);
+        expect(statusOf()).toEqual([['fu-1', 'open', null]]);
+    });
+
+    it('leaves follow-ups support resolved alone', async () => {
+        db.tables.delivery_follow_ups = [{
+            ...followUp('fu-1', 'stalled', 'delivered', daysAgo(9)),
+            status: 'resolved',
+            resolution: 'support'
+        }];
+
+        await expect(deliveryDelayService.resolveCleared()).resolves.toBe(0);
+        expect(statusOf()).toEqual([['fu-1', 'resolved', 'support']]);
+        expect(shipmentEventService.getLatestTrackingEvents).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,131 @@
+/**
+ * Shipment service: a shipment is claimed before it is dispatched, only
+ * marked dispatched once its orders have moved to shipped, and orders left
+ * behind join the next open shipment
+ */
+
+jest.mock('../../../config/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+jest.mock('../../../config/supabase', () => require('../../../test/supabaseMock').module);
+jest.mock('../../emailService', () => ({ sendOrderTrackingEmail: jest.fn() }));
+jest.mock('../../fulfilment', () => ({}));
+jest.mock('../../orders/etaService', () => ({ consolidationHours: 48, refine: jest.fn(), toOrderColumns: jest.fn() }));
+jest.mock('../shipmentEventService', () => ({ recordDispatch: jest.fn(), getOrderTimeline: jest.fn() }));
+jest.mock('../carriers', () => ({
+    get: (id) => id === 'courierguy' ? { id: 'courierguy', name: 'The Courier Guy', supportedCountries: ['ZA'] } : null
+}));
+
+const db = require('../../../test/supabaseMock');
+const { ConflictError } = require('../../../middleware/errorHandler');
+const orderStateMachine = require('../../orders/orderStateMachine');
+const shipmentEventService = require('../shipmentEventService');
+const shipmentService = require('../shipmentService');
+
+const admin = { id: 'admin-1' };
+const manifest = { totals: { parcels: 3, weight_kg: 4.2, declared_value: 2400, currency: 'ZAR' } };
+const dispatch = { carrier: 'courierguy', trackingNumber: 'TCG123456', manifest };
+
+const order = (id, status = 'processing') => ({ id, status, user_id: 'u1', country: 'ZA', shipment_id: 'shp-1' });
+
+beforeEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+
+    const orders = [order('ord-1'), order('ord-2'), order('ord-3', 'cancelled')];
+
+    db.reset({
+        orders,
+        shipments: [{ id: 'shp-1', destination_country: 'ZA', status: 'open', orders: orders.map(row => ({ ...row })) }]
+    });
+});
+
+describe('dispatchShipment', () => {
+    it('ships the orders, then marks the shipment dispatched', async () => {
+        const result = await shipmentService.dispatchShipment('shp-1', dispatch, admin);
+
+        expect(result).toMatchObject({ shipped: 2, skipped: 1, failed: [] });
+        expect(db.tables.shipments[0]).toMatchObject({
+            status: 'dispatched',
+            carrier: 'courierguy',
+            tracking_number: 'TCG123456',
+            order_count: 2,
+            dispatch_issue: null
+        });
+        expect(db.tables.orders.map(row => row.status)).toEqual(['shipped', 'shipped', 'cancelled']);
+        expect(db.tables.orders[0].tracking_number).toBe('TCG123456');
+        expect(db.tables.orders[2].shipment_id).toBeNull();
+        expect(shipmentEventService.recordDispatch).toHaveBeenCalledTimes(1);
+    });
+
+    it('moves the orders that could not be shipped to the next open shipment', async () => {
+        const transition = orderStateMachine.transition.bind(orderStateMachine);
+        jest.spyOn(orderStateMachine, 'transition').mockImplementation((orderId, ...args) => orderId === 'ord-2'
+            ? Promise.reject(new Error('connection reset'))
+            : transition(orderId, ...args));
+
+        const result = await shipmentService.dispatchShipment('shp-1', dispatch, admin);
+        const next = db.tables.shipments[1];
+
+        expect(next).toMatchObject({ destination_country: 'ZA', status: 'open' });
+        expect(result).toMatchObject({ shipped: 1, failed: ['ord-2'], movedTo: shipmentService.getShipmentNumber(next) });
+        expect(db.tables.shipments[0]).toMatchObject({
+            status: 'dispatched',
+            order_count: 1,
+            dispatch_issue: `Orders not shipped, moved to ${result.movedTo}: ord-2`
+        });
+        expect(db.tables.orders[1]).toMatchObject({ status: 'processing', shipment_id: next.id });
+    });
+
+    it('ships orders that joined after the shipment was read', async () => {
+        db.tables.orders.push(order('ord-4'));
+
+        const result = await shipmentService.dispatchShipment('shp-1', dispatch, admin);
+
+        expect(result).toMatchObject({ shipped: 3, failed: [], movedTo: null });
+        expect(db.tables.orders[3]).toMatchObject({ status: 'shipped', tracking_number: 'TCG123456' });
+    });
+
+    it('moves an order a bulk shipping run adds mid-dispatch to the next shipment', async () => {
+        const transition = orderStateMachine.transition.bind(orderStateMachine);
+        jest.spyOn(orderStateMachine, 'transition').mockImplementation(async (orderId, ...args) => {
+            const result = await transition(orderId, ...args);
+
+            // A run that read shp-1 as open before the claim finishes late
+            if (orderId === 'ord-1') {
+                db.tables.orders.push(order('ord-4'));
+            }
+
+            return result;
+        });
+
+        const result = await shipmentService.dispatchShipment('shp-1', dispatch, admin);
+
+        expect(result).toMatchObject({ shipped: 2, failed: [] });
+        expect(db.tables.orders[3]).toMatchObject({ status: 'processing', shipment_id: db.tables.shipments[1].id });
+        expect(db.tables.shipments[0].dispatch_issue).toBe(`Orders not shipped, moved to ${result.movedTo}: ord-4`);
+    });
+
+    it('refuses a shipment another dispatch has already claimed', async () => {
+        const getShipment = shipmentService.getShipment.bind(shipmentService);
+        jest.spyOn(shipmentService, 'getShipment').mockImplementation(async (id) => {
+            const shipment = await getShipment(id);
+            db.tables.shipments[0].status = 'dispatching';
+            return shipment;
+        });
+
+        await expect(shipmentService.dispatchShipment('shp-1', dispatch, admin)).rejects.toThrow('already being dispatched');
+
+        expect(db.tables.orders.map(row => row.status)).toEqual(['processing', 'processing', 'cancelled']);
+        expect(shipmentEventService.recordDispatch).not.toHaveBeenCalled();
+    });
+
+    it('reopens the shipment when none of its orders could be shipped', async () => {
+        jest.spyOn(orderStateMachine, 'transition').mockRejectedValue(new Error('connection reset'));
+
+        await expect(shipmentService.dispatchShipment('shp-1', dispatch, admin)).rejects.toThrow(ConflictError);
+
+        expect(db.tables.shipments[0]).toMatchObject({ status: 'open' });
+        expect(db.tables.shipments[0].tracking_number).toBeUndefined();
+        expect(db.tables.orders[0].shipment_id).toBe('shp-1');
+        expect(shipmentEventService.recordDispatch).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,186 @@
+/**
+ * Tracking processor: orders are polled again sooner or later depending on
+ * their latest carrier event, and pushed events (fixtures/*.json) that
+ * arrive late or out of order never move an order back
+ */
+
+jest.mock('../../../config/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+jest.mock('../../../config/supabase', () => require('../../../test/supabaseMock').module);
+jest.mock('../../emailService', () => ({ sendOrderTrackingEmail: jest.fn() }));
+jest.mock('../../orders/etaService', () => ({ refine: jest.fn(), toOrderColumns: jest.fn(), formatRange: jest.fn() }));
+
+const db = require('../../../test/supabaseMock');
+const emailService = require('../../emailService');
+const dhlCarrier = require('../carriers/dhlCarrier');
+const fedexCarrier = require('../carriers/fedexCarrier');
+const upsCarrier = require('../carriers/upsCarrier');
+const trackingProcessor = require('../trackingProcessor');
+
+const fixtures = {
+    dhl: require('../carriers/fixtures/dhl.json'),
+    fedex: require('../carriers/fixtures/fedex.json'),
+    ups: require('../carriers/fixtures/ups.json')
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Events of a recorded response, oldest first
+const scans = (carrier, name) => carrier.parseEvents(fixtures[carrier.id][name].response)
+    .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+
+// Events of a recorded response up to the first one with a tracking status
+const scansThrough = (carrier, name, status) => {
+    const events = scans(carrier, name);
+
+    return events.slice(0, events.findIndex(event => carrier.normalizeStatus(event.code) === status) + 1);
+};
+
+const order = (carrier, trackingNumber) => ({
+    id: `ord-${carrier}-7c1e4b20`,
+    tracking_number: trackingNumber,
+    carrier,
+    status: 'shipped',
+    user_id: 'u1',
+    country: 'ZA',
+    users: { email: 'thandi@example.com', full_name: 'Thandi Nkosi' }
+});
+
+const dhlPush = (trackingNumber, events) => ({
+    shipments: [{
+        id: trackingNumber,
+        events: events.map(event => ({
+            typeCode: event.code,
+            description: event.description,
+            location: { address: { addressLocality: event.location } },
+            timestamp: event.timestamp
+        }))
+    }]
+});
+
+const upsPush = (trackingNumber, activity) => ({
+    trackingNumber,
+    activityStatus: activity.status,
+    activityLocation: activity.location.address,
+    gmtActivityDate: activity.gmtDate,
+    gmtActivityTime: activity.gmtTime
+});
+
+const push = (carrier, payload) => trackingProcessor.processPush(carrier, carrier.parseWebhook({ payload })[0], payload);
+
+beforeEach(() => {
+    jest.clearAllMocks();
+
+    [dhlCarrier, fedexCarrier, upsCarrier].forEach(carrier => {
+        carrier.webhookSecret = undefined;
+    });
+
+    db.reset({
+        orders: [
+            order('dhl', '1234567890'),
+            order('fedex', '794843185271'),
+            order('ups', '1Z999AA10123456784')
+        ],
+        shipment_events: [],
+        order_status_history: []
+    }, {
+        shipment_events: [['event_key']]
+    });
+});
+
+describe('getNextCheckAt', () => {
+    const hoursUntilCheck = (carrier, trackingData, quietHours) => {
+        const now = new Date(trackingData.timestamp).getTime() + quietHours * HOUR_MS;
+
+        return (trackingProcessor.getNextCheckAt(carrier, trackingData, now).getTime() - now) / HOUR_MS;
+    };
+
+    it('polls a parcel out for delivery every half hour', () => {
+        const trackingData = dhlCarrier.toTrackingResult(scansThrough(dhlCarrier, 'delivered', 'out_for_delivery'));
+
+        expect(trackingData.tracking_status).toBe('out_for_delivery');
+        expect(hoursUntilCheck(dhlCarrier, trackingData, 1)).toBe(0.5);
+    });
+
+    it('polls a failed delivery again after two hours', () => {
+        const trackingData = fedexCarrier.toTrackingResult(scansThrough(fedexCarrier, 'failed_attempt', 'delivery_failed'));
+
+        expect(hoursUntilCheck(fedexCarrier, trackingData, 1)).toBe(2);
+    });
+
+    it('polls a parcel on a long leg daily once it has had no scan for two days', () => {
+        const inTransit = dhlCarrier.toTrackingResult(scansThrough(dhlCarrier, 'delivered', 'in_transit'));
+        const inCustoms = dhlCarrier.toTrackingResult(scansThrough(dhlCarrier, 'delivered', 'customs'));
+
+        expect(hoursUntilCheck(dhlCarrier, inTransit, 47)).toBe(4);
+        expect(hoursUntilCheck(dhlCarrier, inTransit, 48)).toBe(24);
+        expect(hoursUntilCheck(dhlCarrier, inCustoms, 72)).toBe(24);
+    });
+
+    it('polls a carrier that pushes its events every 12 hours at most', () => {
+        dhlCarrier.webhookSecret = 'whsec_dhl';
+
+        const outForDelivery = dhlCarrier.toTrackingResult(scansThrough(dhlCarrier, 'delivered', 'out_for_delivery'));
+        const inTransit = dhlCarrier.toTrackingResult(scansThrough(dhlCarrier, 'delivered', 'in_transit'));
+
+        expect(hoursUntilCheck(dhlCarrier, outForDelivery, 1)).toBe(12);
+        expect(hoursUntilCheck(dhlCarrier, inTransit, 48)).toBe(24);
+    });
+});
+
+describe('processPush', () => {
+    it('keeps an order out for delivery when earlier scans are pushed late', async () => {
+        dhlCarrier.webhookSecret = 'whsec_dhl';
+
+        const events = scans(dhlCarrier, 'delivered');
+        const outForDelivery = events.findIndex(event => dhlCarrier.normalizeStatus(event.code) === 'out_for_delivery');
+
+        await expect(push(dhlCarrier, dhlPush('1234567890', [events[outForDelivery]])))
+            .resolves.toEqual({ recorded: 1, orders: 1, updated: 1 });
+
+        const [dhlOrder] = db.tables.orders;
+        expect(dhlOrder.status).toBe('out_for_delivery');
+        expect(new Date(dhlOrder.next_tracking_check_at) - new Date(dhlOrder.last_tracked_at)).toBe(12 * HOUR_MS);
+
+        // The scans before it, the latest of them in transit, arrive afterwards
+        await expect(push(dhlCarrier, dhlPush('1234567890', events.slice(0, outForDelivery))))
+            .resolves.toEqual({ recorded: outForDelivery, orders: 1, updated: 0 });
+
+        expect(db.tables.orders[0].status).toBe('out_for_delivery');
+        expect(db.tables.order_status_history).toHaveLength(1);
+        expect(emailService.sendOrderTrackingEmail).toHaveBeenCalledTimes(1);
+    });
+
+    it('ends on the newest status whatever order the pushes arrive in', async () => {
+        const [delivered, outForDelivery, inTransit] = fixtures.ups.delivered.response.trackResponse.shipment[0].package[0].activity;
+        const statuses = [];
+
+        for (const activity of [outForDelivery, inTransit, delivered]) {
+            await push(upsCarrier, upsPush('1Z999AA10123456784', activity));
+            statuses.push(db.tables.orders[2].status);
+        }
+
+        expect(statuses).toEqual(['out_for_delivery', 'out_for_delivery', 'delivered']);
+        expect(db.tables.orders[2].delivered_at).toBeTruthy();
+        expect(emailService.sendOrderTrackingEmail.mock.calls.map(call => call[1].status)).toEqual(['out_for_delivery', 'delivered']);
+    });
+
+    it('records a repeated push once', async () => {
+        const trackResult = fixtures.fedex.delivered.response.output.completeTrackResults[0].trackResults[0];
+        const payload = { trackResults: [trackResult] };
+
+        await expect(push(fedexCarrier, payload)).resolves.toEqual({ recorded: trackResult.scanEvents.length, orders: 1, updated: 1 });
+        await expect(push(fedexCarrier, payload)).resolves.toEqual({ recorded: 0, orders: 0, updated: 0 });
+
+        expect(db.tables.shipment_events).toHaveLength(trackResult.scanEvents.length);
+        expect(db.tables.orders[1].status).toBe('delivered');
+    });
+
+    it('only moves orders of the carrier that pushed', async () => {
+        db.tables.orders[1].tracking_number = '1234567890';
+
+        const events = scans(dhlCarrier, 'delivered');
+
+        await expect(push(dhlCarrier, dhlPush('1234567890', events))).resolves.toMatchObject({ orders: 1, updated: 1 });
+        expect(db.tables.orders.map(row => row.status)).toEqual(['delivered', 'shipped', 'shipped']);
+    });
+});
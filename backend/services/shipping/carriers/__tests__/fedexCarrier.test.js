@@ -0,0 +1,33 @@
+/**
+ * FedEx carrier: recorded tracking responses (fixtures/fedex.json) map to
+ * the tracking statuses listed in each fixture's expected array
+ */
+
+jest.mock('../../../../config/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+const fedexCarrier = require('../fedexCarrier');
+const fixtures = require('../fixtures/fedex.json');
+
+describe('FedEx carrier', () => {
+    describe.each(Object.entries(fixtures))('%s', (name, fixture) => {
+        const events = fedexCarrier.parseEvents(fixture.response);
+
+        it('maps every event to the expected tracking status', () => {
+            expect(events.map(event => fedexCarrier.normalizeStatus(event.code))).toEqual(fixture.expected);
+        });
+
+        it('gives every event a timestamp with a timezone', () => {
+            events.forEach(event => {
+                expect(event.timestamp).toMatch(/(Z|[+-]\d{2}:\d{2})$/);
+                expect(Number.isNaN(new Date(event.timestamp).getTime())).toBe(false);
+            });
+        });
+
+        it('reports the newest event as the current status', () => {
+            const result = fedexCarrier.toTrackingResult(events);
+            const newest = [...events].sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))[0];
+
+            expect(result.tracking_status).toBe(fedexCarrier.normalizeStatus(newest.code));
+        });
+    });
+});
@@ -0,0 +1,68 @@
+/**
+ * UPS carrier: recorded tracking responses (fixtures/ups.json) map to
+ * the tracking statuses listed in each fixture's expected array
+ */
+
+jest.mock('../../../../config/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+const upsCarrier = require('../upsCarrier');
+const fixtures = require('../fixtures/ups.json');
+
+describe('UPS carrier', () => {
+    describe.each(Object.entries(fixtures))('%s', (name, fixture) => {
+        const events = upsCarrier.parseEvents(fixture.response);
+
+        it('maps every event to the expected tracking status', () => {
+            expect(events.map(event => upsCarrier.normalizeStatus(event.code))).toEqual(fixture.expected);
+        });
+
+        it('gives every event a timestamp with a timezone', () => {
+            events.forEach(event => {
+                expect(event.timestamp).toMatch(/(Z|[+-]\d{2}:\d{2})$/);
+                expect(Number.isNaN(new Date(event.timestamp).getTime())).toBe(false);
+            });
+        });
+
+        it('reports the newest event as the current status', () => {
+            const result = upsCarrier.toTrackingResult(events);
+            const newest = [...events].sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))[0];
+
+            expect(result.tracking_status).toBe(upsCarrier.normalizeStatus(newest.code));
+        });
+    });
+
+    it('reads activity times as UTC, not in the server timezone', () => {
+        const [delivered] = upsCarrier.parseEvents(fixtures.delivered.response);
+
+        // Delivered in Johannesburg at 11:22 local time (+02:00)
+        expect(new Date(delivered.timestamp).toISOString()).toBe('2026-09-04T09:22:00.000Z');
+    });
+
+    it('falls back to the local time with its offset', () => {
+        const [event] = upsCarrier.parseEvents({
+            trackResponse: { shipment: [{ package: [{ activity: [{
+                status: { type: 'D', description: 'DELIVERED' },
+                date: '20260904',
+                time: '112200',
+                gmtOffset: '+02:00'
+            }] }] }] }
+        });
+
+        expect(new Date(event.timestamp).toISOString()).toBe('2026-09-04T09:22:00.000Z');
+    });
+
+    it('uses the GMT time of Track Alert pushes', () => {
+        const [update] = upsCarrier.parseWebhook({
+            payload: {
+                trackingNumber: '1Z999AA10123456784',
+                activityStatus: { type: 'O', description: 'Out For Delivery Today' },
+                localActivityDate: '20260904',
+                localActivityTime: '073000',
+                gmtActivityDate: '20260904',
+                gmtActivityTime: '053000'
+            }
+        });
+
+        expect(new Date(update.events[0].timestamp).toISOString()).toBe('2026-09-04T05:30:00.000Z');
+    });
+});
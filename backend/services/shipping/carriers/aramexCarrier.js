@@ -0,0 +1,113 @@
+/**
+ * Aramex Carrier
+ *
+ * Courier deliveries in South Africa and Cameroon. Tracks waybills with the
+ * Aramex Shipping Services API (TrackShipments, JSON endpoint), which
+ * authenticates with account details in the request body.
+ *
+ * Local stub: ARAMEX_BASE_URL=http://localhost:4010/aramex
+ *
+ * @author Mallgram Backend Team
+ */
+
+const CarrierAdapter = require('./carrierAdapter');
+const carrierRegistry = require('./carrierRegistry');
+
+// Aramex update code to tracking status
+const STATUS_MAP = {
+    'SH014': 'label_created', // Record created
+    'SH012': 'picked_up', // Picked up
+    'SH047': 'in_transit', // Departed origin facility
+    'SH001': 'in_transit', // In transit
+    'SH022': 'in_transit', // Arrived at destination facility
+    'SH160': 'customs', // Cleared customs
+    'SH003': 'out_for_delivery', // Out for delivery
+    'SH005': 'delivered', // Delivered
+    'SH006': 'delivered', // Collected by consignee
+    'SH033': 'delivery_failed', // Delivery attempted
+    'SH043': 'exception', // Held at customs
+    'SH069': 'return_to_sender' // Returned to shipper
+};
+
+class AramexCarrier extends CarrierAdapter {
+    constructor() {
+        super({
+            id: 'aramex',
+            name: 'Aramex',
+            supportedCountries: ['ZA', 'CM'],
+            statusMap: STATUS_MAP
+        });
+
+        this.baseUrl = process.env.ARAMEX_BASE_URL || 'https://ws.aramex.net/ShippingAPI.V2';
+        this.clientInfo = {
+            UserName: process.env.ARAMEX_USERNAME,
+            Password: process.env.ARAMEX_PASSWORD,
+            Version: 'v1.0',
+            AccountNumber: process.env.ARAMEX_ACCOUNT_NUMBER,
+            AccountPin: process.env.ARAMEX_ACCOUNT_PIN,
+            AccountEntity: process.env.ARAMEX_ACCOUNT_ENTITY,
+            AccountCountryCode: process.env.ARAMEX_ACCOUNT_COUNTRY_CODE
+        };
+    }
+
+    /**
+     * Fetch every update of a waybill
+     */
+    async fetchTracking(trackingNumber) {
+        this.requireConfig({
+            ARAMEX_USERNAME: this.clientInfo.UserName,
+            ARAMEX_PASSWORD: this.clientInfo.Password,
+            ARAMEX_ACCOUNT_NUMBER: this.clientInfo.AccountNumber
+        });
+
+        const response = await this.http.post(
+            `${this.baseUrl}/Tracking/Service_1_0.svc/json/TrackShipments`,
+            {
+                ClientInfo: this.clientInfo,
+                Shipments: [trackingNumber],
+                GetLastTrackingUpdateOnly: false
+            },
+            {
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Accept': 'application/json'
+                }
+            }
+        );
+
+        if (response.data.HasErrors) {
+            const notification = response.data.Notifications?.[0];
+            throw new Error(`Aramex tracking failed: ${notification ? `${notification.Code} ${notification.Message}` : 'unknown error'}`);
+        }
+
+        return response.data;
+    }
+
+    /**
+     * Updates of the first waybill in the response
+     */
+    parseEvents(response) {
+        const result = response.TrackingResults?.[0];
+
+        return (result?.Value || []).map(update => ({
+            code: update.UpdateCode,
+            description: update.UpdateDescription || update.Comments || '',
+            location: update.UpdateLocation || '',
+            timestamp: this.parseDate(update.UpdateDateTime)
+        }));
+    }
+
+    /**
+     * Aramex dates are WCF JSON dates: /Date(1700000000000+0200)/
+     */
+    parseDate(value) {
+        const match = /\/Date\((-?\d+)([+-]\d{4})?\)\//.exec(value || '');
+
+        return match ? new Date(parseInt(match[1])).toISOString() : value || null;
+    }
+}
+
+const aramexCarrier = new AramexCarrier();
+carrierRegistry.register(aramexCarrier);
+
+module.exports = aramexCarrier;
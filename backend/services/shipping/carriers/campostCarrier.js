@@ -0,0 +1,78 @@
+/**
+ * Campost Carrier
+ *
+ * Cameroon's national postal operator, used for last-mile delivery and
+ * EMS items across Cameroon. Campost tracking reports UPU EMSEVT event
+ * codes (EMA-EMI, EDx for delivery office events).
+ *
+ * Local stub: CAMPOST_BASE_URL=http://localhost:4010/campost
+ *
+ * @author Mallgram Backend Team
+ */
+
+const CarrierAdapter = require('./carrierAdapter');
+const carrierRegistry = require('./carrierRegistry');
+
+// UPU event code to tracking status
+const STATUS_MAP = {
+    'EMA': 'picked_up', // Posting/collection
+    'EMB': 'in_transit', // Arrival at outward office of exchange
+    'EMC': 'in_transit', // Departure from outward office of exchange
+    'EMD': 'in_transit', // Arrival at inward office of exchange
+    'EMJ': 'in_transit', // Arrival at transit office of exchange
+    'EMK': 'in_transit', // Departure from transit office of exchange
+    'EMF': 'in_transit', // Departure from inward office of exchange
+    'EMG': 'in_transit', // Arrival at delivery office
+    'EDG': 'out_for_delivery', // Out for delivery
+    'EDH': 'available_for_pickup', // Arrived at collection point for pick-up
+    'EMI': 'delivered', // Final delivery
+    'EMH': 'delivery_failed', // Attempted/unsuccessful delivery
+    'EME': 'exception' // Held by customs
+};
+
+class CampostCarrier extends CarrierAdapter {
+    constructor() {
+        super({
+            id: 'campost',
+            name: 'Campost',
+            supportedCountries: ['CM'],
+            statusMap: STATUS_MAP
+        });
+
+        this.baseUrl = process.env.CAMPOST_BASE_URL || 'https://api.campost.cm';
+        this.apiKey = process.env.CAMPOST_API_KEY;
+    }
+
+    /**
+     * Fetch the events of an item
+     */
+    async fetchTracking(trackingNumber) {
+        this.requireConfig({ CAMPOST_API_KEY: this.apiKey });
+
+        const response = await this.http.get(`${this.baseUrl}/tracking/v1/items/${encodeURIComponent(trackingNumber)}`, {
+            headers: {
+                'X-API-Key': this.apiKey,
+                'Accept': 'application/json'
+            }
+        });
+
+        return response.data;
+    }
+
+    /**
+     * Item events, each with its UPU code and office
+     */
+    parseEvents(response) {
+        return (response.item?.events || []).map(event => ({
+            code: event.eventCode,
+            description: event.eventName || '',
+            location: [event.office, event.country].filter(Boolean).join(', '),
+            timestamp: event.eventDate
+        }));
+    }
+}
+
+const campostCarrier = new CampostCarrier();
+carrierRegistry.register(campostCarrier);
+
+module.exports = campostCarrier;
@@ -0,0 +1,179 @@
+/**
+ * Carrier Adapter
+ *
+ * Base class for carrier tracking adapters. Subclasses fetch the carrier's
+ * tracking response (fetchTracking) and turn it into events (parseEvents);
+ * this class builds the tracking result and maps event codes to tracking
+ * statuses (see trackingStatus.js) with the adapter's statusMap. Codes are
+ * matched case-insensitively.
+ *
+ * Carriers that push tracking events also implement verifyWebhook and
+ * parseWebhook; pushed events go through toTrackingResult like polled ones.
+ *
+ * @author Mallgram Backend Team
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+const logger = require('../../../config/logger');
+const { safeCompare } = require('../../payments/webhookSecurity');
+const trackingStatus = require('./trackingStatus');
+
+class CarrierAdapter {
+    /**
+     * @param {Object} options
+     * @param {string} options.id - Carrier ID
+     * @param {string} options.name - Display name
+     * @param {Array<string>} options.supportedCountries - Destination countries
+     * @param {Object} options.statusMap - Carrier event code to tracking status
+     * @param {number} [options.timeout] - Request timeout in ms
+     */
+    constructor({ id, name, supportedCountries, statusMap, timeout = 30000 }) {
+        this.id = id;
+        this.name = name;
+        this.supportedCountries = supportedCountries;
+        this.statusMap = Object.fromEntries(
+            Object.entries(statusMap).map(([code, status]) => {
+                if (!trackingStatus.isValid(status)) {
+                    throw new Error(`${name} maps ${code} to unknown tracking status ${status}`);
+                }
+
+                return [code.toUpperCase(), status];
+            })
+        );
+        this.http = axios.create({ timeout });
+    }
+
+    /**
+     * Track a parcel with the carrier
+     * @param {string} trackingNumber - Carrier tracking number
+     * @returns {Promise<Object>} - { status, tracking_status, description, location, timestamp, estimated_delivery, events, raw_response }
+     */
+    async track(trackingNumber) {
+        const response = await this.fetchTracking(trackingNumber);
+        const result = this.toTrackingResult(this.parseEvents(response), {
+            estimated_delivery: this.getEstimatedDelivery(response),
+            raw_response: response
+        });
+
+        if (!result) {
+            throw new Error(`No ${this.name} tracking information found for ${trackingNumber}`);
+        }
+
+        return result;
+    }
+
+    /**
+     * Build a tracking result from parsed events (polled or pushed)
+     * @param {Array} parsedEvents - [{ code, description, location, timestamp }]
+     * @param {Object} [details]
+     * @param {string} [details.estimated_delivery] - Carrier's delivery date
+     * @param {Object} [details.raw_response] - Carrier response or push notification the events came from
+     * @returns {Object|null} - Same shape as track(), or null when there are no events
+     */
+    toTrackingResult(parsedEvents, { estimated_delivery = null, raw_response = null } = {}) {
+        const events = (parsedEvents || [])
+            .map(event => ({ ...event, tracking_status: this.normalizeStatus(event.code) }))
+            .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+
+        if (events.length === 0) {
+            return null;
+        }
+
+        const latest = events[0];
+
+        return {
+            status: latest.code,
+            tracking_status: latest.tracking_status,
+            description: latest.description,
+            location: latest.location,
+            timestamp: latest.timestamp,
+            estimated_delivery,
+            events,
+            raw_response
+        };
+    }
+
+    /**
+     * Fetch the carrier's tracking response
+     * @param {string} trackingNumber - Carrier tracking number
+     * @returns {Promise<Object>}
+     */
+    async fetchTracking() {
+        throw new Error(`${this.name} does not implement fetchTracking()`);
+    }
+
+    /**
+     * Carrier's delivery date from a tracking response, when it gives one
+     * @returns {string|null}
+     */
+    getEstimatedDelivery() {
+        return null;
+    }
+
+    /**
+     * Tracking status for a carrier event code
+     * @param {string} code - Carrier event code
+     * @returns {string} - Tracking status; unknown for codes the adapter does not map
+     */
+    normalizeStatus(code) {
+        return this.statusMap[String(code || '').toUpperCase()] || 'unknown';
+    }
+
+    /**
+     * Order status for a carrier event code
+     * @param {string} code - Carrier event code
+     * @returns {string|null}
+     */
+    mapStatus(code) {
+        return trackingStatus.toOrderStatus(this.normalizeStatus(code));
+    }
+
+    /**
+     * Whether the carrier pushes tracking events to us
+     * Adapters that implement parseWebhook accept pushes once their webhook
+     * secret is configured; the rest are only polled.
+     * @returns {boolean}
+     */
+    acceptsWebhooks() {
+        return typeof this.parseWebhook === 'function' && !!this.webhookSecret;
+    }
+
+    /**
+     * Check an HMAC signature of a push notification's raw body
+     * @param {string} rawBody - Raw request body
+     * @param {string} signature - Signature header sent by the carrier
+     * @param {Object} [options]
+     * @param {string} [options.algorithm] - HMAC digest algorithm
+     * @param {string} [options.encoding] - Signature encoding (hex or base64)
+     * @returns {boolean}
+     */
+    verifyHmac(rawBody, signature, { algorithm = 'sha256', encoding = 'hex' } = {}) {
+        if (!this.webhookSecret) {
+            logger.error(`${this.name} webhook secret not configured, rejecting webhook`);
+            return false;
+        }
+
+        const expected = crypto
+            .createHmac(algorithm, this.webhookSecret)
+            .update(rawBody)
+            .digest(encoding);
+
+        return safeCompare(expected, signature);
+    }
+
+    /**
+     * Fail early when the carrier's credentials are missing
+     */
+    requireConfig(values) {
+        const missing = Object.entries(values)
+            .filter(([, value]) => !value)
+            .map(([name]) => name);
+
+        if (missing.length > 0) {
+            throw new Error(`${this.name} tracking is not configured: set ${missing.join(', ')}`);
+        }
+    }
+}
+
+module.exports = CarrierAdapter;
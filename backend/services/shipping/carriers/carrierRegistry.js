@@ -0,0 +1,101 @@
+/**
+ * Carrier Registry
+ *
+ * Central registry of carrier tracking adapters. Each adapter in
+ * services/shipping/carriers/ registers itself here so that delivery
+ * tracking and shipment dispatch work from the registry instead of
+ * per-carrier switches.
+ *
+ * Carrier interface:
+ * - id, name - Carrier code stored on orders and shipments, and display name
+ * - supportedCountries - Destination countries the carrier delivers to
+ * - track(trackingNumber) - Fetch tracking from the carrier; returns
+ *   { status, tracking_status, description, location, timestamp, estimated_delivery, events, raw_response }
+ *   where status is the carrier's code for the latest event
+ * - parseEvents(response) - Carrier response to events, newest first:
+ *   [{ code, description, location, timestamp }]
+ * - normalizeStatus(code) - Carrier event code to a tracking status (trackingStatus.js)
+ * - mapStatus(code) - Carrier event code to an order status, or null when
+ *   the event does not move the order on
+ * - toTrackingResult(events, details) - Events to the result shape of track()
+ * - verifyWebhook(webhookRequest) - Optional; check a push notification's
+ *   signature against its raw body and headers
+ * - parseWebhook(webhookRequest) - Optional; push notification to
+ *   [{ tracking_number, events, estimated_delivery }], events as from parseEvents
+ * - acceptsWebhooks() - Whether pushes are set up (parseWebhook and a webhook secret)
+ *
+ * @author Mallgram Backend Team
+ */
+
+const REQUIRED_METHODS = ['track', 'parseEvents', 'toTrackingResult', 'normalizeStatus', 'mapStatus', 'acceptsWebhooks'];
+
+const REQUIRED_FIELDS = ['id', 'name', 'supportedCountries'];
+
+class CarrierRegistry {
+    constructor() {
+        this.carriers = new Map();
+    }
+
+    /**
+     * Register a carrier adapter
+     * @param {Object} carrier - Adapter implementing the carrier interface
+     */
+    register(carrier) {
+        const missingFields = REQUIRED_FIELDS.filter(field => !carrier[field]);
+        const missingMethods = REQUIRED_METHODS.filter(method => typeof carrier[method] !== 'function');
+
+        if (missingFields.length > 0 || missingMethods.length > 0) {
+            throw new Error(
+                `Carrier ${carrier.id || 'unknown'} is missing: ${[...missingFields, ...missingMethods].join(', ')}`
+            );
+        }
+
+        if (this.carriers.has(carrier.id)) {
+            throw new Error(`Carrier already registered: ${carrier.id}`);
+        }
+
+        this.carriers.set(carrier.id, carrier);
+    }
+
+    /**
+     * Get a registered carrier by ID
+     * @param {string} id - Carrier ID (e.g. 'courierguy', 'campost'); case-insensitive
+     * @returns {Object|null} - Carrier adapter or null
+     */
+    get(id) {
+        return this.carriers.get(String(id || '').toLowerCase()) || null;
+    }
+
+    /**
+     * Check whether a carrier is registered
+     * @param {string} id - Carrier ID
+     * @returns {boolean}
+     */
+    has(id) {
+        return !!this.get(id);
+    }
+
+    /**
+     * Get all registered carriers
+     * @returns {Array<Object>}
+     */
+    list() {
+        return Array.from(this.carriers.values());
+    }
+
+    /**
+     * Describe a carrier for the API
+     * @param {Object} carrier - Carrier adapter
+     * @returns {Object}
+     */
+    describe(carrier) {
+        return {
+            id: carrier.id,
+            name: carrier.name,
+            supported_countries: carrier.supportedCountries,
+            webhooks: carrier.acceptsWebhooks()
+        };
+    }
+}
+
+module.exports = new CarrierRegistry();
@@ -0,0 +1,83 @@
+/**
+ * The Courier Guy Carrier
+ *
+ * South African last-mile deliveries. Tracks parcels with The Courier Guy's
+ * ShipLogic API by short tracking reference.
+ *
+ * Local stub: COURIER_GUY_BASE_URL=http://localhost:4010/courierguy
+ *
+ * @author Mallgram Backend Team
+ */
+
+const CarrierAdapter = require('./carrierAdapter');
+const carrierRegistry = require('./carrierRegistry');
+
+// ShipLogic tracking event status to tracking status
+const STATUS_MAP = {
+    'submitted': 'label_created',
+    'collection-assigned': 'label_created',
+    'collected': 'picked_up',
+    'at-hub': 'in_transit',
+    'in-transit': 'in_transit',
+    'at-destination-hub': 'in_transit',
+    'delivery-assigned': 'in_transit',
+    'out-for-delivery': 'out_for_delivery',
+    'delivered': 'delivered',
+    'delivery-unsuccessful': 'delivery_failed',
+    'collection-unsuccessful': 'exception',
+    'returned-to-sender': 'return_to_sender'
+};
+
+class CourierGuyCarrier extends CarrierAdapter {
+    constructor() {
+        super({
+            id: 'courierguy',
+            name: 'The Courier Guy',
+            supportedCountries: ['ZA'],
+            statusMap: STATUS_MAP
+        });
+
+        this.baseUrl = process.env.COURIER_GUY_BASE_URL || 'https://api.shiplogic.com';
+        this.apiKey = process.env.COURIER_GUY_API_KEY;
+    }
+
+    /**
+     * Fetch the shipment with its tracking events
+     */
+    async fetchTracking(trackingNumber) {
+        this.requireConfig({ COURIER_GUY_API_KEY: this.apiKey });
+
+        const response = await this.http.get(`${this.baseUrl}/v2/tracking/shipments`, {
+            params: { tracking_reference: trackingNumber },
+            headers: {
+                'Authorization': `Bearer ${this.apiKey}`,
+                'Accept': 'application/json'
+            }
+        });
+
+        return response.data;
+    }
+
+    /**
+     * Tracking events of the first shipment
+     */
+    parseEvents(response) {
+        const shipment = response.shipments?.[0];
+
+        return (shipment?.tracking_events || []).map(event => ({
+            code: event.status,
+            description: event.message || String(event.status || '').replace(/-/g, ' '),
+            location: event.location || '',
+            timestamp: event.date
+        }));
+    }
+
+    getEstimatedDelivery(response) {
+        return response.shipments?.[0]?.estimated_delivery_to || null;
+    }
+}
+
+const courierGuyCarrier = new CourierGuyCarrier();
+carrierRegistry.register(courierGuyCarrier);
+
+module.exports = courierGuyCarrier;
@@ -0,0 +1,128 @@
+/**
+ * DHL Carrier
+ *
+ * Tracks DHL Express shipments with the MyDHL API, which reports every
+ * checkpoint with its typeCode. The Unified Tracking API's five coarse
+ * status codes cannot tell a failed delivery from a customs hold or a
+ * return, so checkpoint codes are mapped instead.
+ *
+ * DHL pushes tracking events in the Unified Tracking format to
+ * POST /tracking/webhook/dhl, signed with DHL_WEBHOOK_SECRET. Express
+ * events carry the checkpoint typeCode; the coarse statusCode is only a
+ * fallback.
+ *
+ * Recorded responses: fixtures/dhl.json
+ *
+ * @author Mallgram Backend Team
+ */
+
+const CarrierAdapter = require('./carrierAdapter');
+const carrierRegistry = require('./carrierRegistry');
+
+// DHL Express checkpoint typeCode to tracking status
+const STATUS_MAP = {
+    'SA': 'label_created', // Shipment information received
+    'PU': 'picked_up', // Shipment picked up
+    'PL': 'in_transit', // Processed at location
+    'DF': 'in_transit', // Departed facility
+    'AF': 'in_transit', // Arrived at facility
+    'AR': 'in_transit', // Arrived at delivery facility
+    'TR': 'in_transit', // Transferred through
+    'TP': 'in_transit', // Forwarded to a third party
+    'CR': 'customs', // Clearance processing complete
+    'WC': 'out_for_delivery', // With delivery courier
+    'CC': 'available_for_pickup', // Awaiting collection by the recipient
+    'OK': 'delivered', // Delivered
+    'NH': 'delivery_failed', // Recipient not home
+    'BA': 'delivery_failed', // Bad address
+    'CM': 'delivery_failed', // Recipient moved
+    'CA': 'delivery_failed', // Closed on arrival
+    'RD': 'delivery_failed', // Refused delivery
+    'CD': 'exception', // Clearance delay
+    'OH': 'exception', // On hold
+    'HP': 'exception', // Held for payment of duties
+    'MS': 'exception', // Missorted
+    'RT': 'return_to_sender', // Returned to shipper
+    // Unified Tracking statusCode, for pushed events without a typeCode
+    'pre-transit': 'label_created',
+    'transit': 'in_transit',
+    'delivered': 'delivered',
+    'failure': 'exception'
+};
+
+class DHLCarrier extends CarrierAdapter {
+    constructor() {
+        super({
+            id: 'dhl',
+            name: 'DHL',
+            supportedCountries: ['ZA', 'CM'],
+            statusMap: STATUS_MAP
+        });
+
+        this.baseUrl = process.env.DHL_BASE_URL || 'https://express.api.dhl.com/mydhlapi';
+        this.apiKey = process.env.DHL_API_KEY;
+        this.apiSecret = process.env.DHL_API_SECRET;
+        this.webhookSecret = process.env.DHL_WEBHOOK_SECRET;
+    }
+
+    /**
+     * Fetch every checkpoint of a shipment
+     */
+    async fetchTracking(trackingNumber) {
+        this.requireConfig({ DHL_API_KEY: this.apiKey, DHL_API_SECRET: this.apiSecret });
+
+        const response = await this.http.get(`${this.baseUrl}/shipments/${encodeURIComponent(trackingNumber)}/tracking`, {
+            params: { trackingView: 'all-checkpoints', levelOfDetail: 'all' },
+            auth: { username: this.apiKey, password: this.apiSecret },
+            headers: { 'Accept': 'application/json' }
+        });
+
+        return response.data;
+    }
+
+    /**
+     * Checkpoints of the first shipment in the response
+     */
+    parseEvents(response) {
+        const shipment = response.shipments?.[0];
+
+        return (shipment?.events || []).map(event => ({
+            code: event.typeCode,
+            description: event.description || '',
+            location: event.serviceArea?.[0]?.description || '',
+            timestamp: event.date ? `${event.date}T${event.time || '00:00:00'}${event.GMTOffset || ''}` : null
+        }));
+    }
+
+    getEstimatedDelivery(response) {
+        return response.shipments?.[0]?.estimatedDeliveryDate || null;
+    }
+
+    /**
+     * HMAC-SHA256 (hex) of the raw body in the DHL-Signature header
+     */
+    verifyWebhook({ rawBody, headers }) {
+        return this.verifyHmac(rawBody, headers['dhl-signature']);
+    }
+
+    /**
+     * Pushed shipments with their new events
+     */
+    parseWebhook({ payload }) {
+        return (payload.shipments || []).map(shipment => ({
+            tracking_number: shipment.id,
+            estimated_delivery: shipment.estimatedTimeOfDelivery || null,
+            events: (shipment.events || []).map(event => ({
+                code: event.typeCode || event.statusCode,
+                description: event.description || event.status || '',
+                location: event.location?.address?.addressLocality || '',
+                timestamp: event.timestamp
+            }))
+        }));
+    }
+}
+
+const dhlCarrier = new DHLCarrier();
+carrierRegistry.register(dhlCarrier);
+
+module.exports = dhlCarrier;
@@ -0,0 +1,127 @@
+/**
+ * FedEx Carrier
+ *
+ * Tracks parcels with the FedEx Track API (track by tracking number).
+ *
+ * FedEx pushes scan events to POST /tracking/webhook/fedex once a tracking
+ * webhook is set up in the FedEx developer portal; each push is signed with
+ * the project's security token (FEDEX_WEBHOOK_SECRET).
+ *
+ * Recorded responses: fixtures/fedex.json
+ *
+ * @author Mallgram Backend Team
+ */
+
+const CarrierAdapter = require('./carrierAdapter');
+const carrierRegistry = require('./carrierRegistry');
+
+// FedEx scan eventType (derivedStatusCode when missing) to tracking status
+const STATUS_MAP = {
+    'OC': 'label_created', // Shipment information sent to FedEx
+    'PU': 'picked_up', // Picked up
+    'AR': 'in_transit', // Arrived at FedEx location
+    'DP': 'in_transit', // Departed FedEx location
+    'IT': 'in_transit', // In transit
+    'AF': 'in_transit', // At local FedEx facility
+    'CC': 'customs', // International shipment release
+    'OD': 'out_for_delivery', // On FedEx vehicle for delivery
+    'HL': 'available_for_pickup', // Ready for pickup at a FedEx location
+    'DL': 'delivered', // Delivered
+    'DE': 'delivery_failed', // Delivery exception
+    'SE': 'exception', // Shipment exception
+    'CD': 'exception', // Clearance delay
+    'DY': 'exception', // Delay
+    'CA': 'exception', // Shipment cancelled
+    'RS': 'return_to_sender' // Return to shipper
+};
+
+/**
+ * FedEx scan event to a carrier event
+ */
+const parseScan = (scan) => ({
+    code: scan.eventType || scan.derivedStatusCode,
+    description: scan.eventDescription || '',
+    location: scan.scanLocation?.city || '',
+    timestamp: scan.date
+});
+
+class FedExCarrier extends CarrierAdapter {
+    constructor() {
+        super({
+            id: 'fedex',
+            name: 'FedEx',
+            supportedCountries: ['ZA', 'CM'],
+            statusMap: STATUS_MAP
+        });
+
+        this.baseUrl = process.env.FEDEX_BASE_URL || 'https://apis.fedex.com/track/v1/trackingnumbers';
+        this.apiKey = process.env.FEDEX_API_KEY;
+        this.webhookSecret = process.env.FEDEX_WEBHOOK_SECRET;
+    }
+
+    /**
+     * Fetch tracking with detailed scans
+     */
+    async fetchTracking(trackingNumber) {
+        this.requireConfig({ FEDEX_API_KEY: this.apiKey });
+
+        const response = await this.http.post(
+            this.baseUrl,
+            {
+                trackingInfo: [
+                    {
+                        trackingNumberInfo: {
+                            trackingNumber
+                        }
+                    }
+                ],
+                includeDetailedScans: true
+            },
+            {
+                headers: {
+                    'Authorization': `Bearer ${this.apiKey}`,
+                    'Content-Type': 'application/json'
+                }
+            }
+        );
+
+        return response.data;
+    }
+
+    /**
+     * Scan events of the first track result
+     */
+    parseEvents(response) {
+        const trackResult = response.output?.completeTrackResults?.[0]?.trackResults?.[0];
+
+        return (trackResult?.scanEvents || []).map(parseScan);
+    }
+
+    getEstimatedDelivery(response) {
+        const trackResult = response.output?.completeTrackResults?.[0]?.trackResults?.[0];
+        return trackResult?.estimatedDeliveryTimeWindow?.window?.ends || null;
+    }
+
+    /**
+     * HMAC-SHA256 (base64) of the raw body in the fdx-signature header
+     */
+    verifyWebhook({ rawBody, headers }) {
+        return this.verifyHmac(rawBody, headers['fdx-signature'], { encoding: 'base64' });
+    }
+
+    /**
+     * Pushed track results with their scan events
+     */
+    parseWebhook({ payload }) {
+        return (payload.trackResults || []).map(trackResult => ({
+            tracking_number: trackResult.trackingNumberInfo?.trackingNumber,
+            estimated_delivery: trackResult.estimatedDeliveryTimeWindow?.window?.ends || null,
+            events: (trackResult.scanEvents || []).map(parseScan)
+        }));
+    }
+}
+
+const fedexCarrier = new FedExCarrier();
+carrierRegistry.register(fedexCarrier);
+
+module.exports = fedexCarrier;
@@ -0,0 +1,19 @@
+/**
+ * Carriers
+ *
+ * Loads every carrier adapter so that each one registers itself with the
+ * carrier registry. Add new carriers here.
+ *
+ * @author Mallgram Backend Team
+ */
+
+const carrierRegistry = require('./carrierRegistry');
+
+require('./courierGuyCarrier');
+require('./aramexCarrier');
+require('./campostCarrier');
+require('./dhlCarrier');
+require('./fedexCarrier');
+require('./upsCarrier');
+
+module.exports = carrierRegistry;
@@ -0,0 +1,58 @@
+/**
+ * Tracking Statuses
+ *
+ * Carrier-neutral status of a tracking event. Each carrier adapter's
+ * mapping table turns the carrier's own event codes into one of these, and
+ * the order status an event moves an order to is decided here, once for
+ * every carrier.
+ *
+ * Exceptions and returns stay distinct in the tracking status even though
+ * the order only knows delivery_exception: a failed delivery attempt, a
+ * parcel held for customs and a parcel on its way back to the shipper need
+ * different follow-up.
+ *
+ * @author Mallgram Backend Team
+ */
+
+// Tracking status to the order status it moves an order to (null: no change)
+const ORDER_STATUS_BY_TRACKING_STATUS = {
+    label_created: 'shipped',           // carrier has the shipment details, not the parcel
+    picked_up: 'in_transit',
+    in_transit: 'in_transit',
+    customs: 'in_transit',              // clearance scans on the normal route
+    out_for_delivery: 'out_for_delivery',
+    available_for_pickup: 'out_for_delivery', // waiting at a collection point
+    delivered: 'delivered',
+    delivery_failed: 'delivery_exception',    // attempt failed: not home, bad address, refused
+    exception: 'delivery_exception',         // held, delayed, damaged, customs hold
+    return_to_sender: 'delivery_exception',  // on its way back to the shipper
+    unknown: null
+};
+
+const TRACKING_STATUSES = Object.keys(ORDER_STATUS_BY_TRACKING_STATUS);
+
+class TrackingStatus {
+    constructor() {
+        this.statuses = TRACKING_STATUSES;
+    }
+
+    /**
+     * Check whether a value is a tracking status
+     * @param {string} status
+     * @returns {boolean}
+     */
+    isValid(status) {
+        return TRACKING_STATUSES.includes(status);
+    }
+
+    /**
+     * Order status for a tracking status
+     * @param {string} status - Tracking status
+     * @returns {string|null} - Order status, or null when the event does not move the order on
+     */
+    toOrderStatus(status) {
+        return ORDER_STATUS_BY_TRACKING_STATUS[status] || null;
+    }
+}
+
+module.exports = new TrackingStatus();
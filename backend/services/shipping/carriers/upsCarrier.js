@@ -0,0 +1,139 @@
+/**
+ * UPS Carrier
+ *
+ * Tracks parcels with the UPS Tracking API.
+ *
+ * UPS Track Alert pushes one activity per request to
+ * POST /tracking/webhook/ups for tracking numbers we subscribe to. UPS does
+ * not sign pushes; it sends back the credential given when subscribing,
+ * which must match UPS_WEBHOOK_CREDENTIAL.
+ *
+ * Recorded responses: fixtures/ups.json
+ *
+ * @author Mallgram Backend Team
+ */
+
+const logger = require('../../../config/logger');
+const { safeCompare } = require('../../payments/webhookSecurity');
+const CarrierAdapter = require('./carrierAdapter');
+const carrierRegistry = require('./carrierRegistry');
+
+// UPS activity status type to tracking status
+const STATUS_MAP = {
+    'M': 'label_created', // Billing information received
+    'MV': 'exception', // Billing information voided
+    'P': 'picked_up', // Pickup
+    'I': 'in_transit', // In transit
+    'W': 'in_transit', // Warehousing
+    'O': 'out_for_delivery', // Out for delivery
+    'D': 'delivered', // Delivered
+    'X': 'exception', // Exception (the description says which)
+    'RS': 'return_to_sender' // Returned to shipper
+};
+
+class UPSCarrier extends CarrierAdapter {
+    constructor() {
+        super({
+            id: 'ups',
+            name: 'UPS',
+            supportedCountries: ['ZA', 'CM'],
+            statusMap: STATUS_MAP
+        });
+
+        this.baseUrl = process.env.UPS_BASE_URL || 'https://onlinetools.ups.com/api/track/v1/details';
+        this.apiKey = process.env.UPS_API_KEY;
+        this.webhookSecret = process.env.UPS_WEBHOOK_CREDENTIAL;
+    }
+
+    /**
+     * Fetch tracking details for an inquiry number
+     */
+    async fetchTracking(trackingNumber) {
+        this.requireConfig({ UPS_API_KEY: this.apiKey });
+
+        const response = await this.http.get(`${this.baseUrl}/${encodeURIComponent(trackingNumber)}`, {
+            headers: {
+                'Authorization': `Bearer ${this.apiKey}`,
+                'Accept': 'application/json'
+            }
+        });
+
+        return response.data;
+    }
+
+    /**
+     * Activities of the first package
+     */
+    parseEvents(response) {
+        const packageInfo = response.trackResponse?.shipment?.[0]?.package?.[0];
+
+        return (packageInfo?.activity || []).map(activity => ({
+            code: activity.status?.type,
+            description: activity.status?.description || '',
+            location: activity.location?.address?.city || '',
+            timestamp: activity.gmtDate
+                ? this.toTimestamp(activity.gmtDate, activity.gmtTime, 'Z')
+                : this.toTimestamp(activity.date, activity.time, activity.gmtOffset)
+        }));
+    }
+
+    getEstimatedDelivery(response) {
+        const date = response.trackResponse?.shipment?.[0]?.package?.[0]?.deliveryDate?.[0]?.date;
+        return date ? this.toTimestamp(date) : null;
+    }
+
+    /**
+     * Subscription credential in the credential header
+     */
+    verifyWebhook({ headers }) {
+        if (!this.webhookSecret) {
+            logger.error('UPS webhook credential not configured, rejecting webhook');
+            return false;
+        }
+
+        return safeCompare(this.webhookSecret, headers['credential']);
+    }
+
+    /**
+     * Track Alert activity for one tracking number
+     */
+    parseWebhook({ payload }) {
+        if (!payload.trackingNumber || !payload.activityStatus) {
+            return [];
+        }
+
+        return [{
+            tracking_number: payload.trackingNumber,
+            estimated_delivery: payload.scheduledDeliveryDate ? this.toTimestamp(payload.scheduledDeliveryDate) : null,
+            events: [{
+                code: payload.activityStatus.type,
+                description: payload.activityStatus.description || '',
+                location: payload.activityLocation?.city || '',
+                timestamp: payload.gmtActivityDate
+                    ? this.toTimestamp(payload.gmtActivityDate, payload.gmtActivityTime, 'Z')
+                    : this.toTimestamp(payload.localActivityDate, payload.localActivityTime, payload.gmtOffset)
+            }]
+        }];
+    }
+
+    /**
+     * UPS dates are YYYYMMDD and times HHMMSS (HH:MM:SS for GMT times).
+     * Local times carry the activity's gmtOffset; without one they are
+     * read as UTC rather than in the server's timezone.
+     */
+    toTimestamp(date, time, offset) {
+        if (!date) {
+            return null;
+        }
+
+        const digits = String(time || '000000').replace(/:/g, '');
+
+        return `${date.slice(0, 4)}-${date.slice(4, 6)}-${date.slice(6, 8)}T` +
+            `${digits.slice(0, 2)}:${digits.slice(2, 4)}:${digits.slice(4, 6)}${offset || 'Z'}`;
+    }
+}
+
+const upsCarrier = new UPSCarrier();
+carrierRegistry.register(upsCarrier);
+
+module.exports = upsCarrier;
@@ -0,0 +1,428 @@
+/**
+ * Delivery Delay Service
+ *
+ * Spots shipped orders that are going wrong before the customer has to ask:
+ * - stalled: no carrier scan for DELIVERY_STALL_DAYS (36 hours once out for delivery)
+ * - exception: the carrier reported a failed delivery, a hold or a return
+ * - missed_eta: the latest estimated delivery date has passed
+ *
+ * Each problem opens one follow-up item in delivery_follow_ups for support
+ * (one open item per order and kind) and emails the customer an apology
+ * with what we know. Items close themselves once the order is delivered or
+ * the carrier picks the parcel up again; support can also resolve them by
+ * hand with a note. A resolved item is not reopened for the same problem:
+ * only a new scan (or a new ETA, for missed_eta) raises another.
+ *
+ * @author Mallgram Backend Team
+ */
+
+const { supabase } = require('../../config/supabase');
+const logger = require('../../config/logger');
+const { NotFoundError, ConflictError, ValidationError } = require('../../middleware/errorHandler');
+const emailService = require('../emailService');
+const orderStateMachine = require('../orders/orderStateMachine');
+const etaService = require('../orders/etaService');
+const carrierRegistry = require('./carriers');
+const shipmentEventService = require('./shipmentEventService');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Follow-up kinds, most urgent first; a customer gets one email per run, for the most urgent
+const FOLLOW_UP_KINDS = ['exception', 'stalled', 'missed_eta'];
+
+const FOLLOW_UP_STATUSES = ['open', 'resolved'];
+
+// Orders that have left the hub and can be late
+const SHIPPED_STATUSES = ['shipped', 'in_transit', 'out_for_delivery', 'delivery_exception'];
+
+// A parcel out for delivery should not sit with the driver for long
+const OUT_FOR_DELIVERY_STALL_HOURS = 36;
+
+const UNIQUE_VIOLATION = '23505';
+
+const toDateString = (date) => new Date(date).toISOString().slice(0, 10);
+
+class DeliveryDelayService {
+    constructor() {
+        this.stallHours = (parseInt(process.env.DELIVERY_STALL_DAYS) || 5) * 24;
+    }
+
+    /**
+     * Find late and stuck shipments, open follow-ups and email customers
+     * @returns {Promise<Object>} - { checked, opened, notified }
+     */
+    async detectDelays() {
+        const { data: orders, error } = await supabase
+            .from('orders')
+            .select(`
+                id,
+                status,
+                carrier,
+                tracking_number,
+                user_id,
+                shipped_at,
+                estimated_delivery_min,
+                estimated_delivery_max,
+                users(email, full_name)
+            `)
+            .in('status', SHIPPED_STATUSES)
+            .not('tracking_number', 'is', null);
+
+        if (error) {
+            throw new Error(`Failed to load shipped orders: ${error.message}`);
+        }
+
+        const stats = { checked: (orders || []).length, opened: 0, notified: 0 };
+
+        if (stats.checked === 0) {
+            return stats;
+        }
+
+        const latestEvents = await shipmentEventService.getLatestTrackingEvents(orders.map(order => order.tracking_number));
+        const raised = await this.getRaisedKeys(orders.map(order => order.id));
+
+        for (const order of orders) {
+            try {
+                const issues = this.findIssues(order, latestEvents.get(order.tracking_number))
+                    .filter(issue => !raised.open.has(`${order.id}:${issue.kind}`) &&
+                        !raised.episodes.has(this.episodeKey(order.id, issue.kind, issue.last_scan_at, order.estimated_delivery_max)));
+
+                const opened = [];
+
+                for (const issue of issues) {
+                    const followUp = await this.openFollowUp(order, issue);
+
+                    if (followUp) {
+                        opened.push(followUp);
+                    }
+                }
+
+                stats.opened += opened.length;
+
+                // Issues are ordered by urgency; one email covers the rest
+                if (opened.length > 0 && order.users?.email && await this.notifyCustomer(order, opened[0])) {
+                    stats.notified++;
+                }
+            } catch (orderError) {
+                logger.error(`Failed to check order ${order.id} for delays:`, orderError);
+            }
+        }
+
+        return stats;
+    }
+
+    /**
+     * What is wrong with a shipped order, most urgent first
+     * @param {Object} order - Shipped order
+     * @param {Object} [latestEvent] - Newest carrier or dispatch event of its tracking number
+     * @param {Date} [now]
+     * @returns {Array<Object>} - [{ kind, tracking_status, detail, last_scan_at }]
+     */
+    findIssues(order, latestEvent, now = new Date()) {
+        const issues = [];
+        const lastScanAt = latestEvent ? latestEvent.occurred_at : order.shipped_at;
+        const context = {
+            tracking_status: latestEvent ? latestEvent.tracking_status : null,
+            last_scan_at: lastScanAt || null
+        };
+
+        if (order.status === 'delivery_exception') {
+            issues.push({
+                kind: 'exception',
+                ...context,
+                detail: latestEvent?.description || 'Carrier reported a delivery exception'
+            });
+        } else if (lastScanAt) {
+            const quietHours = (now.getTime() - new Date(lastScanAt).getTime()) / HOUR_MS;
+            const stallHours = order.status === 'out_for_delivery' ? OUT_FOR_DELIVERY_STALL_HOURS : this.stallHours;
+
+            if (quietHours >= stallHours) {
+                issues.push({
+                    kind: 'stalled',
+                    ...context,
+                    detail: `No carrier scan for ${quietHours < 48 ? `${Math.floor(quietHours)} hours` : `${Math.floor(quietHours / 24)} days`}` +
+                        (latestEvent?.description ? ` (last: ${latestEvent.description})` : '')
+                });
+            }
+        }
+
+        if (order.estimated_delivery_max && order.estimated_delivery_max < toDateString(now)) {
+            issues.push({
+                kind: 'missed_eta',
+                ...context,
+                detail: `Estimated delivery by ${order.estimated_delivery_max} has passed`
+            });
+        }
+
+        return issues;
+    }
+
+    /**
+     * Follow-ups already raised for some orders
+     * An issue is not raised again while a follow-up of its kind is open,
+     * nor once a follow-up for the same episode has been resolved, so one
+     * support closed by hand does not come back with another apology.
+     * @param {Array<string>} orderIds
+     * @returns {Promise<Object>} - { open: Set of order_id:kind, episodes: Set of episodeKey() }
+     */
+    async getRaisedKeys(orderIds) {
+        const { data: followUps, error } = await supabase
+            .from('delivery_follow_ups')
+            .select('order_id, kind, status, last_scan_at, estimated_delivery_max')
+            .in('order_id', orderIds);
+
+        if (error) {
+            throw new Error(`Failed to load follow-ups: ${error.message}`);
+        }
+
+        const raised = { open: new Set(), episodes: new Set() };
+
+        for (const followUp of followUps || []) {
+            if (followUp.status === 'open') {
+                raised.open.add(`${followUp.order_id}:${followUp.kind}`);
+            }
+
+            raised.episodes.add(this.episodeKey(followUp.order_id, followUp.kind, followUp.last_scan_at, followUp.estimated_delivery_max));
+        }
+
+        return raised;
+    }
+
+    /**
+     * Identifies one occurrence of a problem: a missed ETA by the date that
+     * was missed, a stall or exception by the carrier scan it started from
+     * @returns {string}
+     */
+    episodeKey(orderId, kind, lastScanAt, estimatedDeliveryMax) {
+        const since = kind === 'missed_eta'
+            ? (estimatedDeliveryMax ? String(estimatedDeliveryMax).slice(0, 10) : null)
+            : (lastScanAt ? new Date(lastScanAt).toISOString() : null);
+
+        return `${orderId}:${kind}:${since}`;
+    }
+
+    /**
+     * Open a follow-up for support
+     * @param {Object} order - Shipped order
+     * @param {Object} issue - From findIssues()
+     * @returns {Promise<Object|null>} - The follow-up, or null when one is already open
+     */
+    async openFollowUp(order, issue) {
+        const { data: followUp, error } = await supabase
+            .from('delivery_follow_ups')
+            .insert({
+                order_id: order.id,
+                kind: issue.kind,
+                status: 'open',
+                carrier: order.carrier,
+                tracking_number: order.tracking_number,
+                tracking_status: issue.tracking_status,
+                detail: issue.detail,
+                last_scan_at: issue.last_scan_at,
+                estimated_delivery_max: order.estimated_delivery_max || null,
+                opened_at: new Date().toISOString()
+            })
+            .select()
+            .single();
+
+        if (error) {
+            // Opened by an overlapping run
+            if (error.code === UNIQUE_VIOLATION) {
+                return null;
+            }
+
+            throw new Error(`Failed to open follow-up: ${error.message}`);
+        }
+
+        logger.warn('Delivery follow-up opened', {
+            followUpId: followUp.id,
+            orderId: order.id,
+            kind: issue.kind,
+            detail: issue.detail
+        });
+
+        return followUp;
+    }
+
+    /**
+     * Email the customer about a delay and note it on the follow-up
+     * @returns {Promise<boolean>} - True if the email went out
+     */
+    async notifyCustomer(order, followUp) {
+        const carrier = carrierRegistry.get(order.carrier);
+        const window = await etaService.refine(order, { status: order.status });
+
+        const result = await emailService.sendDeliveryDelayEmail(
+            order.users.email,
+            {
+                orderId: order.id,
+                orderNumber: order.id.slice(-8).toUpperCase(),
+                customerName: order.users.full_name,
+                kind: followUp.kind,
+                carrierName: carrier ? carrier.name : order.carrier,
+                trackingNumber: order.tracking_number,
+                latestEvent: followUp.kind === 'exception' ? followUp.detail : null,
+                estimatedDelivery: window && window.latest >= toDateString(new Date())
+                    ? etaService.formatRange(window)
+                    : null
+            },
+            order.user_id
+        );
+
+        if (!result.success) {
+            logger.error(`Failed to send delay email for order ${order.id}:`, result.error);
+            return false;
+        }
+
+        await supabase
+            .from('delivery_follow_ups')
+            .update({ customer_notified_at: new Date().toISOString() })
+            .eq('id', followUp.id);
+
+        return true;
+    }
+
+    /**
+     * Close follow-ups whose problem has gone away
+     * - Any kind, once the order is delivered, refunded or cancelled
+     * - exception, once the order left delivery_exception
+     * - stalled, once the carrier scanned the parcel again
+     * @returns {Promise<number>} - Follow-ups resolved
+     */
+    async resolveCleared() {
+        const { data: followUps, error } = await supabase
+            .from('delivery_follow_ups')
+            .select('*, orders(status)')
+            .eq('status', 'open');
+
+        if (error) {
+            throw new Error(`Failed to load follow-ups: ${error.message}`);
+        }
+
+        if (!followUps || followUps.length === 0) {
+            return 0;
+        }
+
+        const latestEvents = await shipmentEventService.getLatestTrackingEvents(
+            followUps.map(followUp => followUp.tracking_number).filter(Boolean)
+        );
+
+        let resolved = 0;
+
+        for (const followUp of followUps) {
+            const orderStatus = followUp.orders?.status;
+            const latestEvent = latestEvents.get(followUp.tracking_number);
+            let resolution = null;
+
+            if (orderStatus && !orderStateMachine.inFlightStatuses.includes(orderStatus)) {
+                resolution = `order_${orderStatus}`;
+            } else if (followUp.kind === 'exception' && orderStatus && orderStatus !== 'delivery_exception') {
+                resolution = 'carrier_resumed';
+            } else if (followUp.kind === 'stalled' && latestEvent &&
+                (!followUp.last_scan_at || new Date(latestEvent.occurred_at) > new Date(followUp.last_scan_at))) {
+                resolution = 'carrier_resumed';
+            }
+
+            if (resolution && await this.markResolved(followUp.id, { resolution })) {
+                resolved++;
+            }
+        }
+
+        return resolved;
+    }
+
+    /**
+     * Mark an open follow-up resolved
+     * @returns {Promise<Object|null>} - The follow-up, or null when it was no longer open
+     */
+    async markResolved(followUpId, { resolution, adminId = null, notes = null }) {
+        const { data: updated, error } = await supabase
+            .from('delivery_follow_ups')
+            .update({
+                status: 'resolved',
+                resolution,
+                resolved_by: adminId,
+                notes,
+                resolved_at: new Date().toISOString()
+            })
+            .eq('id', followUpId)
+            .eq('status', 'open')
+            .select();
+
+        if (error) {
+            throw new Error(`Failed to resolve follow-up: ${error.message}`);
+        }
+
+        return updated && updated[0] ? updated[0] : null;
+    }
+
+    /**
+     * Resolve a follow-up by hand
+     * @param {string} followUpId - Follow-up ID
+     * @param {Object} admin - Admin user resolving it
+     * @param {Object} options - { notes }
+     * @returns {Promise<Object>}
+     */
+    async resolveFollowUp(followUpId, admin, { notes }) {
+        if (!notes || !String(notes).trim()) {
+            throw new ValidationError('Notes are required to resolve a follow-up', 'notes');
+        }
+
+        const followUp = await this.markResolved(followUpId, {
+            resolution: 'support',
+            adminId: admin.id,
+            notes: String(notes).trim()
+        });
+
+        if (followUp) {
+            return followUp;
+        }
+
+        const { data: existing } = await supabase
+            .from('delivery_follow_ups')
+            .select('id')
+            .eq('id', followUpId)
+            .limit(1);
+
+        if (!existing || existing.length === 0) {
+            throw new NotFoundError('Follow-up not found');
+        }
+
+        throw new ConflictError('Follow-up is already resolved');
+    }
+
+    /**
+     * Follow-ups for support, oldest first
+     * @param {Object} filters - { status, kind }
+     * @returns {Promise<Array>}
+     */
+    async listFollowUps({ status = 'open', kind } = {}) {
+        if (!FOLLOW_UP_STATUSES.includes(status)) {
+            throw new ValidationError(`Status must be one of: ${FOLLOW_UP_STATUSES.join(', ')}`, 'status');
+        }
+
+        if (kind && !FOLLOW_UP_KINDS.includes(kind)) {
+            throw new ValidationError(`Kind must be one of: ${FOLLOW_UP_KINDS.join(', ')}`, 'kind');
+        }
+
+        let query = supabase
+            .from('delivery_follow_ups')
+            .select('*, orders(id, status, country, estimated_delivery_min, estimated_delivery_max)')
+            .eq('status', status)
+            .order('opened_at', { ascending: true });
+
+        if (kind) {
+            query = query.eq('kind', kind);
+        }
+
+        const { data: followUps, error } = await query;
+
+        if (error) {
+            throw new Error(`Failed to load follow-ups: ${error.message}`);
+        }
+
+        return followUps || [];
+    }
+}
+
+module.exports = new DeliveryDelayService();
@@ -0,0 +1,261 @@
+/**
+ * Manifest Service
+ *
+ * Builds the manifest of a bulk shipment for the carrier and customs in the
+ * destination country: one line per order (consignment) with the recipient,
+ * contents, parcel count, weight and declared value. Exported as CSV for
+ * carrier upload and as PDF to travel with the shipment.
+ *
+ * Weights are the parcels weighed at hub check-in; orders with no weighed
+ * parcels fall back to the supplier's shipping_info weight. The declared
+ * value is what the customer paid for the goods (subtotal less discount),
+ * in the order currency.
+ *
+ * @author Mallgram Backend Team
+ */
+
+const PDFDocument = require('pdfkit');
+const { supabase } = require('../../config/supabase');
+const { NotFoundError } = require('../../middleware/errorHandler');
+const { Money } = require('../../utils/money');
+const shipmentService = require('./shipmentService');
+
+const CSV_COLUMNS = [
+    ['order_number', 'Order'],
+    ['recipient', 'Recipient'],
+    ['phone', 'Phone'],
+    ['address', 'Address'],
+    ['city', 'City'],
+    ['postal_code', 'Postal Code'],
+    ['contents', 'Contents'],
+    ['pieces', 'Pieces'],
+    ['parcels', 'Parcels'],
+    ['weight_kg', 'Weight (kg)'],
+    ['declared_value', 'Declared Value'],
+    ['currency', 'Currency']
+];
+
+// PDF table: [key, heading, width in points] on landscape A4
+const PDF_COLUMNS = [
+    ['order_number', 'Order', 62],
+    ['recipient', 'Recipient', 95],
+    ['address', 'Address', 170],
+    ['contents', 'Contents', 210],
+    ['pieces', 'Pcs', 30],
+    ['weight_kg', 'Kg', 45],
+    ['declared_value', 'Value', 80],
+    ['currency', 'Cur', 32]
+];
+
+/**
+ * Round a weight to grams
+ */
+const roundKg = (value) => Math.round(value * 1000) / 1000;
+
+class ManifestService {
+    /**
+     * Build a shipment's manifest
+     * @param {string} shipmentId - Shipment ID
+     * @returns {Promise<Object>} - { shipment, shipment_number, lines, totals }
+     */
+    async buildManifest(shipmentId) {
+        const { data: shipment, error } = await supabase
+            .from('shipments')
+            .select('*')
+            .eq('id', shipmentId)
+            .single();
+
+        if (error || !shipment) {
+            throw new NotFoundError('Shipment not found');
+        }
+
+        const { data: orders, error: ordersError } = await supabase
+            .from('orders')
+            .select(`
+                id,
+                status,
+                currency,
+                subtotal,
+                discount_amount,
+                shipping_address,
+                users(full_name),
+                order_items(
+                    quantity,
+                    products(name, shipping_info)
+                ),
+                inbound_parcels(weight_kg)
+            `)
+            .eq('shipment_id', shipmentId)
+            .in('status', ['processing', 'shipped', 'in_transit', 'out_for_delivery', 'delivery_exception', 'delivered'])
+            .order('created_at', { ascending: true });
+
+        if (ordersError) {
+            throw new Error(`Failed to load shipment orders: ${ordersError.message}`);
+        }
+
+        const lines = (orders || []).map(order => this.buildLine(order));
+        const currency = lines.length > 0 ? lines[0].currency : null;
+
+        const totals = {
+            orders: lines.length,
+            pieces: lines.reduce((sum, line) => sum + line.pieces, 0),
+            parcels: lines.reduce((sum, line) => sum + line.parcels, 0),
+            weight_kg: roundKg(lines.reduce((sum, line) => sum + line.weight_kg, 0)),
+            declared_value: currency
+                ? lines
+                    .reduce((sum, line) => sum.add(Money.fromMajor(line.declared_value, line.currency)), Money.zero(currency))
+                    .toMajor()
+                : 0,
+            currency
+        };
+
+        return {
+            shipment,
+            shipment_number: shipmentService.getShipmentNumber(shipment),
+            lines,
+            totals
+        };
+    }
+
+    /**
+     * One manifest line for an order
+     */
+    buildLine(order) {
+        const address = typeof order.shipping_address === 'string'
+            ? JSON.parse(order.shipping_address)
+            : order.shipping_address || {};
+        const items = order.order_items || [];
+        const parcels = order.inbound_parcels || [];
+
+        const weighed = parcels.reduce((sum, parcel) => sum + (parseFloat(parcel.weight_kg) || 0), 0);
+        const catalogueWeight = items.reduce((sum, item) => {
+            const shippingInfo = (item.products && item.products.shipping_info) || {};
+            return sum + (parseFloat(shippingInfo.weight_kg) || 0) * item.quantity;
+        }, 0);
+
+        const goods = Money.fromMajor(order.subtotal || 0, order.currency)
+            .subtract(Money.fromMajor(order.discount_amount || 0, order.currency));
+
+        return {
+            order_id: order.id,
+            order_number: order.id.slice(-8).toUpperCase(),
+            recipient: address.full_name || address.name || (order.users && order.users.full_name) || '',
+            phone: address.phone || '',
+            address: [address.line1 || address.street, address.line2].filter(Boolean).join(', '),
+            city: address.city || '',
+            postal_code: address.postal_code || address.zip || '',
+            contents: items
+                .map(item => `${item.quantity} x ${item.products ? item.products.name : 'Item'}`)
+                .join('; '),
+            pieces: items.reduce((sum, item) => sum + item.quantity, 0),
+            parcels: parcels.length,
+            weight_kg: roundKg(weighed > 0 ? weighed : catalogueWeight),
+            declared_value: goods.toMajor(),
+            currency: order.currency
+        };
+    }
+
+    /**
+     * Manifest as CSV, one row per order and a totals row
+     * @param {Object} manifest - From buildManifest()
+     * @returns {string}
+     */
+    toCsv(manifest) {
+        const escape = (value) => {
+            const text = value === null || value === undefined ? '' : String(value);
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+
+        const rows = [
+            CSV_COLUMNS.map(([, heading]) => heading),
+            ...manifest.lines.map(line => CSV_COLUMNS.map(([key]) => line[key])),
+            [
+                'TOTAL', `${manifest.totals.orders} orders`, '', '', '', '', '',
+                manifest.totals.pieces,
+                manifest.totals.parcels,
+                manifest.totals.weight_kg,
+                manifest.totals.declared_value,
+                manifest.totals.currency
+            ]
+        ];
+
+        return rows.map(row => row.map(escape).join(',')).join('\r\n') + '\r\n';
+    }
+
+    /**
+     * Manifest as a PDF document
+     * @param {Object} manifest - From buildManifest()
+     * @returns {Promise<Buffer>}
+     */
+    toPdf(manifest) {
+        return new Promise((resolve, reject) => {
+            const doc = new PDFDocument({ size: 'A4', layout: 'landscape', margin: 36 });
+            const chunks = [];
+
+            doc.on('data', chunk => chunks.push(chunk));
+            doc.on('end', () => resolve(Buffer.concat(chunks)));
+            doc.on('error', reject);
+
+            const { shipment, totals } = manifest;
+            const left = doc.page.margins.left;
+            const bottom = doc.page.height - doc.page.margins.bottom;
+
+            doc.font('Helvetica-Bold').fontSize(16).text(`Bulk Shipment Manifest ${manifest.shipment_number}`);
+            doc.moveDown(0.5);
+            doc.font('Helvetica').fontSize(10)
+                .text(`Shipper: Mallgram consolidation hub${process.env.FULFILMENT_HUB_ADDRESS ? `, ${process.env.FULFILMENT_HUB_ADDRESS}` : ''}`)
+                .text(`Destination: ${shipment.destination_country}`)
+                .text(`Carrier: ${shipment.carrier || 'Not yet dispatched'}${shipment.tracking_number ? `  Tracking: ${shipment.tracking_number}` : ''}`)
+                .text(`Date: ${new Date(shipment.dispatched_at || Date.now()).toISOString().slice(0, 10)}`)
+                .text(`Orders: ${totals.orders}   Pieces: ${totals.pieces}   Parcels: ${totals.parcels}   ` +
+                    `Weight: ${totals.weight_kg} kg   Declared value: ${totals.declared_value} ${totals.currency || ''}`);
+            doc.moveDown();
+
+            const drawRow = (values, bold) => {
+                doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(8);
+
+                const height = Math.max(...PDF_COLUMNS.map(([, , width], index) =>
+                    doc.heightOfString(String(values[index]), { width: width - 4 })
+                )) + 4;
+
+                if (doc.y + height > bottom) {
+                    doc.addPage();
+                }
+
+                const top = doc.y;
+                let x = left;
+
+                PDF_COLUMNS.forEach(([, , width], index) => {
+                    doc.text(String(values[index]), x + 2, top + 2, { width: width - 4 });
+                    x += width;
+                });
+
+                doc.moveTo(left, top + height).lineTo(x, top + height).lineWidth(0.5).stroke();
+                doc.x = left;
+                doc.y = top + height;
+            };
+
+            drawRow(PDF_COLUMNS.map(([, heading]) => heading), true);
+
+            for (const line of manifest.lines) {
+                drawRow(PDF_COLUMNS.map(([key]) => {
+                    if (key === 'recipient') {
+                        return [line.recipient, line.phone].filter(Boolean).join('\n');
+                    }
+
+                    if (key === 'address') {
+                        return [line.address, line.city, line.postal_code].filter(Boolean).join(', ');
+                    }
+
+                    return line[key];
+                }), false);
+            }
+
+            drawRow(['TOTAL', `${totals.orders} orders`, '', '', totals.pieces, totals.weight_kg, totals.declared_value, totals.currency || ''], true);
+
+            doc.end();
+        });
+    }
+}
+
+module.exports = new ManifestService();
@@ -0,0 +1,264 @@
+/**
+ * Shipment Event Service
+ *
+ * Keeps the journey of every order in shipment_events, from the supplier to
+ * the customer's door:
+ * - supplier: supplier order placed, shipped to the hub
+ * - hub: parcels received at the consolidation hub, shipment dispatched
+ * - carrier: every event the carrier reports for the shipment's tracking number
+ *
+ * Supplier and hub events belong to an order. Carrier events and the
+ * dispatch belong to a tracking number, which every order on the bulk
+ * shipment shares. Each event has an event_key that is unique, so the same
+ * carrier event reported on every poll (or for every order on the shipment)
+ * is stored once.
+ *
+ * @author Mallgram Backend Team
+ */
+
+const { supabase } = require('../../config/supabase');
+const logger = require('../../config/logger');
+
+const UNIQUE_VIOLATION = '23505';
+
+/**
+ * ISO timestamp, or null when the carrier sent something unreadable
+ */
+const toTimestamp = (value) => {
+    const date = value ? new Date(value) : null;
+    return date && !isNaN(date.getTime()) ? date.toISOString() : null;
+};
+
+class ShipmentEventService {
+    constructor() {
+        this.hubLocation = process.env.FULFILMENT_HUB_LOCATION || null;
+    }
+
+    /**
+     * Store a carrier's tracking events for a tracking number
+     * @param {Object} carrier - Carrier adapter (maps event codes to tracking and order statuses)
+     * @param {string} trackingNumber - Carrier tracking number
+     * @param {Array} events - Events from carrier.track() or carrier.parseWebhook()
+     * @returns {Promise<Array>} - Events not seen before
+     */
+    async recordCarrierEvents(carrier, trackingNumber, events) {
+        const rows = (events || []).map(event => {
+            const occurredAt = toTimestamp(event.timestamp);
+
+            return {
+                event_key: `carrier:${carrier.id}:${trackingNumber}:${event.code}:${occurredAt || 'undated'}`,
+                carrier: carrier.id,
+                tracking_number: trackingNumber,
+                source: 'carrier',
+                code: String(event.code),
+                tracking_status: carrier.normalizeStatus(event.code),
+                status: carrier.mapStatus(event.code),
+                description: event.description || null,
+                location: event.location || null,
+                occurred_at: occurredAt || new Date().toISOString()
+            };
+        });
+
+        return this.insertEvents(rows);
+    }
+
+    /**
+     * Record that a bulk shipment left the hub with its carrier
+     * @param {Object} shipment - Dispatched shipment
+     * @returns {Promise<Array>}
+     */
+    async recordDispatch(shipment) {
+        return this.insertEvents([{
+            event_key: `carrier:${shipment.carrier}:${shipment.tracking_number}:hub_dispatched`,
+            carrier: shipment.carrier,
+            tracking_number: shipment.tracking_number,
+            source: 'hub',
+            code: 'hub_dispatched',
+            tracking_status: 'label_created',
+            status: 'shipped',
+            description: 'Shipped from our consolidation hub',
+            location: this.hubLocation,
+            occurred_at: shipment.dispatched_at || new Date().toISOString()
+        }]);
+    }
+
+    /**
+     * Record a supplier or hub milestone of an order
+     * Never throws: a missing timeline entry must not hold up fulfilment.
+     * @param {string} orderId - Order ID
+     * @param {Object} event
+     * @param {string} event.source - supplier or hub
+     * @param {string} event.code - Milestone, e.g. supplier_shipped
+     * @param {string} event.ref - What the milestone is about (purchase order ID), so it is recorded once
+     * @param {string} event.description - Shown to the customer
+     * @param {string} [event.location]
+     * @param {string} [event.occurredAt]
+     */
+    async recordOrderEvent(orderId, { source, code, ref, description, location = null, occurredAt }) {
+        try {
+            await this.insertEvents([{
+                event_key: `order:${orderId}:${code}:${ref}`,
+                order_id: orderId,
+                source,
+                code,
+                status: null,
+                description,
+                location,
+                occurred_at: occurredAt || new Date().toISOString()
+            }]);
+        } catch (error) {
+            logger.error(`Failed to record ${code} for order ${orderId}:`, error);
+        }
+    }
+
+    /**
+     * Insert events whose event_key has not been stored yet
+     * @param {Array} rows - shipment_events rows
+     * @returns {Promise<Array>} - Inserted rows
+     */
+    async insertEvents(rows) {
+        if (rows.length === 0) {
+            return [];
+        }
+
+        const { data: existing, error } = await supabase
+            .from('shipment_events')
+            .select('event_key')
+            .in('event_key', rows.map(row => row.event_key));
+
+        if (error) {
+            throw new Error(`Failed to load shipment events: ${error.message}`);
+        }
+
+        const seen = new Set((existing || []).map(event => event.event_key));
+        const fresh = rows.filter((row, index) =>
+            !seen.has(row.event_key) && rows.findIndex(other => other.event_key === row.event_key) === index
+        );
+
+        if (fresh.length === 0) {
+            return [];
+        }
+
+        const { data: inserted, error: insertError } = await supabase
+            .from('shipment_events')
+            .insert(fresh)
+            .select();
+
+        if (!insertError) {
+            return inserted || [];
+        }
+
+        if (insertError.code !== UNIQUE_VIOLATION) {
+            throw new Error(`Failed to record shipment events: ${insertError.message}`);
+        }
+
+        // Another poll stored some of them first; keep the rest one by one
+        const stored = [];
+
+        for (const row of fresh) {
+            const { data, error: rowError } = await supabase
+                .from('shipment_events')
+                .insert(row)
+                .select()
+                .single();
+
+            if (!rowError) {
+                stored.push(data);
+            } else if (rowError.code !== UNIQUE_VIOLATION) {
+                throw new Error(`Failed to record shipment event: ${rowError.message}`);
+            }
+        }
+
+        return stored;
+    }
+
+    /**
+     * Events of a tracking number, newest first
+     * @param {string} trackingNumber - Carrier tracking number
+     * @returns {Promise<Array>}
+     */
+    async getTrackingEvents(trackingNumber) {
+        const { data: events, error } = await supabase
+            .from('shipment_events')
+            .select('*')
+            .eq('tracking_number', trackingNumber)
+            .order('occurred_at', { ascending: false });
+
+        if (error) {
+            throw new Error(`Failed to load shipment events: ${error.message}`);
+        }
+
+        return events || [];
+    }
+
+    /**
+     * Latest carrier or dispatch event of each tracking number
+     * @param {Array<string>} trackingNumbers - Carrier tracking numbers
+     * @returns {Promise<Map>} - Tracking number to its newest event
+     */
+    async getLatestTrackingEvents(trackingNumbers) {
+        const latest = new Map();
+
+        if (trackingNumbers.length === 0) {
+            return latest;
+        }
+
+        const { data: events, error } = await supabase
+            .from('shipment_events')
+            .select('tracking_number, source, code, tracking_status, status, description, location, occurred_at')
+            .in('tracking_number', [...new Set(trackingNumbers)])
+            .order('occurred_at', { ascending: false });
+
+        if (error) {
+            throw new Error(`Failed to load shipment events: ${error.message}`);
+        }
+
+        for (const event of events || []) {
+            if (!latest.has(event.tracking_number)) {
+                latest.set(event.tracking_number, event);
+            }
+        }
+
+        return latest;
+    }
+
+    /**
+     * An order's whole journey, oldest first: its supplier and hub
+     * milestones followed by its shipment's events
+     * @param {Object} order - Order with id and tracking_number
+     * @returns {Promise<Array>}
+     */
+    async getOrderTimeline(order) {
+        const { data: orderEvents, error } = await supabase
+            .from('shipment_events')
+            .select('*')
+            .eq('order_id', order.id);
+
+        if (error) {
+            throw new Error(`Failed to load shipment events: ${error.message}`);
+        }
+
+        const trackingEvents = order.tracking_number
+            ? await this.getTrackingEvents(order.tracking_number)
+            : [];
+
+        return [...(orderEvents || []), ...trackingEvents]
+            .sort((a, b) => new Date(a.occurred_at) - new Date(b.occurred_at));
+    }
+
+    /**
+     * Event as shown to customers and on public tracking (no order or customer data)
+     */
+    toPublicEvent(event) {
+        return {
+            source: event.source,
+            tracking_status: event.tracking_status || null,
+            status: event.status,
+            description: event.description,
+            location: event.location,
+            occurred_at: event.occurred_at
+        };
+    }
+}
+
+module.exports = new ShipmentEventService();
@@ -0,0 +1,655 @@
+/**
+ * Shipment Service
+ *
+ * Runs the consolidation hub between suppliers and customers:
+ * - Parcels from suppliers are checked in against their purchase order;
+ *   once every purchase order of an order has arrived the order is at the
+ *   hub (fulfilment_status = at_hub)
+ * - Orders at the hub join the open bulk shipment for their destination
+ *   country and move to processing
+ * - A shipment is dispatched with the carrier's tracking number: it is
+ *   claimed (dispatching), its orders move to shipped, then the shipment
+ *   is marked dispatched; orders left behind join the next shipment
+ *
+ * @author Mallgram Backend Team
+ */
+
+const { supabase } = require('../../config/supabase');
+const logger = require('../../config/logger');
+const { NotFoundError, ConflictError, ValidationError } = require('../../middleware/errorHandler');
+const emailService = require('../emailService');
+const fulfilmentService = require('../fulfilment');
+const orderStateMachine = require('../orders/orderStateMachine');
+const etaService = require('../orders/etaService');
+const carrierRegistry = require('./carriers');
+const shipmentEventService = require('./shipmentEventService');
+
+// Purchase order statuses a parcel can arrive for
+const RECEIVABLE_STATUSES = ['placed', 'shipped', 'received'];
+
+const UNIQUE_VIOLATION = '23505';
+
+class ShipmentService {
+    /**
+     * Shipment reference shown on manifests and to carriers
+     * @param {Object} shipment - Shipment record
+     * @returns {string}
+     */
+    getShipmentNumber(shipment) {
+        return `SHP-${shipment.id.slice(-8).toUpperCase()}`;
+    }
+
+    /**
+     * Check in a supplier parcel at the hub
+     * @param {Object} params
+     * @param {string} [params.purchaseOrderId] - Purchase order the parcel belongs to
+     * @param {string} [params.supplierTrackingNumber] - Or the supplier's tracking number on the label
+     * @param {number} params.weightKg - Weighed parcel weight
+     * @param {boolean} [params.complete=true] - False when the supplier split the order and more parcels are due
+     * @param {string} [params.notes] - e.g. damaged packaging
+     * @param {Object} admin - Hub staff user
+     * @returns {Promise<Object>} - { parcel, purchase_order, fulfilment_status }
+     */
+    async checkInParcel({ purchaseOrderId, supplierTrackingNumber, weightKg, complete = true, notes }, admin) {
+        const weight = parseFloat(weightKg);
+
+        if (!(weight > 0)) {
+            throw new ValidationError('Parcel weight in kg is required', 'weight_kg');
+        }
+
+        if (!purchaseOrderId && !supplierTrackingNumber) {
+            throw new ValidationError('A purchase order ID or supplier tracking number is required', 'supplier_tracking_number');
+        }
+
+        let query = supabase.from('purchase_orders').select('*');
+
+        query = purchaseOrderId
+            ? query.eq('id', purchaseOrderId)
+            : query.eq('supplier_tracking_number', String(supplierTrackingNumber).trim());
+
+        const { data: purchaseOrders, error } = await query.limit(1);
+
+        if (error) {
+            throw new Error(`Failed to find purchase order: ${error.message}`);
+        }
+
+        const purchaseOrder = purchaseOrders && purchaseOrders[0];
+
+        if (!purchaseOrder) {
+            throw new NotFoundError('No purchase order matches this parcel');
+        }
+
+        if (!RECEIVABLE_STATUSES.includes(purchaseOrder.status)) {
+            throw new ConflictError(`Purchase order is ${purchaseOrder.status.replace(/_/g, ' ')}; set the parcel aside for review`);
+        }
+
+        const now = new Date().toISOString();
+
+        const { data: parcel, error: parcelError } = await supabase
+            .from('inbound_parcels')
+            .insert({
+                purchase_order_id: purchaseOrder.id,
+                order_id: purchaseOrder.order_id,
+                supplier_tracking_number: supplierTrackingNumber || purchaseOrder.supplier_tracking_number || null,
+                weight_kg: weight,
+                notes: notes || null,
+                received_by: admin.id,
+                received_at: now
+            })
+            .select()
+            .single();
+
+        if (parcelError) {
+            throw new Error(`Failed to check in parcel: ${parcelError.message}`);
+        }
+
+        let updatedPurchaseOrder = purchaseOrder;
+
+        if (complete && purchaseOrder.status !== 'received') {
+            const { data: updated, error: updateError } = await supabase
+                .from('purchase_orders')
+                .update({
+                    status: 'received',
+                    received_at: now,
+                    updated_at: now
+                })
+                .eq('id', purchaseOrder.id)
+                .eq('status', purchaseOrder.status)
+                .select();
+
+            if (updateError) {
+                throw new Error(`Failed to update purchase order ${purchaseOrder.id}: ${updateError.message}`);
+            }
+
+            updatedPurchaseOrder = updated && updated[0] ? updated[0] : purchaseOrder;
+
+            await shipmentEventService.recordOrderEvent(purchaseOrder.order_id, {
+                source: 'hub',
+                code: 'hub_received',
+                ref: purchaseOrder.id,
+                description: purchaseOrder.supplier_name
+                    ? `Parcel from ${purchaseOrder.supplier_name} arrived at our consolidation hub`
+                    : 'Arrived at our consolidation hub',
+                location: shipmentEventService.hubLocation,
+                occurredAt: now
+            });
+        }
+
+        const fulfilmentStatus = await fulfilmentService.refreshOrderFulfilment(purchaseOrder.order_id);
+
+        logger.info('Parcel checked in at hub', {
+            parcelId: parcel.id,
+            purchaseOrderId: purchaseOrder.id,
+            orderId: purchaseOrder.order_id,
+            weightKg: weight,
+            complete,
+            adminId: admin.id
+        });
+
+        return {
+            parcel,
+            purchase_order: updatedPurchaseOrder,
+            fulfilment_status: fulfilmentStatus
+        };
+    }
+
+    /**
+     * Add every order waiting at the hub to its country's open shipment
+     * @returns {Promise<Object>} - { assigned, shipments }
+     */
+    async assignOrdersToShipments() {
+        const { data: orders, error } = await supabase
+            .from('orders')
+            .select('id, country, shipping_address')
+            .eq('status', 'paid')
+            .eq('payment_status', 'success')
+            .eq('fulfilment_status', 'at_hub')
+            .is('shipment_id', null);
+
+        if (error) {
+            throw new Error(`Failed to load orders at the hub: ${error.message}`);
+        }
+
+        const stats = { assigned: 0, shipments: 0 };
+        const byCountry = new Map();
+
+        for (const order of orders || []) {
+            const address = typeof order.shipping_address === 'string'
+                ? JSON.parse(order.shipping_address)
+                : order.shipping_address || {};
+            const country = order.country || address.country || 'UNKNOWN';
+
+            if (!byCountry.has(country)) {
+                byCountry.set(country, []);
+            }
+
+            byCountry.get(country).push(order);
+        }
+
+        for (const [country, countryOrders] of byCountry) {
+            const shipment = await this.getOpenShipment(country);
+            stats.shipments++;
+
+            for (const order of countryOrders) {
+                try {
+                    await orderStateMachine.transition(order.id, 'processing', {
+                        actor: { type: 'system', id: 'processBulkShipping' },
+                        reason: 'bulk_shipment_created',
+                        updates: {
+                            shipment_id: shipment.id,
+                            bulk_shipment_created_at: new Date().toISOString()
+                        },
+                        metadata: {
+                            destination_country: country,
+                            shipment_id: shipment.id
+                        }
+                    });
+
+                    stats.assigned++;
+                } catch (transitionError) {
+                    logger.error(`Failed to add order ${order.id} to shipment ${shipment.id}:`, transitionError);
+                }
+            }
+
+            logger.info(`Added ${countryOrders.length} orders to bulk shipment ${this.getShipmentNumber(shipment)} for ${country}`);
+        }
+
+        return stats;
+    }
+
+    /**
+     * Get the open shipment for a destination country, opening one if needed
+     * @param {string} country - ISO country code
+     * @returns {Promise<Object>}
+     */
+    async getOpenShipment(country) {
+        const { data: open } = await supabase
+            .from('shipments')
+            .select('*')
+            .eq('destination_country', country)
+            .eq('status', 'open')
+            .limit(1);
+
+        if (open && open[0]) {
+            return open[0];
+        }
+
+        const now = new Date();
+        const { data: shipment, error } = await supabase
+            .from('shipments')
+            .insert({
+                destination_country: country,
+                status: 'open',
+                dispatch_after: new Date(now.getTime() + etaService.consolidationHours * 60 * 60 * 1000).toISOString(),
+                created_at: now.toISOString(),
+                updated_at: now.toISOString()
+            })
+            .select()
+            .single();
+
+        if (error) {
+            // Another run opened one first (one open shipment per country)
+            if (error.code === UNIQUE_VIOLATION) {
+                return this.getOpenShipment(country);
+            }
+
+            throw new Error(`Failed to open shipment for ${country}: ${error.message}`);
+        }
+
+        return shipment;
+    }
+
+    /**
+     * Get a shipment with its orders
+     * @param {string} shipmentId - Shipment ID
+     * @returns {Promise<Object>}
+     */
+    async getShipment(shipmentId) {
+        const { data: shipment, error } = await supabase
+            .from('shipments')
+            .select(`
+                *,
+                orders(id, status, user_id, country, total_price, currency, tracking_number, bulk_shipment_created_at)
+            `)
+            .eq('id', shipmentId)
+            .single();
+
+        if (error || !shipment) {
+            throw new NotFoundError('Shipment not found');
+        }
+
+        return shipment;
+    }
+
+    /**
+     * List shipments, newest first
+     * @param {Object} [filters] - { status, country }
+     * @returns {Promise<Array>}
+     */
+    async listShipments({ status, country } = {}) {
+        let query = supabase
+            .from('shipments')
+            .select('*')
+            .order('created_at', { ascending: false })
+            .limit(100);
+
+        if (status) {
+            query = query.eq('status', status);
+        }
+
+        if (country) {
+            query = query.eq('destination_country', String(country).toUpperCase());
+        }
+
+        const { data: shipments, error } = await query;
+
+        if (error) {
+            throw new Error(`Failed to load shipments: ${error.message}`);
+        }
+
+        return shipments || [];
+    }
+
+    /**
+     * Hand a shipment to its carrier
+     * The shipment is claimed first (open -> dispatching): no other dispatch
+     * can run and the bulk shipping job opens a new shipment for the
+     * country. Its orders then move to shipped with the carrier's tracking
+     * number, and the shipment is only marked dispatched once at least one
+     * of them has. Orders that could not be shipped, or that joined while
+     * it was being dispatched, move to the next open shipment for the
+     * country and are listed in its dispatch_issue. Orders cancelled while
+     * waiting at the hub are taken off the shipment.
+     * @param {string} shipmentId - Shipment ID
+     * @param {Object} params
+     * @param {string} params.carrier - Carrier ID registered in the carrier registry
+     * @param {string} params.trackingNumber - Carrier tracking number for the shipment
+     * @param {Object} params.manifest - Manifest totals from manifestService.buildManifest()
+     * @param {Object} admin - Admin user
+     * @returns {Promise<Object>} - { shipment, shipped, skipped, failed, movedTo }
+     */
+    async dispatchShipment(shipmentId, { carrier: carrierId, trackingNumber, manifest }, admin) {
+        if (!carrierId) {
+            throw new ValidationError('Carrier is required', 'carrier');
+        }
+
+        // Orders can only be tracked with a carrier that has an adapter
+        const carrier = carrierRegistry.get(carrierId);
+
+        if (!carrier) {
+            throw new ValidationError(`Unsupported carrier: ${carrierId}`, 'carrier');
+        }
+
+        if (!trackingNumber) {
+            throw new ValidationError('Tracking number is required', 'tracking_number');
+        }
+
+        const shipment = await this.getShipment(shipmentId);
+
+        if (shipment.status !== 'open') {
+            throw new ConflictError(`Shipment is already ${shipment.status}`);
+        }
+
+        if (!carrier.supportedCountries.includes(shipment.destination_country)) {
+            throw new ValidationError(`${carrier.name} does not deliver to ${shipment.destination_country}`, 'carrier');
+        }
+
+        const { data: claimed, error: claimError } = await supabase
+            .from('shipments')
+            .update({ status: 'dispatching', updated_at: new Date().toISOString() })
+            .eq('id', shipmentId)
+            .eq('status', 'open')
+            .select();
+
+        if (claimError) {
+            throw new Error(`Failed to claim shipment ${shipmentId}: ${claimError.message}`);
+        }
+
+        if (!claimed || claimed.length === 0) {
+            throw new ConflictError('Shipment is already being dispatched');
+        }
+
+        // Read after the claim, so orders added since getShipment() are included
+        const { data: shipmentOrders, error: ordersError } = await supabase
+            .from('orders')
+            .select('id, status, user_id, country, total_price, currency, tracking_number, bulk_shipment_created_at')
+            .eq('shipment_id', shipmentId);
+
+        if (ordersError) {
+            await this.reopenShipment(shipment);
+            throw new Error(`Failed to load orders of shipment ${shipmentId}: ${ordersError.message}`);
+        }
+
+        const orders = (shipmentOrders || []).filter(order => order.status === 'processing');
+        const now = new Date().toISOString();
+
+        // Orders cancelled at the hub no longer belong on the shipment
+        for (const order of (shipmentOrders || []).filter(order => order.status !== 'processing')) {
+            await supabase
+                .from('orders')
+                .update({ shipment_id: null })
+                .eq('id', order.id);
+        }
+
+        const shippedOrders = [];
+        const failed = [];
+
+        for (const order of orders) {
+            try {
+                const { order: shippedOrder } = await orderStateMachine.transition(order.id, 'shipped', {
+                    actor: { type: 'admin', id: admin.id },
+                    reason: 'shipment_dispatched',
+                    updates: {
+                        carrier: carrier.id,
+                        tracking_number: trackingNumber,
+                        shipped_at: now
+                    },
+                    metadata: { shipment_id: shipmentId }
+                });
+
+                shippedOrders.push(shippedOrder);
+            } catch (transitionError) {
+                logger.error(`Failed to ship order ${order.id} with shipment ${shipmentId}:`, transitionError);
+                failed.push(order.id);
+            }
+        }
+
+        // Nothing left the hub, so the shipment stays open
+        if (shippedOrders.length === 0) {
+            await this.reopenShipment(shipment);
+            throw new ConflictError(orders.length === 0
+                ? 'Shipment has no orders to dispatch'
+                : 'None of the shipment\'s orders could be shipped');
+        }
+
+        const { data: dispatched, error } = await supabase
+            .from('shipments')
+            .update({
+                status: 'dispatched',
+                carrier: carrier.id,
+                tracking_number: trackingNumber,
+                order_count: shippedOrders.length,
+                parcel_count: manifest.totals.parcels,
+                total_weight_kg: manifest.totals.weight_kg,
+                declared_value: manifest.totals.declared_value,
+                declared_currency: manifest.totals.currency,
+                dispatch_issue: failed.length > 0 ? `Orders not shipped: ${failed.join(', ')}` : null,
+                dispatched_by: admin.id,
+                dispatched_at: now,
+                updated_at: now
+            })
+            .eq('id', shipmentId)
+            .eq('status', 'dispatching')
+            .select();
+
+        if (error || !dispatched || dispatched.length === 0) {
+            // The orders are shipped with this tracking number; only the shipment record is behind
+            logger.error(`Shipment ${shipmentId} could not be marked dispatched after its orders were shipped`, {
+                trackingNumber,
+                shippedOrders: shippedOrders.map(order => order.id),
+                error: error ? error.message : 'shipment is no longer dispatching'
+            });
+            throw new ConflictError('Shipment changed while it was being dispatched; its orders were shipped');
+        }
+
+        let dispatchedShipment = dispatched[0];
+        let movedTo = null;
+
+        // Orders that failed, or were added by a bulk shipping run that read
+        // the shipment before it was claimed, go with the next shipment
+        try {
+            const moved = await this.moveUnshippedOrders(dispatchedShipment);
+
+            if (moved.orders.length > 0) {
+                movedTo = this.getShipmentNumber(moved.shipment);
+
+                const { data: flagged } = await supabase
+                    .from('shipments')
+                    .update({
+                        dispatch_issue: `Orders not shipped, moved to ${movedTo}: ${moved.orders.join(', ')}`,
+                        updated_at: new Date().toISOString()
+                    })
+                    .eq('id', shipmentId)
+                    .select();
+
+                if (flagged && flagged[0]) {
+                    dispatchedShipment = flagged[0];
+                }
+            }
+        } catch (moveError) {
+            logger.error(`Failed to move unshipped orders off shipment ${shipmentId}:`, moveError);
+        }
+
+        try {
+            await shipmentEventService.recordDispatch(dispatchedShipment);
+        } catch (eventError) {
+            logger.error(`Failed to record dispatch of shipment ${shipmentId}:`, eventError);
+        }
+
+        for (const shippedOrder of shippedOrders) {
+            await this.notifyShipped(shippedOrder);
+        }
+
+        if (dispatchedShipment.dispatch_issue) {
+            logger.warn('Shipment dispatched with orders left unshipped', {
+                shipmentId,
+                issue: dispatchedShipment.dispatch_issue
+            });
+        }
+
+        logger.info('Shipment dispatched', {
+            shipmentId,
+            carrier: carrier.id,
+            trackingNumber,
+            orders: shippedOrders.length,
+            adminId: admin.id
+        });
+
+        return {
+            shipment: dispatchedShipment,
+            shipped: shippedOrders.length,
+            skipped: (shipmentOrders || []).length - shippedOrders.length,
+            failed,
+            movedTo
+        };
+    }
+
+    /**
+     * Move the orders still processing on a shipment to the next open
+     * shipment for its country
+     * @param {Object} shipment - Shipment the orders are on
+     * @returns {Promise<Object>} - { orders: moved order IDs, shipment: the shipment they joined }
+     */
+    async moveUnshippedOrders(shipment) {
+        const { data: orders, error } = await supabase
+            .from('orders')
+            .select('id')
+            .eq('shipment_id', shipment.id)
+            .eq('status', 'processing');
+
+        if (error) {
+            throw new Error(`Failed to load unshipped orders: ${error.message}`);
+        }
+
+        if (!orders || orders.length === 0) {
+            return { orders: [], shipment: null };
+        }
+
+        const next = await this.getOpenShipment(shipment.destination_country);
+
+        const { data: moved, error: moveError } = await supabase
+            .from('orders')
+            .update({ shipment_id: next.id })
+            .eq('shipment_id', shipment.id)
+            .eq('status', 'processing')
+            .select('id');
+
+        if (moveError) {
+            throw new Error(`Failed to move orders to shipment ${next.id}: ${moveError.message}`);
+        }
+
+        const ids = (moved || []).map(order => order.id);
+
+        logger.info(`Moved ${ids.length} unshipped orders from ${this.getShipmentNumber(shipment)} to ${this.getShipmentNumber(next)}`);
+
+        return { orders: ids, shipment: next };
+    }
+
+    /**
+     * Give a shipment that could not be dispatched back to the hub
+     * If the bulk shipping job opened another shipment for the country in
+     * the meantime, its orders join that one and this shipment is cancelled
+     * (one open shipment per country).
+     * @param {Object} shipment - Shipment being dispatched
+     */
+    async reopenShipment(shipment) {
+        const { error } = await supabase
+            .from('shipments')
+            .update({ status: 'open', updated_at: new Date().toISOString() })
+            .eq('id', shipment.id)
+            .eq('status', 'dispatching');
+
+        if (!error) {
+            return;
+        }
+
+        if (error.code !== UNIQUE_VIOLATION) {
+            logger.error(`Shipment ${shipment.id} is stuck dispatching: ${error.message}`);
+            return;
+        }
+
+        try {
+            const moved = await this.moveUnshippedOrders(shipment);
+
+            await supabase
+                .from('shipments')
+                .update({
+                    status: 'cancelled',
+                    dispatch_issue: moved.shipment
+                        ? `Not dispatched; orders moved to ${this.getShipmentNumber(moved.shipment)}`
+                        : 'Not dispatched',
+                    updated_at: new Date().toISOString()
+                })
+                .eq('id', shipment.id)
+                .eq('status', 'dispatching');
+        } catch (moveError) {
+            logger.error(`Shipment ${shipment.id} is stuck dispatching:`, moveError);
+        }
+    }
+
+    /**
+     * Re-estimate delivery from the dispatch date and tell the customer
+     */
+    async notifyShipped(order) {
+        let window = null;
+
+        try {
+            window = await etaService.refine(order, { status: 'shipped' });
+
+            if (window) {
+                await supabase
+                    .from('orders')
+                    .update(etaService.toOrderColumns(window))
+                    .eq('id', order.id);
+            }
+        } catch (error) {
+            logger.error(`Failed to estimate delivery for order ${order.id}:`, error);
+        }
+
+        try {
+            const { data: user } = await supabase
+                .from('users')
+                .select('email, full_name')
+                .eq('id', order.user_id)
+                .single();
+
+            if (!user) {
+                return;
+            }
+
+            const journey = await shipmentEventService.getOrderTimeline(order);
+
+            await emailService.sendOrderTrackingEmail(
+                user.email,
+                {
+                    orderId: order.id,
+                    orderNumber: order.id.slice(-8).toUpperCase(),
+                    trackingNumber: order.tracking_number,
+                    customerName: user.full_name
+                },
+                {
+                    status: 'shipped',
+                    description: 'Your order has left our consolidation hub',
+                    estimatedDelivery: window ? etaService.formatRange(window) : null,
+                    timestamp: order.shipped_at,
+                    journey: journey.map(event => shipmentEventService.toPublicEvent(event))
+                },
+                order.user_id
+            );
+        } catch (error) {
+            logger.error(`Failed to send shipping notification for order ${order.id}:`, error);
+        }
+    }
+}
+
+module.exports = new ShipmentService();
@@ -0,0 +1,326 @@
+/**
+ * Tracking Processor
+ *
+ * Applies carrier tracking to the orders of a shipment, whether it was
+ * polled by the delivery tracking job or pushed by the carrier to
+ * POST /tracking/webhook/:carrier:
+ * - Moves orders to the order status of the latest carrier event, never
+ *   backwards (see orderStateMachine)
+ * - Refines the delivery range and emails the customer on status changes
+ * - Decides when the order is polled next. Orders out for delivery are
+ *   polled every half hour, parcels on a long leg with no scans (sea
+ *   freight, line haul) once a day, and carriers that push their events
+ *   only as a safety net.
+ *
+ * @author Mallgram Backend Team
+ */
+
+const { supabase } = require('../../config/supabase');
+const logger = require('../../config/logger');
+const emailService = require('../emailService');
+const orderStateMachine = require('../orders/orderStateMachine');
+const etaService = require('../orders/etaService');
+const shipmentEventService = require('./shipmentEventService');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Hours until an order is polled again, by the tracking status of its latest carrier event
+const POLL_INTERVAL_HOURS = {
+    label_created: 6,
+    picked_up: 4,
+    in_transit: 4,
+    customs: 6,
+    out_for_delivery: 0.5,
+    available_for_pickup: 6,
+    delivered: 24,
+    delivery_failed: 2,
+    exception: 2,
+    return_to_sender: 12,
+    unknown: 6
+};
+
+// A moving parcel with no carrier event for this long is on a long leg: poll daily
+const LONG_LEG_STATUSES = ['picked_up', 'in_transit', 'customs'];
+const LONG_LEG_QUIET_HOURS = 48;
+const LONG_LEG_POLL_HOURS = 24;
+
+// Carriers that push their events are polled at most this often
+const WEBHOOK_POLL_HOURS = 12;
+
+// After a failed poll
+const RETRY_POLL_HOURS = 2;
+
+// Order fields needed to apply tracking, refine the ETA and email the customer
+const ORDER_FIELDS = `
+    id,
+    tracking_number,
+    status,
+    carrier,
+    user_id,
+    country,
+    created_at,
+    bulk_shipment_created_at,
+    shipped_at,
+    estimated_delivery_min,
+    estimated_delivery_max,
+    users(email, full_name)
+`;
+
+class TrackingProcessor {
+    constructor() {
+        this.orderFields = ORDER_FIELDS;
+    }
+
+    /**
+     * Apply a carrier's tracking result to one order
+     * Events are expected to be recorded already (shipmentEventService).
+     * @param {Object} order - Order with ORDER_FIELDS
+     * @param {Object} carrier - Carrier adapter
+     * @param {Object} trackingData - Result of carrier.track() or carrier.toTrackingResult()
+     * @param {Object} options - { source: 'poll' | 'webhook' }
+     * @returns {Promise<Object>} - Tracking update, with status_changed and notified
+     */
+    async applyTracking(order, carrier, trackingData, { source = 'poll' } = {}) {
+        const newStatus = carrier.mapStatus(trackingData.status);
+
+        // Carrier events can arrive late or out of order; never move an order backwards.
+        // Events with no order status (codes the adapter does not map) only refresh the ETA.
+        const statusChanged = !!newStatus && orderStateMachine.canTransition(order.status, newStatus);
+
+        const trackingUpdate = {
+            status_changed: statusChanged,
+            new_status: newStatus,
+            tracking_status: trackingData.tracking_status,
+            carrier: carrier.id,
+            source,
+            tracking_data: trackingData,
+            carrier_response: trackingData.raw_response,
+            location: trackingData.location,
+            estimated_delivery: trackingData.estimated_delivery,
+            last_update: new Date().toISOString(),
+            notified: false
+        };
+
+        trackingUpdate.delivery_window = await etaService.refine(order, {
+            status: statusChanged ? newStatus : order.status,
+            estimated_delivery: trackingData.estimated_delivery
+        });
+
+        const schedule = {
+            last_tracked_at: trackingUpdate.last_update,
+            next_tracking_check_at: this.getNextCheckAt(carrier, trackingData).toISOString()
+        };
+
+        if (statusChanged) {
+            await this.updateOrderStatus(order.id, trackingUpdate, schedule);
+
+            if (order.users?.email) {
+                await this.sendTrackingNotification(order, trackingUpdate);
+                trackingUpdate.notified = true;
+            }
+        } else {
+            await this.updateTracking(order, trackingUpdate.delivery_window, schedule);
+        }
+
+        return trackingUpdate;
+    }
+
+    /**
+     * Apply tracking events a carrier pushed for one tracking number
+     * The result is rebuilt from every stored carrier event of the tracking
+     * number, so a late push of an older event does not count as the latest.
+     * @param {Object} carrier - Carrier adapter
+     * @param {Object} shipment - { tracking_number, events, estimated_delivery } from carrier.parseWebhook()
+     * @param {Object} payload - Push notification body
+     * @returns {Promise<Object>} - { recorded, orders, updated }
+     */
+    async processPush(carrier, { tracking_number: trackingNumber, events, estimated_delivery }, payload) {
+        const recorded = await shipmentEventService.recordCarrierEvents(carrier, trackingNumber, events);
+
+        const storedEvents = (await shipmentEventService.getTrackingEvents(trackingNumber))
+            .filter(event => event.source === 'carrier' && event.carrier === carrier.id)
+            .map(event => ({
+                code: event.code,
+                description: event.description,
+                location: event.location,
+                timestamp: event.occurred_at
+            }));
+
+        const trackingData = carrier.toTrackingResult(storedEvents, {
+            estimated_delivery: estimated_delivery || null,
+            raw_response: payload
+        });
+
+        const { data: orders, error } = await supabase
+            .from('orders')
+            .select(ORDER_FIELDS)
+            .eq('carrier', carrier.id)
+            .eq('tracking_number', trackingNumber)
+            .in('status', orderStateMachine.inFlightStatuses);
+
+        if (error) {
+            throw new Error(`Failed to fetch orders for ${trackingNumber}: ${error.message}`);
+        }
+
+        const stats = { recorded: recorded.length, orders: orders.length, updated: 0 };
+
+        if (!trackingData) {
+            return stats;
+        }
+
+        for (const order of orders) {
+            try {
+                const trackingUpdate = await this.applyTracking(order, carrier, trackingData, { source: 'webhook' });
+
+                if (trackingUpdate.status_changed) {
+                    stats.updated++;
+                }
+            } catch (error) {
+                logger.error(`Failed to apply pushed tracking to order ${order.id}:`, error);
+            }
+        }
+
+        return stats;
+    }
+
+    /**
+     * When to poll an order again
+     * @param {Object} carrier - Carrier adapter
+     * @param {Object} trackingData - Latest tracking result
+     * @param {number} [now] - Current time in ms
+     * @returns {Date}
+     */
+    getNextCheckAt(carrier, trackingData, now = Date.now()) {
+        const status = trackingData.tracking_status;
+        let hours = POLL_INTERVAL_HOURS[status] || POLL_INTERVAL_HOURS.unknown;
+
+        const quietHours = (now - new Date(trackingData.timestamp).getTime()) / HOUR_MS;
+
+        if (LONG_LEG_STATUSES.includes(status) && quietHours >= LONG_LEG_QUIET_HOURS) {
+            hours = LONG_LEG_POLL_HOURS;
+        }
+
+        if (carrier.acceptsWebhooks()) {
+            hours = Math.max(hours, WEBHOOK_POLL_HOURS);
+        }
+
+        return new Date(now + hours * HOUR_MS);
+    }
+
+    /**
+     * Push back the next poll of an order whose tracking failed
+     * @param {Object} order - Order record
+     */
+    async scheduleRetry(order) {
+        const { error } = await supabase
+            .from('orders')
+            .update({ next_tracking_check_at: new Date(Date.now() + RETRY_POLL_HOURS * HOUR_MS).toISOString() })
+            .eq('id', order.id);
+
+        if (error) {
+            logger.error(`Failed to reschedule tracking for order ${order.id}:`, error);
+        }
+    }
+
+    /**
+     * Move an order to the status of its latest carrier event
+     */
+    async updateOrderStatus(orderId, trackingUpdate, schedule = {}) {
+        try {
+            const updateData = {
+                tracking_data: trackingUpdate.tracking_data,
+                ...schedule
+            };
+
+            if (trackingUpdate.estimated_delivery) {
+                updateData.estimated_delivery = trackingUpdate.estimated_delivery;
+            }
+
+            if (trackingUpdate.delivery_window) {
+                Object.assign(updateData, etaService.toOrderColumns(trackingUpdate.delivery_window));
+            }
+
+            if (trackingUpdate.new_status === 'delivered') {
+                updateData.delivered_at = new Date().toISOString();
+            }
+
+            await orderStateMachine.transition(orderId, trackingUpdate.new_status, {
+                actor: { type: 'carrier', id: trackingUpdate.carrier },
+                reason: 'tracking_update',
+                updates: updateData,
+                metadata: {
+                    carrier_status: trackingUpdate.tracking_data?.status,
+                    tracking_status: trackingUpdate.tracking_status,
+                    location: trackingUpdate.location,
+                    source: trackingUpdate.source
+                }
+            });
+
+            logger.info(`Order ${orderId} status updated to ${trackingUpdate.new_status}`);
+
+        } catch (error) {
+            logger.error(`Failed to update order ${orderId} status:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Store the next poll time, and a refined delivery range when it changed
+     */
+    async updateTracking(order, window, schedule) {
+        const updateData = { ...schedule };
+
+        if (window && (order.estimated_delivery_min !== window.earliest || order.estimated_delivery_max !== window.latest)) {
+            Object.assign(updateData, etaService.toOrderColumns(window));
+        }
+
+        const { error } = await supabase
+            .from('orders')
+            .update(updateData)
+            .eq('id', order.id);
+
+        if (error) {
+            logger.error(`Failed to update tracking of order ${order.id}:`, error);
+        }
+    }
+
+    /**
+     * Send tracking notification email
+     */
+    async sendTrackingNotification(order, trackingUpdate) {
+        try {
+            const orderData = {
+                orderId: order.id,
+                orderNumber: order.id.slice(-8).toUpperCase(),
+                trackingNumber: order.tracking_number,
+                status: trackingUpdate.new_status,
+                customerName: order.users.full_name
+            };
+
+            const journey = await shipmentEventService.getOrderTimeline(order);
+
+            await emailService.sendOrderTrackingEmail(
+                order.users.email,
+                orderData,
+                {
+                    status: trackingUpdate.new_status,
+                    location: trackingUpdate.tracking_data?.location,
+                    description: trackingUpdate.tracking_data?.description,
+                    estimatedDelivery: trackingUpdate.delivery_window
+                        ? etaService.formatRange(trackingUpdate.delivery_window)
+                        : null,
+                    timestamp: trackingUpdate.last_update,
+                    journey: journey.map(event => shipmentEventService.toPublicEvent(event))
+                },
+                order.user_id
+            );
+
+            logger.info(`Tracking notification sent for order ${order.id}`);
+
+        } catch (error) {
+            logger.error(`Failed to send tracking notification for order ${order.id}:`, error);
+        }
+    }
+}
+
+module.exports = new TrackingProcessor();
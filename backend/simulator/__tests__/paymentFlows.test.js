@@ -0,0 +1,135 @@
+/**
+ * Payment flows against the simulator: a payment initialized through the
+ * API completes (or never does) at the simulated gateway, whose signed
+ * webhook or the expiry job decides whether the order is paid
+ */
+
+jest.mock('../../config/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+jest.mock('../../config/supabase', () => require('../../test/supabaseMock').module);
+jest.mock('../../services/emailService', () => ({ sendOrderConfirmationEmail: jest.fn() }));
+jest.mock('../../services/fulfilment', () => ({ createPurchaseOrders: jest.fn() }));
+
+process.env.JWT_SECRET = 'simulator-flow-secret';
+process.env.KORA_PAY_SECRET_KEY = 'sk_test_kora';
+process.env.KORA_PAY_WEBHOOK_SECRET = 'whsec_kora';
+process.env.SIMULATOR_SCENARIO = 'manual';
+
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const db = require('../../test/supabaseMock');
+const simulator = require('../index');
+const { captureRawBody } = require('../../middleware/rawBody');
+const { errorHandler } = require('../../middleware/errorHandler');
+const paymentGatewayRegistry = require('../../services/payments');
+const paymentExpiry = require('../../scripts/paymentExpiry');
+
+const api = express();
+api.use(express.json({ verify: captureRawBody }));
+api.use(express.urlencoded({ extended: true, verify: captureRawBody }));
+api.use('/api/v1/payments', require('../../routes/payments'));
+api.use(errorHandler);
+
+const user = { id: 'user-1', email: 'ama@example.com', full_name: 'Ama Mensah', country: 'CM', is_active: true };
+const token = jwt.sign({ sub: user.id }, process.env.JWT_SECRET);
+const servers = [];
+let apiUrl;
+let simulatorUrl;
+
+const listen = (app) => new Promise(resolve => {
+    const server = app.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}`));
+    servers.push(server);
+});
+
+const initialize = () => request(apiUrl)
+    .post('/api/v1/payments/initialize')
+    .set('Authorization', `Bearer ${token}`)
+    .send({ order_id: 'ord-5f2c9a17', payment_method: 'kora' });
+
+const complete = (paymentId, scenario) => request(simulatorUrl)
+    .post(`/__simulator/payments/${encodeURIComponent(paymentId)}/complete`)
+    .send({ scenario });
+
+beforeAll(async () => {
+    simulatorUrl = await listen(simulator);
+    apiUrl = await listen(api);
+
+    process.env.API_URL = `${apiUrl}/api/v1`;
+    paymentGatewayRegistry.get('kora').baseUrl = `${simulatorUrl}/kora`;
+});
+
+afterAll(async () => {
+    await Promise.all(servers.map(server => new Promise(resolve => server.close(resolve))));
+});
+
+beforeEach(async () => {
+    jest.clearAllMocks();
+    db.reset({
+        users: [user],
+        orders: [{
+            id: 'ord-5f2c9a17',
+            user_id: user.id,
+            status: 'pending',
+            payment_status: 'pending',
+            total_price: 15000,
+            currency: 'XAF',
+            fx_rate_snapshot: { rate: 600, source: 'fixture' },
+            country: 'CM',
+            order_items: [],
+            created_at: new Date().toISOString()
+        }]
+    }, {
+        payment_events: [['gateway', 'event_key']]
+    });
+    db.rpcHandlers.release_order_stock = jest.fn();
+
+    await request(simulatorUrl).post('/__simulator/reset');
+});
+
+describe('simulated Kora Pay checkout', () => {
+    it('marks the order paid when the gateway reports success', async () => {
+        const response = await initialize();
+
+        expect(response.status).toBe(200);
+        expect(response.body.data).toMatchObject({ payment_method: 'kora', amount: 15000, currency: 'XAF', attempt_number: 1 });
+        expect(response.body.data.payment_url).toContain('/checkout/kora/');
+
+        const { payment_id: paymentId } = response.body.data;
+        await complete(paymentId, 'success').expect(200);
+
+        expect(db.tables.payments[0]).toMatchObject({ id: paymentId, status: 'success' });
+        expect(db.tables.orders[0]).toMatchObject({ status: 'paid', payment_status: 'success' });
+        expect(db.tables.payment_events[0]).toMatchObject({ gateway: 'kora', source: 'webhook', outcome: 'applied' });
+    });
+
+    it('leaves the order unpaid and open to another attempt when the payment fails', async () => {
+        const { body } = await initialize();
+
+        await complete(body.data.payment_id, 'failure').expect(200);
+
+        expect(db.tables.payments[0].status).toBe('failed');
+        expect(db.tables.orders[0]).toMatchObject({ status: 'pending', payment_status: 'pending' });
+
+        const retry = await initialize();
+
+        expect(retry.status).toBe(200);
+        expect(retry.body.data.attempt_number).toBe(2);
+    });
+
+    it('expires the payment and cancels the order when the gateway never answers', async () => {
+        const { body } = await initialize();
+        const { payment_id: paymentId } = body.data;
+
+        // Nothing comes back from the gateway: the attempt and then the
+        // order's payment window run out
+        db.tables.payments[0].expires_at = new Date(Date.now() - 60 * 1000).toISOString();
+        db.tables.orders[0].created_at = new Date(Date.now() - 72 * 60 * 60 * 1000).toISOString();
+
+        const result = await paymentExpiry.execute();
+
+        expect(result.stats).toMatchObject({ expired_payments: 1, cancelled_orders: 1, errors: 0 });
+        expect(db.tables.payments[0]).toMatchObject({ id: paymentId, status: 'expired' });
+        expect(db.tables.orders[0]).toMatchObject({ status: 'cancelled', payment_status: 'pending' });
+        expect(db.rpcHandlers.release_order_stock).toHaveBeenCalledWith({ p_order_id: 'ord-5f2c9a17' });
+    });
+});
@@ -0,0 +1,47 @@
+/**
+ * Simulated Aramex
+ *
+ * Endpoint: POST /Tracking/Service_1_0.svc/json/TrackShipments
+ *
+ * @author Mallgram Backend Team
+ */
+
+const express = require('express');
+const journeys = require('./journeys');
+
+const router = express.Router();
+
+router.post('/Tracking/Service_1_0.svc/json/TrackShipments', (req, res) => {
+    const waybills = req.body.Shipments || [];
+
+    if (!req.body.ClientInfo || !req.body.ClientInfo.UserName) {
+        return res.json({
+            HasErrors: true,
+            Notifications: [{ Code: 'ERR01', Message: 'Invalid user name or password' }],
+            TrackingResults: []
+        });
+    }
+
+    res.json({
+        HasErrors: false,
+        Notifications: [],
+        NonExistingWaybills: [],
+        TrackingResults: waybills.map(waybill => ({
+            Key: waybill,
+            Value: journeys.getEvents('aramex', waybill).map(event => ({
+                WaybillNumber: waybill,
+                UpdateCode: event.code,
+                UpdateDescription: event.description,
+                UpdateDateTime: `/Date(${new Date(event.timestamp).getTime()}+0000)/`,
+                UpdateLocation: event.location,
+                Comments: '',
+                ProblemCode: ''
+            }))
+        }))
+    });
+});
+
+module.exports = {
+    id: 'aramex',
+    router
+};
@@ -0,0 +1,36 @@
+/**
+ * Simulated Campost
+ *
+ * Endpoint: GET /tracking/v1/items/:itemId
+ *
+ * @author Mallgram Backend Team
+ */
+
+const express = require('express');
+const journeys = require('./journeys');
+
+const router = express.Router();
+
+router.get('/tracking/v1/items/:itemId', (req, res) => {
+    res.json({
+        item: {
+            itemId: req.params.itemId,
+            events: journeys.getEvents('campost', req.params.itemId).map(event => {
+                const [office, country] = event.location.split(', ');
+
+                return {
+                    eventCode: event.code,
+                    eventName: event.description,
+                    office,
+                    country,
+                    eventDate: event.timestamp
+                };
+            })
+        }
+    });
+});
+
+module.exports = {
+    id: 'campost',
+    router
+};
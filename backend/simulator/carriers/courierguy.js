@@ -0,0 +1,41 @@
+/**
+ * Simulated The Courier Guy (ShipLogic)
+ *
+ * Endpoint: GET /v2/tracking/shipments?tracking_reference=
+ *
+ * @author Mallgram Backend Team
+ */
+
+const express = require('express');
+const journeys = require('./journeys');
+
+const router = express.Router();
+
+router.get('/v2/tracking/shipments', (req, res) => {
+    const reference = req.query.tracking_reference;
+
+    if (!reference) {
+        return res.status(400).json({ message: 'tracking_reference is required' });
+    }
+
+    const events = journeys.getEvents('courierguy', reference);
+
+    res.json({
+        shipments: [{
+            short_tracking_reference: reference,
+            status: events[0].code,
+            estimated_delivery_to: null,
+            tracking_events: events.map(event => ({
+                status: event.code,
+                message: event.description,
+                location: event.location,
+                date: event.timestamp
+            }))
+        }]
+    });
+});
+
+module.exports = {
+    id: 'courierguy',
+    router
+};
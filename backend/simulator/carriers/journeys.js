@@ -0,0 +1,106 @@
+/**
+ * Simulated Carrier Journeys
+ *
+ * Tracking history served by the simulated carriers. Each carrier has a
+ * fixture file (fixtures/<carrier>.json) with the events of a few
+ * scenarios in its own event codes: in_transit, out_for_delivery,
+ * delivered and exception. A tracking number follows
+ * SIMULATOR_TRACKING_SCENARIO until the control API picks another
+ * scenario for it.
+ *
+ * Event times are hours before the tracking number was first looked up,
+ * so repeated polls return the same history.
+ *
+ * @author Mallgram Backend Team
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+
+class SimulatedJourneys {
+    constructor() {
+        this.parcels = new Map();
+        this.fixtures = new Map();
+    }
+
+    /**
+     * Scenarios of a carrier's fixture file
+     */
+    getScenarios(carrier) {
+        if (!this.fixtures.has(carrier)) {
+            const fixturePath = path.join(__dirname, 'fixtures', `${carrier}.json`);
+            this.fixtures.set(carrier, JSON.parse(fs.readFileSync(fixturePath, 'utf8')));
+        }
+
+        return this.fixtures.get(carrier);
+    }
+
+    /**
+     * Check whether a carrier's fixture has a scenario
+     */
+    isValid(carrier, scenario) {
+        return Object.prototype.hasOwnProperty.call(this.getScenarios(carrier), scenario);
+    }
+
+    /**
+     * Events of a tracking number, newest first
+     * @param {string} carrier - Simulated carrier ID
+     * @param {string} trackingNumber - Tracking number asked for
+     * @returns {Array} - [{ code, description, location, timestamp }]
+     */
+    getEvents(carrier, trackingNumber) {
+        const parcel = this.getParcel(carrier, trackingNumber);
+        const scenarios = this.getScenarios(carrier);
+        const events = scenarios[parcel.scenario] || scenarios.in_transit;
+
+        return events
+            .map(event => ({
+                code: event.code,
+                description: event.description,
+                location: event.location,
+                timestamp: new Date(parcel.firstSeen - event.hours_ago * 60 * 60 * 1000).toISOString()
+            }))
+            .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+    }
+
+    /**
+     * Pick the scenario a tracking number follows from now on
+     */
+    setScenario(carrier, trackingNumber, scenario) {
+        const parcel = this.getParcel(carrier, trackingNumber);
+        parcel.scenario = scenario;
+        return parcel;
+    }
+
+    getParcel(carrier, trackingNumber) {
+        const key = `${carrier}:${trackingNumber}`;
+
+        if (!this.parcels.has(key)) {
+            this.parcels.set(key, {
+                carrier,
+                trackingNumber,
+                scenario: config.defaultTrackingScenario,
+                firstSeen: Date.now()
+            });
+        }
+
+        return this.parcels.get(key);
+    }
+
+    /**
+     * Every tracking number looked up so far
+     */
+    list() {
+        return Array.from(this.parcels.values());
+    }
+
+    /**
+     * Forget every tracking number
+     */
+    reset() {
+        this.parcels.clear();
+    }
+}
+
+module.exports = new SimulatedJourneys();
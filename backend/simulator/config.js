@@ -0,0 +1,35 @@
+/**
+ * Simulator Configuration
+ *
+ * The simulator reads the same gateway secrets as the backend so that the
+ * webhooks it sends pass the backend's signature checks.
+ *
+ * @author Mallgram Backend Team
+ */
+
+require('dotenv').config();
+
+const port = parseInt(process.env.SIMULATOR_PORT) || 4010;
+
+module.exports = {
+    port,
+
+    // URL the backend and browsers use to reach the simulator
+    publicUrl: process.env.SIMULATOR_URL || `http://localhost:${port}`,
+
+    // Scenario run automatically after each payment is created:
+    // success, failure, delayed, duplicate, silent, or manual (wait for the control API)
+    defaultScenario: process.env.SIMULATOR_SCENARIO || 'success',
+    autoCompleteMs: parseInt(process.env.SIMULATOR_AUTO_COMPLETE_MS) || 1000,
+    delayMs: parseInt(process.env.SIMULATOR_DELAY_MS) || 10000,
+
+    // Journey simulated carriers report for new tracking numbers:
+    // in_transit, out_for_delivery, delivered or exception
+    defaultTrackingScenario: process.env.SIMULATOR_TRACKING_SCENARIO || 'in_transit',
+
+    secrets: {
+        koraWebhookSecret: process.env.KORA_PAY_WEBHOOK_SECRET,
+        payFastPassphrase: process.env.PAYFAST_PASSPHRASE,
+        payGateKey: process.env.PAYGATE_SECRET_KEY
+    }
+};
@@ -0,0 +1,107 @@
+/**
+ * Simulated Kora Pay
+ *
+ * Endpoints: charge initialize, charge status and refund initiate.
+ * Webhooks are JSON signed with HMAC-SHA512 of the body (x-kora-signature).
+ *
+ * @author Mallgram Backend Team
+ */
+
+const express = require('express');
+const crypto = require('crypto');
+const config = require('../config');
+const store = require('../store');
+const scenarioRunner = require('../scenarios');
+
+const router = express.Router();
+
+router.post('/merchant/api/v1/charges/initialize', (req, res) => {
+    const { reference, amount, currency, notification_url, redirect_url } = req.body;
+
+    const payment = store.create('kora', reference, {
+        amount,
+        currency,
+        webhookUrl: notification_url,
+        redirectUrl: redirect_url
+    });
+    scenarioRunner.schedule(payment);
+
+    res.json({
+        status: true,
+        message: 'Charge created successfully',
+        data: {
+            reference,
+            checkout_url: `${config.publicUrl}/checkout/kora/${encodeURIComponent(reference)}`
+        }
+    });
+});
+
+router.get('/merchant/api/v1/charges/:reference', (req, res) => {
+    const payment = store.get('kora', req.params.reference);
+
+    if (!payment) {
+        return res.status(404).json({ status: false, message: 'Charge not found' });
+    }
+
+    res.json({
+        status: true,
+        message: 'Charge retrieved successfully',
+        data: {
+            reference: payment.reference,
+            status: payment.status === 'pending' ? 'processing' : payment.status,
+            amount: payment.amount,
+            currency: payment.currency
+        }
+    });
+});
+
+router.post('/merchant/api/v1/refunds/initiate', (req, res) => {
+    const payment = store.get('kora', req.body.payment_reference);
+
+    if (!payment || payment.status !== 'success') {
+        return res.status(400).json({ status: false, message: 'Charge cannot be refunded' });
+    }
+
+    res.json({
+        status: true,
+        message: 'Refund initiated successfully',
+        data: {
+            reference: req.body.reference,
+            amount: req.body.amount,
+            status: 'processing'
+        }
+    });
+});
+
+/**
+ * Build a signed charge webhook
+ */
+const buildWebhook = (payment) => {
+    const body = JSON.stringify({
+        event: payment.status === 'success' ? 'charge.success' : 'charge.failed',
+        data: {
+            reference: payment.reference,
+            status: payment.status,
+            amount: payment.amount,
+            currency: payment.currency
+        }
+    });
+
+    return {
+        url: payment.webhookUrl,
+        body,
+        headers: {
+            'Content-Type': 'application/json',
+            'x-kora-signature': crypto
+                .createHmac('sha512', config.secrets.koraWebhookSecret || '')
+                .update(body)
+                .digest('hex')
+        }
+    };
+};
+
+module.exports = {
+    id: 'kora',
+    router,
+    buildWebhook
+};
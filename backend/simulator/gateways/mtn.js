@@ -0,0 +1,159 @@
+/**
+ * Simulated MTN Mobile Money
+ *
+ * Endpoints: collection/disbursement tokens, request to pay, request to pay
+ * status, disbursement refunds and transfers (refunds and affiliate
+ * payouts, which succeed straight away). Callbacks are JSON posted to the
+ * X-Callback-Url given at request to pay (which carries our callback token).
+ *
+ * @author Mallgram Backend Team
+ */
+
+const express = require('express');
+const crypto = require('crypto');
+const store = require('../store');
+const scenarioRunner = require('../scenarios');
+
+const router = express.Router();
+
+// Disbursement transfers by X-Reference-Id
+const transfers = new Map();
+
+// Refunds by X-Reference-Id
+const refunds = new Map();
+
+const STATUS_MAP = {
+    pending: 'PENDING',
+    success: 'SUCCESSFUL',
+    failed: 'FAILED'
+};
+
+router.post('/:product(collection|disbursement)/token/', (req, res) => {
+    res.json({
+        access_token: crypto.randomBytes(24).toString('hex'),
+        token_type: 'access_token',
+        expires_in: 3600
+    });
+});
+
+router.post('/collection/v1_0/requesttopay', (req, res) => {
+    const referenceId = req.get('X-Reference-Id');
+
+    if (!referenceId) {
+        return res.status(400).json({ code: 'INVALID_REFERENCE_ID', message: 'X-Reference-Id is required' });
+    }
+
+    const payment = store.create('mtn', referenceId, {
+        amount: req.body.amount,
+        currency: req.body.currency,
+        webhookUrl: req.get('X-Callback-Url'),
+        data: {
+            externalId: req.body.externalId,
+            payer: req.body.payer
+        }
+    });
+    scenarioRunner.schedule(payment);
+
+    res.status(202).end();
+});
+
+router.get('/collection/v1_0/requesttopay/:referenceId', (req, res) => {
+    const payment = store.get('mtn', req.params.referenceId);
+
+    if (!payment) {
+        return res.status(404).json({ code: 'RESOURCE_NOT_FOUND', message: 'Requested resource was not found.' });
+    }
+
+    res.json(toStatusBody(payment));
+});
+
+router.post('/disbursement/v2_0/refund', (req, res) => {
+    const payment = store.get('mtn', req.body.referenceIdToRefund);
+
+    if (!payment || payment.status !== 'success') {
+        return res.status(409).json({ code: 'NOT_ALLOWED', message: 'Transaction cannot be refunded' });
+    }
+
+    refunds.set(req.get('X-Reference-Id'), {
+        amount: req.body.amount,
+        currency: req.body.currency,
+        externalId: req.body.externalId,
+        financialTransactionId: crypto.randomUUID(),
+        status: 'SUCCESSFUL'
+    });
+
+    res.status(202).end();
+});
+
+router.get('/disbursement/v2_0/refund/:referenceId', (req, res) => {
+    const refund = refunds.get(req.params.referenceId);
+
+    if (!refund) {
+        return res.status(404).json({ code: 'RESOURCE_NOT_FOUND', message: 'Requested resource was not found.' });
+    }
+
+    res.json(refund);
+});
+
+router.post('/disbursement/v1_0/transfer', (req, res) => {
+    const referenceId = req.get('X-Reference-Id');
+
+    if (!referenceId) {
+        return res.status(400).json({ code: 'INVALID_REFERENCE_ID', message: 'X-Reference-Id is required' });
+    }
+
+    if (transfers.has(referenceId)) {
+        return res.status(409).json({ code: 'RESOURCE_ALREADY_EXIST', message: 'Duplicated reference id. Creation of resource failed.' });
+    }
+
+    transfers.set(referenceId, {
+        amount: req.body.amount,
+        currency: req.body.currency,
+        externalId: req.body.externalId,
+        payee: req.body.payee,
+        financialTransactionId: crypto.randomUUID(),
+        status: 'SUCCESSFUL'
+    });
+
+    res.status(202).end();
+});
+
+router.get('/disbursement/v1_0/transfer/:referenceId', (req, res) => {
+    const transfer = transfers.get(req.params.referenceId);
+
+    if (!transfer) {
+        return res.status(404).json({ code: 'RESOURCE_NOT_FOUND', message: 'Requested resource was not found.' });
+    }
+
+    res.json(transfer);
+});
+
+/**
+ * Request to pay resource as MTN returns it
+ */
+const toStatusBody = (payment) => ({
+    amount: payment.amount,
+    currency: payment.currency,
+    financialTransactionId: payment.status === 'success' ? payment.transactionId : undefined,
+    externalId: payment.data.externalId,
+    payer: payment.data.payer,
+    status: STATUS_MAP[payment.status],
+    reason: payment.status === 'failed' ? 'APPROVAL_REJECTED' : undefined
+});
+
+/**
+ * Build a request to pay callback
+ */
+const buildWebhook = (payment) => ({
+    url: payment.webhookUrl,
+    body: JSON.stringify(toStatusBody(payment)),
+    headers: {
+        'Content-Type': 'application/json'
+    }
+});
+
+module.exports = {
+    id: 'mtn',
+    router,
+    buildWebhook
+};
@@ -0,0 +1,154 @@
+/**
+ * Simulated Orange Money WebPay
+ *
+ * Endpoints: OAuth token, web payment, transaction status, refund, refund
+ * status and cash-in (affiliate payouts). Refunds are accepted as pending
+ * and report success when their status is read; cash-ins succeed straight
+ * away.
+ * Notifications are JSON carrying the notif_token issued at web payment.
+ *
+ * @author Mallgram Backend Team
+ */
+
+const express = require('express');
+const crypto = require('crypto');
+const config = require('../config');
+const store = require('../store');
+const scenarioRunner = require('../scenarios');
+
+const router = express.Router();
+
+// Cash-ins by merchant reference
+const cashIns = new Map();
+
+// Refunds by refund ID
+const refunds = new Map();
+
+const STATUS_MAP = {
+    pending: 'PENDING',
+    success: 'SUCCESS',
+    failed: 'FAILED'
+};
+
+router.post('/oauth/v2/token', (req, res) => {
+    res.json({
+        token_type: 'Bearer',
+        access_token: crypto.randomBytes(24).toString('hex'),
+        expires_in: 7776000
+    });
+});
+
+router.post('/orange-money-webpay/dev/v1/webpayment', (req, res) => {
+    const { order_id, amount, currency, notif_url, return_url } = req.body;
+
+    const payment = store.create('orange', order_id, {
+        amount,
+        currency,
+        webhookUrl: notif_url,
+        redirectUrl: return_url,
+        data: {
+            payToken: crypto.randomBytes(16).toString('hex'),
+            notifToken: crypto.randomBytes(16).toString('hex')
+        }
+    });
+    scenarioRunner.schedule(payment);
+
+    res.status(201).json({
+        status: 201,
+        message: 'OK',
+        pay_token: payment.data.payToken,
+        payment_url: `${config.publicUrl}/checkout/orange/${encodeURIComponent(order_id)}`,
+        notif_token: payment.data.notifToken
+    });
+});
+
+router.post('/orange-money-webpay/dev/v1/transactionstatus', (req, res) => {
+    const payment = store.get('orange', req.body.order_id);
+
+    if (!payment) {
+        return res.status(404).json({ code: 404, message: 'Transaction not found' });
+    }
+
+    res.json({
+        status: STATUS_MAP[payment.status],
+        order_id: payment.reference,
+        txnid: payment.status === 'success' ? payment.transactionId : undefined
+    });
+});
+
+router.post('/orange-money-webpay/dev/v1/refund', (req, res) => {
+    const payment = store.get('orange', req.body.order_id);
+
+    if (!payment || payment.status !== 'success') {
+        return res.status(400).json({ status: 'FAILED', message: 'Transaction cannot be refunded' });
+    }
+
+    const refundId = crypto.randomUUID();
+
+    refunds.set(refundId, { order_id: payment.reference, amount: req.body.amount });
+
+    res.json({
+        status: 'PENDING',
+        refund_id: refundId,
+        order_id: payment.reference
+    });
+});
+
+router.post('/orange-money-webpay/dev/v1/refund/status', (req, res) => {
+    const refund = refunds.get(req.body.refund_id);
+
+    if (!refund) {
+        return res.status(404).json({ code: 404, message: 'Refund not found' });
+    }
+
+    res.json({ status: 'SUCCESS', refund_id: req.body.refund_id, order_id: refund.order_id });
+});
+
+router.post('/orange-money-webpay/dev/v1/cashin', (req, res) => {
+    // A repeated reference returns the cash-in already made for it
+    const cashIn = cashIns.get(req.body.reference) || {
+        txnid: crypto.randomUUID(),
+        reference: req.body.reference,
+        msisdn: req.body.msisdn
+    };
+
+    cashIns.set(req.body.reference, cashIn);
+
+    res.json({
+        status: 'SUCCESS',
+        txnid: cashIn.txnid,
+        reference: cashIn.reference
+    });
+});
+
+router.post('/orange-money-webpay/dev/v1/cashin/status', (req, res) => {
+    const cashIn = cashIns.get(req.body.reference);
+
+    if (!cashIn) {
+        return res.status(404).json({ code: 404, message: 'Transaction not found' });
+    }
+
+    res.json({ status: 'SUCCESS', txnid: cashIn.txnid, reference: cashIn.reference });
+});
+
+/**
+ * Build a payment notification
+ */
+const buildWebhook = (payment) => ({
+    url: payment.webhookUrl,
+    body: JSON.stringify({
+        status: STATUS_MAP[payment.status],
+        notif_token: payment.data.notifToken,
+        txnid: payment.transactionId,
+        order_id: payment.reference
+    }),
+    headers: {
+        'Content-Type': 'application/json'
+    }
+});
+
+module.exports = {
+    id: 'orange',
+    router,
+    buildWebhook
+};
@@ -0,0 +1,122 @@
+/**
+ * Simulated PayFast
+ *
+ * Endpoints: checkout (eng/process), ITN validation and refunds.
+ * ITNs are urlencoded and signed with an MD5 of the fields in posted order,
+ * followed by the passphrase. Checkout signatures are not checked.
+ *
+ * @author Mallgram Backend Team
+ */
+
+const express = require('express');
+const crypto = require('crypto');
+const config = require('../config');
+const store = require('../store');
+const scenarioRunner = require('../scenarios');
+
+const router = express.Router();
+
+const STATUS_MAP = {
+    pending: 'PENDING',
+    success: 'COMPLETE',
+    failed: 'FAILED'
+};
+
+/**
+ * Encode a value the way PayFast does for signatures
+ */
+const encode = (value) => encodeURIComponent(String(value).trim()).replace(/%20/g, '+');
+
+const withPassphrase = (paramString) => {
+    return config.secrets.payFastPassphrase
+        ? `${paramString}&passphrase=${encode(config.secrets.payFastPassphrase)}`
+        : paramString;
+};
+
+router.get('/eng/process', (req, res) => {
+    const data = req.query;
+
+    let payment = store.get('payfast', data.m_payment_id);
+
+    if (!payment) {
+        payment = store.create('payfast', data.m_payment_id, {
+            amount: data.amount,
+            currency: 'ZAR',
+            webhookUrl: data.notify_url,
+            redirectUrl: data.return_url,
+            data: {
+                merchantId: data.merchant_id,
+                itemName: data.item_name,
+                customStr1: data.custom_str1,
+                customStr2: data.custom_str2,
+                email: data.email_address
+            }
+        });
+        scenarioRunner.schedule(payment);
+    }
+
+    res.redirect(`${config.publicUrl}/checkout/payfast/${encodeURIComponent(payment.reference)}`);
+});
+
+router.post('/eng/query/validate', (req, res) => {
+    const payment = store.get('payfast', req.body.m_payment_id);
+
+    res.type('text/plain').send(payment && payment.transactionId === req.body.pf_payment_id ? 'VALID' : 'INVALID');
+});
+
+router.post('/refunds/:paymentId', (req, res) => {
+    const payment = store.find(req.params.paymentId);
+
+    if (!payment || payment.status !== 'success') {
+        return res.status(400).json({
+            code: 400,
+            status: 'failed',
+            data: { response: false, message: 'Payment cannot be refunded' }
+        });
+    }
+
+    res.json({
+        code: 200,
+        status: 'success',
+        data: { response: true }
+    });
+});
+
+/**
+ * Build a signed ITN
+ */
+const buildWebhook = (payment) => {
+    const amount = parseFloat(payment.amount);
+    const fee = Math.round(amount * 2.9 + 200) / 100;
+
+    const fields = [
+        ['m_payment_id', payment.reference],
+        ['pf_payment_id', payment.transactionId],
+        ['payment_status', STATUS_MAP[payment.status]],
+        ['item_name', payment.data.itemName || ''],
+        ['amount_gross', amount.toFixed(2)],
+        ['amount_fee', (-fee).toFixed(2)],
+        ['amount_net', (amount - fee).toFixed(2)],
+        ['custom_str1', payment.data.customStr1 || ''],
+        ['custom_str2', payment.data.customStr2 || ''],
+        ['email_address', payment.data.email || ''],
+        ['merchant_id', payment.data.merchantId || '']
+    ];
+
+    const paramString = fields.map(([key, value]) => `${key}=${encode(value)}`).join('&');
+    const signature = crypto.createHash('md5').update(withPassphrase(paramString)).digest('hex');
+
+    return {
+        url: payment.webhookUrl,
+        body: `${paramString}&signature=${signature}`,
+        headers: {
+            'Content-Type': 'application/x-www-form-urlencoded'
+        }
+    };
+};
+
+module.exports = {
+    id: 'payfast',
+    router,
+    buildWebhook
+};
@@ -0,0 +1,170 @@
+/**
+ * Simulated PayGate
+ *
+ * Endpoints: PayWeb3 initiate, process and query, and PayHost refunds.
+ * Notifications are urlencoded with an MD5 checksum of the values in posted
+ * order, followed by the PayGate key.
+ *
+ * @author Mallgram Backend Team
+ */
+
+const express = require('express');
+const crypto = require('crypto');
+const config = require('../config');
+const store = require('../store');
+const scenarioRunner = require('../scenarios');
+
+const router = express.Router();
+
+const TRANSACTION_STATUS = {
+    pending: '0',
+    success: '1',
+    failed: '2'
+};
+
+const RESULT = {
+    pending: ['', ''],
+    success: ['990017', 'Auth Done'],
+    failed: ['900003', 'Insufficient Funds']
+};
+
+/**
+ * Checksum of values in field order, followed by the key
+ */
+const checksum = (fields) => {
+    const valueString = fields.filter(([key]) => key !== 'CHECKSUM').map(([, value]) => value).join('');
+
+    return crypto.createHash('md5').update(valueString + (config.secrets.payGateKey || '')).digest('hex');
+};
+
+/**
+ * Append a checksum and urlencode fields in order
+ */
+const toSignedForm = (fields) => {
+    return [...fields, ['CHECKSUM', checksum(fields)]]
+        .map(([key, value]) => `${key}=${encodeURIComponent(value)}`)
+        .join('&');
+};
+
+const findByPayRequestId = (payRequestId) => {
+    const payment = store.find(payRequestId);
+    return payment && payment.gateway === 'paygate' ? payment : null;
+};
+
+router.post('/payweb3/initiate.trans', (req, res) => {
+    const fields = Object.entries(req.body);
+
+    if (req.body.CHECKSUM !== checksum(fields)) {
+        return res.type('text/plain').send('ERROR=DATA_CHK');
+    }
+
+    const payment = store.create('paygate', req.body.REFERENCE, {
+        amount: req.body.AMOUNT,
+        currency: req.body.CURRENCY,
+        webhookUrl: req.body.NOTIFY_URL,
+        redirectUrl: req.body.RETURN_URL,
+        data: {
+            payGateId: req.body.PAYGATE_ID,
+            transactionId: String(crypto.randomInt(100000000, 999999999)),
+            user1: req.body.USER1 || '',
+            user2: req.body.USER2 || '',
+            user3: req.body.USER3 || ''
+        }
+    });
+    scenarioRunner.schedule(payment);
+
+    res.type('text/plain').send(toSignedForm([
+        ['PAYGATE_ID', payment.data.payGateId],
+        ['PAY_REQUEST_ID', payment.transactionId],
+        ['REFERENCE', payment.reference]
+    ]));
+});
+
+router.all('/payweb3/process.trans', (req, res) => {
+    const payment = findByPayRequestId(req.body?.PAY_REQUEST_ID || req.query.PAY_REQUEST_ID);
+
+    if (!payment) {
+        return res.status(404).send('Payment request not found');
+    }
+
+    res.redirect(`${config.publicUrl}/checkout/paygate/${encodeURIComponent(payment.reference)}`);
+});
+
+router.post('/payweb3/query.trans', (req, res) => {
+    const payment = findByPayRequestId(req.body.PAY_REQUEST_ID);
+
+    if (!payment) {
+        return res.type('text/plain').send('ERROR=PGID_NOT_EN');
+    }
+
+    res.type('text/plain').send(toSignedForm(resultFields(payment)));
+});
+
+router.post('/payhost/process.trans', express.text({ type: ['text/xml', 'application/soap+xml'] }), (req, res) => {
+    const transactionId = /<(?:\w+:)?TransactionId>([^<]*)</.exec(req.body || '')?.[1];
+    const merchantOrderId = /<(?:\w+:)?MerchantOrderId>([^<]*)</.exec(req.body || '')?.[1];
+    const payment = store.list().find(candidate =>
+        candidate.gateway === 'paygate' && candidate.data.transactionId === transactionId
+    );
+    const refunded = payment && payment.status === 'success';
+
+    res.type('text/xml').send(`<?xml version="1.0" encoding="UTF-8"?>
+<SOAP-ENV:Envelope xmlns:SOAP-ENV="http://schemas.xmlsoap.org/soap/envelope/">
+    <SOAP-ENV:Body>
+        <ns2:SingleFollowUpResponse xmlns:ns2="http://www.paygate.co.za/PayHOST">
+            <ns2:RefundResponse>
+                <ns2:Status>
+                    <ns2:TransactionId>${refunded ? crypto.randomInt(100000000, 999999999) : ''}</ns2:TransactionId>
+                    <ns2:Reference>${merchantOrderId || ''}</ns2:Reference>
+                    <ns2:StatusName>${refunded ? 'Completed' : 'Error'}</ns2:StatusName>
+                    <ns2:TransactionStatusCode>${refunded ? '1' : '2'}</ns2:TransactionStatusCode>
+                    <ns2:ResultDescription>${refunded ? 'Approved' : 'Transaction cannot be refunded'}</ns2:ResultDescription>
+                </ns2:Status>
+            </ns2:RefundResponse>
+        </ns2:SingleFollowUpResponse>
+    </SOAP-ENV:Body>
+</SOAP-ENV:Envelope>`);
+});
+
+/**
+ * Transaction result fields shared by query responses and notifications
+ */
+const resultFields = (payment) => {
+    const [resultCode, resultDesc] = RESULT[payment.status];
+
+    return [
+        ['PAYGATE_ID', payment.data.payGateId],
+        ['PAY_REQUEST_ID', payment.transactionId],
+        ['REFERENCE', payment.reference],
+        ['TRANSACTION_STATUS', TRANSACTION_STATUS[payment.status]],
+        ['RESULT_CODE', resultCode],
+        ['AUTH_CODE', payment.status === 'success' ? 'A1B2C3' : ''],
+        ['CURRENCY', payment.currency],
+        ['AMOUNT', String(payment.amount)],
+        ['RESULT_DESC', resultDesc],
+        ['TRANSACTION_ID', payment.status === 'pending' ? '' : payment.data.transactionId],
+        ['RISK_INDICATOR', 'AX'],
+        ['PAY_METHOD', 'CC'],
+        ['PAY_METHOD_DETAIL', 'Visa'],
+        ['USER1', payment.data.user1],
+        ['USER2', payment.data.user2],
+        ['USER3', payment.data.user3]
+    ];
+};
+
+/**
+ * Build a checksummed notification
+ */
+const buildWebhook = (payment) => ({
+    url: payment.webhookUrl,
+    body: toSignedForm(resultFields(payment)),
+    headers: {
+        'Content-Type': 'application/x-www-form-urlencoded'
+    }
+});
+
+module.exports = {
+    id: 'paygate',
+    router,
+    buildWebhook
+};
@@ -0,0 +1,172 @@
+/**
+ * Payment Gateway and Carrier Simulator
+ *
+ * Local stand-in for Kora Pay, MTN MoMo, Orange Money, PayFast and PayGate so
+ * the payment flow can be exercised offline (development and CI). Each gateway
+ * is mounted under its own prefix; point the backend at it with:
+ *
+ *   KORA_PAY_BASE_URL=http://localhost:4010/kora
+ *   MTN_MOMO_BASE_URL=http://localhost:4010/mtn
+ *   ORANGE_MONEY_BASE_URL=http://localhost:4010/orange
+ *   PAYFAST_BASE_URL=http://localhost:4010/payfast
+ *   PAYFAST_API_URL=http://localhost:4010/payfast
+ *   PAYGATE_BASE_URL=http://localhost:4010/paygate
+ *
+ * Payments complete according to SIMULATOR_SCENARIO, or on demand through
+ * the hosted checkout page and the control API under /__simulator.
+ *
+ * The Courier Guy, Aramex and Campost tracking APIs are simulated the same
+ * way, from the journeys in carriers/fixtures:
+ *
+ *   COURIER_GUY_BASE_URL=http://localhost:4010/courierguy
+ *   ARAMEX_BASE_URL=http://localhost:4010/aramex
+ *   CAMPOST_BASE_URL=http://localhost:4010/campost
+ *
+ * Tracking numbers follow SIMULATOR_TRACKING_SCENARIO unless the control
+ * API picks another journey for them.
+ *
+ * @author Mallgram Backend Team
+ */
+
+const express = require('express');
+const logger = require('../config/logger');
+const config = require('./config');
+const store = require('./store');
+const scenarioRunner = require('./scenarios');
+const journeys = require('./carriers/journeys');
+
+const gateways = [
+    require('./gateways/kora'),
+    require('./gateways/mtn'),
+    require('./gateways/orange'),
+    require('./gateways/payfast'),
+    require('./gateways/paygate')
+];
+
+const carriers = [
+    require('./carriers/courierguy'),
+    require('./carriers/aramex'),
+    require('./carriers/campost')
+];
+
+const app = express();
+
+app.use(express.json());
+app.use(express.urlencoded({ extended: true }));
+
+gateways.forEach(gateway => {
+    scenarioRunner.register(gateway);
+    app.use(`/${gateway.id}`, gateway.router);
+});
+
+carriers.forEach(carrier => {
+    app.use(`/${carrier.id}`, carrier.router);
+});
+
+// ===================================================================
+// HOSTED CHECKOUT
+// ===================================================================
+
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+
+app.get('/checkout/:gateway/:reference', (req, res) => {
+    const payment = store.get(req.params.gateway, req.params.reference);
+
+    if (!payment) {
+        return res.status(404).send('Payment not found');
+    }
+
+    const action = `/checkout/${encodeURIComponent(payment.gateway)}/${encodeURIComponent(payment.reference)}`;
+
+    res.send(`<!DOCTYPE html>
+<html>
+<head><title>Simulated ${escapeHtml(payment.gateway)} checkout</title></head>
+<body>
+    <h1>Simulated ${escapeHtml(payment.gateway)} checkout</h1>
+    <p>Reference: ${escapeHtml(payment.reference)}</p>
+    <p>Amount: ${escapeHtml(payment.currency)} ${escapeHtml(payment.amount)}</p>
+    <p>Status: ${escapeHtml(payment.status)}</p>
+    <form method="post" action="${action}">
+        <button name="scenario" value="success">Pay</button>
+        <button name="scenario" value="failure">Decline</button>
+    </form>
+</body>
+</html>`);
+});
+
+app.post('/checkout/:gateway/:reference', async (req, res) => {
+    const payment = store.get(req.params.gateway, req.params.reference);
+
+    if (!payment) {
+        return res.status(404).send('Payment not found');
+    }
+
+    await scenarioRunner.run(payment, req.body.scenario === 'failure' ? 'failure' : 'success');
+
+    if (payment.redirectUrl) {
+        return res.redirect(payment.redirectUrl);
+    }
+
+    res.send(`Payment ${escapeHtml(payment.status)}`);
+});
+
+// ===================================================================
+// CONTROL API
+// ===================================================================
+
+app.get('/__simulator/payments', (req, res) => {
+    res.json({ success: true, data: store.list() });
+});
+
+app.post('/__simulator/payments/:reference/complete', async (req, res) => {
+    const payment = store.find(req.params.reference);
+    const scenario = req.body.scenario || 'success';
+
+    if (!payment) {
+        return res.status(404).json({ success: false, error: 'Payment not found' });
+    }
+
+    if (!scenarioRunner.isValid(scenario)) {
+        return res.status(400).json({ success: false, error: `Unknown scenario: ${scenario}` });
+    }
+
+    try {
+        await scenarioRunner.run(payment, scenario);
+        res.json({ success: true, data: payment });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+app.get('/__simulator/tracking', (req, res) => {
+    res.json({ success: true, data: journeys.list() });
+});
+
+app.post('/__simulator/tracking/:carrier/:trackingNumber', (req, res) => {
+    const { carrier, trackingNumber } = req.params;
+    const scenario = req.body.scenario;
+
+    if (!carriers.some(simulated => simulated.id === carrier)) {
+        return res.status(404).json({ success: false, error: `Unknown carrier: ${carrier}` });
+    }
+
+    if (!journeys.isValid(carrier, scenario)) {
+        return res.status(400).json({ success: false, error: `Unknown tracking scenario: ${scenario}` });
+    }
+
+    res.json({ success: true, data: journeys.setScenario(carrier, trackingNumber, scenario) });
+});
+
+app.post('/__simulator/reset', (req, res) => {
+    store.reset();
+    journeys.reset();
+    res.json({ success: true });
+});
+
+if (require.main === module) {
+    app.listen(config.port, () => {
+        logger.info(`Simulator listening on ${config.publicUrl} (scenario: ${config.defaultScenario})`);
+    });
+}
+
+module.exports = app;
@@ -0,0 +1,147 @@
+/**
+ * Simulator Scenarios
+ *
+ * Completes simulated payments and delivers signed webhooks to the backend:
+ * - success   - payment succeeds, one webhook
+ * - failure   - payment fails, one webhook
+ * - delayed   - payment stays pending for SIMULATOR_DELAY_MS, then succeeds
+ * - duplicate - payment succeeds and the same webhook is delivered twice
+ * - silent    - payment succeeds but no webhook is sent (exercises polling)
+ * - manual    - nothing happens until the control API or checkout page is used
+ *
+ * @author Mallgram Backend Team
+ */
+
+const axios = require('axios');
+const logger = require('../config/logger');
+const config = require('./config');
+
+const SCENARIOS = ['success', 'failure', 'delayed', 'duplicate', 'silent', 'manual'];
+
+class ScenarioRunner {
+    constructor() {
+        this.gateways = new Map();
+    }
+
+    /**
+     * Register a simulated gateway
+     * @param {Object} gateway - { id, router, buildWebhook(payment) }
+     */
+    register(gateway) {
+        this.gateways.set(gateway.id, gateway);
+    }
+
+    /**
+     * Check whether a scenario name is known
+     */
+    isValid(scenario) {
+        return SCENARIOS.includes(scenario);
+    }
+
+    /**
+     * Run the default scenario shortly after a payment is created
+     * @param {Object} payment - Simulated payment
+     */
+    schedule(payment) {
+        if (config.defaultScenario === 'manual') {
+            return;
+        }
+
+        setTimeout(() => {
+            this.run(payment, config.defaultScenario).catch(error => {
+                logger.error(`Simulator scenario failed for ${payment.reference}:`, error);
+            });
+        }, config.autoCompleteMs);
+    }
+
+    /**
+     * Run a scenario against a payment
+     * @param {Object} payment - Simulated payment
+     * @param {string} scenario - Scenario name
+     */
+    async run(payment, scenario) {
+        if (payment.status !== 'pending') {
+            logger.warn(`Simulated payment ${payment.reference} is already ${payment.status}`);
+            return;
+        }
+
+        logger.info(`Simulator running "${scenario}" for ${payment.gateway} payment ${payment.reference}`);
+
+        switch (scenario) {
+            case 'success':
+                payment.status = 'success';
+                await this.deliver(payment);
+                break;
+
+            case 'failure':
+                payment.status = 'failed';
+                await this.deliver(payment);
+                break;
+
+            case 'delayed':
+                setTimeout(() => {
+                    this.run(payment, 'success').catch(error => {
+                        logger.error(`Simulator scenario failed for ${payment.reference}:`, error);
+                    });
+                }, config.delayMs);
+                break;
+
+            case 'duplicate':
+                payment.status = 'success';
+                await this.deliver(payment);
+                await this.deliver(payment);
+                break;
+
+            case 'silent':
+                payment.status = 'success';
+                break;
+
+            case 'manual':
+                break;
+
+            default:
+                throw new Error(`Unknown scenario: ${scenario}`);
+        }
+    }
+
+    /**
+     * Send a payment's webhook to the backend, signed like the real gateway
+     * @param {Object} payment - Simulated payment
+     */
+    async deliver(payment) {
+        const gateway = this.gateways.get(payment.gateway);
+        const webhook = gateway.buildWebhook(payment);
+
+        if (!webhook.url) {
+            logger.warn(`Simulated payment ${payment.reference} has no webhook URL`);
+            return;
+        }
+
+        try {
+            const response = await axios.post(webhook.url, webhook.body, {
+                headers: webhook.headers,
+                timeout: 10000,
+                validateStatus: () => true
+            });
+
+            payment.deliveries.push({
+                status: response.status,
+                sent_at: new Date().toISOString()
+            });
+
+            logger.info(`Simulator webhook delivered for ${payment.reference}`, {
+                gateway: payment.gateway,
+                responseStatus: response.status
+            });
+        } catch (error) {
+            payment.deliveries.push({
+                error: error.message,
+                sent_at: new Date().toISOString()
+            });
+
+            logger.error(`Simulator webhook delivery failed for ${payment.reference}:`, error.message);
+        }
+    }
+}
+
+module.exports = new ScenarioRunner();
@@ -0,0 +1,79 @@
+/**
+ * Simulated Payment Store
+ *
+ * In-memory record of every payment the simulated gateways have seen.
+ * Status is one of pending, success or failed; each gateway maps it to its
+ * own vocabulary in status and webhook responses.
+ *
+ * @author Mallgram Backend Team
+ */
+
+const crypto = require('crypto');
+
+class SimulatedPaymentStore {
+    constructor() {
+        this.payments = new Map();
+    }
+
+    /**
+     * Record a new payment
+     * @param {string} gateway - Gateway ID
+     * @param {string} reference - Merchant reference (our payment ID)
+     * @param {Object} details - { amount, currency, webhookUrl, redirectUrl, data }
+     * @returns {Object} - Stored payment
+     */
+    create(gateway, reference, details) {
+        const payment = {
+            gateway,
+            reference,
+            transactionId: crypto.randomUUID(),
+            status: 'pending',
+            amount: details.amount,
+            currency: details.currency,
+            webhookUrl: details.webhookUrl,
+            redirectUrl: details.redirectUrl || null,
+            data: details.data || {},
+            deliveries: [],
+            createdAt: new Date().toISOString()
+        };
+
+        this.payments.set(this.key(gateway, reference), payment);
+        return payment;
+    }
+
+    /**
+     * Get a payment by gateway and merchant reference
+     */
+    get(gateway, reference) {
+        return this.payments.get(this.key(gateway, reference)) || null;
+    }
+
+    /**
+     * Find a payment by merchant reference or gateway transaction ID
+     */
+    find(reference) {
+        return this.list().find(payment =>
+            payment.reference === reference || payment.transactionId === reference
+        ) || null;
+    }
+
+    /**
+     * Get every payment, newest first
+     */
+    list() {
+        return Array.from(this.payments.values()).reverse();
+    }
+
+    /**
+     * Forget every payment
+     */
+    reset() {
+        this.payments.clear();
+    }
+
+    key(gateway, reference) {
+        return `${gateway}:${reference}`;
+    }
+}
+
+module.exports = new SimulatedPaymentStore();
@@ -0,0 +1,204 @@
+/**
+ * In-memory Supabase client for jest specs
+ *
+ * Supports the query builder calls the services use (select, insert,
+ * update, upsert, delete, eq, neq, in, is, gt, gte, lt, lte, not, or,
+ * order, limit, single, maybeSingle) against plain arrays of rows. Joins are not
+ * resolved: give rows the nested objects a select would embed. Unique
+ * constraints are declared per table and fail with code 23505, and
+ * database functions are registered on rpcHandlers.
+ *
+ * Usage:
+ *   jest.mock('../../../config/supabase', () => require('../../../test/supabaseMock').module);
+ *   const db = require('../../../test/supabaseMock');
+ *   beforeEach(() => db.reset({ orders: [...] }, { affiliate_stats: [['order_id']] }));
+ *
+ * @author Mallgram Backend Team
+ */
+
+const tables = {};
+const uniqueKeys = {};
+const rpcHandlers = {};
+let sequence = 0;
+
+const FILTERS = {
+    eq: (value, expected) => value === expected,
+    neq: (value, expected) => value !== expected,
+    in: (value, list) => list.includes(value),
+    is: (value, expected) => (value ?? null) === expected,
+    gt: (value, bound) => value !== null && value !== undefined && value > bound,
+    gte: (value, bound) => value !== null && value !== undefined && value >= bound,
+    lt: (value, bound) => value !== null && value !== undefined && value < bound,
+    lte: (value, bound) => value !== null && value !== undefined && value <= bound,
+    not: (value, { operator, expected }) => !FILTERS[operator](value, expected)
+};
+
+const rowsOf = (table) => {
+    tables[table] = tables[table] || [];
+    return tables[table];
+};
+
+const violatesUnique = (table, row, ignore = null) => (uniqueKeys[table] || []).some(columns =>
+    rowsOf(table).some(other => other !== ignore && columns.every(column =>
+        row[column] !== undefined && row[column] !== null && other[column] === row[column])));
+
+const copy = (value) => value === undefined ? value : JSON.parse(JSON.stringify(value));
+
+function from(table) {
+    const state = { op: 'select', filters: [], payload: null, single: false, maybe: false, sort: [], limit: null, returning: false };
+
+    const matches = (row) => state.filters.every(({ name, column, value }) => name === 'or'
+        ? value.some(filter => FILTERS[filter.name](row[filter.column], filter.value))
+        : FILTERS[name](row[column], value));
+
+    const result = (data) => {
+        if (state.single) {
+            if (data.length === 1 || (data.length > 1 && state.op !== 'select')) {
+                return { data: copy(data[0]), error: null };
+            }
+
+            return state.maybe && data.length === 0
+                ? { data: null, error: null }
+                : { data: null, error: { code: 'PGRST116', message: `${data.length} rows` } };
+        }
+
+        return { data: state.op === 'select' || state.returning ? copy(data) : null, error: null };
+    };
+
+    const run = () => {
+        if (state.op === 'insert' || state.op === 'upsert') {
+            const payload = Array.isArray(state.payload) ? state.payload : [state.payload];
+            const created = [];
+
+            for (const values of payload) {
+                const row = { id: `${table}-${++sequence}`, ...copy(values) };
+
+                if (violatesUnique(table, row)) {
+                    if (state.op === 'upsert') {
+                        const existing = rowsOf(table).find(other => (uniqueKeys[table] || [])
+                            .some(columns => columns.every(column => other[column] === row[column])));
+                        Object.assign(existing, copy(values));
+                        created.push(existing);
+                        continue;
+                    }
+
+                    return { data: null, error: { code: '23505', message: `duplicate key value violates unique constraint on ${table}` } };
+                }
+
+                rowsOf(table).push(row);
+                created.push(row);
+            }
+
+            return result(created);
+        }
+
+        let hits = rowsOf(table).filter(matches);
+
+        state.sort.forEach(([column, ascending]) => {
+            hits = hits.slice().sort((a, b) => {
+                const order = a[column] > b[column] ? 1 : a[column] < b[column] ? -1 : 0;
+                return ascending ? order : -order;
+            });
+        });
+
+        if (state.limit !== null) {
+            hits = hits.slice(0, state.limit);
+        }
+
+        if (state.op === 'update') {
+            for (const row of hits) {
+                if (violatesUnique(table, { ...row, ...state.payload }, row)) {
+                    return { data: null, error: { code: '23505', message: `duplicate key value violates unique constraint on ${table}` } };
+                }
+            }
+
+            hits.forEach(row => Object.assign(row, copy(state.payload)));
+        }
+
+        if (state.op === 'delete') {
+            tables[table] = rowsOf(table).filter(row => !hits.includes(row));
+        }
+
+        return result(hits);
+    };
+
+    const builder = {
+        select() {
+            if (state.op !== 'select') {
+                state.returning = true;
+            }
+            return builder;
+        },
+        insert(payload) { state.op = 'insert'; state.payload = payload; return builder; },
+        upsert(payload) { state.op = 'upsert'; state.payload = payload; return builder; },
+        update(payload) { state.op = 'update'; state.payload = payload; return builder; },
+        delete() { state.op = 'delete'; return builder; },
+        order(column, { ascending = true } = {}) { state.sort.push([column, ascending]); return builder; },
+        limit(count) { state.limit = count; return builder; },
+        range(start, end) { state.limit = end + 1; return builder; },
+        single() { state.single = true; return builder; },
+        maybeSingle() { state.single = true; state.maybe = true; return builder; },
+        not(column, operator, expected) {
+            state.filters.push({ name: 'not', column, value: { operator, expected } });
+            return builder;
+        },
+        // PostgREST syntax: 'next_poll_at.is.null,next_poll_at.lte.2026-10-19T12:00:00.000Z'
+        or(filters) {
+            const alternatives = filters.split(',').map(filter => {
+                const [column, name, ...rest] = filter.split('.');
+                const value = rest.join('.');
+
+                return { name, column, value: value === 'null' ? null : value };
+            });
+
+            state.filters.push({ name: 'or', column: null, value: alternatives });
+            return builder;
+        },
+        then(resolve, reject) { return Promise.resolve().then(run).then(resolve, reject); }
+    };
+
+    Object.keys(FILTERS).filter(name => name !== 'not').forEach(name => {
+        builder[name] = (column, value) => {
+            state.filters.push({ name, column, value });
+            return builder;
+        };
+    });
+
+    return builder;
+}
+
+const client = {
+    from,
+    async rpc(name, args) {
+        if (!rpcHandlers[name]) {
+            return { data: null, error: { message: `function ${name} does not exist` } };
+        }
+
+        try {
+            return { data: await rpcHandlers[name](args), error: null };
+        } catch (error) {
+            return { data: null, error: { message: error.message } };
+        }
+    }
+};
+
+/**
+ * Replace every table with the given rows
+ * @param {Object} data - { table: [rows] }
+ * @param {Object} [unique] - { table: [[columns], ...] } unique constraints
+ */
+const reset = (data = {}, unique = {}) => {
+    Object.keys(tables).forEach(table => delete tables[table]);
+    Object.keys(uniqueKeys).forEach(table => delete uniqueKeys[table]);
+    Object.keys(rpcHandlers).forEach(name => delete rpcHandlers[name]);
+    Object.entries(copy(data)).forEach(([table, rows]) => { tables[table] = rows; });
+    Object.assign(uniqueKeys, unique);
+};
+
+module.exports = {
+    module: { supabase: client, supabaseAdmin: client },
+    client,
+    tables,
+    rpcHandlers,
+    reset
+};
@@ -0,0 +1,212 @@
+/**
+ * Money
+ *
+ * Amounts held as integer minor units (cents for ZAR, whole francs for XAF)
+ * together with their ISO 4217 currency, so rounding and formatting follow
+ * the currency instead of each caller. The frontend mirrors this module in
+ * src/utils/money.js.
+ *
+ * @author Mallgram Backend Team
+ */
+
+/**
+ * Supported currencies
+ * minorUnits - digits after the decimal point (ISO 4217 exponent)
+ * symbol/symbolPosition - how prices are shown to customers
+ */
+const CURRENCIES = {
+    ZAR: { minorUnits: 2, symbol: 'R', symbolPosition: 'before' },
+    XAF: { minorUnits: 0, symbol: 'FCFA', symbolPosition: 'after' },
+    XOF: { minorUnits: 0, symbol: 'CFA', symbolPosition: 'after' },
+    NGN: { minorUnits: 2, symbol: '₦', symbolPosition: 'before' },
+    GHS: { minorUnits: 2, symbol: 'GH₵', symbolPosition: 'before' },
+    KES: { minorUnits: 2, symbol: 'KSh', symbolPosition: 'before' },
+    UGX: { minorUnits: 0, symbol: 'USh', symbolPosition: 'before' },
+    RWF: { minorUnits: 0, symbol: 'FRw', symbolPosition: 'after' },
+    GNF: { minorUnits: 0, symbol: 'FG', symbolPosition: 'after' },
+    ZMW: { minorUnits: 2, symbol: 'K', symbolPosition: 'before' },
+    MGA: { minorUnits: 0, symbol: 'Ar', symbolPosition: 'after' },
+    USD: { minorUnits: 2, symbol: '$', symbolPosition: 'before' },
+    EUR: { minorUnits: 2, symbol: '€', symbolPosition: 'before' },
+    CNY: { minorUnits: 2, symbol: '¥', symbolPosition: 'before' }
+};
+
+const getCurrency = (currency) => {
+    const code = String(currency || '').toUpperCase();
+    const definition = CURRENCIES[code];
+
+    if (!definition) {
+        throw new Error(`Unsupported currency: ${currency}`);
+    }
+
+    return { code, ...definition };
+};
+
+/**
+ * Round half away from zero, ignoring binary noise such as 1.005 * 100 = 100.49999...
+ */
+const roundHalfAwayFromZero = (value) => {
+    const cleaned = Number(Math.abs(value).toPrecision(15));
+    return Math.sign(value) * Math.round(cleaned);
+};
+
+class Money {
+    /**
+     * @param {number} minorUnits - Integer amount in the currency's minor unit
+     * @param {string} currency - ISO 4217 code
+     */
+    constructor(minorUnits, currency) {
+        if (!Number.isSafeInteger(minorUnits)) {
+            throw new Error(`Money amount must be an integer number of minor units, got ${minorUnits}`);
+        }
+
+        this.minorUnits = minorUnits === 0 ? 0 : minorUnits; // avoid -0
+        this.currency = getCurrency(currency).code;
+        Object.freeze(this);
+    }
+
+    /**
+     * Create from a major-unit amount (e.g. 120.5 ZAR or "45000" XAF),
+     * rounding to the currency's minor unit
+     */
+    static fromMajor(amount, currency) {
+        const value = typeof amount === 'string' ? parseFloat(amount) : amount;
+
+        if (!Number.isFinite(value)) {
+            throw new Error(`Invalid money amount: ${amount}`);
+        }
+
+        const factor = 10 ** getCurrency(currency).minorUnits;
+        return new Money(roundHalfAwayFromZero(value * factor), currency);
+    }
+
+    /**
+     * Create from minor units (e.g. PayGate cents)
+     */
+    static fromMinor(minorUnits, currency) {
+        return new Money(Number(minorUnits), currency);
+    }
+
+    static zero(currency) {
+        return new Money(0, currency);
+    }
+
+    /**
+     * Number of minor-unit digits for a currency
+     */
+    static minorUnitsFor(currency) {
+        return getCurrency(currency).minorUnits;
+    }
+
+    static isSupported(currency) {
+        return Object.prototype.hasOwnProperty.call(CURRENCIES, String(currency || '').toUpperCase());
+    }
+
+    get exponent() {
+        return CURRENCIES[this.currency].minorUnits;
+    }
+
+    /**
+     * Amount in major units as a number (e.g. 120.5)
+     */
+    toMajor() {
+        return this.minorUnits / 10 ** this.exponent;
+    }
+
+    /**
+     * Amount in major units with exactly the currency's decimals (e.g. "120.50", "45000")
+     */
+    toString() {
+        return this.toMajor().toFixed(this.exponent);
+    }
+
+    add(other) {
+        this.assertSameCurrency(other);
+        return new Money(this.minorUnits + other.minorUnits, this.currency);
+    }
+
+    subtract(other) {
+        this.assertSameCurrency(other);
+        return new Money(this.minorUnits - other.minorUnits, this.currency);
+    }
+
+    /**
+     * Multiply by a factor (quantity, rate, percentage), rounding to the minor unit
+     */
+    multiply(factor) {
+        return new Money(roundHalfAwayFromZero(this.minorUnits * factor), this.currency);
+    }
+
+    compare(other) {
+        this.assertSameCurrency(other);
+        return Math.sign(this.minorUnits - other.minorUnits);
+    }
+
+    equals(other) {
+        return this.currency === other.currency && this.minorUnits === other.minorUnits;
+    }
+
+    greaterThan(other) {
+        return this.compare(other) > 0;
+    }
+
+    lessThan(other) {
+        return this.compare(other) < 0;
+    }
+
+    isZero() {
+        return this.minorUnits === 0;
+    }
+
+    isNegative() {
+        return this.minorUnits < 0;
+    }
+
+    isPositive() {
+        return this.minorUnits > 0;
+    }
+
+    /**
+     * Format for customers, e.g. "R1,234.50" or "45,000 FCFA"
+     * @param {string} locale - Locale used for digit grouping
+     */
+    format(locale = 'en-US') {
+        const { symbol, symbolPosition } = CURRENCIES[this.currency];
+        const number = new Intl.NumberFormat(locale, {
+            minimumFractionDigits: this.exponent,
+            maximumFractionDigits: this.exponent
+        }).format(Math.abs(this.toMajor()));
+        const sign = this.isNegative() ? '-' : '';
+
+        return symbolPosition === 'before'
+            ? `${sign}${symbol}${number}`
+            : `${sign}${number} ${symbol}`;
+    }
+
+    toJSON() {
+        return {
+            amount: this.toMajor(),
+            currency: this.currency,
+            minor_units: this.minorUnits
+        };
+    }
+
+    assertSameCurrency(other) {
+        if (!(other instanceof Money) || other.currency !== this.currency) {
+            throw new Error(`Currency mismatch: ${this.currency} and ${other?.currency}`);
+        }
+    }
+}
+
+/**
+ * Format a major-unit amount for display, e.g. in email templates
+ * @param {number|string} amount - Amount in major units
+ * @param {string} currency - ISO 4217 code
+ */
+const formatMoney = (amount, currency) => Money.fromMajor(amount, currency).format();
+
+module.exports = {
+    Money,
+    CURRENCIES,
+    formatMoney
+};
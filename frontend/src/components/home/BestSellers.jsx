@@ -2,8 +2,9 @@ import React from 'react';
 import { Link } from 'react-router-dom';
 import { motion } from 'framer-motion';
 import { Star, Heart, ShoppingCart, Eye } from 'lucide-react';
+import { formatPrice } from '../../utils';
 
-const BestSellers = ({ country, currencySymbol }) => {
+const BestSellers = ({ country }) => {
   // Mock data - replace with actual API call
   const bestSellers = [
     {
@@ -90,14 +91,6 @@ const BestSellers = ({ country, currencySymbol }) => {
     },
   };
 
-  const formatPrice = (price) => {
-    if (country === 'za') {
-      return `R${price.toLocaleString()}`;
-    } else {
-      return `${price.toLocaleString()} FCFA`;
-    }
-  };
-
   return (
     <motion.div
       variants={containerVariants}
@@ -193,11 +186,11 @@ const BestSellers = ({ country, currencySymbol }) => {
                 {/* Price */}
                 <div className="flex items-center gap-2 mb-4">
                   <span className="text-lg font-bold text-gray-900">
-                    {formatPrice(product.price)}
+                    {formatPrice(product.price, country)}
                   </span>
                   {product.originalPrice && (
                     <span className="text-sm text-gray-500 line-through">
-                      {formatPrice(product.originalPrice)}
+                      {formatPrice(product.originalPrice, country)}
                     </span>
                   )}
                 </div>
@@ -1,15 +1,22 @@
 import React, { useEffect } from 'react';
-import { Outlet, useParams } from 'react-router-dom';
+import { Outlet, useParams, useSearchParams } from 'react-router-dom';
 import { Helmet } from 'react-helmet-async';
 import { useTranslation } from 'react-i18next';
 import Navbar from './Navbar';
 import Footer from './Footer';
 import ChatWidget from '@/components/ai/ChatWidget';
 import { setLanguageByCountry } from '@/i18n';
+import { apiService } from '@/services/api';
+import { useAuthStore } from '@/store/authStore';
+import { useReferralStore } from '@/store/referralStore';
 
 const Layout = () => {
   const { country } = useParams();
   const { t } = useTranslation();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const accessToken = useAuthStore((state) => state.session?.access_token);
+  const { referralId, setReferral } = useReferralStore();
+  const ref = searchParams.get('ref');
 
   // Set language based on country
   useEffect(() => {
@@ -18,6 +25,34 @@ const Layout = () => {
     }
   }, [country]);
 
+  // Affiliate referral links (/za?ref=CODE): record the click, then drop
+  // ref from the address so a shared or reloaded page is not counted again.
+  // Dropping ref re-runs the effect with no ref, which does nothing.
+  useEffect(() => {
+    if (!ref) return;
+
+    apiService
+      .recordReferral({
+        ref,
+        country,
+        landing_path: window.location.pathname,
+        referrer: document.referrer || null,
+      }, accessToken)
+      .then((response) => setReferral(response.data))
+      .catch(() => {});
+
+    const params = new URLSearchParams(searchParams);
+    params.delete('ref');
+    setSearchParams(params, { replace: true });
+  }, [ref, country, accessToken, searchParams, setSearchParams, setReferral]);
+
+  // A link clicked as a guest follows the customer once they log in or sign up
+  useEffect(() => {
+    if (referralId && accessToken) {
+      apiService.claimReferral(referralId, accessToken).catch(() => {});
+    }
+  }, [referralId, accessToken]);
+
   // Get country-specific metadata
   const getCountryMetadata = () => {
     const metadata = {
@@ -64,67 +64,20 @@ export const CATEGORIES = [
   },
 ];
 
-// Order statuses
+// Order statuses (mirrors the backend order state machine)
 export const ORDER_STATUSES = {
   PENDING: 'pending',
-  CONFIRMED: 'confirmed',
+  PAID: 'paid',
   PROCESSING: 'processing',
   SHIPPED: 'shipped',
+  IN_TRANSIT: 'in_transit',
+  OUT_FOR_DELIVERY: 'out_for_delivery',
+  DELIVERY_EXCEPTION: 'delivery_exception',
   DELIVERED: 'delivered',
   CANCELLED: 'cancelled',
   REFUNDED: 'refunded',
 };
 
-// Payment methods
-export const PAYMENT_METHODS = {
-  ZA: [
-    {
-      id: 'paygate',
-      name: 'PayGate',
-      type: 'card',
-      currencies: ['ZAR'],
-      logo: '/images/payments/paygate.png',
-    },
-    {
-      id: 'payfast',
-      name: 'PayFast',
-      type: 'card',
-      currencies: ['ZAR'],
-      logo: '/images/payments/payfast.png',
-    },
-    {
-      id: 'card',
-      name: 'Credit/Debit Card',
-      type: 'card',
-      currencies: ['ZAR'],
-      logo: '/images/payments/card.png',
-    },
-  ],
-  CM: [
-    {
-      id: 'mtn',
-      name: 'MTN Mobile Money',
-      type: 'mobile',
-      currencies: ['XAF'],
-      logo: '/images/payments/mtn.png',
-    },
-    {
-      id: 'orange',
-      name: 'Orange Money',
-      type: 'mobile',
-      currencies: ['XAF'],
-      logo: '/images/payments/orange.png',
-    },
-    {
-      id: 'card',
-      name: 'Credit/Debit Card',
-      type: 'card',
-      currencies: ['XAF'],
-      logo: '/images/payments/card.png',
-    },
-  ],
-};
-
 // User roles
 export const USER_ROLES = {
   CUSTOMER: 'customer',
@@ -260,7 +213,6 @@ export default {
   COUNTRIES,
   CATEGORIES,
   ORDER_STATUSES,
-  PAYMENT_METHODS,
   USER_ROLES,
   API_ENDPOINTS,
   STORAGE_KEYS,
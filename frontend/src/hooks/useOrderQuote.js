@@ -0,0 +1,36 @@
+import { useEffect, useState } from 'react';
+import { apiService } from '@/services/api';
+import { useCartStore } from '@/store/cartStore';
+
+// Backend quote (POST /orders/quote) for the cart: landed cost and the
+// estimated delivery range. Only product IDs and quantities are sent.
+export const useOrderQuote = (country) => {
+  const items = useCartStore((state) => state.items);
+  const [quote, setQuote] = useState(null);
+
+  useEffect(() => {
+    if (!country || items.length === 0) {
+      setQuote(null);
+      return;
+    }
+
+    let cancelled = false;
+
+    apiService.quoteOrder({
+      country,
+      items: items.map((item) => ({ product_id: item.id, quantity: item.quantity })),
+    })
+      .then((response) => {
+        if (!cancelled) setQuote(response.data);
+      })
+      .catch(() => {
+        if (!cancelled) setQuote(null);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [country, items]);
+
+  return quote;
+};
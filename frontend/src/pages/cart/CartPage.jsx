@@ -2,10 +2,13 @@ import React from 'react';
 import { useParams } from 'react-router-dom';
 import { useTranslation } from 'react-i18next';
 import { Helmet } from 'react-helmet-async';
+import { useOrderQuote } from '@/hooks/useOrderQuote';
+import { formatDateRange } from '@/utils';
 
 const CartPage = () => {
   const { country } = useParams();
-  const { t } = useTranslation();
+  const { t, i18n } = useTranslation();
+  const quote = useOrderQuote(country);
 
   return (
     <>
@@ -23,6 +26,12 @@ const CartPage = () => {
             <p className="text-body text-gray-600 mb-8">
               Coming Soon - Shopping cart page for {country?.toUpperCase()}
             </p>
+
+            {quote?.estimated_delivery && (
+              <p className="text-sm text-gray-700">
+                {t('cart.estimatedDelivery')}: {formatDateRange(quote.estimated_delivery, i18n.language)}
+              </p>
+            )}
           </div>
         </div>
       </div>
@@ -1,11 +1,78 @@
-import React from 'react';
+import React, { useEffect, useState } from 'react';
 import { useParams } from 'react-router-dom';
 import { useTranslation } from 'react-i18next';
 import { Helmet } from 'react-helmet-async';
+import { apiService } from '@/services/api';
+import { useOrderQuote } from '@/hooks/useOrderQuote';
+import { useAuthStore } from '@/store/authStore';
+import { useCartStore } from '@/store/cartStore';
+import { formatDateRange, formatMoney } from '@/utils';
 
 const CheckoutPage = () => {
   const { country } = useParams();
-  const { t } = useTranslation();
+  const { t, i18n } = useTranslation();
+  const quote = useOrderQuote(country);
+  const items = useCartStore((state) => state.items);
+  const accessToken = useAuthStore((state) => state.session?.access_token);
+  // Methods come from the backend gateway registry (GET /payments/methods)
+  const [paymentMethods, setPaymentMethods] = useState(null);
+  const [paymentMethod, setPaymentMethod] = useState(null);
+  const [promoInput, setPromoInput] = useState('');
+  const [promo, setPromo] = useState(null);
+  const [promoError, setPromoError] = useState(null);
+  const [checkingPromo, setCheckingPromo] = useState(false);
+
+  useEffect(() => {
+    if (!country) return;
+
+    let cancelled = false;
+
+    apiService.getPaymentMethods(country)
+      .then((response) => {
+        if (cancelled) return;
+        const methods = response.data?.payment_methods || [];
+        setPaymentMethods(methods);
+        setPaymentMethod((current) => (
+          methods.some((method) => method.id === current) ? current : methods[0]?.id || null
+        ));
+      })
+      .catch(() => {
+        if (!cancelled) setPaymentMethods([]);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [country]);
+
+  // A code checked against one cart says nothing about another
+  useEffect(() => {
+    setPromo(null);
+  }, [country, items]);
+
+  // The backend prices the cart with the code (POST /promo-codes/validate)
+  // and refuses codes that do not apply
+  const applyPromoCode = (event) => {
+    event.preventDefault();
+
+    const code = promoInput.trim();
+    if (!code || items.length === 0) return;
+
+    setCheckingPromo(true);
+    setPromoError(null);
+
+    apiService.validatePromoCode({
+      code,
+      country,
+      items: items.map((item) => ({ product_id: item.id, quantity: item.quantity })),
+    }, accessToken)
+      .then((response) => setPromo(response.data))
+      .catch(() => {
+        setPromo(null);
+        setPromoError(t('checkout.promoInvalid'));
+      })
+      .finally(() => setCheckingPromo(false));
+  };
 
   return (
     <>
@@ -23,7 +90,90 @@ const CheckoutPage = () => {
             <p className="text-body text-gray-600 mb-8">
               Coming Soon - Checkout page for {country?.toUpperCase()}
             </p>
+
+            {quote?.estimated_delivery && (
+              <p className="text-sm text-gray-700 mb-8">
+                {t('checkout.estimatedDelivery')}: {formatDateRange(quote.estimated_delivery, i18n.language)}
+              </p>
+            )}
           </div>
+
+          <fieldset className="max-w-md mx-auto">
+            <legend className="text-lg font-semibold text-gray-900 mb-3">
+              {t('checkout.paymentMethod')}
+            </legend>
+
+            {paymentMethods === null && (
+              <p className="text-sm text-gray-500">{t('checkout.loadingPaymentMethods')}</p>
+            )}
+
+            {paymentMethods?.length === 0 && (
+              <p className="text-sm text-gray-500">{t('checkout.noPaymentMethods')}</p>
+            )}
+
+            {paymentMethods?.map((method) => (
+              <label
+                key={method.id}
+                className="flex items-start gap-3 p-3 mb-2 bg-white border border-gray-200 rounded-lg cursor-pointer"
+              >
+                <input
+                  type="radio"
+                  name="payment_method"
+                  value={method.id}
+                  checked={paymentMethod === method.id}
+                  onChange={() => setPaymentMethod(method.id)}
+                  className="mt-1"
+                />
+                <span>
+                  <span className="block font-medium text-gray-900">{method.name}</span>
+                  {method.description && (
+                    <span className="block text-sm text-gray-600">{method.description}</span>
+                  )}
+                  {method.requires_phone_number && (
+                    <span className="block text-xs text-gray-500">{t('checkout.phoneRequired')}</span>
+                  )}
+                </span>
+              </label>
+            ))}
+          </fieldset>
+
+          <form onSubmit={applyPromoCode} className="max-w-md mx-auto mt-6">
+            <label htmlFor="promo_code" className="block text-lg font-semibold text-gray-900 mb-3">
+              {t('checkout.promoCode')}
+            </label>
+            <div className="flex gap-2">
+              <input
+                id="promo_code"
+                type="text"
+                value={promoInput}
+                onChange={(event) => setPromoInput(event.target.value)}
+                className="flex-1 px-3 py-2 border border-gray-300 rounded-lg"
+              />
+              <button
+                type="submit"
+                disabled={checkingPromo || !promoInput.trim() || items.length === 0}
+                className="btn-primary"
+              >
+                {checkingPromo ? t('checkout.checkingPromo') : t('checkout.applyPromo')}
+              </button>
+            </div>
+
+            {promoError && (
+              <p className="text-sm text-red-600 mt-2">{promoError}</p>
+            )}
+
+            {promo && (
+              <div className="text-sm text-gray-700 mt-2">
+                <p>{promo.code}: {promo.description}</p>
+                <p>
+                  {t('checkout.discount')}: -{formatMoney(promo.discount.amount, promo.currency, i18n.language)}
+                </p>
+                <p>
+                  {t('cart.total')}: {formatMoney(promo.total.amount, promo.currency, i18n.language)}
+                </p>
+              </div>
+            )}
+          </form>
         </div>
       </div>
     </>
@@ -20,13 +20,11 @@ const HomePage = () => {
         title: 'Mallgram South Africa - Premium Online Shopping',
         description: 'Discover amazing products at great prices in South Africa. Shop electronics, fashion, home & garden with fast delivery.',
         currency: 'ZAR',
-        currencySymbol: 'R',
       },
       cm: {
         title: 'Mallgram Cameroun - Boutique en Ligne Premium',
         description: 'Découvrez des produits incroyables à prix avantageux au Cameroun. Achetez électronique, mode, maison avec livraison rapide.',
         currency: 'XAF',
-        currencySymbol: 'FCFA',
       },
     };
 
@@ -124,7 +122,7 @@ const HomePage = () => {
                 </p>
               </div>
             </div>
-            <BestSellers country={country} currencySymbol={countryContent.currencySymbol} />
+            <BestSellers country={country} />
           </div>
         </motion.section>
 
@@ -139,7 +137,7 @@ const HomePage = () => {
                 Handpicked products just for you based on your preferences and shopping history.
               </p>
             </div>
-            <FeaturedProducts country={country} currencySymbol={countryContent.currencySymbol} />
+            <FeaturedProducts country={country} />
           </div>
         </motion.section>
 
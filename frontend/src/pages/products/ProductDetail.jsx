@@ -1,11 +1,32 @@
-import React from 'react';
+import React, { useEffect, useState } from 'react';
 import { useParams } from 'react-router-dom';
 import { useTranslation } from 'react-i18next';
 import { Helmet } from 'react-helmet-async';
+import { apiService } from '@/services/api';
+import { formatDateRange } from '@/utils';
 
 const ProductDetail = () => {
   const { country, id } = useParams();
-  const { t } = useTranslation();
+  const { t, i18n } = useTranslation();
+  const [deliveryEstimate, setDeliveryEstimate] = useState(null);
+
+  useEffect(() => {
+    if (!id || !country) return;
+
+    let cancelled = false;
+
+    apiService.getDeliveryEstimate(id, country)
+      .then((response) => {
+        if (!cancelled) setDeliveryEstimate(response.data);
+      })
+      .catch(() => {
+        if (!cancelled) setDeliveryEstimate(null);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [id, country]);
 
   return (
     <>
@@ -27,6 +48,12 @@ const ProductDetail = () => {
             <p className="text-sm text-gray-500">
               Product ID: {id}
             </p>
+
+            {deliveryEstimate && (
+              <p className="text-sm text-gray-700 mt-4">
+                {t('products.estimatedDelivery')}: {formatDateRange(deliveryEstimate, i18n.language)}
+              </p>
+            )}
           </div>
         </div>
       </div>
@@ -1,11 +1,172 @@
-import React from 'react';
-import { useParams } from 'react-router-dom';
+import React, { useEffect, useState } from 'react';
 import { useTranslation } from 'react-i18next';
 import { Helmet } from 'react-helmet-async';
+import { useAuth } from '@/hooks/useAuth';
+import { apiService } from '@/services/api';
+import { database } from '@/services/supabase';
+import { formatDate, formatDateRange, formatDateTime, formatMoney } from '@/utils';
+
+// Supplier, hub and carrier events of an order, oldest first
+const OrderJourney = ({ orderId, accessToken }) => {
+  const { t, i18n } = useTranslation();
+  const [tracking, setTracking] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    apiService.getOrderTracking(orderId, accessToken)
+      .then((response) => {
+        if (!cancelled) setTracking(response.data);
+      })
+      .catch((err) => {
+        if (!cancelled) setError(err.message);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [orderId, accessToken]);
+
+  if (error) {
+    return <p className="text-sm text-red-600 mt-4">{error}</p>;
+  }
+
+  if (!tracking) {
+    return <p className="text-sm text-gray-500 mt-4">{t('common.loading')}</p>;
+  }
+
+  return (
+    <div className="mt-4 border-t border-gray-100 pt-4">
+      <h3 className="font-semibold text-gray-900 mb-2">{t('orders.journey')}</h3>
+
+      <div className="text-sm text-gray-600 mb-4 space-y-1">
+        {tracking.carrier && (
+          <p>{t('orders.carrier')}: {tracking.carrier.name}</p>
+        )}
+        {tracking.tracking_number && (
+          <p>{t('orders.trackingNumber')}: {tracking.tracking_number}</p>
+        )}
+        {tracking.estimated_delivery_min && (
+          <p>
+            {t('orders.estimatedDelivery')}: {formatDateRange({
+              earliest: tracking.estimated_delivery_min,
+              latest: tracking.estimated_delivery_max,
+            }, i18n.language)}
+          </p>
+        )}
+      </div>
+
+      {tracking.events.length === 0 ? (
+        <p className="text-sm text-gray-500">{t('orders.noEvents')}</p>
+      ) : (
+        <ol className="relative border-l border-gray-200 ml-2">
+          {tracking.events.map((event, index) => (
+            <li key={`${event.occurred_at}-${index}`} className="mb-4 ml-4">
+              <span
+                className={`absolute -left-1.5 mt-1.5 h-3 w-3 rounded-full ${
+                  index === tracking.events.length - 1 ? 'bg-primary-600' : 'bg-gray-300'
+                }`}
+              />
+              <p className="text-xs text-gray-500">{formatDateTime(event.occurred_at, i18n.language)}</p>
+              <p className="text-sm text-gray-900">{event.description}</p>
+              {event.location && (
+                <p className="text-xs text-gray-500">{event.location}</p>
+              )}
+            </li>
+          ))}
+        </ol>
+      )}
+    </div>
+  );
+};
 
 const OrderHistory = () => {
-  const { country } = useParams();
-  const { t } = useTranslation();
+  const { t, i18n } = useTranslation();
+  const { user, session, isLoading } = useAuth();
+  const [orders, setOrders] = useState([]);
+  const [loadingOrders, setLoadingOrders] = useState(false);
+  const [error, setError] = useState(null);
+  const [trackedOrderId, setTrackedOrderId] = useState(null);
+
+  useEffect(() => {
+    if (!user) return;
+
+    let cancelled = false;
+    setLoadingOrders(true);
+
+    database.getUserOrders(user.id).then(({ data, error: ordersError }) => {
+      if (cancelled) return;
+
+      setOrders(data || []);
+      setError(ordersError ? ordersError.message : null);
+      setLoadingOrders(false);
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [user]);
+
+  const renderContent = () => {
+    if (isLoading || loadingOrders) {
+      return <p className="text-body text-gray-600 text-center">{t('common.loading')}</p>;
+    }
+
+    if (!user) {
+      return <p className="text-body text-gray-600 text-center">{t('orders.signInRequired')}</p>;
+    }
+
+    if (error) {
+      return <p className="text-body text-red-600 text-center">{error}</p>;
+    }
+
+    if (orders.length === 0) {
+      return <p className="text-body text-gray-600 text-center">{t('orders.noOrders')}</p>;
+    }
+
+    return (
+      <div className="max-w-3xl mx-auto space-y-4">
+        {orders.map((order) => (
+          <div key={order.id} className="bg-white rounded-lg shadow-sm p-6">
+            <div className="flex flex-wrap items-center justify-between gap-4">
+              <div>
+                <p className="font-semibold text-gray-900">
+                  {t('orders.orderNumber')}{order.id.slice(-8).toUpperCase()}
+                </p>
+                <p className="text-sm text-gray-500">
+                  {t('orders.date')}: {formatDate(order.created_at, i18n.language)}
+                </p>
+              </div>
+
+              <div className="text-right">
+                <p className="text-sm text-gray-700">
+                  {t('orders.status')}: {t(`orders.statuses.${order.status}`, order.status)}
+                </p>
+                {order.total_price !== null && order.total_price !== undefined && (
+                  <p className="text-sm text-gray-700">
+                    {t('orders.total')}: {formatMoney(order.total_price, order.currency, i18n.language)}
+                  </p>
+                )}
+              </div>
+
+              <button
+                type="button"
+                className="btn-secondary"
+                onClick={() => setTrackedOrderId(trackedOrderId === order.id ? null : order.id)}
+              >
+                {trackedOrderId === order.id ? t('orders.hideTracking') : t('orders.trackOrder')}
+              </button>
+            </div>
+
+            {trackedOrderId === order.id && session && (
+              <OrderJourney orderId={order.id} accessToken={session.access_token} />
+            )}
+          </div>
+        ))}
+      </div>
+    );
+  };
 
   return (
     <>
@@ -16,14 +177,11 @@ const OrderHistory = () => {
 
       <div className="min-h-screen bg-gray-50 py-8">
         <div className="container-custom">
-          <div className="text-center">
-            <h1 className="text-heading-2 text-gray-900 mb-4">
-              {t('orders.title')}
-            </h1>
-            <p className="text-body text-gray-600 mb-8">
-              Coming Soon - Order history page for {country?.toUpperCase()}
-            </p>
-          </div>
+          <h1 className="text-heading-2 text-gray-900 mb-8 text-center">
+            {t('orders.title')}
+          </h1>
+
+          {renderContent()}
         </div>
       </div>
     </>
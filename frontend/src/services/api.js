@@ -9,11 +9,11 @@ class ApiService {
     const url = `${this.baseURL}${endpoint}`;
     
     const config = {
+      ...options,
       headers: {
         'Content-Type': 'application/json',
         ...options.headers,
       },
-      ...options,
     };
 
     try {
@@ -61,6 +61,13 @@ class ApiService {
   }
 
   // Payment Services
+  async getPaymentMethods(country) {
+    const query = country ? `?country=${encodeURIComponent(country.toUpperCase())}` : '';
+    return this.request(`/payments/methods${query}`, {
+      method: 'GET',
+    });
+  }
+
   async initializePayment(paymentData) {
     return this.request('/payments/initialize', {
       method: 'POST',
@@ -80,6 +87,101 @@ class ApiService {
     });
   }
 
+  // Orders (prices are computed by the backend; only product IDs and quantities are sent)
+  async quoteOrder(quoteData) {
+    return this.request('/orders/quote', {
+      method: 'POST',
+      body: JSON.stringify(quoteData),
+    });
+  }
+
+  // Checks a promo code against a cart ({ code, items, country }); signed-in
+  // customers also get their per-customer limit checked
+  async validatePromoCode(promoData, accessToken = null) {
+    return this.request('/promo-codes/validate', {
+      method: 'POST',
+      headers: accessToken ? { Authorization: `Bearer ${accessToken}` } : {},
+      body: JSON.stringify(promoData),
+    });
+  }
+
+  async createOrder(orderData, accessToken) {
+    return this.request('/orders', {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${accessToken}` },
+      body: JSON.stringify(orderData),
+    });
+  }
+
+  async getOrder(orderId, accessToken) {
+    return this.request(`/orders/${orderId}`, {
+      method: 'GET',
+      headers: { Authorization: `Bearer ${accessToken}` },
+    });
+  }
+
+  // Supplier, hub and carrier events of an order, oldest first
+  async getOrderTracking(orderId, accessToken) {
+    return this.request(`/orders/${orderId}/tracking`, {
+      method: 'GET',
+      headers: { Authorization: `Bearer ${accessToken}` },
+    });
+  }
+
+  async cancelOrder(orderId, reason, accessToken) {
+    return this.request(`/orders/${orderId}/cancel`, {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${accessToken}` },
+      body: JSON.stringify({ reason }),
+    });
+  }
+
+  // Returns: photos are sent as data URLs
+  async requestReturn(orderId, returnData, accessToken) {
+    return this.request(`/orders/${orderId}/returns`, {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${accessToken}` },
+      body: JSON.stringify(returnData),
+    });
+  }
+
+  async getOrderReturns(orderId, accessToken) {
+    return this.request(`/orders/${orderId}/returns`, {
+      method: 'GET',
+      headers: { Authorization: `Bearer ${accessToken}` },
+    });
+  }
+
+  // Exchange Rates
+  async getExchangeRates(base) {
+    const query = base ? `?base=${encodeURIComponent(base)}` : '';
+    return this.request(`/fx/rates${query}`, {
+      method: 'GET',
+    });
+  }
+
+  async convertCurrency(amount, from, to) {
+    const query = new URLSearchParams({ amount, from, to }).toString();
+    return this.request(`/fx/convert?${query}`, {
+      method: 'GET',
+    });
+  }
+
+  // Delivery estimates
+  async getDeliveryEstimate(productId, country, quantity = 1) {
+    const query = new URLSearchParams({ product_id: productId, country, quantity }).toString();
+    return this.request(`/delivery/estimate?${query}`, {
+      method: 'GET',
+    });
+  }
+
+  // Public shipment tracking (no sign-in needed)
+  async trackShipment(trackingNumber) {
+    return this.request(`/tracking/${encodeURIComponent(trackingNumber)}`, {
+      method: 'GET',
+    });
+  }
+
   // Email Services
   async sendWelcomeEmail(userData) {
     return this.request('/emails/welcome', {
@@ -116,6 +218,23 @@ class ApiService {
     });
   }
 
+  // Affiliate referral links: record a ?ref=CODE click ({ ref, country, landing_path, referrer })
+  async recordReferral(referralData, accessToken = null) {
+    return this.request('/affiliates/referrals', {
+      method: 'POST',
+      headers: accessToken ? { Authorization: `Bearer ${accessToken}` } : {},
+      body: JSON.stringify(referralData),
+    });
+  }
+
+  // Attributes a referral clicked as a guest to the account that signed in
+  async claimReferral(referralId, accessToken) {
+    return this.request(`/affiliates/referrals/${referralId}/claim`, {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${accessToken}` },
+    });
+  }
+
   async requestAffiliate(affiliateData) {
     return this.request('/emails/affiliate-request', {
       method: 'POST',
@@ -1,4 +1,6 @@
 import { createClient } from '@supabase/supabase-js';
+import { apiService } from './api';
+import { useReferralStore } from '@/store/referralStore';
 
 const supabaseUrl = import.meta.env.VITE_SUPABASE_URL;
 const supabaseAnonKey = import.meta.env.VITE_SUPABASE_ANON_KEY;
@@ -103,14 +105,25 @@ export const database = {
   },
 
   // Orders
+  // Orders are created by the backend, which prices the cart itself:
+  // orderData is { items: [{ product_id, quantity }], shipping_address, promo_code? };
+  // the affiliate referral link the customer came from is sent along
   createOrder: async (orderData) => {
-    const { data, error } = await supabase
-      .from('orders')
-      .insert([orderData])
-      .select()
-      .single();
+    const { data: { session } } = await supabase.auth.getSession();
 
-    return { data, error };
+    if (!session) {
+      return { data: null, error: new Error('You need to be signed in to place an order') };
+    }
+
+    try {
+      const response = await apiService.createOrder(
+        { referral_id: useReferralStore.getState().getReferralId(), ...orderData },
+        session.access_token
+      );
+      return { data: response.data, error: null };
+    } catch (error) {
+      return { data: null, error };
+    }
   },
 
   getUserOrders: async (userId) => {
@@ -0,0 +1,37 @@
+import { create } from 'zustand';
+import { persist } from 'zustand/middleware';
+
+// Affiliate referral from a ?ref=CODE link. Kept in the browser so it
+// survives login and signup; the backend decides whether it still applies.
+export const useReferralStore = create(
+  persist(
+    (set, get) => ({
+      referralId: null,
+      code: null,
+      expiresAt: null,
+
+      // Actions
+      setReferral: ({ referral_id, code, expires_at }) => {
+        set({ referralId: referral_id, code, expiresAt: expires_at });
+      },
+
+      clearReferral: () => {
+        set({ referralId: null, code: null, expiresAt: null });
+      },
+
+      // Getters
+      getReferralId: () => {
+        const { referralId, expiresAt } = get();
+
+        if (!referralId || !expiresAt || new Date(expiresAt) <= new Date()) {
+          return null;
+        }
+
+        return referralId;
+      },
+    }),
+    {
+      name: 'referral-storage',
+    }
+  )
+);
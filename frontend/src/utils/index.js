@@ -2,26 +2,29 @@
  * Utility functions for Mallgram frontend
  */
 
-// Price formatting
+import { COUNTRIES } from '../constants';
+import { Money } from './money';
+
+export { Money, formatMoney } from './money';
+
+// Price formatting, rounded to the country's currency (cents for ZAR, whole francs for XAF)
 export const formatPrice = (price, country = 'za') => {
-  if (country === 'za') {
-    return `R${price.toLocaleString()}`;
-  } else {
-    return `${price.toLocaleString()} FCFA`;
-  }
+  const currency = COUNTRIES[country.toUpperCase()]?.currency || 'ZAR';
+  return Money.fromMajor(price, currency).format();
 };
 
-// Currency conversion (mock - replace with actual exchange rates)
-export const convertCurrency = (amount, fromCurrency, toCurrency) => {
-  const exchangeRates = {
-    ZAR: 1,
-    XAF: 30, // 1 ZAR = 30 XAF (approximate)
-  };
-  
+// Currency conversion using rates from GET /fx/rates ({ base, rates: { XAF: { rate } } })
+export const convertCurrency = (amount, fromCurrency, toCurrency, exchangeRates) => {
   if (fromCurrency === toCurrency) return amount;
-  
-  const baseAmount = amount / exchangeRates[fromCurrency];
-  return Math.round(baseAmount * exchangeRates[toCurrency]);
+
+  const fromRate = exchangeRates?.rates?.[fromCurrency]?.rate;
+  const toRate = exchangeRates?.rates?.[toCurrency]?.rate;
+
+  if (!fromRate || !toRate) {
+    throw new Error(`No exchange rate for ${fromCurrency} to ${toCurrency}`);
+  }
+
+  return Money.fromMajor((amount / fromRate) * toRate, toCurrency).toMajor();
 };
 
 // Image URL helpers
@@ -85,6 +88,20 @@ export const formatDate = (date, locale = 'en-US') => {
   return new Intl.DateTimeFormat(locale, options).format(new Date(date));
 };
 
+// Delivery estimate range ({ earliest, latest } ISO dates), e.g. "Nov 3 - Nov 14, 2025"
+export const formatDateRange = (range, locale = 'en-US') => {
+  if (!range?.earliest) return '';
+
+  const format = (date, options) =>
+    new Intl.DateTimeFormat(locale, { ...options, timeZone: 'UTC' }).format(new Date(date));
+
+  if (range.earliest === range.latest) {
+    return format(range.latest, { year: 'numeric', month: 'short', day: 'numeric' });
+  }
+
+  return `${format(range.earliest, { month: 'short', day: 'numeric' })} - ${format(range.latest, { year: 'numeric', month: 'short', day: 'numeric' })}`;
+};
+
 export const formatDateTime = (date, locale = 'en-US') => {
   if (!date) return '';
   
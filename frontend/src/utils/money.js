@@ -0,0 +1,139 @@
+/**
+ * Money helpers for Mallgram frontend
+ *
+ * Mirrors backend/utils/money.js: amounts are integer minor units plus an
+ * ISO 4217 currency, so XAF (no minor unit) and ZAR (cents) round and
+ * format correctly.
+ */
+
+export const CURRENCIES = {
+  ZAR: { minorUnits: 2, symbol: 'R', symbolPosition: 'before' },
+  XAF: { minorUnits: 0, symbol: 'FCFA', symbolPosition: 'after' },
+  XOF: { minorUnits: 0, symbol: 'CFA', symbolPosition: 'after' },
+  NGN: { minorUnits: 2, symbol: '₦', symbolPosition: 'before' },
+  GHS: { minorUnits: 2, symbol: 'GH₵', symbolPosition: 'before' },
+  KES: { minorUnits: 2, symbol: 'KSh', symbolPosition: 'before' },
+  UGX: { minorUnits: 0, symbol: 'USh', symbolPosition: 'before' },
+  RWF: { minorUnits: 0, symbol: 'FRw', symbolPosition: 'after' },
+  GNF: { minorUnits: 0, symbol: 'FG', symbolPosition: 'after' },
+  ZMW: { minorUnits: 2, symbol: 'K', symbolPosition: 'before' },
+  MGA: { minorUnits: 0, symbol: 'Ar', symbolPosition: 'after' },
+  USD: { minorUnits: 2, symbol: '$', symbolPosition: 'before' },
+  EUR: { minorUnits: 2, symbol: '€', symbolPosition: 'before' },
+  CNY: { minorUnits: 2, symbol: '¥', symbolPosition: 'before' },
+};
+
+const getCurrency = (currency) => {
+  const code = String(currency || '').toUpperCase();
+  const definition = CURRENCIES[code];
+
+  if (!definition) {
+    throw new Error(`Unsupported currency: ${currency}`);
+  }
+
+  return { code, ...definition };
+};
+
+// Round half away from zero, ignoring binary noise such as 1.005 * 100 = 100.49999...
+const roundHalfAwayFromZero = (value) => {
+  const cleaned = Number(Math.abs(value).toPrecision(15));
+  return Math.sign(value) * Math.round(cleaned);
+};
+
+export class Money {
+  constructor(minorUnits, currency) {
+    if (!Number.isSafeInteger(minorUnits)) {
+      throw new Error(`Money amount must be an integer number of minor units, got ${minorUnits}`);
+    }
+
+    this.minorUnits = minorUnits === 0 ? 0 : minorUnits;
+    this.currency = getCurrency(currency).code;
+    Object.freeze(this);
+  }
+
+  // From a major-unit amount (e.g. 899.99 ZAR), rounded to the currency's minor unit
+  static fromMajor(amount, currency) {
+    const value = typeof amount === 'string' ? parseFloat(amount) : amount;
+
+    if (!Number.isFinite(value)) {
+      throw new Error(`Invalid money amount: ${amount}`);
+    }
+
+    const factor = 10 ** getCurrency(currency).minorUnits;
+    return new Money(roundHalfAwayFromZero(value * factor), currency);
+  }
+
+  static fromMinor(minorUnits, currency) {
+    return new Money(Number(minorUnits), currency);
+  }
+
+  static zero(currency) {
+    return new Money(0, currency);
+  }
+
+  get exponent() {
+    return CURRENCIES[this.currency].minorUnits;
+  }
+
+  toMajor() {
+    return this.minorUnits / 10 ** this.exponent;
+  }
+
+  toString() {
+    return this.toMajor().toFixed(this.exponent);
+  }
+
+  add(other) {
+    this.assertSameCurrency(other);
+    return new Money(this.minorUnits + other.minorUnits, this.currency);
+  }
+
+  subtract(other) {
+    this.assertSameCurrency(other);
+    return new Money(this.minorUnits - other.minorUnits, this.currency);
+  }
+
+  multiply(factor) {
+    return new Money(roundHalfAwayFromZero(this.minorUnits * factor), this.currency);
+  }
+
+  compare(other) {
+    this.assertSameCurrency(other);
+    return Math.sign(this.minorUnits - other.minorUnits);
+  }
+
+  equals(other) {
+    return this.currency === other.currency && this.minorUnits === other.minorUnits;
+  }
+
+  isZero() {
+    return this.minorUnits === 0;
+  }
+
+  isNegative() {
+    return this.minorUnits < 0;
+  }
+
+  // e.g. "R1,234.50" or "45,000 FCFA"
+  format(locale = 'en-US') {
+    const { symbol, symbolPosition } = CURRENCIES[this.currency];
+    const number = new Intl.NumberFormat(locale, {
+      minimumFractionDigits: this.exponent,
+      maximumFractionDigits: this.exponent,
+    }).format(Math.abs(this.toMajor()));
+    const sign = this.isNegative() ? '-' : '';
+
+    return symbolPosition === 'before'
+      ? `${sign}${symbol}${number}`
+      : `${sign}${number} ${symbol}`;
+  }
+
+  assertSameCurrency(other) {
+    if (!(other instanceof Money) || other.currency !== this.currency) {
+      throw new Error(`Currency mismatch: ${this.currency} and ${other?.currency}`);
+    }
+  }
+}
+
+// Format a major-unit amount, e.g. formatMoney(45000, 'XAF') => "45,000 FCFA"
+export const formatMoney = (amount, currency, locale) => Money.fromMajor(amount, currency).format(locale);